@@ -0,0 +1,193 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+
+/**
+ * @title Blocklistable
+ * @dev The Blocklistable contract implements a registry of blocked addresses (e.g. sanctioned counterparties), which is
+ * kept separate from the whitelist: a blocklisted address fails all the compliance checks in which it takes part, no
+ * matter whether it is whitelisted or not (see Compliant)
+ * @dev Every entry records its provenance, i.e. the id of the source list (e.g. "EU-CFSP" or "OFAC-SDN"), the hash of
+ * the version of the list it comes from, and the date of that version, so entries can be traced back to the list that
+ * mandated them. Lists are usually bulk loaded from a file (see scripts/loadBlocklist.js)
+ * @dev An address can appear in several lists, with one entry per list, and stays blocked while any of them has it
+ * (i.e. being delisted from one list does not unblock an address that is still sanctioned by another one)
+ */
+contract Blocklistable is RoleControl {
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private BLOCKLISTABLE_CONTRACT_NAME = "Blocklistable";
+
+    /**
+     * @dev Data structures
+     * @dev _BLOCKLIST_ENTRIES : mapping (address => mapping (string => bool)) with the lists (by id) that have each address
+     * @dev _BLOCKLIST_LIST_VERSIONS : mapping (address => mapping (string => uint256)) with the hash of the version of the
+     * list each entry comes from
+     * @dev _BLOCKLIST_LIST_DATES : mapping (address => mapping (string => uint256)) with the date (timestamp) of that version
+     * @dev _BLOCKLIST_ENTRY_COUNTS : mapping (address => uint256) with the number of lists that have each address
+     */
+    bytes32 constant private _BLOCKLIST_ENTRIES =       "_blocklistEntries";
+    bytes32 constant private _BLOCKLIST_LIST_VERSIONS = "_blocklistListVersions";
+    bytes32 constant private _BLOCKLIST_LIST_DATES =    "_blocklistListDates";
+    bytes32 constant private _BLOCKLIST_ENTRY_COUNTS =  "_blocklistEntryCounts";
+
+    // Events
+
+    event Blocklisted(address indexed who, string listId, bytes32 listVersion, uint256 listDate);
+    event Unblocklisted(address indexed who, string listId, bytes32 listVersion, uint256 listDate);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Adds an address to the blocklist as an entry of a list (or updates the provenance of that entry)
+     * @param who The address to be blocked
+     * @param listId The id of the source list
+     * @param listVersion The hash of the version of the source list
+     * @param listDate The date (timestamp) of the version of the source list
+     * @dev Only compliance can do this
+     */
+    function blocklist(address who, string calldata listId, bytes32 listVersion, uint256 listDate) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        return _blocklist(who, listId, listVersion, listDate);
+    }
+
+    /**
+     * @notice Adds several addresses from the same version of a list to the blocklist
+     * @param wallets The addresses to be blocked
+     * @param listId The id of the source list
+     * @param listVersion The hash of the version of the source list
+     * @param listDate The date (timestamp) of the version of the source list
+     * @dev Only compliance can do this
+     */
+    function blocklistBatch(
+        address[] calldata wallets,
+        string calldata listId,
+        bytes32 listVersion,
+        uint256 listDate
+    )
+        external
+        returns (bool)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        for(uint256 i = 0; i < wallets.length; i++) {
+            _blocklist(wallets[i], listId, listVersion, listDate);
+        }
+        return true;
+    }
+
+    /**
+     * @notice Removes the entry of an address from a list, in accordance with a version of that list (e.g. the version
+     * in which the address no longer appears). The address is unblocked once no list has it
+     * @param who The address to be delisted
+     * @param listId The id of the list that has the entry
+     * @param listVersion The hash of the version of the source list
+     * @param listDate The date (timestamp) of the version of the source list
+     * @dev Only compliance can do this
+     */
+    function unBlocklist(address who, string calldata listId, bytes32 listVersion, uint256 listDate) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(_getBlocklistEntry(who, listId), "Address is not blocklisted by that list");
+        emit Unblocklisted(who, listId, listVersion, listDate);
+        return
+            _setBlocklistEntry(who, listId, false) &&
+            _setBlocklistListVersion(who, listId, bytes32(0)) &&
+            _setBlocklistListDate(who, listId, 0) &&
+            _setBlocklistEntryCount(who, _getBlocklistEntryCount(who) - 1);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns whether an address is blocklisted (i.e. whether any list has it)
+     * @param who The address in question
+     */
+    function isBlocklisted(address who) external view returns (bool) {
+        return _isBlocklisted(who);
+    }
+
+    /**
+     * @notice Returns the number of lists that have an address
+     * @param who The address in question
+     */
+    function manyBlocklistEntries(address who) external view returns (uint256) {
+        return _getBlocklistEntryCount(who);
+    }
+
+    /**
+     * @notice Returns the entry of an address in a list
+     * @param who The address in question
+     * @param listId The id of the list
+     * @return blocked: whether the list has the address
+     * @return listVersion: the hash of the version of the list the entry comes from
+     * @return listDate: the date (timestamp) of that version
+     */
+    function blocklistEntry(address who, string calldata listId)
+        external view
+        returns (
+            bool blocked,
+            bytes32 listVersion,
+            uint256 listDate
+        )
+    {
+        blocked = _getBlocklistEntry(who, listId);
+        listVersion = _getBlocklistListVersion(who, listId);
+        listDate = _getBlocklistListDate(who, listId);
+    }
+
+    // Internal functions
+
+    function _isBlocklisted(address who) internal view returns (bool) {
+        return _getBlocklistEntryCount(who) > 0;
+    }
+
+    // Private functions
+
+    function _blocklist(address who, string memory listId, bytes32 listVersion, uint256 listDate) private returns (bool) {
+        require(who != address(0), "Cannot blocklist address 0");
+        require(bytes(listId).length > 0, "List id is required");
+        emit Blocklisted(who, listId, listVersion, listDate);
+        if(!_getBlocklistEntry(who, listId)) {
+            _setBlocklistEntry(who, listId, true);
+            _setBlocklistEntryCount(who, _getBlocklistEntryCount(who) + 1);
+        }
+        return
+            _setBlocklistListVersion(who, listId, listVersion) &&
+            _setBlocklistListDate(who, listId, listDate);
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getBlocklistEntry(address who, string memory listId) private view returns (bool) {
+        return whichEternalStorage().getBoolFromDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_ENTRIES, who, listId);
+    }
+
+    function _setBlocklistEntry(address who, string memory listId, bool value) private returns (bool) {
+        return whichEternalStorage().setBoolInDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_ENTRIES, who, listId, value);
+    }
+
+    function _getBlocklistListVersion(address who, string memory listId) private view returns (bytes32) {
+        return bytes32(whichEternalStorage().getUintFromDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_LIST_VERSIONS, who, listId));
+    }
+
+    function _setBlocklistListVersion(address who, string memory listId, bytes32 listVersion) private returns (bool) {
+        return whichEternalStorage().setUintInDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_LIST_VERSIONS, who, listId, uint256(listVersion));
+    }
+
+    function _getBlocklistListDate(address who, string memory listId) private view returns (uint256) {
+        return whichEternalStorage().getUintFromDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_LIST_DATES, who, listId);
+    }
+
+    function _setBlocklistListDate(address who, string memory listId, uint256 listDate) private returns (bool) {
+        return whichEternalStorage().setUintInDoubleAddressStringMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_LIST_DATES, who, listId, listDate);
+    }
+
+    function _getBlocklistEntryCount(address who) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_ENTRY_COUNTS, who);
+    }
+
+    function _setBlocklistEntryCount(address who, uint256 count) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(BLOCKLISTABLE_CONTRACT_NAME, _BLOCKLIST_ENTRY_COUNTS, who, count);
+    }
+
+}
@@ -37,6 +37,10 @@ contract Clearable is IClearable, Holdable {
     bytes32 constant private _CLEARABLE_TRANSFER_STATUS_CODES = "_clearableTransferStatusCodes";
     bytes32 constant private _CLEARABLE_TRANSFER_APPROVALS =    "_clearableTransferApprovals";
 
+    // Events
+
+    event ClearableTransferRemittanceData(address indexed orderer, string operationId, bytes32 indexed dataHash, bytes data);
+
     // Modifiers
 
     modifier clearableTransferExists(address orderer, string memory operationId) {
@@ -71,8 +75,8 @@ contract Clearable is IClearable, Holdable {
      * as a "yes or no" flag
      * @param orderer The address to be approved as potential orderer of clearable transfers
      */
-    function approveToOrderClearableTransfer(address orderer) external returns (bool) {
-        address from = msg.sender;
+    function approveToOrderClearableTransfer(address orderer) external whenNotPaused(CLEARABLE_WORKFLOW) returns (bool) {
+        address from = _msgSender();
         _check(_canApproveToOrderClearableTransfer, from, orderer);
         return _approveToRequestClearableTransfer(from, orderer);
     }
@@ -83,7 +87,7 @@ contract Clearable is IClearable, Holdable {
      * @param orderer The address to be revoked as potential orderer of clearable transfers
      */
     function revokeApprovalToOrderClearableTransfer(address orderer) external returns (bool) {
-        address from = msg.sender;
+        address from = _msgSender();
         return _revokeApprovalToRequestClearableTransfer(from, orderer);
     }
 
@@ -100,12 +104,87 @@ contract Clearable is IClearable, Holdable {
         uint256 amount
     )
         external
+        whenNotPaused(CLEARABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
-        address from = msg.sender;
-        _check(_canOrderClearableTransfer, from, to, amount);
-        return _createClearableTransfer(orderer, operationId, from, to, amount);
+        return _orderClearableTransferWithTravelRule(_msgSender(), operationId, _msgSender(), to, amount, bytes32(0));
+    }
+
+    /**
+     * @notice Method for a wallet owner to order a clearable transfer on his/her own behalf, recording the hash of the
+     * travel rule payload (i.e. the originator and beneficiary information) of the transfer, as required for clearable
+     * transfers above the travel rule threshold
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the sender)
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function orderClearableTransferWithTravelRule(
+        string calldata operationId,
+        address to,
+        uint256 amount,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        return _orderClearableTransferWithTravelRule(_msgSender(), operationId, _msgSender(), to, amount, payloadHash);
+    }
+
+    /**
+     * @notice Method for a wallet owner to order a clearable transfer on his/her own behalf, attaching structured
+     * remittance data (e.g. ISO 20022 end-to-end id, invoice number and purpose code) to the payment
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the sender)
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @dev The remittance data is not stored, but emitted in a ClearableTransferRemittanceData event (indexed by its hash)
+     */
+    function orderClearableTransferWithData(
+        string calldata operationId,
+        address to,
+        uint256 amount,
+        bytes calldata data
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        address orderer = _msgSender();
+        _orderClearableTransferWithTravelRule(orderer, operationId, orderer, to, amount, bytes32(0));
+        emit ClearableTransferRemittanceData(orderer, operationId, keccak256(data), data);
+        return true;
+    }
+
+    /**
+     * @notice Method for a wallet owner to order a clearable transfer on his/her own behalf, attaching structured
+     * remittance data (as in orderClearableTransferWithData) and recording the hash of the travel rule payload of the
+     * transfer (as in orderClearableTransferWithTravelRule)
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the sender)
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function orderClearableTransferWithDataAndTravelRule(
+        string calldata operationId,
+        address to,
+        uint256 amount,
+        bytes calldata data,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        address orderer = _msgSender();
+        _orderClearableTransferWithTravelRule(orderer, operationId, orderer, to, amount, payloadHash);
+        emit ClearableTransferRemittanceData(orderer, operationId, keccak256(data), data);
+        return true;
     }
 
     /**
@@ -124,12 +203,94 @@ contract Clearable is IClearable, Holdable {
         uint256 amount
     )
         external
+        whenNotPaused(CLEARABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
-        require(orderer == from || _isApprovedToOrderClearableTransfer(from, orderer), "Not approved to order clearable transfers");
-        _check(_canOrderClearableTransfer, from, to, amount);
-        return _createClearableTransfer(orderer, operationId, from, to, amount);
+        return _orderClearableTransferWithTravelRule(_msgSender(), operationId, from, to, amount, bytes32(0));
+    }
+
+    /**
+     * @notice Method to order a clearable transfer on behalf of a (different) wallet owner (as in
+     * orderClearableTransferFrom), attaching structured remittance data (e.g. ISO 20022 end-to-end id, invoice number
+     * and purpose code) to the payment
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the orderer)
+     * @param from The wallet the funds will be transferred from
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @dev The remittance data is not stored, but emitted in a ClearableTransferRemittanceData event (indexed by its hash)
+     */
+    function orderClearableTransferFromWithData(
+        string calldata operationId,
+        address from,
+        address to,
+        uint256 amount,
+        bytes calldata data
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        address orderer = _msgSender();
+        _orderClearableTransferWithTravelRule(orderer, operationId, from, to, amount, bytes32(0));
+        emit ClearableTransferRemittanceData(orderer, operationId, keccak256(data), data);
+        return true;
+    }
+
+    /**
+     * @notice Method to order a clearable transfer on behalf of a (different) wallet owner, attaching structured
+     * remittance data (as in orderClearableTransferFromWithData) and recording the hash of the travel rule payload of
+     * the transfer (as in orderClearableTransferFromWithTravelRule)
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the orderer)
+     * @param from The wallet the funds will be transferred from
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function orderClearableTransferFromWithDataAndTravelRule(
+        string calldata operationId,
+        address from,
+        address to,
+        uint256 amount,
+        bytes calldata data,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        address orderer = _msgSender();
+        _orderClearableTransferWithTravelRule(orderer, operationId, from, to, amount, payloadHash);
+        emit ClearableTransferRemittanceData(orderer, operationId, keccak256(data), data);
+        return true;
+    }
+
+    /**
+     * @notice Method to order a clearable transfer on behalf of a (different) wallet owner (as in
+     * orderClearableTransferFrom), recording the hash of the travel rule payload of the transfer, as required for
+     * clearable transfers above the travel rule threshold
+     * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
+     * the clearable transfer (together with the address of the orderer)
+     * @param from The wallet the funds will be transferred from
+     * @param to The wallet to which the transfer is directed to
+     * @param amount The amount to be transferred
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function orderClearableTransferFromWithTravelRule(
+        string calldata operationId,
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(CLEARABLE_WORKFLOW)
+        returns (bool)
+    {
+        return _orderClearableTransferWithTravelRule(_msgSender(), operationId, from, to, amount, payloadHash);
     }
 
     /**
@@ -139,10 +300,10 @@ contract Clearable is IClearable, Holdable {
      * @dev Only the original orderer can actually cancel an outstanding clerable transfer
      */
     function cancelClearableTransfer(string calldata operationId) external
-        clearableTransferJustCreated(msg.sender, operationId)
+        clearableTransferJustCreated(_msgSender(), operationId)
         returns (bool)
     {
-        address orderer = msg.sender;
+        address orderer = _msgSender();
         _finalizeHold(orderer, operationId, HoldStatusCode.ReleasedByNotary);
         emit HoldReleased(orderer, operationId, HoldStatusCode.ReleasedByNotary);
         emit ClearableTransferCancelled(orderer, operationId);
@@ -163,6 +324,7 @@ contract Clearable is IClearable, Holdable {
      */
     function processClearableTransfer(address orderer, string calldata operationId) external
         clearableTransferJustCreated(orderer, operationId)
+        whenNotPaused(CLEARABLE_WORKFLOW)
         returns (bool)
     {
         requireRole(OPERATOR_ROLE);
@@ -177,22 +339,33 @@ contract Clearable is IClearable, Holdable {
      * @param operationId The ID of the clearable transfer, which can then be used to index all the information about
      * the clearable transfer (together with the address of the sender)
      * @dev Only operator can do this
+     * @dev Execution fails if the payee would go above the balance limit of its KYC tier (see KYCTiered), or if the payer
+     * would go above its velocity limits (see VelocityLimited), or if the payer or the payee have been blocklisted (see
+     * Blocklistable) or frozen (see Freezable), or the corridor between them forbidden (see Jurisdictional), since the
+     * transfer was ordered
+     * @dev If the payee is a contract implementing IEMoneyTokenReceiver, its onHoldExecuted hook is called after the funds
+     * are credited (and a revert in the hook reverts the execution)
      * 
      */
     function executeClearableTransfer(address orderer, string calldata operationId) external
         clearableTransferNotClosed(orderer, operationId)
+        whenNotPaused(CLEARABLE_WORKFLOW)
         returns (bool)
     {
         requireRole(OPERATOR_ROLE);
         address from = _getClearableTransferFrom(orderer, operationId);
         address to = _getClearableTransferTo(orderer, operationId);
         uint256 amount = _getClearableTransferAmount(orderer, operationId);
+        _check(_canExecuteClearableTransfer, from, to, amount);
         _removeFunds(from, amount);
         _addFunds(to, amount);
+        _recordOutgoing(from, amount);
         _finalizeHold(orderer, operationId, HoldStatusCode.ExecutedByNotary);
         emit HoldExecuted(orderer, operationId, HoldStatusCode.ExecutedByNotary);
         emit ClearableTransferExecuted(orderer, operationId);
-        return _setClearableTransferStatus(orderer, operationId, ClearableTransferStatusCode.Executed);
+        _setClearableTransferStatus(orderer, operationId, ClearableTransferStatusCode.Executed);
+        _notifyHoldExecuted(_msgSender(), orderer, operationId, from, to, amount);
+        return true;
     }
 
     /**
@@ -290,6 +463,29 @@ contract Clearable is IClearable, Holdable {
         return _getClearableTransferStatus(orderer, operationId) != ClearableTransferStatusCode.Nonexistent;
     }
 
+    // Private functions
+
+    /**
+     * @dev Orders a clearable transfer, on the own behalf of the orderer or on behalf of a wallet that approved it, with
+     * a travel rule payload hash (recorded against the orderer), or with none (0) below the travel rule threshold
+     */
+    function _orderClearableTransferWithTravelRule(
+        address orderer,
+        string memory operationId,
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 payloadHash
+    )
+        private
+        returns (bool)
+    {
+        require(orderer == from || _isApprovedToOrderClearableTransfer(from, orderer), "Not approved to order clearable transfers");
+        _check(_canOrderClearableTransfer, from, to, amount);
+        _applyTravelRule(orderer, operationId, from, to, amount, payloadHash);
+        return _createClearableTransfer(orderer, operationId, from, to, amount);
+    }
+
     // Private functions wrapping access to eternal storage
     
     function _getClearableTransferFrom(address orderer, string memory operationId) private view returns (address from) {
@@ -0,0 +1,29 @@
+pragma solidity ^0.5;
+
+import "./Whitelistable.sol";
+import "./interface/IComplianceAuthority.sol";
+import "../../EternalStorage/contracts/EternalStorage.sol";
+
+/**
+ * @title ComplianceAuthority
+ * @notice The ComplianceAuthority holds the roles and the whitelist shared by several EM Tokens (e.g. the EUR, USD and
+ * GBP tokens of the same issuer), so roles are assigned and customers are whitelisted once for all currencies. Tokens
+ * delegate to the authority by means of setComplianceAuthority (see Timelocked)
+ * @dev Roles and whitelisting work exactly as in the tokens (the authority is itself Whitelistable), and are stored in
+ * an eternal storage of its own
+ * @dev The constructor takes the address of the eternal storage. If a zero address is passed, a new eternal storage is
+ * instantiated for the authority (and its ownership transferred to the deployer)
+ */
+contract ComplianceAuthority is IComplianceAuthority, Whitelistable {
+
+    // Constructor
+
+    constructor (address eternalStorage) public {
+        if(eternalStorage == address(0)) {
+            eternalStorage = address(new EternalStorage());
+            EternalStorage(eternalStorage).transferOwnership(msg.sender);
+        }
+        setEternalStorage(eternalStorage);
+    }
+
+}
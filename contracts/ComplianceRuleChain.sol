@@ -0,0 +1,108 @@
+pragma solidity ^0.5;
+
+import "./interface/IComplianceRules.sol";
+import "../../EternalStorage/contracts/EternalStorage.sol";
+
+/**
+ * @title ComplianceRuleChain
+ * @notice The ComplianceRuleChain runs several rules modules (e.g. a sanctions module and a limits module) on the same
+ * operation, in the order in which they were added. The first module that fails the operation determines the status
+ * code returned, and the operation is only successful if all the modules are successful
+ * @dev A chain is itself a rules module, so it can be plugged into the token (see Compliant) or into another chain
+ * @dev This is a standalone contract with no eternal storage, since it only keeps the list of modules. The list is
+ * managed by the owner of the chain
+ */
+contract ComplianceRuleChain is IComplianceRules, Ownable {
+
+    byte constant private SUCCESS = 0x01;
+
+    address[] private _rules;
+
+    // Events
+
+    event RuleAdded(address indexed rules);
+    event RuleRemoved(address indexed rules);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Adds a rules module at the end of the chain
+     * @param rules The address of the rules module
+     * @dev Only the owner can do this
+     */
+    function addRule(address rules) external onlyOwner returns (bool) {
+        require(rules != address(0), "Rules cannot be address 0");
+        require(rules != address(this), "Chain cannot contain itself");
+        require(!_isInChain(rules), "Rules already in chain");
+        _rules.push(rules);
+        emit RuleAdded(rules);
+        return true;
+    }
+
+    /**
+     * @notice Removes a rules module from the chain, keeping the order of the rest of the modules
+     * @param rules The address of the rules module
+     * @dev Only the owner can do this
+     */
+    function removeRule(address rules) external onlyOwner returns (bool) {
+        require(_isInChain(rules), "Rules not in chain");
+        uint256 i = 0;
+        while(_rules[i] != rules) {
+            i++;
+        }
+        for(; i < _rules.length - 1; i++) {
+            _rules[i] = _rules[i + 1];
+        }
+        _rules.length--;
+        emit RuleRemoved(rules);
+        return true;
+    }
+
+    // External view functions
+
+    function check(
+        address token,
+        Operation operation,
+        address from,
+        address to,
+        address agent,
+        uint256 value
+    )
+        external view returns (byte status)
+    {
+        for(uint256 i = 0; i < _rules.length; i++) {
+            status = IComplianceRules(_rules[i]).check(token, operation, from, to, agent, value);
+            if(status != SUCCESS) {
+                return status;
+            }
+        }
+        return SUCCESS;
+    }
+
+    /**
+     * @notice Returns the number of rules modules in the chain
+     */
+    function manyRules() external view returns (uint256) {
+        return _rules.length;
+    }
+
+    /**
+     * @notice Returns the rules module in a position of the chain
+     * @param index The position in the chain
+     */
+    function ruleAt(uint256 index) external view returns (address) {
+        return _rules[index];
+    }
+
+    // Private functions
+
+    function _isInChain(address rules) private view returns (bool) {
+        for(uint256 i = 0; i < _rules.length; i++) {
+            if(_rules[i] == rules) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+}
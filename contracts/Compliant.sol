@@ -3,6 +3,15 @@ pragma solidity ^0.5;
 import "./interface/ICompliant.sol";
 import "./ConsolidatedLedger.sol";
 import "./Whitelistable.sol";
+import "./Pausable.sol";
+import "./Freezable.sol";
+import "./KYCTiered.sol";
+import "./VelocityLimited.sol";
+import "./Blocklistable.sol";
+import "./Jurisdictional.sol";
+import "./TravelRuleAware.sol";
+import "./MakerChecker.sol";
+import "./interface/IComplianceRules.sol";
 
 /**
  * @title Compliant
@@ -12,15 +21,89 @@ import "./Whitelistable.sol";
  * @dev Intermediate data is used in this contract as well (implemented over the EternalStorage construct) in
  * order to implement permissioning logic (e.g. whitelisting flags, or cumulative cashins or cashouts to check
  * cumulative limits)
+ * @dev Blocklisted addresses (see Blocklistable) fail all the checks in which they take part, in whatever capacity
+ * @dev Frozen wallets (see Freezable) fail the checks in which they would send funds (if frozen for outgoing payments)
+ * or receive funds (if frozen for incoming payments)
+ * @dev Wallets are also subject to the limits of their KYC tier (see KYCTiered): the maximum balance is checked on
+ * wallets receiving transfers, fundings or mints, the maximum per transfer on wallets sending transfers, and the
+ * cumulative funding and payout limits on fundings, mints and payouts
+ * @dev Transfers, holds and clearable transfers also fail if they would take the sender above its daily or monthly
+ * velocity limits (see VelocityLimited)
+ * @dev Transfers between wallets tagged with countries follow the rule of their corridor (see Jurisdictional): direct
+ * transfers are only allowed in allowed corridors (and fail with a status that points to clearable transfers in corridors
+ * that only allow those), and clearable transfers are allowed in all but forbidden corridors
+ * @dev Check methods return EIP-1066 style status codes that say which check failed
+ * @dev The whitelist checks can be delegated to an external rules contract (see IComplianceRules), which compliance
+ * can swap at runtime without redeploying the token. Rules contracts get the type of operation and its parties, and
+ * several of them can be chained in a ComplianceRuleChain. They also get the operations that are not checked against
+ * the whitelist (mints, and executions of holds, clearable transfers, fundings and payouts), as well as the spender of
+ * transfers from. Whitelisting is checked as usual while no rules contract is set (and WhitelistRules can be added to
+ * a chain to keep those same checks), while freezes are always enforced
  */
-contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
+contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable, Pausable, Freezable, KYCTiered, VelocityLimited, Blocklistable, Jurisdictional, TravelRuleAware, MakerChecker {
 
     uint256 constant MAX_VALUE = 2**256 - 1;
+
+    /**
+     * @dev Status codes returned by the check methods, following EIP-1066 (https://eips.ethereum.org/EIPS/eip-1066): 0x01
+     * is success, 0x00 is a generic failure, 0x10 is "disallowed", 0x56 is "transfer volume exceeded", and 0xA* codes are application specific
+     * (see lib/statusCodes.js for the decoder table). Failed checks revert with the matching reason (see _statusReason)
+     */
     byte constant FAILURE = 0x00;
     byte constant SUCCESS = 0x01;
+    byte constant CORRIDOR_FORBIDDEN = 0x10;
+    byte constant LIMIT_EXCEEDED = 0x56;
+    byte constant SENDER_NOT_WHITELISTED = 0xA0;
+    byte constant RECEIVER_NOT_WHITELISTED = 0xA1;
+    byte constant NOTARY_NOT_WHITELISTED = 0xA2;
+    byte constant REQUESTER_NOT_WHITELISTED = 0xA3;
+    byte constant SENDER_FROZEN = 0xA4;
+    byte constant RECEIVER_FROZEN = 0xA5;
+    byte constant TIER_BALANCE_LIMIT_EXCEEDED = 0xA6;
+    byte constant TIER_TRANSFER_LIMIT_EXCEEDED = 0xA7;
+    byte constant TIER_FUNDING_LIMIT_EXCEEDED = 0xA8;
+    byte constant TIER_PAYOUT_LIMIT_EXCEEDED = 0xA9;
+    byte constant VELOCITY_LIMIT_EXCEEDED = 0xAA;
+    byte constant SENDER_BLOCKLISTED = 0xAB;
+    byte constant RECEIVER_BLOCKLISTED = 0xAC;
+    byte constant NOTARY_BLOCKLISTED = 0xAD;
+    byte constant REQUESTER_BLOCKLISTED = 0xAE;
+    byte constant CORRIDOR_CLEARABLE_ONLY = 0xAF;
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private COMPLIANT_CONTRACT_NAME = "Compliant";
+
+    /**
+     * @dev Data structures
+     * @dev _COMPLIANCE_RULES : address of the rules contract the checks are delegated to (address(0) if none)
+     */
+    bytes32 constant private _COMPLIANCE_RULES = "_complianceRules";
+
+    // Events
+
+    event ComplianceRulesSet(address indexed previousRules, address indexed newRules);
 
     // External functions
 
+    /**
+     * @notice Delegates the compliance checks to an external rules contract
+     * @param rules The address of the rules contract (address(0) to go back to the default whitelist checks)
+     * @dev Only compliance can do this
+     */
+    function setComplianceRules(address rules) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit ComplianceRulesSet(_getComplianceRules(), rules);
+        return _setComplianceRules(rules);
+    }
+
+    /**
+     * @notice Returns the rules contract the compliance checks are delegated to (address(0) if none)
+     */
+    function complianceRules() external view returns (address) {
+        return _getComplianceRules();
+    }
+
     // ERC20
     
     function canTransfer(address from, address to, uint256 value) external view
@@ -29,12 +112,24 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
         return _canTransfer(from, to, value);
     }
 
+    function canTransferFrom(address spender, address from, address to, uint256 value) external view
+        returns (byte status)
+    {
+        return _canTransferFrom(spender, from, to, value);
+    }
+
     function canApprove(address owner, address spender, uint256 value) external view
         returns (byte status)
     {
         return _canApprove(owner, spender, value);
     }
 
+    function canMint(address walletToFund, uint256 value) external view
+        returns (byte status)
+    {
+        return _canMint(walletToFund, value);
+    }
+
     // Holdable
 
     function canHold(address from, address to, address notary, uint256 value) external view
@@ -99,18 +194,61 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canTransfer(address from, address to, uint256 value) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(from) || !_isWhitelisted(to) || value > MAX_VALUE) {
-            return FAILURE;
+        return _canTransferAs(IComplianceRules.Operation.Transfer, from, to, address(0), value);
+    }
+
+    /**
+     * @dev Transfers made by approved spenders are also checked against the blocklist for the spender, so that a
+     * blocklisted spender cannot keep using an existing allowance, and rules contracts get the spender as the agent
+     */
+    function _canTransferFrom(address spender, address from, address to, uint256 value) internal view
+        returns (byte status)
+    {
+        if(_isBlocklisted(spender)) {
+            return REQUESTER_BLOCKLISTED;
         } else {
-            return SUCCESS;
+            return _canTransferAs(IComplianceRules.Operation.TransferFrom, from, to, spender, value);
         }
     }
 
     function _canApprove(address allower, address spender, uint256 value) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(allower) || !_isWhitelisted(spender) || value > MAX_VALUE) {
-            return FAILURE;
+        if(_isBlocklisted(allower)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(spender)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(allower)) {
+            return SENDER_FROZEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.Approve, allower, address(0), spender, value);
+        } else if(!_isWhitelisted(allower)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(spender)) {
+            return REQUESTER_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
+        } else {
+            return SUCCESS;
+        }
+    }
+
+    /**
+     * @dev Mints are operator-initiated, so only the limits of the KYC tier of the wallet to fund are checked. This is
+     * also checked when fundings are executed, since the limits may have been used up (or the wallet blocklisted) since
+     * they were ordered
+     */
+    function _canMint(address walletToFund, uint256 value) internal view
+        returns (byte status)
+    {
+        if(_isBlocklisted(walletToFund)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_exceedsTierFunding(walletToFund, value)) {
+            return TIER_FUNDING_LIMIT_EXCEEDED;
+        } else if(_exceedsTierBalance(walletToFund, value)) {
+            return TIER_BALANCE_LIMIT_EXCEEDED;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.Mint, address(0), walletToFund, address(0), value);
         } else {
             return SUCCESS;
         }
@@ -121,19 +259,62 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canHold(address payer, address payee, address notary, uint256 value) internal view
         returns (byte status)
     {
-        bool notaryOk = notary == address(0) || _isWhitelisted(notary);
-        if(!_isWhitelisted(payer) || !_isWhitelisted(payee) || !notaryOk || value > MAX_VALUE) {
-            return FAILURE;
+        if(_isBlocklisted(payer)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(payee)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isBlocklisted(notary)) {
+            return NOTARY_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(payer)) {
+            return SENDER_FROZEN;
+        } else if(_isIncomingFrozen(payee)) {
+            return RECEIVER_FROZEN;
+        } else if(_exceedsVelocityLimits(payer, value)) {
+            return VELOCITY_LIMIT_EXCEEDED;
+        } else if(_corridorRuleBetween(payer, payee) != CorridorRule.Allowed) {
+            return _corridorRuleBetween(payer, payee) == CorridorRule.Forbidden ? CORRIDOR_FORBIDDEN : CORRIDOR_CLEARABLE_ONLY;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.Hold, payer, payee, notary, value);
+        } else if(!_isWhitelisted(payer)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelistedToReceive(payee)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(notary != address(0) && !_isWhitelisted(notary)) {
+            return NOTARY_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
         } else {
             return SUCCESS;
         }
     }
 
+    /**
+     * @dev Holds (and clearable transfers) are checked again when executed, since the limits of the payer and the payee
+     * may have been used up by other operations since they were created (e.g. several pending holds that fit the velocity
+     * limits on their own, but not together), and against the blocklist, freezes and corridor rules, which apply at once
+     * to pending operations
+     */
+    function _canExecuteHold(address payer, address payee, uint256 value) internal view
+        returns (byte status)
+    {
+        return _canExecute(payer, payee, value, false);
+    }
+
     function _canApproveToHold(address payer, address holder) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(payer) || !_isWhitelisted(holder)) {
-            return FAILURE;
+        if(_isBlocklisted(payer)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(holder)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(payer)) {
+            return SENDER_FROZEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ApproveToHold, payer, address(0), holder, 0);
+        } else if(!_isWhitelisted(payer)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(holder)) {
+            return REQUESTER_NOT_WHITELISTED;
         } else {
             return SUCCESS;
         }
@@ -144,8 +325,18 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canApproveToOrderClearableTransfer(address fromWallet, address requester) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(fromWallet) || !_isWhitelisted(requester)) {
-            return FAILURE;
+        if(_isBlocklisted(fromWallet)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(requester)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(fromWallet)) {
+            return SENDER_FROZEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ApproveToOrderClearableTransfer, fromWallet, address(0), requester, 0);
+        } else if(!_isWhitelisted(fromWallet)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(requester)) {
+            return REQUESTER_NOT_WHITELISTED;
         } else {
             return SUCCESS;
         }
@@ -154,20 +345,54 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canOrderClearableTransfer(address fromWallet, address toWallet, uint256 value) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(fromWallet) || !_isWhitelisted(toWallet) || value > MAX_VALUE) {
-            return FAILURE;
+        if(_isBlocklisted(fromWallet)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(toWallet)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(fromWallet)) {
+            return SENDER_FROZEN;
+        } else if(_isIncomingFrozen(toWallet)) {
+            return RECEIVER_FROZEN;
+        } else if(_exceedsVelocityLimits(fromWallet, value)) {
+            return VELOCITY_LIMIT_EXCEEDED;
+        } else if(_corridorRuleBetween(fromWallet, toWallet) == CorridorRule.Forbidden) {
+            return CORRIDOR_FORBIDDEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.OrderClearableTransfer, fromWallet, toWallet, address(0), value);
+        } else if(!_isWhitelisted(fromWallet)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelistedToReceive(toWallet)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
         } else {
             return SUCCESS;
         }
     }
 
+    function _canExecuteClearableTransfer(address payer, address payee, uint256 value) internal view
+        returns (byte status)
+    {
+        return _canExecute(payer, payee, value, true);
+    }
+
     // Fundable
     
     function _canApproveToOrderFunding(address walletToFund, address requester) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(walletToFund) || !_isWhitelisted(requester)) {
-            return FAILURE;
+        if(_isBlocklisted(walletToFund)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isBlocklisted(requester)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isIncomingFrozen(walletToFund)) {
+            return RECEIVER_FROZEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ApproveToOrderFunding, address(0), walletToFund, requester, 0);
+        } else if(!_isWhitelistedToReceive(walletToFund)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(requester)) {
+            return REQUESTER_NOT_WHITELISTED;
         } else {
             return SUCCESS;
         }
@@ -176,8 +401,24 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canOrderFunding(address walletToFund, address requester, uint256 value) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(walletToFund) || !_isWhitelisted(requester) || value > MAX_VALUE) {
-            return FAILURE;
+        if(_isBlocklisted(walletToFund)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isBlocklisted(requester)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isIncomingFrozen(walletToFund)) {
+            return RECEIVER_FROZEN;
+        } else if(_exceedsTierFunding(walletToFund, value)) {
+            return TIER_FUNDING_LIMIT_EXCEEDED;
+        } else if(_exceedsTierBalance(walletToFund, value)) {
+            return TIER_BALANCE_LIMIT_EXCEEDED;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.OrderFunding, address(0), walletToFund, requester, value);
+        } else if(!_isWhitelistedToReceive(walletToFund)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(requester)) {
+            return REQUESTER_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
         } else {
             return SUCCESS;
         }
@@ -188,8 +429,18 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canApproveToOrderPayout(address walletToDebit, address requester) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(walletToDebit) || !_isWhitelisted(requester)) {
-            return FAILURE;
+        if(_isBlocklisted(walletToDebit)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(requester)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(walletToDebit)) {
+            return SENDER_FROZEN;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ApproveToOrderPayout, walletToDebit, address(0), requester, 0);
+        } else if(!_isWhitelisted(walletToDebit)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(requester)) {
+            return REQUESTER_NOT_WHITELISTED;
         } else {
             return SUCCESS;
         }
@@ -198,13 +449,110 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
     function _canOrderPayout(address walletToDebit, address requester, uint256 value) internal view
         returns (byte status)
     {
-        if(!_isWhitelisted(walletToDebit) || !_isWhitelisted(requester) || value > MAX_VALUE) {
-            return FAILURE;
+        if(_isBlocklisted(walletToDebit)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(requester)) {
+            return REQUESTER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(walletToDebit)) {
+            return SENDER_FROZEN;
+        } else if(_exceedsTierPayout(walletToDebit, value)) {
+            return TIER_PAYOUT_LIMIT_EXCEEDED;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.OrderPayout, walletToDebit, address(0), requester, value);
+        } else if(!_isWhitelisted(walletToDebit)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelisted(requester)) {
+            return REQUESTER_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
+        } else {
+            return SUCCESS;
+        }
+    }
+
+    /**
+     * @dev Payouts are checked again when executed, since the limits may have been used up since they were ordered, and
+     * the wallet may have been blocklisted in the meantime
+     */
+    function _canExecutePayout(address walletToDebit, uint256 value) internal view
+        returns (byte status)
+    {
+        if(_isBlocklisted(walletToDebit)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_exceedsTierPayout(walletToDebit, value)) {
+            return TIER_PAYOUT_LIMIT_EXCEEDED;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ExecutePayout, walletToDebit, address(0), address(0), value);
         } else {
             return SUCCESS;
         }
     }
 
+    // Compliance rules
+
+    function _hasComplianceRules() internal view returns (bool) {
+        return _getComplianceRules() != address(0);
+    }
+
+    function _checkComplianceRules(
+        IComplianceRules.Operation operation,
+        address from,
+        address to,
+        address agent,
+        uint256 value
+    )
+        internal view returns (byte status)
+    {
+        return IComplianceRules(_getComplianceRules()).check(address(this), operation, from, to, agent, value);
+    }
+
+    // Reason codes
+
+    /**
+     * @dev Returns the revert reason matching a status code
+     */
+    function _statusReason(byte status) internal pure returns (string memory) {
+        if(status == SENDER_NOT_WHITELISTED) {
+            return "Sender not whitelisted";
+        } else if(status == RECEIVER_NOT_WHITELISTED) {
+            return "Receiver not whitelisted";
+        } else if(status == NOTARY_NOT_WHITELISTED) {
+            return "Notary not whitelisted";
+        } else if(status == REQUESTER_NOT_WHITELISTED) {
+            return "Requester not whitelisted";
+        } else if(status == SENDER_FROZEN) {
+            return "Sender frozen";
+        } else if(status == RECEIVER_FROZEN) {
+            return "Receiver frozen";
+        } else if(status == TIER_BALANCE_LIMIT_EXCEEDED) {
+            return "Tier balance limit exceeded";
+        } else if(status == TIER_TRANSFER_LIMIT_EXCEEDED) {
+            return "Tier transfer limit exceeded";
+        } else if(status == TIER_FUNDING_LIMIT_EXCEEDED) {
+            return "Tier funding limit exceeded";
+        } else if(status == TIER_PAYOUT_LIMIT_EXCEEDED) {
+            return "Tier payout limit exceeded";
+        } else if(status == VELOCITY_LIMIT_EXCEEDED) {
+            return "Velocity limit exceeded";
+        } else if(status == SENDER_BLOCKLISTED) {
+            return "Sender blocklisted";
+        } else if(status == RECEIVER_BLOCKLISTED) {
+            return "Receiver blocklisted";
+        } else if(status == NOTARY_BLOCKLISTED) {
+            return "Notary blocklisted";
+        } else if(status == REQUESTER_BLOCKLISTED) {
+            return "Requester blocklisted";
+        } else if(status == CORRIDOR_FORBIDDEN) {
+            return "Corridor forbidden";
+        } else if(status == CORRIDOR_CLEARABLE_ONLY) {
+            return "Corridor requires a clearable transfer";
+        } else if(status == LIMIT_EXCEEDED) {
+            return "Limit exceeded";
+        } else {
+            return "Compliance check failed";
+        }
+    }
+
     // Generic functions to check
 
     function _check(bool test) internal pure {
@@ -221,7 +569,7 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
         internal
     {
         byte status = checkFunction(a, b, c, d);
-        require(status == SUCCESS, "Compliance check failed");
+        require(status == SUCCESS, _statusReason(status));
     }
 
     function _check(
@@ -233,17 +581,106 @@ contract Compliant is ICompliant, ConsolidatedLedger, Whitelistable {
         internal
     {
         byte status = checkFunction(a, b, c);
-        require(status == SUCCESS, "Compliance check failed");
+        require(status == SUCCESS, _statusReason(status));
+    }
+
+    function _check(function(address, uint256) returns (byte) checkFunction, address a, uint256 b) internal {
+        byte status = checkFunction(a, b);
+        require(status == SUCCESS, _statusReason(status));
     }
 
     function _check(function(address, address) returns (byte) checkFunction, address a, address b) internal {
         byte status = checkFunction(a, b);
-        require(status == SUCCESS, "Compliance check failed");
+        require(status == SUCCESS, _statusReason(status));
     }
 
     function _check(function(address) returns (byte) checkFunction, address a) internal {
         byte status = checkFunction(a);
-        require(status == SUCCESS, "Compliance check failed");
+        require(status == SUCCESS, _statusReason(status));
+    }
+
+    // Private functions
+
+    /**
+     * @dev Checks a transfer, made either by the sender itself or by an approved spender (the agent)
+     */
+    function _canTransferAs(
+        IComplianceRules.Operation operation,
+        address from,
+        address to,
+        address agent,
+        uint256 value
+    )
+        private view
+        returns (byte status)
+    {
+        if(_isBlocklisted(from)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(to)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(from)) {
+            return SENDER_FROZEN;
+        } else if(_isIncomingFrozen(to)) {
+            return RECEIVER_FROZEN;
+        } else if(_exceedsTierTransfer(from, value)) {
+            return TIER_TRANSFER_LIMIT_EXCEEDED;
+        } else if(_exceedsTierBalance(to, value)) {
+            return TIER_BALANCE_LIMIT_EXCEEDED;
+        } else if(_exceedsVelocityLimits(from, value)) {
+            return VELOCITY_LIMIT_EXCEEDED;
+        } else if(_corridorRuleBetween(from, to) != CorridorRule.Allowed) {
+            return _corridorRuleBetween(from, to) == CorridorRule.Forbidden ? CORRIDOR_FORBIDDEN : CORRIDOR_CLEARABLE_ONLY;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(operation, from, to, agent, value);
+        } else if(!_isWhitelisted(from)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(!_isWhitelistedToReceive(to)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(value > MAX_VALUE) {
+            return LIMIT_EXCEEDED;
+        } else {
+            return SUCCESS;
+        }
+    }
+
+    /**
+     * @dev Checks the execution of a hold, or of a clearable transfer (which is implemented as a hold, and can also be
+     * executed in corridors restricted to clearable transfers)
+     */
+    function _canExecute(address payer, address payee, uint256 value, bool clearable) private view
+        returns (byte status)
+    {
+        if(_isBlocklisted(payer)) {
+            return SENDER_BLOCKLISTED;
+        } else if(_isBlocklisted(payee)) {
+            return RECEIVER_BLOCKLISTED;
+        } else if(_isOutgoingFrozen(payer)) {
+            return SENDER_FROZEN;
+        } else if(_isIncomingFrozen(payee)) {
+            return RECEIVER_FROZEN;
+        } else if(_exceedsTierBalance(payee, value)) {
+            return TIER_BALANCE_LIMIT_EXCEEDED;
+        } else if(_exceedsVelocityLimits(payer, value)) {
+            return VELOCITY_LIMIT_EXCEEDED;
+        } else if(_corridorRuleBetween(payer, payee) == CorridorRule.Forbidden) {
+            return CORRIDOR_FORBIDDEN;
+        } else if(!clearable && _corridorRuleBetween(payer, payee) == CorridorRule.ClearableOnly) {
+            return CORRIDOR_CLEARABLE_ONLY;
+        } else if(_hasComplianceRules()) {
+            return _checkComplianceRules(IComplianceRules.Operation.ExecuteHold, payer, payee, address(0), value);
+        } else {
+            return SUCCESS;
+        }
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getComplianceRules() private view returns (address) {
+        return whichEternalStorage().getAddress(COMPLIANT_CONTRACT_NAME, _COMPLIANCE_RULES);
+    }
+
+    function _setComplianceRules(address rules) private returns (bool) {
+        return whichEternalStorage().setAddress(COMPLIANT_CONTRACT_NAME, _COMPLIANCE_RULES, rules);
     }
 
 }
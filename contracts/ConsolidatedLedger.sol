@@ -12,7 +12,10 @@ import "../../EternalStorage/contracts/EternalStorageConnector.sol";
  * - Private data (all core data is private, not internal)
  * - Internal functions that annotate this data
  * - Public view functions (callable by users for consultation purposes)
- * - Admin functions to manipulate these data by the owner in emergency situations
+ * - Internal functions to manipulate these data directly in emergency situations (exposed to the owner through a
+ * timelock, see Timelocked)
+ * - Snapshots (checkpoints) of balances, drawn amounts, balances on hold and total supply, so these can be read
+ * as of a past moment (see Snapshottable)
  * @dev This contract is intended to be used from upstream contracts through inheritance
  */
 contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
@@ -37,6 +40,13 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
      * @dev Holds:
      * @dev * _BALANCES_ON_HOLD : mapping (address => uint256) with the total amounts on hold for each wallet
      * @dev * _TOTAL_SUPPLY_ON_HOLD : Uint with the total amount on hold in the system
+     * @dev Snapshots:
+     * @dev * _SNAPSHOT_ID : uint256 with the ID of the last snapshot taken (0 if none)
+     * @dev * _SNAPSHOT_COUNTS : mapping (bytes32 => mapping (address => uint256)) with the number of checkpoints stored for
+     * each series (_BALANCES, _OVERDRAFTS_DRAWN, _BALANCES_ON_HOLD or _TOTALSUPPLY with address 0) and wallet
+     * @dev * _SNAPSHOT_IDS : mapping (bytes32 => mapping (address => uint256[])) with the snapshot IDs of the checkpoints
+     * @dev * _SNAPSHOT_VALUES : mapping (bytes32 => mapping (address => uint256[])) with the values of the checkpoints
+     * @dev (the snapshot mappings are implemented as uint variables named keccak256(_SNAPSHOT_XXX, series, wallet[, index]))
      */
     bytes32 constant private _BALANCES =                   "_balances";
     bytes32 constant private _ALLOWED =                    "_allowed";
@@ -46,6 +56,10 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
     bytes32 constant private _UNSECURED_OVERDRAFT_LIMITS = "_unsecuredOverdraftsLimits";
     bytes32 constant private _OVERDRAFTS_DRAWN =           "_overdraftsDrawn";
     bytes32 constant private _TOTAL_OVERDRAFT_DRAWN =      "_totalOverdraftDrawn";
+    bytes32 constant private _SNAPSHOT_ID =                "_snapshotId";
+    bytes32 constant private _SNAPSHOT_COUNTS =            "_snapshotCounts";
+    bytes32 constant private _SNAPSHOT_IDS =               "_snapshotIds";
+    bytes32 constant private _SNAPSHOT_VALUES =            "_snapshotValues";
 
     // Events
 
@@ -83,9 +97,11 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
         return balance.sub(drawnAmount);
     }
 
-    // Emergency admin functions (onlyOwner)
+    // Internal functions
+
+    // Emergency admin functions (exposed to the owner through a timelock, see Timelocked)
 
-    function directWriteBalance(address wallet, uint256 newBalance) external onlyOwner returns (bool) {
+    function _directWriteBalance(address wallet, uint256 newBalance) internal returns (bool) {
         uint256 oldBalance = _balanceOf(wallet);
         emit BalanceDirectlyWritten(wallet, oldBalance, newBalance);
         return
@@ -93,7 +109,7 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
             _setTotalSupply(_getTotalSupply().sub(oldBalance).add(newBalance));
     }
 
-    function directWriteDrawnAmount(address wallet, uint256 newDrawnAmount) external onlyOwner returns (bool) {
+    function _directWriteDrawnAmount(address wallet, uint256 newDrawnAmount) internal returns (bool) {
         uint256 oldDrawnAmount = _drawnAmount(wallet);
         emit DrawnAmountDirectlyWritten(wallet, oldDrawnAmount, newDrawnAmount);
         return
@@ -101,25 +117,17 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
             _setTotalDrawnAmount(_getTotalDrawnAmount().sub(oldDrawnAmount).add(newDrawnAmount));
     }
 
-    /**
-     * @dev Add funds to wallets (by owner)
-     */
-    function directAddFunds(address wallet, uint256 amount) external onlyOwner returns (bool) {
+    function _directAddFunds(address wallet, uint256 amount) internal returns (bool) {
         _addFunds(wallet, amount);
         emit FundsDirectlyAdded(wallet, amount);
         return true;
     }
-    
-    /**
-     * @dev Remove funds from wallets (by owner)
-     */
-    function directRemoveFunds(address wallet, uint256 amount) external onlyOwner returns (bool) {
+
+    function _directRemoveFunds(address wallet, uint256 amount) internal returns (bool) {
         _removeFunds(wallet, amount);
         emit FundsDirectlyRemoved(wallet, amount);
         return true;
     }
-
-    // Internal functions
     
     // ERC20
     function _approve(address allower, address spender, uint256 value) internal returns (bool) {
@@ -176,6 +184,32 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
         return _getTotalSupplyOnHold();
     }
 
+    // Snapshots
+    function _snapshot() internal returns (uint256 snapshotId) {
+        snapshotId = _getCurrentSnapshotId().add(1);
+        _setCurrentSnapshotId(snapshotId);
+    }
+
+    function _currentSnapshotId() internal view returns (uint256) {
+        return _getCurrentSnapshotId();
+    }
+
+    function _balanceOfAt(address wallet, uint256 snapshotId) internal view returns (uint256) {
+        return _valueAt(_BALANCES, wallet, snapshotId, _getBalance(wallet));
+    }
+
+    function _drawnAmountAt(address wallet, uint256 snapshotId) internal view returns (uint256) {
+        return _valueAt(_OVERDRAFTS_DRAWN, wallet, snapshotId, _getDrawnAmount(wallet));
+    }
+
+    function _balanceOnHoldAt(address wallet, uint256 snapshotId) internal view returns (uint256) {
+        return _valueAt(_BALANCES_ON_HOLD, wallet, snapshotId, _getBalanceOnHold(wallet));
+    }
+
+    function _totalSupplyAt(uint256 snapshotId) internal view returns (uint256) {
+        return _valueAt(_TOTALSUPPLY, address(0), snapshotId, _getTotalSupply());
+    }
+
     // Consolidated ledger
     function _addFunds(address wallet, uint256 amount) internal {
         uint256 currentDrawnAmount = _drawnAmount(wallet);
@@ -239,6 +273,45 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
         return _setDrawnAmount(wallet, newAmount) && _setTotalDrawnAmount(newTotalAmount);
     }
 
+    // Private functions (the ones that keep the snapshots)
+
+    /**
+     * @dev Stores the value of a series as of the current snapshot, the first time the series changes after the snapshot
+     * is taken (the value is then valid for all the snapshots taken since the previous checkpoint)
+     */
+    function _updateSnapshot(bytes32 series, address wallet, uint256 currentValue) private {
+        uint256 currentId = _getCurrentSnapshotId();
+        if(currentId == 0) {
+            return;
+        }
+        uint256 count = _getSnapshotCount(series, wallet);
+        if(count == 0 || _getSnapshotIdAt(series, wallet, count.sub(1)) < currentId) {
+            _setSnapshotCheckpoint(series, wallet, count, currentId, currentValue);
+            _setSnapshotCount(series, wallet, count.add(1));
+        }
+    }
+
+    /**
+     * @dev Returns the value of a series as of a snapshot, i.e. the value in the first checkpoint stored after the
+     * snapshot was taken, or the current value if the series has not changed since then
+     */
+    function _valueAt(bytes32 series, address wallet, uint256 snapshotId, uint256 currentValue) private view returns (uint256) {
+        require(snapshotId > 0, "Snapshot ID cannot be 0");
+        require(snapshotId <= _getCurrentSnapshotId(), "Snapshot does not exist");
+        uint256 count = _getSnapshotCount(series, wallet);
+        uint256 low = 0;
+        uint256 high = count;
+        while(low < high) {
+            uint256 mid = low.add(high).div(2);
+            if(_getSnapshotIdAt(series, wallet, mid) < snapshotId) {
+                low = mid.add(1);
+            } else {
+                high = mid;
+            }
+        }
+        return low == count ? currentValue : _getSnapshotValueAt(series, wallet, low);
+    }
+
     // Private functions (the ones that interact with the eternal storage)
     
     // ERC20
@@ -248,6 +321,7 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
     }
 
     function _setBalance(address owner, uint256 value) private returns (bool) {
+        _updateSnapshot(_BALANCES, owner, _getBalance(owner));
         return whichEternalStorage().setUintInAddressMapping(LEDGER_CONTRACT_NAME, _BALANCES, owner, value);
     }
 
@@ -264,6 +338,7 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
     }
 
     function _setTotalSupply(uint256 value) private returns (bool) {
+        _updateSnapshot(_TOTALSUPPLY, address(0), _getTotalSupply());
         return whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, _TOTALSUPPLY, value);
     }
 
@@ -274,6 +349,7 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
     }
 
     function _setBalanceOnHold(address wallet, uint256 value) private returns (bool) {
+        _updateSnapshot(_BALANCES_ON_HOLD, wallet, _getBalanceOnHold(wallet));
         return whichEternalStorage().setUintInAddressMapping(LEDGER_CONTRACT_NAME, _BALANCES_ON_HOLD, wallet, value);
     }
 
@@ -300,6 +376,7 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
     }
 
     function _setDrawnAmount(address wallet, uint256 value) private returns (bool) {
+        _updateSnapshot(_OVERDRAFTS_DRAWN, wallet, _getDrawnAmount(wallet));
         return whichEternalStorage().setUintInAddressMapping(LEDGER_CONTRACT_NAME, _OVERDRAFTS_DRAWN, wallet, value);
     }
 
@@ -311,4 +388,36 @@ contract ConsolidatedLedger is IConsolidatedLedger, EternalStorageConnector {
         return whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, _TOTAL_OVERDRAFT_DRAWN, value);
     }
 
+    // Snapshots
+
+    function _getCurrentSnapshotId() private view returns (uint256) {
+        return whichEternalStorage().getUint(LEDGER_CONTRACT_NAME, _SNAPSHOT_ID);
+    }
+
+    function _setCurrentSnapshotId(uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, _SNAPSHOT_ID, value);
+    }
+
+    function _getSnapshotCount(bytes32 series, address wallet) private view returns (uint256) {
+        return whichEternalStorage().getUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_COUNTS, series, wallet)));
+    }
+
+    function _setSnapshotCount(bytes32 series, address wallet, uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_COUNTS, series, wallet)), value);
+    }
+
+    function _getSnapshotIdAt(bytes32 series, address wallet, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_IDS, series, wallet, index)));
+    }
+
+    function _getSnapshotValueAt(bytes32 series, address wallet, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_VALUES, series, wallet, index)));
+    }
+
+    function _setSnapshotCheckpoint(bytes32 series, address wallet, uint256 index, uint256 snapshotId, uint256 value) private returns (bool) {
+        return
+            whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_IDS, series, wallet, index)), snapshotId) &&
+            whichEternalStorage().setUint(LEDGER_CONTRACT_NAME, keccak256(abi.encodePacked(_SNAPSHOT_VALUES, series, wallet, index)), value);
+    }
+
 }
@@ -7,6 +7,8 @@ import "./Overdraftable.sol";
 import "./Clearable.sol";
 import "./Fundable.sol";
 import "./Payoutable.sol";
+import "./Seizable.sol";
+import "./Snapshottable.sol";
 import "./libraries/Strings.sol";
 import "../../EternalStorage/contracts/EternalStorage.sol";
 
@@ -23,7 +25,7 @@ import "../../EternalStorage/contracts/EternalStorage.sol";
  * the contract). If the eternal storage is not previously intialized then it will be initialized with the correct paramenters. And if a
  * zero address is passed, then a new eternal storage is instantiated for this EMoneyToken contract.
  */
-contract EMoneyToken is IEMoneyToken, ERC20, Holdable, Overdraftable, Clearable, Fundable, Payoutable {
+contract EMoneyToken is IEMoneyToken, ERC20, Holdable, Overdraftable, Clearable, Fundable, Payoutable, Seizable, Snapshottable {
 
     using Strings for string;
 
@@ -47,6 +49,14 @@ contract EMoneyToken is IEMoneyToken, ERC20, Holdable, Overdraftable, Clearable,
 
     string constant private _version = "0.1.0";
 
+    /**
+     * @dev EIP-712 type hash of the domain used to sign typed messages (e.g. permits) for this token
+     * @dev The chain id is part of the domain, so messages signed for this token cannot be replayed on other chains (or
+     * forks) where a token is deployed at the same address
+     */
+    bytes32 constant private EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
     // Constructor
 
     constructor (string memory name, string memory symbol, string memory currency, uint8 decimals, address eternalStorage) public {
@@ -109,6 +119,14 @@ contract EMoneyToken is IEMoneyToken, ERC20, Holdable, Overdraftable, Clearable,
         return uint8(whichEternalStorage().getUint(EMONEYTOKEN_CONTRACT_NAME, _DECIMALS));
     }
 
+    /**
+     * @notice Show the address of the eternal storage where the data of the token are stored
+     * @return the address of the eternal storage.
+     */
+    function eternalStorage() external view returns (address) {
+        return address(whichEternalStorage());
+    }
+
     /**
      * @notice Show the current version
      * @return the version of the smart contract.
@@ -117,4 +135,53 @@ contract EMoneyToken is IEMoneyToken, ERC20, Holdable, Overdraftable, Clearable,
         return _version;
     }
 
+    // Internal functions
+
+    function _approvalAmount(ApprovalAction action, address account, string memory referenceId, uint256 amount) internal view returns (uint256) {
+        if(action == ApprovalAction.ExecuteFunding) {
+            return _fundingAmount(account, referenceId);
+        } else if(action == ApprovalAction.ExecutePayout) {
+            return _payoutAmount(account, referenceId);
+        } else {
+            return amount;
+        }
+    }
+
+    function _executeApprovedAction(ApprovalAction action, address account, string memory referenceId, uint256 amount) internal returns (bool) {
+        if(action == ApprovalAction.Mint) {
+            return _mint(account, referenceId, amount);
+        } else if(action == ApprovalAction.Burn) {
+            return _burn(account, referenceId, amount);
+        } else if(action == ApprovalAction.ExecuteFunding) {
+            return _executeFunding(account, referenceId);
+        } else if(action == ApprovalAction.ExecutePayout) {
+            return _executePayout(account, referenceId);
+        } else if(action == ApprovalAction.SetUnsecuredOverdraftLimit) {
+            return _changeUnsecuredOverdraftLimit(account, amount);
+        } else {
+            _queueTimelockedAction(TimelockedAction.WriteBalance, account, amount);
+            return true;
+        }
+    }
+
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes(whichEternalStorage().getString(EMONEYTOKEN_CONTRACT_NAME, _NAME))),
+                keccak256(bytes(_version)),
+                _chainId(),
+                address(this)
+            )
+        );
+    }
+
+    // Private functions
+
+    function _chainId() private pure returns (uint256 chainId) {
+        assembly {
+            chainId := chainid()
+        }
+    }
+
 }
\ No newline at end of file
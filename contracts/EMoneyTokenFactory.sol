@@ -0,0 +1,106 @@
+pragma solidity ^0.5;
+
+import "./EMoneyToken.sol";
+import "../../EternalStorage/contracts/EternalStorage.sol";
+
+/**
+ * @title EMoneyTokenFactory
+ * @notice The EMoneyTokenFactory deploys the EM Tokens of an issuer (one per currency), each one with its own eternal
+ * storage, and keeps a registry of the tokens keyed by currency. All the tokens deployed by the factory delegate roles
+ * and whitelisting to the same compliance authority (see ComplianceAuthority), so compliance only needs to whitelist a
+ * customer once for all currencies
+ * @dev Once deployed, the ownership of both the token and its eternal storage is transferred to the owner of the factory
+ * @dev Since the factory embeds the creation code of the EMoneyToken, it needs to be deployed in a network that allows
+ * large contracts (as the EMoneyToken itself does)
+ */
+contract EMoneyTokenFactory is Ownable {
+
+    using Strings for string;
+
+    // Data structures
+
+    address private _complianceAuthority;
+    mapping (bytes32 => address) private _tokens;
+    string[] private _currencies;
+
+    // Events
+
+    event TokenCreated(string currency, address indexed token, address indexed eternalStorage);
+
+    // Constructor
+
+    /**
+     * @param complianceAuthority The compliance authority to be used by all the tokens deployed by the factory
+     */
+    constructor (address complianceAuthority) public {
+        require(complianceAuthority != address(0), "Compliance authority cannot be address 0");
+        _complianceAuthority = complianceAuthority;
+    }
+
+    // External state-modifying functions
+
+    /**
+     * @notice Deploys a new token (and its eternal storage) for a currency, and registers it
+     * @param name The name of the token
+     * @param symbol The symbol of the token
+     * @param currency The currency of the token, which is used as key in the registry
+     * @param decimals The number of decimals of the token
+     * @return The address of the new token
+     * @dev Only the owner can do this, and only one token can be registered per currency
+     */
+    function createToken(
+        string calldata name,
+        string calldata symbol,
+        string calldata currency,
+        uint8 decimals
+    )
+        external
+        onlyOwner
+        returns (address)
+    {
+        require(bytes(currency).length > 0, "Currency cannot be empty");
+        require(_tokens[currency.toHash()] == address(0), "Token already registered for currency");
+        EMoneyToken token = new EMoneyToken(name, symbol, currency, decimals, address(0));
+        address eternalStorage = token.eternalStorage();
+        token.setComplianceAuthority(_complianceAuthority);
+        EternalStorage(eternalStorage).transferOwnership(owner());
+        token.transferOwnership(owner());
+        _tokens[currency.toHash()] = address(token);
+        _currencies.push(currency);
+        emit TokenCreated(currency, address(token), eternalStorage);
+        return address(token);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the token registered for a currency (address(0) if none)
+     * @param currency The currency in question
+     */
+    function tokenFor(string calldata currency) external view returns (address) {
+        return _tokens[currency.toHash()];
+    }
+
+    /**
+     * @notice Returns the number of tokens (i.e. currencies) registered
+     */
+    function manyTokens() external view returns (uint256) {
+        return _currencies.length;
+    }
+
+    /**
+     * @notice Returns the currency registered in a position of the registry
+     * @param index The position in the registry
+     */
+    function currencyAt(uint256 index) external view returns (string memory) {
+        return _currencies[index];
+    }
+
+    /**
+     * @notice Returns the compliance authority used by the tokens deployed by the factory
+     */
+    function complianceAuthority() external view returns (address) {
+        return _complianceAuthority;
+    }
+
+}
@@ -2,6 +2,9 @@ pragma solidity ^0.5;
 
 import "./Compliant.sol";
 import "./interface/IERC20.sol";
+import "./TokenReceiverHooks.sol";
+import "./ReserveAttestable.sol";
+import "./libraries/ECDSA.sol";
 
 /**
  * @title Standard ERC20 token
@@ -9,10 +12,31 @@ import "./interface/IERC20.sol";
  * @dev Implementation of the basic functions of the standard token
  * https://github.com/ethereum/EIPs/blob/master/EIPS/eip-20.md
  */
-contract ERC20 is IERC20, Compliant {
+contract ERC20 is IERC20, Compliant, TokenReceiverHooks, ReserveAttestable {
 
     using SafeMath for uint256;
 
+    // Data structures (in eternal storage)
+
+    bytes32 constant private ERC20_CONTRACT_NAME = "ERC20";
+
+    /**
+     * @dev Data structures (implemented in the eternal storage):
+     * @dev _PERMIT_NONCES : mapping (address => uint256) with the next nonce to be used in a permit signed by each wallet
+     */
+    bytes32 constant private _PERMIT_NONCES = "_permitNonces";
+
+    /**
+     * @dev EIP-712 type hash of the Permit struct signed by wallet owners
+     */
+    bytes32 constant private PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    // Events
+
+    event TransferReference(address indexed from, address indexed to, uint256 value, bytes32 paymentReference);
+    event TransferRemittanceData(address indexed from, address indexed to, bytes32 indexed dataHash, uint256 value, bytes data);
+
     // External state-modifying functions
 
     /**
@@ -20,9 +44,30 @@ contract ERC20 is IERC20, Compliant {
     * @param to The address to transfer to.
     * @param value The amount to be transferred.
     */
-    function transfer(address to, uint256 value) external returns (bool) {
-        _check(_canTransfer, msg.sender, to, value);
-        return _transfer(msg.sender, to, value);
+    function transfer(address to, uint256 value) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        return _transferWithTravelRule(_msgSender(), to, value, "", bytes32(0));
+    }
+
+    /**
+     * @notice Transfer token to a specified address, recording the hash of the travel rule payload (i.e. the originator
+     * and beneficiary information) of the transfer, as required for transfers above the travel rule threshold
+     * @param operationId An ID for the transfer, which is used (together with the address of the sender) to index the
+     * travel rule payload hash
+     * @param to The address to transfer to
+     * @param value The amount to be transferred
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function transferWithTravelRule(
+        string calldata operationId,
+        address to,
+        uint256 value,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        return _transferWithTravelRule(_msgSender(), to, value, operationId, payloadHash);
     }
 
     /**
@@ -34,10 +79,10 @@ contract ERC20 is IERC20, Compliant {
      * @param spender The address which will spend the funds.
      * @param value The amount of tokens to be spent.
      */
-    function approve(address spender, uint256 value) external returns (bool) {
-        _check(_canApprove, msg.sender, spender, value);
-        _approve(msg.sender, spender, value);
-        emit Approval(msg.sender, spender, value);
+    function approve(address spender, uint256 value) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        _check(_canApprove, _msgSender(), spender, value);
+        _approve(_msgSender(), spender, value);
+        emit Approval(_msgSender(), spender, value);
         return true;
     }
 
@@ -49,12 +94,248 @@ contract ERC20 is IERC20, Compliant {
      * @param to address The address which you want to transfer to
      * @param value uint256 the amount of tokens to be transferred
      */
-    function transferFrom(address from, address to, uint256 value) external returns (bool) {
-        _check(_canTransfer, from, to, value);
-        uint256 newApproval = _allowance(from, msg.sender).sub(value);
-        _approve(from, msg.sender, newApproval);
-        emit Approval(from, msg.sender, newApproval);
-        return _transfer(from, to, value);
+    function transferFrom(address from, address to, uint256 value) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        return _transferFromWithTravelRule(_msgSender(), from, to, value, "", bytes32(0));
+    }
+
+    /**
+     * @notice Transfer tokens from one address to another (as in transferFrom), recording the hash of the travel rule
+     * payload of the transfer, as required for transfers above the travel rule threshold
+     * @param operationId An ID for the transfer, which is used (together with the address of the spender) to index the
+     * travel rule payload hash
+     * @param from address The address which you want to send tokens from
+     * @param to address The address which you want to transfer to
+     * @param value uint256 the amount of tokens to be transferred
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function transferFromWithTravelRule(
+        string calldata operationId,
+        address from,
+        address to,
+        uint256 value,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        return _transferFromWithTravelRule(_msgSender(), from, to, value, operationId, payloadHash);
+    }
+
+    /**
+     * @notice Transfer token to a specified address, attaching structured remittance data (e.g. ISO 20022 end-to-end
+     * id, invoice number and purpose code) to the payment
+     * @param to The address to transfer to
+     * @param value The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @dev The remittance data is not stored, but emitted in a TransferRemittanceData event (indexed by its hash)
+     */
+    function transferWithData(address to, uint256 value, bytes calldata data) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        address from = _msgSender();
+        _transferWithTravelRule(from, to, value, "", bytes32(0));
+        emit TransferRemittanceData(from, to, keccak256(data), value, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfer token to a specified address, attaching structured remittance data (as in transferWithData) and
+     * recording the hash of the travel rule payload of the transfer (as in transferWithTravelRule)
+     * @param operationId An ID for the transfer, which is used (together with the address of the sender) to index the
+     * travel rule payload hash
+     * @param to The address to transfer to
+     * @param value The amount to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function transferWithDataAndTravelRule(
+        string calldata operationId,
+        address to,
+        uint256 value,
+        bytes calldata data,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        address from = _msgSender();
+        _transferWithTravelRule(from, to, value, operationId, payloadHash);
+        emit TransferRemittanceData(from, to, keccak256(data), value, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfer tokens from one address to another (as in transferFrom), attaching structured remittance data
+     * to the payment
+     * @param from address The address which you want to send tokens from
+     * @param to address The address which you want to transfer to
+     * @param value uint256 the amount of tokens to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     */
+    function transferFromWithData(address from, address to, uint256 value, bytes calldata data) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        _transferFromWithTravelRule(_msgSender(), from, to, value, "", bytes32(0));
+        emit TransferRemittanceData(from, to, keccak256(data), value, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfer tokens from one address to another, attaching structured remittance data (as in
+     * transferFromWithData) and recording the hash of the travel rule payload of the transfer (as in
+     * transferFromWithTravelRule)
+     * @param operationId An ID for the transfer, which is used (together with the address of the spender) to index the
+     * travel rule payload hash
+     * @param from address The address which you want to send tokens from
+     * @param to address The address which you want to transfer to
+     * @param value uint256 the amount of tokens to be transferred
+     * @param data The remittance data, encoded as per lib/remittance.js
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function transferFromWithDataAndTravelRule(
+        string calldata operationId,
+        address from,
+        address to,
+        uint256 value,
+        bytes calldata data,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        _transferFromWithTravelRule(_msgSender(), from, to, value, operationId, payloadHash);
+        emit TransferRemittanceData(from, to, keccak256(data), value, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfer tokens to several addresses in one go (e.g. for payroll or supplier payment runs), attaching a
+     * payment reference to each of the transfers (legs)
+     * @param to The addresses to transfer to
+     * @param values The amounts to be transferred to each of the addresses
+     * @param references The payment references of each of the legs, which are emitted in TransferReference events for
+     * reconciliation purposes
+     * @dev The batch is all-or-nothing: if any of the legs fails (e.g. because of compliance checks) the whole batch
+     * is reverted. As in transfer, funds are drawn from the overdraft line when the balance is not enough
+     * @dev The travel rule threshold applies to the total of the batch (see transferBatchWithTravelRule)
+     * @dev References are passed as bytes32 (up to 32 characters), as arrays of strings would need the experimental ABI
+     * encoder v2
+     */
+    function transferBatch(
+        address[] calldata to,
+        uint256[] calldata values,
+        bytes32[] calldata references
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        return _transferBatchWithTravelRule(_msgSender(), to, values, references, "", bytes32(0));
+    }
+
+    /**
+     * @notice Transfer tokens to several addresses in one go (as in transferBatch), recording the hash of a travel rule
+     * payload covering all the legs of the batch, as required for batches whose total is above the travel rule threshold
+     * @param operationId An ID for the batch, which is used (together with the address of the sender) to index the
+     * travel rule payload hash
+     * @param to The addresses to transfer to
+     * @param values The amounts to be transferred to each of the addresses
+     * @param references The payment references of each of the legs
+     * @param payloadHash The hash of the travel rule payload (with the originator and all the beneficiaries of the
+     * batch), as computed by lib/travelRuleVault.js
+     */
+    function transferBatchWithTravelRule(
+        string calldata operationId,
+        address[] calldata to,
+        uint256[] calldata values,
+        bytes32[] calldata references,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        return _transferBatchWithTravelRule(_msgSender(), to, values, references, operationId, payloadHash);
+    }
+
+    /**
+     * @notice Transfer tokens to a contract and call its onTransferReceived hook (ERC-1363 style), so the receiving
+     * contract can react to the transfer
+     * @param to The address of the receiving contract, which must implement IEMoneyTokenReceiver
+     * @param value The amount to be transferred
+     * @param data Additional data with no specified format, passed on to the receiver
+     * @dev If the receiver reverts or does not accept the transfer, the whole transfer is reverted
+     */
+    function transferAndCall(address to, uint256 value, bytes calldata data) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        address from = _msgSender();
+        _transferWithTravelRule(from, to, value, "", bytes32(0));
+        _callTransferReceived(from, from, to, value, data);
+        return true;
+    }
+
+    /**
+     * @notice Transfer tokens to a contract and call its onTransferReceived hook (as in transferAndCall), recording the
+     * hash of the travel rule payload of the transfer, as required for transfers above the travel rule threshold
+     * @param operationId An ID for the transfer, which is used (together with the address of the sender) to index the
+     * travel rule payload hash
+     * @param to The address of the receiving contract, which must implement IEMoneyTokenReceiver
+     * @param value The amount to be transferred
+     * @param data Additional data with no specified format, passed on to the receiver
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function transferAndCallWithTravelRule(
+        string calldata operationId,
+        address to,
+        uint256 value,
+        bytes calldata data,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        address from = _msgSender();
+        _transferWithTravelRule(from, to, value, operationId, payloadHash);
+        _callTransferReceived(from, from, to, value, data);
+        return true;
+    }
+
+    /**
+     * @notice Approve the passed address to spend the specified amount of tokens on behalf of owner, by means of a
+     * signed EIP-712 message (EIP-2612 style). This allows wallet owners to grant allowances without holding ether,
+     * as anyone can submit the signed permit
+     * @param owner The address of the wallet owner that signed the permit
+     * @param spender The address which will spend the funds
+     * @param value The amount of tokens to be spent
+     * @param deadline The time (block.timestamp) after which the permit is no longer valid
+     * @param v The recovery byte of the signature
+     * @param r Half of the ECDSA signature pair
+     * @param s Half of the ECDSA signature pair
+     * @dev The signature needs to include the current nonce of the owner, which is increased every time a permit
+     * is used, so a permit cannot be replayed
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        whenNotPaused(ERC20_WORKFLOW)
+        returns (bool)
+    {
+        require(block.timestamp <= deadline, "Permit expired");
+        uint256 nonce = _getPermitNonce(owner);
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonce, deadline));
+        address signer = ECDSA.recover(ECDSA.toTypedDataHash(_domainSeparator(), structHash), v, r, s);
+        require(signer != address(0) && signer == owner, "Invalid permit signature");
+        _check(_canApprove, owner, spender, value);
+        _setPermitNonce(owner, nonce.add(1));
+        _approve(owner, spender, value);
+        emit Approval(owner, spender, value);
+        return true;
     }
 
     // External functions to be called by operators
@@ -71,12 +352,15 @@ contract ERC20 is IERC20, Compliant {
      * @dev Note that adding funds to the wallet doesn't necessarily imply adding them to the balance, since
      * they can also be used to reduced the drawn amount from the overdraft line
      * @dev Only the operator can call this function
+     * @dev Minting fails if the total supply would go above the latest attested reserve (see ReserveAttestable), or if
+     * the wallet would go above the limits of its KYC tier (see KYCTiered)
+     * @dev Mints that require four-eyes approval have to be proposed instead (see MakerChecker), as well as those above
+     * the caps of the operator (see OperatorCapped)
      */
     function mint(address to, string calldata referenceId, uint256 value) external returns (bool) {
         requireRole(OPERATOR_ROLE);
-        emit Mint(to, referenceId, value);
-        _addFunds(to, value);
-        return true;
+        _requireNoApproval(ApprovalAction.Mint, value);
+        return _mint(to, referenceId, value);
     }
 
     /**
@@ -94,14 +378,14 @@ contract ERC20 is IERC20, Compliant {
      * @dev Note that even though this is to be called by the operator, the user is required to have enough
      * available funds in order to support the burn operation. If this is not the case, the operator is
      * supposed to increase the overdraft limit before burning (also, direct writes can also be done in
-     * emergency situations, as described in the ConsolidatedLedger contract)
+     * emergency situations, as described in the Timelocked contract)
+     * @dev Burns that require four-eyes approval have to be proposed instead (see MakerChecker), as well as those above
+     * the caps of the operator (see OperatorCapped)
      */
     function burn(address from, string calldata referenceId, uint256 value) external returns (bool) {
         requireRole(OPERATOR_ROLE);
-        require(_availableFunds(from) >= value, "Not enough available funds to burn");
-        emit Burn(from, referenceId, value);
-        _removeFunds(from, value);
-        return true;
+        _requireNoApproval(ApprovalAction.Burn, value);
+        return _burn(from, referenceId, value);
     }
 
 
@@ -112,11 +396,11 @@ contract ERC20 is IERC20, Compliant {
      * @param spender The address which will spend the funds.
      * @param value The amount of tokens to be spent.
      */
-    function increaseApproval(address spender, uint256 value) external returns (bool) {
-        uint256 newApproval = _allowance(msg.sender, spender).add(value);
-        _check(_canApprove, msg.sender, spender, newApproval);
-        _approve(msg.sender, spender, newApproval);
-        emit Approval(msg.sender, spender, newApproval);
+    function increaseApproval(address spender, uint256 value) external whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        uint256 newApproval = _allowance(_msgSender(), spender).add(value);
+        _check(_canApprove, _msgSender(), spender, newApproval);
+        _approve(_msgSender(), spender, newApproval);
+        emit Approval(_msgSender(), spender, newApproval);
         return true;
     }
 
@@ -126,10 +410,10 @@ contract ERC20 is IERC20, Compliant {
      * @param value The amount of tokens to be spent.
      */
     function decreaseApproval(address spender, uint256 value) external returns (bool) {
-        uint256 newApproval = _allowance(msg.sender, spender).sub(value);
-        _check(_canApprove, msg.sender, spender, newApproval);
-        _approve(msg.sender, spender, newApproval);
-        emit Approval(msg.sender, spender, newApproval);
+        uint256 newApproval = _allowance(_msgSender(), spender).sub(value);
+        _check(_canApprove, _msgSender(), spender, newApproval);
+        _approve(_msgSender(), spender, newApproval);
+        emit Approval(_msgSender(), spender, newApproval);
         return true;
     }
 
@@ -161,13 +445,134 @@ contract ERC20 is IERC20, Compliant {
         return _allowance(owner, spender);
     }
 
+    /**
+     * @notice Returns the nonce that needs to be included in the next permit signed by a wallet owner
+     * @param owner The address of the wallet owner
+     * @return The current permit nonce of the owner
+     */
+    function nonces(address owner) external view returns (uint256) {
+        return _getPermitNonce(owner);
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used to sign permits for this token
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparator();
+    }
+
     // Internal functions
 
+    function _mint(address to, string memory referenceId, uint256 value) internal whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        _check(_canMint, to, value);
+        emit Mint(to, referenceId, value);
+        _addFunds(to, value);
+        _requireReserveCoverage();
+        return _recordFunding(to, value);
+    }
+
+    function _burn(address from, string memory referenceId, uint256 value) internal whenNotPaused(ERC20_WORKFLOW) returns (bool) {
+        require(_availableFunds(from) >= value, "Not enough available funds to burn");
+        emit Burn(from, referenceId, value);
+        _removeFunds(from, value);
+        return true;
+    }
+
+    function _transferFrom(address spender, address from, address to, uint256 value) internal returns (bool) {
+        _check(_canTransferFrom, spender, from, to, value);
+        uint256 newApproval = _allowance(from, spender).sub(value);
+        _approve(from, spender, newApproval);
+        emit Approval(from, spender, newApproval);
+        return _transfer(from, to, value);
+    }
+
     function _transfer(address from, address to, uint256 value) internal returns (bool) {
         _removeFunds(from, value);
         _addFunds(to, value);
         emit Transfer(from, to, value);
+        return _recordOutgoing(from, value);
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator of the token, which is built upstream (where the name and version
+     * of the token are known)
+     */
+    function _domainSeparator() internal view returns (bytes32);
+
+    // Private functions
+
+    /**
+     * @dev Transfers with a travel rule payload hash, or with none (0) below the travel rule threshold
+     */
+    function _transferWithTravelRule(
+        address from,
+        address to,
+        uint256 value,
+        string memory operationId,
+        bytes32 payloadHash
+    )
+        private
+        returns (bool)
+    {
+        _check(_canTransfer, from, to, value);
+        _applyTravelRule(from, operationId, from, to, value, payloadHash);
+        return _transfer(from, to, value);
+    }
+
+    /**
+     * @dev Transfers from an allowance, recording the travel rule payload hash (if any) against the spender
+     */
+    function _transferFromWithTravelRule(
+        address spender,
+        address from,
+        address to,
+        uint256 value,
+        string memory operationId,
+        bytes32 payloadHash
+    )
+        private
+        returns (bool)
+    {
+        _applyTravelRule(spender, operationId, from, to, value, payloadHash);
+        return _transferFrom(spender, from, to, value);
+    }
+
+    /**
+     * @dev Batches are a single operation for the travel rule, so the threshold applies to the total of their legs
+     */
+    function _transferBatchWithTravelRule(
+        address from,
+        address[] memory to,
+        uint256[] memory values,
+        bytes32[] memory references,
+        string memory operationId,
+        bytes32 payloadHash
+    )
+        private
+        returns (bool)
+    {
+        require(to.length == values.length && to.length == references.length, "Array lengths do not match");
+        uint256 total = 0;
+        for (uint256 i = 0; i < values.length; i++) {
+            total = total.add(values[i]);
+        }
+        _applyTravelRule(from, operationId, from, address(0), total, payloadHash);
+        for (uint256 i = 0; i < to.length; i++) {
+            _check(_canTransfer, from, to[i], values[i]);
+            _transfer(from, to[i], values[i]);
+            emit TransferReference(from, to[i], values[i], references[i]);
+        }
         return true;
     }
 
+    // Private functions wrapping access to eternal storage
+
+    function _getPermitNonce(address owner) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(ERC20_CONTRACT_NAME, _PERMIT_NONCES, owner);
+    }
+
+    function _setPermitNonce(address owner, uint256 nonce) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(ERC20_CONTRACT_NAME, _PERMIT_NONCES, owner, nonce);
+    }
+
 }
@@ -0,0 +1,141 @@
+pragma solidity ^0.5;
+
+import "./libraries/ECDSA.sol";
+
+/**
+ * @title Forwarder - trusted forwarder for meta-transactions
+ * @notice The Forwarder relays EIP-712 signed requests to EMoneyToken contracts (or any other contract inheriting from
+ * RelayRecipient), so users can call any of the token workflows (transfer, hold, orderFunding, orderPayout,
+ * orderClearableTransfer, etc.) without holding ether. A relayer submits the signed request and pays for the gas,
+ * and the forwarder appends the address of the signer to the calldata, so the token can resolve the actual sender
+ * @dev Requests carry a per-signer nonce, and the chain id is part of their domain, so they cannot be replayed (on this
+ * or any other chain). The token needs to be configured to trust this forwarder by calling setTrustedForwarder
+ * @dev This is a standalone contract with no eternal storage, since it only keeps track of the nonces of the signers
+ */
+contract Forwarder {
+
+    bytes32 constant private EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    bytes32 constant private FORWARD_REQUEST_TYPEHASH =
+        keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data)");
+
+    string constant private _name = "EMoneyTokenForwarder";
+    string constant private _version = "0.1.0";
+
+    mapping (address => uint256) private _nonces;
+
+    // Events
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    // External functions
+
+    /**
+     * @notice Executes a request signed by the "from" address
+     * @param from The address that signed the request (i.e. the actual sender of the call)
+     * @param to The contract to be called
+     * @param value The ether value to be sent with the call
+     * @param gasLimit The gas to be passed to the call (i.e. the gas field of the request)
+     * @param nonce The current nonce of the signer
+     * @param data The calldata of the call (i.e. the encoded function call)
+     * @param signature The EIP-712 signature of the request by the "from" address
+     * @dev Reverts (with the same reason) if the call reverts, so the nonce is only consumed by successful requests
+     */
+    function execute(
+        address from,
+        address to,
+        uint256 value,
+        uint256 gasLimit,
+        uint256 nonce,
+        bytes calldata data,
+        bytes calldata signature
+    )
+        external
+        payable
+        returns (bytes memory)
+    {
+        require(_verify(from, to, value, gasLimit, nonce, data, signature), "Signature does not match request");
+        require(msg.value == value, "Value does not match request");
+        _nonces[from] = nonce + 1;
+        emit RequestExecuted(from, to, nonce);
+        return _call(from, to, value, gasLimit, data);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns whether a request is correctly signed and can be executed (i.e. the nonce is the current one)
+     */
+    function verify(
+        address from,
+        address to,
+        uint256 value,
+        uint256 gasLimit,
+        uint256 nonce,
+        bytes calldata data,
+        bytes calldata signature
+    )
+        external view
+        returns (bool)
+    {
+        return _verify(from, to, value, gasLimit, nonce, data, signature);
+    }
+
+    /**
+     * @notice Returns the nonce to be included in the next request signed by an address
+     * @param from The address of the signer
+     */
+    function getNonce(address from) external view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used to sign requests for this forwarder
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    // Private functions
+
+    function _verify(
+        address from,
+        address to,
+        uint256 value,
+        uint256 gasLimit,
+        uint256 nonce,
+        bytes memory data,
+        bytes memory signature
+    )
+        private view
+        returns (bool)
+    {
+        bytes32 structHash = keccak256(abi.encode(FORWARD_REQUEST_TYPEHASH, from, to, value, gasLimit, nonce, keccak256(data)));
+        address signer = ECDSA.recover(ECDSA.toTypedDataHash(_domainSeparator(), structHash), signature);
+        return _nonces[from] == nonce && signer != address(0) && signer == from;
+    }
+
+    function _call(address from, address to, uint256 value, uint256 gasLimit, bytes memory data) private returns (bytes memory) {
+        (bool success, bytes memory returnData) = to.call.gas(gasLimit).value(value)(abi.encodePacked(data, from));
+        if(!success) {
+            assembly {
+                revert(add(returnData, 0x20), mload(returnData))
+            }
+        }
+        // Make sure the relayer gave enough gas for the call (see EIP-150)
+        assert(gasleft() > gasLimit / 63);
+        return returnData;
+    }
+
+    function _domainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(EIP712_DOMAIN_TYPEHASH, keccak256(bytes(_name)), keccak256(bytes(_version)), _chainId(), address(this)));
+    }
+
+    function _chainId() private pure returns (uint256 chainId) {
+        assembly {
+            chainId := chainid()
+        }
+    }
+
+}
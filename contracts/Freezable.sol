@@ -0,0 +1,105 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+
+/**
+ * @title Freezable
+ * @dev The Freezable contract implements a registry of frozen wallets that can be used upstream to enforce freeze
+ * orders from courts or regulators. Freezing is kept separate from whitelisting: a wallet can be frozen for outgoing
+ * payments only, for incoming payments only, or for both, while remaining whitelisted
+ * @dev Every freeze and unfreeze is recorded together with the legal reference (e.g. the court order) that mandates it
+ */
+contract Freezable is RoleControl {
+
+    enum FreezeState { NotFrozen, OutgoingFrozen, IncomingFrozen, AllFrozen }
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private FREEZABLE_CONTRACT_NAME = "Freezable";
+
+    /**
+     * @dev Data structures
+     * @dev _FREEZE_STATES : mapping (address => FreezeState) with the freeze states of the wallets
+     * @dev _FREEZE_REFERENCES : mapping (address => string) with the legal references of the last freeze or unfreeze
+     */
+    bytes32 constant private _FREEZE_STATES = "_freezeStates";
+    bytes32 constant private _FREEZE_REFERENCES = "_freezeReferences";
+
+    // Events
+
+    event Frozen(address indexed wallet, FreezeState state, string legalReference);
+    event Unfrozen(address indexed wallet, string legalReference);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Freezes a wallet (or changes the way it is frozen)
+     * @param wallet The wallet to be frozen
+     * @param state Whether outgoing payments, incoming payments or both are to be frozen
+     * @param legalReference The reference of the order mandating the freeze
+     * @dev Only compliance can do this
+     */
+    function freeze(address wallet, FreezeState state, string calldata legalReference) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(state != FreezeState.NotFrozen, "Use unfreeze to lift a freeze");
+        require(bytes(legalReference).length > 0, "Legal reference is required");
+        emit Frozen(wallet, state, legalReference);
+        return _setFreezeState(wallet, state) && _setFreezeReference(wallet, legalReference);
+    }
+
+    /**
+     * @notice Lifts the freeze of a wallet
+     * @param wallet The wallet to be unfrozen
+     * @param legalReference The reference of the order lifting the freeze
+     * @dev Only compliance can do this
+     */
+    function unfreeze(address wallet, string calldata legalReference) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(_getFreezeState(wallet) != FreezeState.NotFrozen, "Wallet is not frozen");
+        require(bytes(legalReference).length > 0, "Legal reference is required");
+        emit Unfrozen(wallet, legalReference);
+        return _setFreezeState(wallet, FreezeState.NotFrozen) && _setFreezeReference(wallet, legalReference);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the freeze state of a wallet, and the legal reference of the last freeze or unfreeze
+     * @param wallet The wallet in question
+     */
+    function freezeState(address wallet) external view returns (FreezeState state, string memory legalReference) {
+        state = _getFreezeState(wallet);
+        legalReference = _getFreezeReference(wallet);
+    }
+
+    // Internal functions
+
+    function _isOutgoingFrozen(address wallet) internal view returns (bool) {
+        FreezeState state = _getFreezeState(wallet);
+        return state == FreezeState.OutgoingFrozen || state == FreezeState.AllFrozen;
+    }
+
+    function _isIncomingFrozen(address wallet) internal view returns (bool) {
+        FreezeState state = _getFreezeState(wallet);
+        return state == FreezeState.IncomingFrozen || state == FreezeState.AllFrozen;
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getFreezeState(address wallet) private view returns (FreezeState) {
+        return FreezeState(whichEternalStorage().getUintFromAddressMapping(FREEZABLE_CONTRACT_NAME, _FREEZE_STATES, wallet));
+    }
+
+    function _setFreezeState(address wallet, FreezeState state) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(FREEZABLE_CONTRACT_NAME, _FREEZE_STATES, wallet, uint256(state));
+    }
+
+    function _getFreezeReference(address wallet) private view returns (string memory) {
+        return whichEternalStorage().getStringFromAddressMapping(FREEZABLE_CONTRACT_NAME, _FREEZE_REFERENCES, wallet);
+    }
+
+    function _setFreezeReference(address wallet, string memory legalReference) private returns (bool) {
+        return whichEternalStorage().setStringInAddressMapping(FREEZABLE_CONTRACT_NAME, _FREEZE_REFERENCES, wallet, legalReference);
+    }
+
+}
@@ -1,6 +1,7 @@
 pragma solidity ^0.5;
 
 import "./Compliant.sol";
+import "./ReserveAttestable.sol";
 import "./interface/IFundable.sol";
 
 /**
@@ -10,7 +11,7 @@ import "./interface/IFundable.sol";
  * "requestFrom" type of method), and requests are executed or rejected by the tokenizing entity (i.e. processed by
  * the owner of the overall contract)
  */
-contract Fundable is IFundable, Compliant {
+contract Fundable is IFundable, Compliant, ReserveAttestable {
 
     using SafeMath for uint256;
 
@@ -67,8 +68,8 @@ contract Fundable is IFundable, Compliant {
      * as a "yes or no" flag
      * @param orderer The address to be approved as potential issuer of funding requests
      */
-    function approveToOrderFunding(address orderer) external returns (bool) {
-        address walletToFund = msg.sender;
+    function approveToOrderFunding(address orderer) external whenNotPaused(FUNDABLE_WORKFLOW) returns (bool) {
+        address walletToFund = _msgSender();
         _check(_canApproveToOrderFunding, walletToFund, orderer);
         return _approveToOrderFunding(walletToFund, orderer);
     }
@@ -78,7 +79,7 @@ contract Fundable is IFundable, Compliant {
      * @param orderer The address to be revoked as potential issuer of funding requests
      */
     function revokeApprovalToOrderFunding(address orderer) external returns (bool) {
-        address walletToFund = msg.sender;
+        address walletToFund = _msgSender();
         return _revokeApprovalToOrderFunding(walletToFund, orderer);
     }
 
@@ -98,10 +99,11 @@ contract Fundable is IFundable, Compliant {
         string calldata instructions
     )
         external
+        whenNotPaused(FUNDABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
-        address walletToFund = msg.sender;
+        address orderer = _msgSender();
+        address walletToFund = _msgSender();
         _check(_canOrderFunding, walletToFund, orderer, amount);
         return _createFunding(orderer, operationId, walletToFund, amount, instructions);
     }
@@ -122,9 +124,10 @@ contract Fundable is IFundable, Compliant {
         string calldata instructions
     )
         external
+        whenNotPaused(FUNDABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
+        address orderer = _msgSender();
         require(orderer == walletToFund || _isApprovedToOrderFunding(walletToFund, orderer), "Not approved to request funding");
         _check(_canOrderFunding, walletToFund, orderer, amount);
         return _createFunding(orderer, operationId, walletToFund, amount, instructions);
@@ -137,10 +140,10 @@ contract Fundable is IFundable, Compliant {
      * @dev Only the original orderer can actually cancel an outstanding request
      */
     function cancelFunding(string calldata operationId) external
-        fundingJustOrdered(msg.sender, operationId)
+        fundingJustOrdered(_msgSender(), operationId)
         returns (bool)
     {
-        address orderer = msg.sender;
+        address orderer = _msgSender();
         emit FundingCancelled(orderer, operationId);
         return _setFundingStatus(orderer, operationId, FundingStatusCode.Cancelled);
     }
@@ -160,6 +163,7 @@ contract Fundable is IFundable, Compliant {
      */
     function processFunding(address orderer, string calldata operationId) external
         fundingJustOrdered(orderer, operationId)
+        whenNotPaused(FUNDABLE_WORKFLOW)
         returns (bool)
     {
         requireRole(OPERATOR_ROLE);
@@ -175,18 +179,16 @@ contract Fundable is IFundable, Compliant {
      * @param operationId The ID of the funding, which can then be used to index all the information about
      * the funding (together with the address of the orderer)
      * @dev Only operator can do this
+     * @dev Execution fails if the total supply would go above the latest attested reserve (see ReserveAttestable), or if
+     * the wallet would go above the limits of its KYC tier (see KYCTiered), which are checked again on execution
+     * @dev Fundings that require four-eyes approval have to be proposed instead (see MakerChecker), as well as those above
+     * the caps of the operator (see OperatorCapped)
      * 
      */
-    function executeFunding(address orderer, string calldata operationId) external
-        fundingNotClosed(orderer, operationId)
-        returns (bool)
-    {
+    function executeFunding(address orderer, string calldata operationId) external returns (bool) {
         requireRole(OPERATOR_ROLE);
-        address walletToFund = _getWalletToFund(orderer, operationId);
-        uint256 amount = _getFundingAmount(orderer, operationId);
-        _addFunds(walletToFund, amount);
-        emit FundingExecuted(orderer, operationId);
-        return _setFundingStatus(orderer, operationId, FundingStatusCode.Executed);
+        _requireNoApproval(ApprovalAction.ExecuteFunding, _getFundingAmount(orderer, operationId));
+        return _executeFunding(orderer, operationId);
     }
 
     /**
@@ -257,6 +259,25 @@ contract Fundable is IFundable, Compliant {
 
     // Internal functions
 
+    function _executeFunding(address orderer, string memory operationId) internal
+        fundingNotClosed(orderer, operationId)
+        whenNotPaused(FUNDABLE_WORKFLOW)
+        returns (bool)
+    {
+        address walletToFund = _getWalletToFund(orderer, operationId);
+        uint256 amount = _getFundingAmount(orderer, operationId);
+        _check(_canMint, walletToFund, amount);
+        _addFunds(walletToFund, amount);
+        _requireReserveCoverage();
+        _recordFunding(walletToFund, amount);
+        emit FundingExecuted(orderer, operationId);
+        return _setFundingStatus(orderer, operationId, FundingStatusCode.Executed);
+    }
+
+    function _fundingAmount(address orderer, string memory operationId) internal view returns (uint256) {
+        return _getFundingAmount(orderer, operationId);
+    }
+
     function _createFunding(address orderer, string memory operationId, address walletToFund, uint256 amount, string memory instructions)
         private
         fundingDoesNotExist(orderer, operationId)
@@ -1,6 +1,7 @@
 pragma solidity ^0.5;
 
 import "./Compliant.sol";
+import "./TokenReceiverHooks.sol";
 import "./interface/IHoldable.sol";
 
     /**
@@ -20,7 +21,7 @@ import "./interface/IHoldable.sol";
      * Holds can be specified to be "eternal", i.e. with no expiration. In this case, the hold cannot be released upon
      * expiration, and thus can only be released (or executed) either by the notary or by an operator
      */
-contract Holdable is IHoldable, Compliant {
+contract Holdable is IHoldable, Compliant, TokenReceiverHooks {
 
     // Data structures (in eternal storage)
 
@@ -73,10 +74,10 @@ contract Holdable is IHoldable, Compliant {
      * as a "yes or no" flag
      * @param holder The address to be approved as potential issuer of holds
      */
-    function approveToHold(address holder) external returns (bool)
+    function approveToHold(address holder) external whenNotPaused(HOLDABLE_WORKFLOW) returns (bool)
     {
-        _check(_canApproveToHold, msg.sender, holder);
-        return _approveToHold(msg.sender, holder);
+        _check(_canApproveToHold, _msgSender(), holder);
+        return _approveToHold(_msgSender(), holder);
     }
 
     /**
@@ -85,7 +86,7 @@ contract Holdable is IHoldable, Compliant {
      */
     function revokeApprovalToHold(address holder) external returns (bool)
     {
-        return _revokeApprovalToHold(msg.sender, holder);
+        return _revokeApprovalToHold(_msgSender(), holder);
     }
 
     /**
@@ -111,12 +112,70 @@ contract Holdable is IHoldable, Compliant {
         uint256 timeToExpiration
     )
         external
+        whenNotPaused(HOLDABLE_WORKFLOW)
         returns (bool)
     {
-        address holder = msg.sender;
-        address from = msg.sender;
-        _check(_canHold, from, to, notary, amount);
-        return _createHold(holder, operationId, from, to, notary, amount, expires, timeToExpiration);
+        return _holdWithTravelRule(_msgSender(), operationId, _msgSender(), to, notary, amount, expires, timeToExpiration, bytes32(0));
+    }
+
+    /**
+     * @notice Function to perform a hold on the sender's own funds (as in hold) in favor of a contract, and call its
+     * onHoldReceived hook (see IEMoneyTokenReceiver), so the receiving contract can react to the hold
+     * @param operationId An unique ID to identify the hold (see hold)
+     * @param to The address of the receiving contract, to which the tokens are to be paid (if the hold is executed)
+     * @param notary The address of the notary who is going to determine whether the hold is to be executed or released
+     * @param amount The amount to be transferred
+     * @param expires A flag specifying whether the hold can expire or not
+     * @param timeToExpiration (only relevant when expires==true) The time to be added to the currrent block.timestamp to
+     * establish the expiration time for the hold
+     * @param data Additional data with no specified format, passed on to the receiver
+     * @dev If the receiver reverts or does not accept the hold, the creation of the hold is reverted
+     */
+    function holdAndCall(
+        string calldata operationId,
+        address to,
+        address notary,
+        uint256 amount,
+        bool expires,
+        uint256 timeToExpiration,
+        bytes calldata data
+    )
+        external
+        whenNotPaused(HOLDABLE_WORKFLOW)
+        returns (bool)
+    {
+        _holdWithTravelRule(_msgSender(), operationId, _msgSender(), to, notary, amount, expires, timeToExpiration, bytes32(0));
+        _callHoldReceived(_msgSender(), operationId, _msgSender(), to, amount, data);
+        return true;
+    }
+
+    /**
+     * @notice Function to perform a hold on the sender's own funds (as in hold), recording the hash of the travel rule
+     * payload (i.e. the originator and beneficiary information) of the transfer, as required for holds above the travel
+     * rule threshold
+     * @param operationId An unique ID to identify the hold (see hold)
+     * @param to The address of the payee, to which the tokens are to be paid (if the hold is executed)
+     * @param notary The address of the notary who is going to determine whether the hold is to be executed or released
+     * @param amount The amount to be transferred
+     * @param expires A flag specifying whether the hold can expire or not
+     * @param timeToExpiration (only relevant when expires==true) The time to be added to the currrent block.timestamp to
+     * establish the expiration time for the hold
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function holdWithTravelRule(
+        string calldata operationId,
+        address to,
+        address notary,
+        uint256 amount,
+        bool expires,
+        uint256 timeToExpiration,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(HOLDABLE_WORKFLOW)
+        returns (bool)
+    {
+        return _holdWithTravelRule(_msgSender(), operationId, _msgSender(), to, notary, amount, expires, timeToExpiration, payloadHash);
     }
 
     /**
@@ -144,12 +203,42 @@ contract Holdable is IHoldable, Compliant {
         uint256 timeToExpiration
     )
         external
+        whenNotPaused(HOLDABLE_WORKFLOW)
         returns (bool)
     {
-        address holder = msg.sender;
-        require(from == msg.sender || _isApprovedToHold(from, msg.sender), "Requester is not approved to hold");
-        _check(_canHold, from, to, notary, amount);
-        return _createHold(holder, operationId, from, to, notary, amount, expires, timeToExpiration);
+        require(from == _msgSender() || _isApprovedToHold(from, _msgSender()), "Requester is not approved to hold");
+        return _holdWithTravelRule(_msgSender(), operationId, from, to, notary, amount, expires, timeToExpiration, bytes32(0));
+    }
+
+    /**
+     * @notice Function to perform a hold on behalf of a wallet owner (as in holdFrom), recording the hash of the travel
+     * rule payload of the transfer, as required for holds above the travel rule threshold
+     * @param operationId An unique ID to identify the hold (see holdFrom)
+     * @param from The address of the payer, from which the tokens are to be taken (if the hold is executed)
+     * @param to The address of the payee, to which the tokens are to be paid (if the hold is executed)
+     * @param notary The address of the notary who is going to determine whether the hold is to be executed or released
+     * @param amount The amount to be transferred
+     * @param expires A flag specifying whether the hold can expire or not
+     * @param timeToExpiration (only relevant when expires==true) The time to be added to the currrent block.timestamp to
+     * establish the expiration time for the hold
+     * @param payloadHash The hash of the travel rule payload, as computed by lib/travelRuleVault.js
+     */
+    function holdFromWithTravelRule(
+        string calldata operationId,
+        address from,
+        address to,
+        address notary,
+        uint256 amount,
+        bool expires,
+        uint256 timeToExpiration,
+        bytes32 payloadHash
+    )
+        external
+        whenNotPaused(HOLDABLE_WORKFLOW)
+        returns (bool)
+    {
+        require(from == _msgSender() || _isApprovedToHold(from, _msgSender()), "Requester is not approved to hold");
+        return _holdWithTravelRule(_msgSender(), operationId, from, to, notary, amount, expires, timeToExpiration, payloadHash);
     }
 
     /**
@@ -173,13 +262,13 @@ contract Holdable is IHoldable, Compliant {
         bool expires = _getHoldExpires(holder, operationId);
         uint256 expiration = _getHoldExpiration(holder, operationId);
         HoldStatusCode finalStatus;
-        if(_hasRole(msg.sender, OPERATOR_ROLE)) {
+        if(_hasRole(_msgSender(), OPERATOR_ROLE)) {
             finalStatus = HoldStatusCode.ReleasedByOperator;
-        } else if(notary == msg.sender) {
+        } else if(notary == _msgSender()) {
             finalStatus = HoldStatusCode.ReleasedByNotary;
-        } else if(to == msg.sender) {
+        } else if(to == _msgSender()) {
             finalStatus = HoldStatusCode.ReleasedByPayee;
-        } else if(expires && block.timestamp >= expiration && (msg.sender == holder || msg.sender == from)) {
+        } else if(expires && block.timestamp >= expiration && (_msgSender() == holder || _msgSender() == from)) {
             finalStatus = HoldStatusCode.ReleasedOnExpiration;
         } else {
             require(false, "Hold cannot be released");
@@ -195,12 +284,20 @@ contract Holdable is IHoldable, Compliant {
      * @dev issuer and transactionId are needed to index a hold. This is provided so different holders can use the same operationId,
      * as holding is a competitive resource
      * @dev Holds that are expired can still be executed by the notary or the operator (as well as released by anyone)
+     * @dev Holds cannot be executed while the payer is frozen for outgoing payments or the payee is frozen for incoming
+     * payments (they can still be released), if the payee would go above the balance limit of its KYC tier, or if the
+     * payer would go above its velocity limits (see VelocityLimited)
+     * @dev Holds cannot be executed either if the payer or the payee have been blocklisted since the hold was created, or
+     * if the corridor between them is no longer allowed (see Jurisdictional)
+     * @dev If the payee is a contract implementing IEMoneyTokenReceiver, its onHoldExecuted hook is called after the funds
+     * are credited (and a revert in the hook reverts the execution)
      */
     function executeHold(
         address holder,
         string calldata operationId
     )
         external
+        whenNotPaused(HOLDABLE_WORKFLOW)
         holdActive(holder, operationId)
         returns (bool)
     {
@@ -212,17 +309,21 @@ contract Holdable is IHoldable, Compliant {
         uint256 expiration = _getHoldExpiration(holder, operationId);
         HoldStatusCode finalStatus;
         require(!expires || block.timestamp < expiration, "Hold is expired and cannot be released");
-        if(_hasRole(msg.sender, OPERATOR_ROLE)) {
+        _check(_canExecuteHold, from, to, amount);
+        if(_hasRole(_msgSender(), OPERATOR_ROLE)) {
             finalStatus = HoldStatusCode.ExecutedByOperator;
-        } else if(notary == msg.sender) {
+        } else if(notary == _msgSender()) {
             finalStatus = HoldStatusCode.ExecutedByNotary;
         } else {
             require(false, "Not authorized to execute");
         }
         _removeFunds(from, amount);
         _addFunds(to, amount);
+        _recordOutgoing(from, amount);
         emit HoldExecuted(holder, operationId, finalStatus);
-        return _finalizeHold(holder, operationId, finalStatus);
+        _finalizeHold(holder, operationId, finalStatus);
+        _notifyHoldExecuted(_msgSender(), holder, operationId, from, to, amount);
+        return true;
     }
 
     /**
@@ -231,8 +332,8 @@ contract Holdable is IHoldable, Compliant {
      * @dev Only the holder can renew a hold
      * @dev Non closed holds can be renewed, including holds that are already expired
      */
-    function renewHold(string calldata operationId, uint256 timeToExpirationFromNow) external holdActive(msg.sender, operationId) returns (bool) {
-        return _setHoldExpiration(msg.sender, operationId, block.timestamp.add(timeToExpirationFromNow));
+    function renewHold(string calldata operationId, uint256 timeToExpirationFromNow) external holdActive(_msgSender(), operationId) whenNotPaused(HOLDABLE_WORKFLOW) returns (bool) {
+        return _setHoldExpiration(_msgSender(), operationId, block.timestamp.add(timeToExpirationFromNow));
     }
 
     // External view functions
@@ -358,6 +459,31 @@ contract Holdable is IHoldable, Compliant {
         return _getHoldStatus(orderer, operationId) != HoldStatusCode.Nonexistent;
     }
 
+    // Private functions
+
+    /**
+     * @dev Creates a hold with a travel rule payload hash (recorded against the holder), or with none (0) below the
+     * travel rule threshold
+     */
+    function _holdWithTravelRule(
+        address holder,
+        string memory operationId,
+        address from,
+        address to,
+        address notary,
+        uint256 amount,
+        bool expires,
+        uint256 timeToExpiration,
+        bytes32 payloadHash
+    )
+        private
+        returns (bool)
+    {
+        _check(_canHold, from, to, notary, amount);
+        _applyTravelRule(holder, operationId, from, to, amount, payloadHash);
+        return _createHold(holder, operationId, from, to, notary, amount, expires, timeToExpiration);
+    }
+
     // Private functions wrapping access to eternal storage
 
     function _getHoldFrom(address holder, string memory operationId) internal view returns (address from) {
@@ -0,0 +1,136 @@
+pragma solidity ^0.5;
+
+import "./Whitelistable.sol";
+
+/**
+ * @title Jurisdictional
+ * @dev The Jurisdictional contract tags whitelisted wallets with the country (ISO 3166-1 alpha-2 code, e.g. "ES") of
+ * their owners, and implements a matrix of rules for the corridors between countries: transfers in a corridor can be
+ * allowed, allowed only as clearable transfers (so the operator can review them before execution), or forbidden. Holds
+ * are only allowed in allowed corridors, since they could otherwise be used to move funds without the review of the
+ * operator, and the rules are checked again when holds and clearable transfers are executed
+ * @dev Corridors are allowed unless compliance sets a rule for them, and wallets that have not been tagged with a country
+ * are not subject to corridor rules
+ */
+contract Jurisdictional is Whitelistable {
+
+    enum CorridorRule { Allowed, ClearableOnly, Forbidden }
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private JURISDICTIONAL_CONTRACT_NAME = "Jurisdictional";
+
+    /**
+     * @dev Data structures
+     * @dev _COUNTRIES : mapping (address => string) with the country codes of the wallets
+     * @dev _CORRIDOR_RULES : mapping (string => mapping (string => CorridorRule)) with the rules of the corridors from one
+     * country to another (implemented as uint variables named keccak256(_CORRIDOR_RULES, fromCountry, toCountry))
+     */
+    bytes32 constant private _COUNTRIES = "_countries";
+    bytes32 constant private _CORRIDOR_RULES = "_corridorRules";
+
+    // Events
+
+    event CountrySet(address indexed wallet, string country);
+    event CorridorRuleSet(string fromCountry, string toCountry, CorridorRule rule);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Tags a whitelisted wallet with a country
+     * @param wallet The wallet in question
+     * @param country The ISO 3166-1 alpha-2 code of the country (empty to remove the tag)
+     * @dev Only compliance can do this
+     */
+    function setCountry(address wallet, string calldata country) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(_isWhitelisted(wallet), "Wallet is not whitelisted");
+        require(bytes(country).length == 0 || _isCountryCode(country), "Invalid country code");
+        emit CountrySet(wallet, country);
+        return _setCountry(wallet, country);
+    }
+
+    /**
+     * @notice Sets the rule for transfers from wallets in one country to wallets in another (or the same) country
+     * @param fromCountry The ISO 3166-1 alpha-2 code of the country of the payers
+     * @param toCountry The ISO 3166-1 alpha-2 code of the country of the payees
+     * @param rule Whether transfers in the corridor are allowed, allowed only as clearable transfers, or forbidden
+     * @dev Only compliance can do this
+     */
+    function setCorridorRule(string calldata fromCountry, string calldata toCountry, CorridorRule rule) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(_isCountryCode(fromCountry) && _isCountryCode(toCountry), "Invalid country code");
+        emit CorridorRuleSet(fromCountry, toCountry, rule);
+        return _setCorridorRule(fromCountry, toCountry, rule);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the country a wallet is tagged with (empty if none)
+     * @param wallet The wallet in question
+     */
+    function countryOf(address wallet) external view returns (string memory) {
+        return _getCountry(wallet);
+    }
+
+    /**
+     * @notice Returns the rule of the corridor from one country to another
+     * @param fromCountry The ISO 3166-1 alpha-2 code of the country of the payers
+     * @param toCountry The ISO 3166-1 alpha-2 code of the country of the payees
+     */
+    function corridorRule(string calldata fromCountry, string calldata toCountry) external view returns (CorridorRule) {
+        return _getCorridorRule(fromCountry, toCountry);
+    }
+
+    /**
+     * @notice Returns the corridor rule that applies to transfers from one wallet to another, so payers can know in
+     * advance whether they need to order a clearable transfer instead of a direct one
+     * @param from The wallet of the payer
+     * @param to The wallet of the payee
+     */
+    function corridorRuleBetween(address from, address to) external view returns (CorridorRule) {
+        return _corridorRuleBetween(from, to);
+    }
+
+    // Internal functions
+
+    function _corridorRuleBetween(address from, address to) internal view returns (CorridorRule) {
+        string memory fromCountry = _getCountry(from);
+        string memory toCountry = _getCountry(to);
+        if(bytes(fromCountry).length == 0 || bytes(toCountry).length == 0) {
+            return CorridorRule.Allowed;
+        }
+        return _getCorridorRule(fromCountry, toCountry);
+    }
+
+    // Private functions
+
+    function _isCountryCode(string memory country) private pure returns (bool) {
+        bytes memory code = bytes(country);
+        return code.length == 2 && _isUppercaseLetter(code[0]) && _isUppercaseLetter(code[1]);
+    }
+
+    function _isUppercaseLetter(byte character) private pure returns (bool) {
+        return character >= "A" && character <= "Z";
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getCountry(address wallet) private view returns (string memory) {
+        return whichEternalStorage().getStringFromAddressMapping(JURISDICTIONAL_CONTRACT_NAME, _COUNTRIES, wallet);
+    }
+
+    function _setCountry(address wallet, string memory country) private returns (bool) {
+        return whichEternalStorage().setStringInAddressMapping(JURISDICTIONAL_CONTRACT_NAME, _COUNTRIES, wallet, country);
+    }
+
+    function _getCorridorRule(string memory fromCountry, string memory toCountry) private view returns (CorridorRule) {
+        return CorridorRule(whichEternalStorage().getUint(JURISDICTIONAL_CONTRACT_NAME, keccak256(abi.encodePacked(_CORRIDOR_RULES, fromCountry, toCountry))));
+    }
+
+    function _setCorridorRule(string memory fromCountry, string memory toCountry, CorridorRule rule) private returns (bool) {
+        return whichEternalStorage().setUint(JURISDICTIONAL_CONTRACT_NAME, keccak256(abi.encodePacked(_CORRIDOR_RULES, fromCountry, toCountry)), uint256(rule));
+    }
+
+}
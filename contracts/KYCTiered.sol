@@ -0,0 +1,250 @@
+pragma solidity ^0.5;
+
+import "./ConsolidatedLedger.sol";
+import "./RoleControl.sol";
+import "./libraries/TrailingWindows.sol";
+
+/**
+ * @title KYCTiered
+ * @notice KYCTiered implements KYC tiers: compliance assigns a tier to each wallet according to the due diligence
+ * performed on its owner, and each tier defines the limits that apply to the wallets in it, namely a maximum balance, a
+ * maximum amount per transfer, and maximum cumulative amounts funded (cash-in) and paid out (cash-out) within a period
+ * @dev Tier 0 is the tier of the wallets that have not been assigned one, and has no limits. A limit set to 0 in a tier
+ * means that limit is not enforced either
+ * @dev Cumulative amounts are counted when fundings and mints are executed, and when payouts are executed, over a
+ * trailing window of the period of the tier (see TrailingWindows). The window is counted in 24 buckets, so amounts
+ * leave it up to a 24th of the period early. A period of 0 means the window never ends (i.e. the limit applies to the
+ * lifetime totals)
+ * @dev This contract is intended to be used from upstream contracts through inheritance (see Compliant for the checks
+ * using the limits)
+ */
+contract KYCTiered is ConsolidatedLedger, RoleControl {
+
+    using SafeMath for uint256;
+
+    bytes32 constant private FUNDING_SERIES = "funding";
+    bytes32 constant private PAYOUT_SERIES = "payout";
+    uint256 constant private BUCKETS_PER_PERIOD = 24;
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private KYCTIERED_CONTRACT_NAME = "KYCTiered";
+
+    /**
+     * @dev Data structures
+     * @dev _WALLET_TIERS : mapping (address => uint256) with the tier of each wallet
+     * @dev _TIER_MAX_BALANCES : mapping (uint256 => uint256) with the maximum balance of the wallets in each tier
+     * @dev _TIER_MAX_TRANSFERS : mapping (uint256 => uint256) with the maximum amount per transfer in each tier
+     * @dev _TIER_MAX_FUNDINGS : mapping (uint256 => uint256) with the maximum cumulative funding per period in each tier
+     * @dev _TIER_MAX_PAYOUTS : mapping (uint256 => uint256) with the maximum cumulative payout per period in each tier
+     * @dev _TIER_PERIODS : mapping (uint256 => uint256) with the length (in seconds) of the period of each tier
+     * @dev _CUMULATIVE_BUCKETS : mapping (bytes32 => mapping (address => mapping (uint256 => uint256))) with the ring of
+     * buckets of the amounts accumulated by each wallet, per series (funding or payout)
+     * @dev _CUMULATIVE_TOTALS : mapping (bytes32 => mapping (address => uint256)) with the lifetime amounts accumulated by
+     * each wallet, per series (funding or payout)
+     * @dev (the mappings keyed by tier or series are implemented as uint variables named keccak256(_XXX, tier),
+     * keccak256(_XXX, series, wallet) and keccak256(_XXX, series, wallet, slot))
+     */
+    bytes32 constant private _WALLET_TIERS =       "_walletTiers";
+    bytes32 constant private _TIER_MAX_BALANCES =  "_tierMaxBalances";
+    bytes32 constant private _TIER_MAX_TRANSFERS = "_tierMaxTransfers";
+    bytes32 constant private _TIER_MAX_FUNDINGS =  "_tierMaxFundings";
+    bytes32 constant private _TIER_MAX_PAYOUTS =   "_tierMaxPayouts";
+    bytes32 constant private _TIER_PERIODS =       "_tierPeriods";
+    bytes32 constant private _CUMULATIVE_BUCKETS = "_cumulativeBuckets";
+    bytes32 constant private _CUMULATIVE_TOTALS =  "_cumulativeTotals";
+
+    // Events
+
+    event TierSet(uint256 indexed tier, uint256 maxBalance, uint256 maxTransfer, uint256 maxFunding, uint256 maxPayout, uint256 period);
+    event WalletTierSet(address indexed wallet, uint256 indexed tier);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the limits of a tier (0 means no limit)
+     * @param tier The tier to be configured
+     * @param maxBalance The maximum balance of the wallets in the tier
+     * @param maxTransfer The maximum amount per transfer from the wallets in the tier
+     * @param maxFunding The maximum cumulative amount funded into the wallets in the tier within a period
+     * @param maxPayout The maximum cumulative amount paid out from the wallets in the tier within a period
+     * @param period The length (in seconds) of the period for cumulative amounts (0 for lifetime totals)
+     * @dev Only compliance can do this
+     */
+    function setTier(
+        uint256 tier,
+        uint256 maxBalance,
+        uint256 maxTransfer,
+        uint256 maxFunding,
+        uint256 maxPayout,
+        uint256 period
+    )
+        external
+        returns (bool)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        require(tier != 0, "Tier 0 has no limits");
+        emit TierSet(tier, maxBalance, maxTransfer, maxFunding, maxPayout, period);
+        return
+            _setTierValue(_TIER_MAX_BALANCES, tier, maxBalance) &&
+            _setTierValue(_TIER_MAX_TRANSFERS, tier, maxTransfer) &&
+            _setTierValue(_TIER_MAX_FUNDINGS, tier, maxFunding) &&
+            _setTierValue(_TIER_MAX_PAYOUTS, tier, maxPayout) &&
+            _setTierValue(_TIER_PERIODS, tier, period);
+    }
+
+    /**
+     * @notice Assigns a tier to a wallet
+     * @param wallet The wallet in question
+     * @param tier The tier to be assigned (0 to lift all limits)
+     * @dev Only compliance can do this
+     */
+    function setWalletTier(address wallet, uint256 tier) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit WalletTierSet(wallet, tier);
+        return _setWalletTier(wallet, tier);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the limits of a tier (0 means no limit)
+     * @param tier The tier in question
+     */
+    function tierLimits(uint256 tier)
+        external view
+        returns (
+            uint256 maxBalance,
+            uint256 maxTransfer,
+            uint256 maxFunding,
+            uint256 maxPayout,
+            uint256 period
+        )
+    {
+        maxBalance = _getTierValue(_TIER_MAX_BALANCES, tier);
+        maxTransfer = _getTierValue(_TIER_MAX_TRANSFERS, tier);
+        maxFunding = _getTierValue(_TIER_MAX_FUNDINGS, tier);
+        maxPayout = _getTierValue(_TIER_MAX_PAYOUTS, tier);
+        period = _getTierValue(_TIER_PERIODS, tier);
+    }
+
+    /**
+     * @notice Returns the tier of a wallet
+     * @param wallet The wallet in question
+     */
+    function walletTier(address wallet) external view returns (uint256) {
+        return _getWalletTier(wallet);
+    }
+
+    /**
+     * @notice Returns the amount funded into a wallet within the period of its tier
+     * @param wallet The wallet in question
+     */
+    function cumulativeFunding(address wallet) external view returns (uint256) {
+        return _cumulativeAmount(FUNDING_SERIES, wallet);
+    }
+
+    /**
+     * @notice Returns the amount paid out from a wallet within the period of its tier
+     * @param wallet The wallet in question
+     */
+    function cumulativePayout(address wallet) external view returns (uint256) {
+        return _cumulativeAmount(PAYOUT_SERIES, wallet);
+    }
+
+    // Internal functions
+
+    function _exceedsTierBalance(address wallet, uint256 value) internal view returns (bool) {
+        return _exceedsLimit(_getTierValue(_TIER_MAX_BALANCES, _getWalletTier(wallet)), _balanceOf(wallet), value);
+    }
+
+    function _exceedsTierTransfer(address wallet, uint256 value) internal view returns (bool) {
+        return _exceedsLimit(_getTierValue(_TIER_MAX_TRANSFERS, _getWalletTier(wallet)), 0, value);
+    }
+
+    function _exceedsTierFunding(address wallet, uint256 value) internal view returns (bool) {
+        return _exceedsLimit(_getTierValue(_TIER_MAX_FUNDINGS, _getWalletTier(wallet)), _cumulativeAmount(FUNDING_SERIES, wallet), value);
+    }
+
+    function _exceedsTierPayout(address wallet, uint256 value) internal view returns (bool) {
+        return _exceedsLimit(_getTierValue(_TIER_MAX_PAYOUTS, _getWalletTier(wallet)), _cumulativeAmount(PAYOUT_SERIES, wallet), value);
+    }
+
+    function _recordFunding(address wallet, uint256 amount) internal returns (bool) {
+        return _accumulate(FUNDING_SERIES, wallet, amount);
+    }
+
+    function _recordPayout(address wallet, uint256 amount) internal returns (bool) {
+        return _accumulate(PAYOUT_SERIES, wallet, amount);
+    }
+
+    // Private functions
+
+    function _exceedsLimit(uint256 limit, uint256 current, uint256 value) private pure returns (bool) {
+        return limit != 0 && (value > limit || current > limit - value);
+    }
+
+    function _bucketLength(address wallet) private view returns (uint256) {
+        uint256 period = _getTierValue(_TIER_PERIODS, _getWalletTier(wallet));
+        return (period + BUCKETS_PER_PERIOD - 1) / BUCKETS_PER_PERIOD;
+    }
+
+    function _cumulativeAmount(bytes32 series, address wallet) private view returns (uint256 total) {
+        uint256 bucketLength = _bucketLength(wallet);
+        if(bucketLength == 0) {
+            return _getCumulativeTotal(series, wallet);
+        }
+        uint256 start = TrailingWindows.windowStart(bucketLength, BUCKETS_PER_PERIOD);
+        for(uint256 slot = 0; slot < BUCKETS_PER_PERIOD; slot++) {
+            total = total.add(TrailingWindows.amountSince(_getCumulativeBucket(series, wallet, slot), start));
+        }
+    }
+
+    function _accumulate(bytes32 series, address wallet, uint256 amount) private returns (bool) {
+        uint256 bucketLength = _bucketLength(wallet);
+        return
+            (bucketLength == 0 || _addToCurrentBucket(series, wallet, bucketLength, amount)) &&
+            _setCumulativeTotal(series, wallet, _getCumulativeTotal(series, wallet).add(amount));
+    }
+
+    function _addToCurrentBucket(bytes32 series, address wallet, uint256 bucketLength, uint256 amount) private returns (bool) {
+        uint256 slot = TrailingWindows.currentSlot(bucketLength, BUCKETS_PER_PERIOD);
+        uint256 bucket = TrailingWindows.addToCurrent(_getCumulativeBucket(series, wallet, slot), bucketLength, amount);
+        return _setCumulativeBucket(series, wallet, slot, bucket);
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getWalletTier(address wallet) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(KYCTIERED_CONTRACT_NAME, _WALLET_TIERS, wallet);
+    }
+
+    function _setWalletTier(address wallet, uint256 tier) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(KYCTIERED_CONTRACT_NAME, _WALLET_TIERS, wallet, tier);
+    }
+
+    function _getTierValue(bytes32 variable, uint256 tier) private view returns (uint256) {
+        return whichEternalStorage().getUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(variable, tier)));
+    }
+
+    function _setTierValue(bytes32 variable, uint256 tier, uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(variable, tier)), value);
+    }
+
+    function _getCumulativeBucket(bytes32 series, address wallet, uint256 slot) private view returns (uint256) {
+        return whichEternalStorage().getUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(_CUMULATIVE_BUCKETS, series, wallet, slot)));
+    }
+
+    function _setCumulativeBucket(bytes32 series, address wallet, uint256 slot, uint256 bucket) private returns (bool) {
+        return whichEternalStorage().setUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(_CUMULATIVE_BUCKETS, series, wallet, slot)), bucket);
+    }
+
+    function _getCumulativeTotal(bytes32 series, address wallet) private view returns (uint256) {
+        return whichEternalStorage().getUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(_CUMULATIVE_TOTALS, series, wallet)));
+    }
+
+    function _setCumulativeTotal(bytes32 series, address wallet, uint256 total) private returns (bool) {
+        return whichEternalStorage().setUint(KYCTIERED_CONTRACT_NAME, keccak256(abi.encodePacked(_CUMULATIVE_TOTALS, series, wallet)), total);
+    }
+
+}
@@ -0,0 +1,517 @@
+pragma solidity ^0.5;
+
+import "./Timelocked.sol";
+import "./OperatorCapped.sol";
+
+/**
+ * @title MakerChecker
+ * @notice MakerChecker implements four-eyes approval for sensitive actions (minting, burning, executing fundings and
+ * payouts, setting overdraft limits and writing balances directly): one role member proposes the action, and it only
+ * executes once a number of distinct approvers from a configured role have signed off
+ * @dev The number of approvals required depends on the type of action and its amount, following a policy set by the
+ * owner for each type of action as a list of amount bands: each band starts at an amount (floor) and requires a number
+ * of approvals, so e.g. floors [0, 1000000] and approvals [0, 2] mean that amounts below 1000000 need no approval
+ * and amounts from 1000000 up need two. Actions with no policy need no approval
+ * @dev Actions that require approval can only be run through proposals (the direct methods revert), and proposals can
+ * only be made for actions that require approval. The approval that completes a proposal executes the action
+ * @dev The amount of an action is the value minted or burned, the amount of the funding or payout, the new overdraft
+ * limit or the new balance. Bands of direct balance writes are looked up on how much the balance changes (in either
+ * direction) rather than on the new balance, so that writing a large balance down to zero is not treated as a small
+ * action. As the change is that seen at the time of the proposal, the balance has to be unchanged when the proposal is
+ * approved (otherwise a new proposal is needed)
+ * @dev Proposals are made with the parameters of the action, i.e. an account (the wallet minted to, burned from, or
+ * whose limit or balance is written, or the orderer of the funding or payout), a reference (the reference of the mint
+ * or burn, or the ID of the funding or payout) and an amount (ignored for fundings and payouts)
+ * @dev Direct balance writes are also subject to the timelock (see Timelocked): once approved (or directly if they do
+ * not require approval) they are queued rather than executed
+ * @dev Mints, burns, fundings and payouts that exceed the caps of the operator running them (see OperatorCapped) also
+ * require one approval, even if the policy requires none. If the policy has no approver role, these are approved by
+ * another operator. Approved actions count towards the caps of the proposer
+ * @dev This contract is intended to be used from upstream contracts through inheritance, by calling
+ * _requireNoApproval() in the direct methods and implementing _approvalAmount() and _executeApprovedAction()
+ */
+contract MakerChecker is Timelocked, OperatorCapped {
+
+    using SafeMath for uint256;
+
+    enum ApprovalAction { Mint, Burn, ExecuteFunding, ExecutePayout, SetUnsecuredOverdraftLimit, DirectWriteBalance }
+
+    enum ProposalStatus { Nonexistent, Proposed, Executed, Cancelled }
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private MAKERCHECKER_CONTRACT_NAME = "MakerChecker";
+
+    /**
+     * @dev Data structures
+     * @dev _APPROVER_ROLES : mapping (ApprovalAction => string) with the role of the approvers of each type of action
+     * @dev _APPROVAL_BANDS : mapping (ApprovalAction => uint256) with the number of amount bands of each type of action,
+     * plus mappings (ApprovalAction => mapping (uint256 => uint256)) with the floor and the required approvals of
+     * each band (implemented as uint variables named keccak256(_APPROVAL_BANDS / _APPROVAL_BAND_FLOORS /
+     * _APPROVAL_BAND_APPROVALS, action[, index]))
+     * @dev _PROPOSALS : uint256 with the number of proposals made (proposal IDs start at 1)
+     * @dev _PROPOSAL_XXX : mappings (uint256 => ...) with the data of each proposal (implemented as variables named
+     * keccak256(_PROPOSAL_XXX, proposalId)), and _PROPOSAL_APPROVERS : mapping (uint256 => mapping (address => bool))
+     * with the approvers of each proposal
+     * @dev _PROPOSAL_BALANCES : mapping (uint256 => uint256) with the balance of the account at the time of each direct
+     * balance write proposal (implemented as variables named keccak256(_PROPOSAL_BALANCES, proposalId))
+     */
+    bytes32 constant private _APPROVER_ROLES =            "_approverRoles";
+    bytes32 constant private _APPROVAL_BANDS =            "_approvalBands";
+    bytes32 constant private _APPROVAL_BAND_FLOORS =      "_approvalBandFloors";
+    bytes32 constant private _APPROVAL_BAND_APPROVALS =   "_approvalBandApprovals";
+    bytes32 constant private _PROPOSALS =                 "_proposals";
+    bytes32 constant private _PROPOSAL_ACTIONS =          "_proposalActions";
+    bytes32 constant private _PROPOSAL_ACCOUNTS =         "_proposalAccounts";
+    bytes32 constant private _PROPOSAL_REFERENCES =       "_proposalReferences";
+    bytes32 constant private _PROPOSAL_AMOUNTS =          "_proposalAmounts";
+    bytes32 constant private _PROPOSAL_PROPOSERS =        "_proposalProposers";
+    bytes32 constant private _PROPOSAL_STATUSES =         "_proposalStatuses";
+    bytes32 constant private _PROPOSAL_APPROVALS =        "_proposalApprovals";
+    bytes32 constant private _PROPOSAL_REQUIRED =         "_proposalRequired";
+    bytes32 constant private _PROPOSAL_APPROVERS =        "_proposalApprovers";
+    bytes32 constant private _PROPOSAL_BALANCES =         "_proposalBalances";
+
+    // Events
+
+    event ApprovalPolicySet(ApprovalAction action, string approverRole, uint256[] floors, uint256[] approvals);
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        ApprovalAction action,
+        address indexed proposer,
+        address account,
+        string referenceId,
+        uint256 amount,
+        uint256 requiredApprovals
+    );
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver, uint256 approvals);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCancelled(uint256 indexed proposalId);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the approval policy of a type of action
+     * @param action The type of action
+     * @param approverRole The role of the approvers
+     * @param floors The amounts from which each band starts, in strictly increasing order (empty for no approvals)
+     * @param approvals The number of approvals required in each band
+     * @dev Only the owner can do this
+     */
+    function setApprovalPolicy(
+        ApprovalAction action,
+        string calldata approverRole,
+        uint256[] calldata floors,
+        uint256[] calldata approvals
+    )
+        external
+        onlyOwner
+        returns (bool)
+    {
+        require(floors.length == approvals.length, "Floors and approvals do not match");
+        for(uint256 i = 0; i < floors.length; i++) {
+            require(i == 0 || floors[i] > floors[i - 1], "Floors must be strictly increasing");
+            require(approvals[i] == 0 || bytes(approverRole).length > 0, "Approver role is required");
+            _setApprovalBand(action, i, floors[i], approvals[i]);
+        }
+        emit ApprovalPolicySet(action, approverRole, floors, approvals);
+        return
+            _setApproverRole(action, approverRole) &&
+            _setApprovalBandCount(action, floors.length);
+    }
+
+    /**
+     * @notice Proposes an action that requires approval
+     * @param action The type of action
+     * @param account The account the action applies to
+     * @param referenceId The reference of the action
+     * @param amount The amount of the action (ignored for fundings and payouts, whose amount is that of the request)
+     * @return The ID of the proposal
+     * @dev Proposals are made by the role that would otherwise run the action directly, i.e. the operator for mints,
+     * burns, fundings and payouts, the CRO for overdraft limits, and the owner for direct balance writes
+     */
+    function propose(
+        ApprovalAction action,
+        address account,
+        string calldata referenceId,
+        uint256 amount
+    )
+        external
+        returns (uint256 proposalId)
+    {
+        _requireProposerRole(action);
+        uint256 actionAmount = _approvalAmount(action, account, referenceId, amount);
+        uint256 required = _requiredApprovals(action, _bandAmount(action, account, actionAmount));
+        if(required == 0 && _exceedsCaps(action, _msgSender(), actionAmount)) {
+            required = 1;
+        }
+        require(required > 0, "Action does not require approval");
+        proposalId = _getProposalCount().add(1);
+        _setProposalCount(proposalId);
+        _setProposal(proposalId, action, account, referenceId, actionAmount, required);
+        if(action == ApprovalAction.DirectWriteBalance) {
+            _setProposalBalance(proposalId, _balanceOf(account));
+        }
+        emit ProposalCreated(proposalId, action, _msgSender(), account, referenceId, actionAmount, required);
+    }
+
+    /**
+     * @notice Approves a proposal, executing its action if this is the last approval required
+     * @param proposalId The ID of the proposal
+     * @dev Only members of the approver role of the action can do this (or operators, if the policy has no approver
+     * role), and never the proposer. Direct balance writes can only be approved while the balance is that seen when
+     * they were proposed
+     */
+    function approveProposal(uint256 proposalId) external returns (bool) {
+        require(_getProposalStatus(proposalId) == ProposalStatus.Proposed, "Proposal is not pending");
+        ApprovalAction action = _getProposalAction(proposalId);
+        requireRole(_approverRole(action));
+        require(_msgSender() != _getProposalProposer(proposalId), "Proposer cannot approve");
+        require(!_getProposalApprover(proposalId, _msgSender()), "Proposal already approved by sender");
+        require(
+            action != ApprovalAction.DirectWriteBalance ||
+            _balanceOf(_getProposalAccount(proposalId)) == _getProposalBalance(proposalId),
+            "Balance changed since the proposal"
+        );
+        uint256 approvals = _getProposalApprovals(proposalId).add(1);
+        _setProposalApprover(proposalId, _msgSender());
+        _setProposalApprovals(proposalId, approvals);
+        emit ProposalApproved(proposalId, _msgSender(), approvals);
+        if(approvals < _getProposalRequired(proposalId)) {
+            return true;
+        }
+        _setProposalStatus(proposalId, ProposalStatus.Executed);
+        emit ProposalExecuted(proposalId);
+        _recordCappedUsage(action, _getProposalProposer(proposalId), _getProposalAmount(proposalId));
+        return _executeApprovedAction(
+            action,
+            _getProposalAccount(proposalId),
+            _getProposalReference(proposalId),
+            _getProposalAmount(proposalId)
+        );
+    }
+
+    /**
+     * @notice Cancels a pending proposal
+     * @param proposalId The ID of the proposal
+     * @dev Only the proposer can do this
+     */
+    function cancelProposal(uint256 proposalId) external returns (bool) {
+        require(_getProposalStatus(proposalId) == ProposalStatus.Proposed, "Proposal is not pending");
+        require(_msgSender() == _getProposalProposer(proposalId), "Only the proposer can cancel");
+        emit ProposalCancelled(proposalId);
+        return _setProposalStatus(proposalId, ProposalStatus.Cancelled);
+    }
+
+    /**
+     * @notice Queues a direct write of the balance of a wallet, e.g. to fix it in an emergency situation
+     * @param wallet The wallet in question
+     * @param newBalance The new balance
+     * @return The ID of the queued action
+     * @dev Only the owner can do this, and only if the policy does not require approval (otherwise see propose)
+     */
+    function directWriteBalance(address wallet, uint256 newBalance) external onlyOwner returns (uint256) {
+        _requireNoApproval(ApprovalAction.DirectWriteBalance, _balanceChange(wallet, newBalance));
+        return _queueTimelockedAction(TimelockedAction.WriteBalance, wallet, newBalance);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the approval policy of a type of action
+     * @param action The type of action
+     * @return approverRole: the role of the approvers
+     * @return floors: the amounts from which each band starts
+     * @return approvals: the number of approvals required in each band
+     */
+    function approvalPolicy(ApprovalAction action)
+        external view
+        returns (
+            string memory approverRole,
+            uint256[] memory floors,
+            uint256[] memory approvals
+        )
+    {
+        approverRole = _getApproverRole(action);
+        uint256 count = _getApprovalBandCount(action);
+        floors = new uint256[](count);
+        approvals = new uint256[](count);
+        for(uint256 i = 0; i < count; i++) {
+            floors[i] = _getApprovalBandFloor(action, i);
+            approvals[i] = _getApprovalBandApprovals(action, i);
+        }
+    }
+
+    /**
+     * @notice Returns the number of approvals required for an action of a given amount
+     * @param action The type of action
+     * @param amount The amount of the action (the change in the balance, for direct balance writes)
+     */
+    function requiredApprovals(ApprovalAction action, uint256 amount) external view returns (uint256) {
+        return _requiredApprovals(action, amount);
+    }
+
+    /**
+     * @notice Returns the number of proposals made (proposal IDs go from 1 to this number)
+     */
+    function manyProposals() external view returns (uint256) {
+        return _getProposalCount();
+    }
+
+    /**
+     * @notice Returns the data of a proposal
+     * @param proposalId The ID of the proposal
+     * @return action: the type of action
+     * @return account: the account the action applies to
+     * @return referenceId: the reference of the action
+     * @return amount: the amount of the action
+     * @return proposer: the address that made the proposal
+     * @return status: the status of the proposal
+     * @return approvals: the number of approvals given
+     * @return required: the number of approvals required
+     */
+    function retrieveProposalData(uint256 proposalId)
+        external view
+        returns (
+            ApprovalAction action,
+            address account,
+            string memory referenceId,
+            uint256 amount,
+            address proposer,
+            ProposalStatus status,
+            uint256 approvals,
+            uint256 required
+        )
+    {
+        action = _getProposalAction(proposalId);
+        account = _getProposalAccount(proposalId);
+        referenceId = _getProposalReference(proposalId);
+        amount = _getProposalAmount(proposalId);
+        proposer = _getProposalProposer(proposalId);
+        status = _getProposalStatus(proposalId);
+        approvals = _getProposalApprovals(proposalId);
+        required = _getProposalRequired(proposalId);
+    }
+
+    /**
+     * @notice Returns whether an address has approved a proposal
+     * @param proposalId The ID of the proposal
+     * @param approver The address in question
+     */
+    function hasApprovedProposal(uint256 proposalId, address approver) external view returns (bool) {
+        return _getProposalApprover(proposalId, approver);
+    }
+
+    // Internal functions
+
+    function _requireNoApproval(ApprovalAction action, uint256 amount) internal {
+        require(_requiredApprovals(action, amount) == 0, "Action requires approval");
+        require(!_exceedsCaps(action, _msgSender(), amount), "Operator cap exceeded");
+        _recordCappedUsage(action, _msgSender(), amount);
+    }
+
+    function _approvalAmount(ApprovalAction action, address account, string memory referenceId, uint256 amount) internal view returns (uint256);
+
+    function _executeApprovedAction(ApprovalAction action, address account, string memory referenceId, uint256 amount) internal returns (bool);
+
+    // Private functions
+
+    function _requireProposerRole(ApprovalAction action) private view {
+        if(action == ApprovalAction.DirectWriteBalance) {
+            require(isOwner(), "Sender is not the owner");
+        } else if(action == ApprovalAction.SetUnsecuredOverdraftLimit) {
+            requireRole(CRO_ROLE);
+        } else {
+            requireRole(OPERATOR_ROLE);
+        }
+    }
+
+    function _bandAmount(ApprovalAction action, address account, uint256 amount) private view returns (uint256) {
+        return action == ApprovalAction.DirectWriteBalance ? _balanceChange(account, amount) : amount;
+    }
+
+    function _balanceChange(address wallet, uint256 newBalance) private view returns (uint256) {
+        uint256 oldBalance = _balanceOf(wallet);
+        return newBalance > oldBalance ? newBalance - oldBalance : oldBalance - newBalance;
+    }
+
+    function _approverRole(ApprovalAction action) private view returns (string memory) {
+        string memory role = _getApproverRole(action);
+        return bytes(role).length > 0 ? role : OPERATOR_ROLE;
+    }
+
+    function _isCapped(ApprovalAction action) private pure returns (bool) {
+        return
+            action == ApprovalAction.Mint ||
+            action == ApprovalAction.Burn ||
+            action == ApprovalAction.ExecuteFunding ||
+            action == ApprovalAction.ExecutePayout;
+    }
+
+    function _cappedFlow(ApprovalAction action) private pure returns (CappedFlow) {
+        if(action == ApprovalAction.Mint || action == ApprovalAction.ExecuteFunding) {
+            return CappedFlow.Minted;
+        } else if(action == ApprovalAction.Burn) {
+            return CappedFlow.Burned;
+        } else {
+            return CappedFlow.PaidOut;
+        }
+    }
+
+    function _exceedsCaps(ApprovalAction action, address operator, uint256 amount) private view returns (bool) {
+        return _isCapped(action) && _exceedsOperatorCaps(operator, _cappedFlow(action), amount);
+    }
+
+    function _recordCappedUsage(ApprovalAction action, address operator, uint256 amount) private returns (bool) {
+        return !_isCapped(action) || _recordOperatorUsage(operator, _cappedFlow(action), amount);
+    }
+
+    function _requiredApprovals(ApprovalAction action, uint256 amount) private view returns (uint256 required) {
+        uint256 count = _getApprovalBandCount(action);
+        for(uint256 i = 0; i < count && _getApprovalBandFloor(action, i) <= amount; i++) {
+            required = _getApprovalBandApprovals(action, i);
+        }
+    }
+
+    function _setProposal(
+        uint256 proposalId,
+        ApprovalAction action,
+        address account,
+        string memory referenceId,
+        uint256 amount,
+        uint256 required
+    )
+        private
+        returns (bool)
+    {
+        return
+            _setProposalAction(proposalId, action) &&
+            _setProposalAccount(proposalId, account) &&
+            _setProposalReference(proposalId, referenceId) &&
+            _setProposalAmount(proposalId, amount) &&
+            _setProposalProposer(proposalId, _msgSender()) &&
+            _setProposalRequired(proposalId, required) &&
+            _setProposalStatus(proposalId, ProposalStatus.Proposed);
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getApproverRole(ApprovalAction action) private view returns (string memory) {
+        return whichEternalStorage().getString(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVER_ROLES, action)));
+    }
+
+    function _setApproverRole(ApprovalAction action, string memory role) private returns (bool) {
+        return whichEternalStorage().setString(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVER_ROLES, action)), role);
+    }
+
+    function _getApprovalBandCount(ApprovalAction action) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BANDS, action)));
+    }
+
+    function _setApprovalBandCount(ApprovalAction action, uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BANDS, action)), count);
+    }
+
+    function _getApprovalBandFloor(ApprovalAction action, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BAND_FLOORS, action, index)));
+    }
+
+    function _getApprovalBandApprovals(ApprovalAction action, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BAND_APPROVALS, action, index)));
+    }
+
+    function _setApprovalBand(ApprovalAction action, uint256 index, uint256 floor, uint256 approvals) private returns (bool) {
+        return
+            whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BAND_FLOORS, action, index)), floor) &&
+            whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_APPROVAL_BAND_APPROVALS, action, index)), approvals);
+    }
+
+    function _getProposalCount() private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, _PROPOSALS);
+    }
+
+    function _setProposalCount(uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, _PROPOSALS, count);
+    }
+
+    function _getProposalAction(uint256 proposalId) private view returns (ApprovalAction) {
+        return ApprovalAction(whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_ACTIONS, proposalId))));
+    }
+
+    function _setProposalAction(uint256 proposalId, ApprovalAction action) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_ACTIONS, proposalId)), uint256(action));
+    }
+
+    function _getProposalAccount(uint256 proposalId) private view returns (address) {
+        return whichEternalStorage().getAddress(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_ACCOUNTS, proposalId)));
+    }
+
+    function _setProposalAccount(uint256 proposalId, address account) private returns (bool) {
+        return whichEternalStorage().setAddress(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_ACCOUNTS, proposalId)), account);
+    }
+
+    function _getProposalReference(uint256 proposalId) private view returns (string memory) {
+        return whichEternalStorage().getString(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_REFERENCES, proposalId)));
+    }
+
+    function _setProposalReference(uint256 proposalId, string memory referenceId) private returns (bool) {
+        return whichEternalStorage().setString(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_REFERENCES, proposalId)), referenceId);
+    }
+
+    function _getProposalAmount(uint256 proposalId) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_AMOUNTS, proposalId)));
+    }
+
+    function _setProposalAmount(uint256 proposalId, uint256 amount) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_AMOUNTS, proposalId)), amount);
+    }
+
+    function _getProposalProposer(uint256 proposalId) private view returns (address) {
+        return whichEternalStorage().getAddress(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_PROPOSERS, proposalId)));
+    }
+
+    function _setProposalProposer(uint256 proposalId, address proposer) private returns (bool) {
+        return whichEternalStorage().setAddress(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_PROPOSERS, proposalId)), proposer);
+    }
+
+    function _getProposalStatus(uint256 proposalId) private view returns (ProposalStatus) {
+        return ProposalStatus(whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_STATUSES, proposalId))));
+    }
+
+    function _setProposalStatus(uint256 proposalId, ProposalStatus status) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_STATUSES, proposalId)), uint256(status));
+    }
+
+    function _getProposalApprovals(uint256 proposalId) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_APPROVALS, proposalId)));
+    }
+
+    function _setProposalApprovals(uint256 proposalId, uint256 approvals) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_APPROVALS, proposalId)), approvals);
+    }
+
+    function _getProposalRequired(uint256 proposalId) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_REQUIRED, proposalId)));
+    }
+
+    function _setProposalRequired(uint256 proposalId, uint256 required) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_REQUIRED, proposalId)), required);
+    }
+
+    function _getProposalApprover(uint256 proposalId, address approver) private view returns (bool) {
+        return whichEternalStorage().getBool(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_APPROVERS, proposalId, approver)));
+    }
+
+    function _setProposalApprover(uint256 proposalId, address approver) private returns (bool) {
+        return whichEternalStorage().setBool(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_APPROVERS, proposalId, approver)), true);
+    }
+
+    function _getProposalBalance(uint256 proposalId) private view returns (uint256) {
+        return whichEternalStorage().getUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_BALANCES, proposalId)));
+    }
+
+    function _setProposalBalance(uint256 proposalId, uint256 balance) private returns (bool) {
+        return whichEternalStorage().setUint(MAKERCHECKER_CONTRACT_NAME, keccak256(abi.encodePacked(_PROPOSAL_BALANCES, proposalId)), balance);
+    }
+
+}
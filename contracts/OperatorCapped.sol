@@ -0,0 +1,256 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+
+/**
+ * @title OperatorCapped
+ * @notice OperatorCapped implements caps on the value each operator can mint (directly or by executing fundings), burn
+ * and pay out, both per transaction and per day, so that a compromised operator key cannot move value without limit.
+ * The owner sets the caps of each operator and type of flow (a cap set to 0 is not enforced)
+ * @dev Operators whose caps have not been set for a type of flow (e.g. new operators) are subject to the default caps
+ * of the flow, which the owner sets as well, so giving the operator role does not give uncapped rights. The owner can
+ * reset the caps of an operator to go back to the defaults
+ * @dev Days are UTC days counted from the epoch, so daily counters are reset at the start of each day
+ * @dev This contract is intended to be used from upstream contracts through inheritance, by checking
+ * _exceedsOperatorCaps() before an operator moves value, and calling _recordOperatorUsage() when it does (see
+ * MakerChecker, which sends actions above the caps to a second approver)
+ */
+contract OperatorCapped is RoleControl {
+
+    using SafeMath for uint256;
+
+    uint256 constant private DAY = 1 days;
+    uint256 constant private NO_LIMIT = 2**256 - 1;
+
+    enum CappedFlow { Minted, Burned, PaidOut }
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private OPERATORCAPPED_CONTRACT_NAME = "OperatorCapped";
+
+    /**
+     * @dev Data structures
+     * @dev _OPERATOR_TRANSACTION_CAPS : mapping (address => mapping (CappedFlow => uint256)) with the cap per
+     * transaction of each operator and flow
+     * @dev _OPERATOR_DAILY_CAPS : mapping (address => mapping (CappedFlow => uint256)) with the daily cap of each
+     * operator and flow
+     * @dev _OPERATOR_DAILY_WINDOWS : mapping (address => mapping (CappedFlow => uint256)) with the day in which each
+     * operator last moved value of each flow
+     * @dev _OPERATOR_DAILY_TOTALS : mapping (address => mapping (CappedFlow => uint256)) with the value moved by each
+     * operator on that day
+     * @dev _OPERATOR_CAPS_SET : mapping (address => mapping (CappedFlow => bool)) telling whether the caps of each
+     * operator and flow have been set (otherwise the default caps apply)
+     * @dev (all implemented as variables named keccak256(_OPERATOR_XXX, operator, flow))
+     * @dev _DEFAULT_OPERATOR_TRANSACTION_CAPS, _DEFAULT_OPERATOR_DAILY_CAPS : mappings (CappedFlow => uint256) with the
+     * default caps of each flow (implemented as uint variables named keccak256(_DEFAULT_OPERATOR_XXX, flow))
+     */
+    bytes32 constant private _OPERATOR_TRANSACTION_CAPS = "_operatorTransactionCaps";
+    bytes32 constant private _OPERATOR_DAILY_CAPS =       "_operatorDailyCaps";
+    bytes32 constant private _OPERATOR_DAILY_WINDOWS =    "_operatorDailyWindows";
+    bytes32 constant private _OPERATOR_DAILY_TOTALS =     "_operatorDailyTotals";
+    bytes32 constant private _OPERATOR_CAPS_SET =         "_operatorCapsSet";
+    bytes32 constant private _DEFAULT_OPERATOR_TRANSACTION_CAPS = "_defaultOperatorTransactionCaps";
+    bytes32 constant private _DEFAULT_OPERATOR_DAILY_CAPS =       "_defaultOperatorDailyCaps";
+
+    // Events
+
+    event OperatorCapsSet(address indexed operator, CappedFlow flow, uint256 transactionCap, uint256 dailyCap);
+    event OperatorCapsReset(address indexed operator, CappedFlow flow);
+    event DefaultOperatorCapsSet(CappedFlow flow, uint256 transactionCap, uint256 dailyCap);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the caps of an operator for a type of flow
+     * @param operator The operator in question
+     * @param flow The type of flow (minted, burned or paid out value)
+     * @param transactionCap The maximum value to be moved in a single transaction (0 for no cap)
+     * @param dailyCap The maximum value to be moved in a day (0 for no cap)
+     * @dev Only the owner can do this
+     */
+    function setOperatorCaps(address operator, CappedFlow flow, uint256 transactionCap, uint256 dailyCap) external onlyOwner returns (bool) {
+        emit OperatorCapsSet(operator, flow, transactionCap, dailyCap);
+        return
+            _setOperatorTransactionCap(operator, flow, transactionCap) &&
+            _setOperatorDailyCap(operator, flow, dailyCap) &&
+            _setOperatorCapsSet(operator, flow, true);
+    }
+
+    /**
+     * @notice Resets the caps of an operator for a type of flow, so the default caps of the flow apply to it again
+     * @param operator The operator in question
+     * @param flow The type of flow
+     * @dev Only the owner can do this
+     */
+    function resetOperatorCaps(address operator, CappedFlow flow) external onlyOwner returns (bool) {
+        emit OperatorCapsReset(operator, flow);
+        return
+            _setOperatorTransactionCap(operator, flow, 0) &&
+            _setOperatorDailyCap(operator, flow, 0) &&
+            _setOperatorCapsSet(operator, flow, false);
+    }
+
+    /**
+     * @notice Sets the default caps of a type of flow, which apply to the operators whose caps have not been set
+     * @param flow The type of flow (minted, burned or paid out value)
+     * @param transactionCap The maximum value to be moved in a single transaction (0 for no cap)
+     * @param dailyCap The maximum value to be moved in a day (0 for no cap)
+     * @dev Only the owner can do this
+     */
+    function setDefaultOperatorCaps(CappedFlow flow, uint256 transactionCap, uint256 dailyCap) external onlyOwner returns (bool) {
+        emit DefaultOperatorCapsSet(flow, transactionCap, dailyCap);
+        return
+            _setDefaultOperatorTransactionCap(flow, transactionCap) &&
+            _setDefaultOperatorDailyCap(flow, dailyCap);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the caps that apply to an operator for a type of flow (0 means no cap), and the value moved in the
+     * current day
+     * @param operator The operator in question
+     * @param flow The type of flow
+     * @return transactionCap: the maximum value to be moved in a single transaction
+     * @return dailyCap: the maximum value to be moved in a day
+     * @return dailyTotal: the value moved in the current day
+     * @return isDefault: whether these are the default caps of the flow (as the caps of the operator have not been set)
+     */
+    function operatorCaps(address operator, CappedFlow flow)
+        external view
+        returns (
+            uint256 transactionCap,
+            uint256 dailyCap,
+            uint256 dailyTotal,
+            bool isDefault
+        )
+    {
+        transactionCap = _operatorTransactionCap(operator, flow);
+        dailyCap = _operatorDailyCap(operator, flow);
+        dailyTotal = _operatorDailyTotal(operator, flow);
+        isDefault = !_getOperatorCapsSet(operator, flow);
+    }
+
+    /**
+     * @notice Returns the default caps of a type of flow (0 means no cap)
+     * @param flow The type of flow
+     * @return transactionCap: the maximum value to be moved in a single transaction
+     * @return dailyCap: the maximum value to be moved in a day
+     */
+    function defaultOperatorCaps(CappedFlow flow) external view returns (uint256 transactionCap, uint256 dailyCap) {
+        transactionCap = _getDefaultOperatorTransactionCap(flow);
+        dailyCap = _getDefaultOperatorDailyCap(flow);
+    }
+
+    /**
+     * @notice Returns the value that an operator can still move in a single transaction of a type of flow (the maximum
+     * uint256 value if there is no cap)
+     * @param operator The operator in question
+     * @param flow The type of flow
+     */
+    function operatorHeadroom(address operator, CappedFlow flow) external view returns (uint256) {
+        return _operatorHeadroom(operator, flow);
+    }
+
+    // Internal functions
+
+    function _exceedsOperatorCaps(address operator, CappedFlow flow, uint256 value) internal view returns (bool) {
+        return value > _operatorHeadroom(operator, flow);
+    }
+
+    function _recordOperatorUsage(address operator, CappedFlow flow, uint256 amount) internal returns (bool) {
+        uint256 dailyTotal = _operatorDailyTotal(operator, flow).add(amount);
+        return
+            _setOperatorDailyWindow(operator, flow, block.timestamp / DAY) &&
+            _setOperatorDailyTotal(operator, flow, dailyTotal);
+    }
+
+    // Private functions
+
+    function _operatorHeadroom(address operator, CappedFlow flow) private view returns (uint256 headroom) {
+        headroom = NO_LIMIT;
+        uint256 transactionCap = _operatorTransactionCap(operator, flow);
+        if(transactionCap > 0) {
+            headroom = transactionCap;
+        }
+        uint256 dailyCap = _operatorDailyCap(operator, flow);
+        if(dailyCap > 0) {
+            uint256 dailyTotal = _operatorDailyTotal(operator, flow);
+            uint256 dailyHeadroom = dailyCap > dailyTotal ? dailyCap - dailyTotal : 0;
+            if(dailyHeadroom < headroom) {
+                headroom = dailyHeadroom;
+            }
+        }
+    }
+
+    function _operatorTransactionCap(address operator, CappedFlow flow) private view returns (uint256) {
+        return _getOperatorCapsSet(operator, flow) ? _getOperatorTransactionCap(operator, flow) : _getDefaultOperatorTransactionCap(flow);
+    }
+
+    function _operatorDailyCap(address operator, CappedFlow flow) private view returns (uint256) {
+        return _getOperatorCapsSet(operator, flow) ? _getOperatorDailyCap(operator, flow) : _getDefaultOperatorDailyCap(flow);
+    }
+
+    function _operatorDailyTotal(address operator, CappedFlow flow) private view returns (uint256) {
+        return _getOperatorDailyWindow(operator, flow) == block.timestamp / DAY ? _getOperatorDailyTotal(operator, flow) : 0;
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getOperatorTransactionCap(address operator, CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_TRANSACTION_CAPS, operator, flow)));
+    }
+
+    function _setOperatorTransactionCap(address operator, CappedFlow flow, uint256 cap) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_TRANSACTION_CAPS, operator, flow)), cap);
+    }
+
+    function _getOperatorDailyCap(address operator, CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_CAPS, operator, flow)));
+    }
+
+    function _setOperatorDailyCap(address operator, CappedFlow flow, uint256 cap) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_CAPS, operator, flow)), cap);
+    }
+
+    function _getOperatorDailyWindow(address operator, CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_WINDOWS, operator, flow)));
+    }
+
+    function _setOperatorDailyWindow(address operator, CappedFlow flow, uint256 day) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_WINDOWS, operator, flow)), day);
+    }
+
+    function _getOperatorDailyTotal(address operator, CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_TOTALS, operator, flow)));
+    }
+
+    function _setOperatorDailyTotal(address operator, CappedFlow flow, uint256 total) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_DAILY_TOTALS, operator, flow)), total);
+    }
+
+    function _getOperatorCapsSet(address operator, CappedFlow flow) private view returns (bool) {
+        return whichEternalStorage().getBool(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_CAPS_SET, operator, flow)));
+    }
+
+    function _setOperatorCapsSet(address operator, CappedFlow flow, bool capsSet) private returns (bool) {
+        return whichEternalStorage().setBool(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_OPERATOR_CAPS_SET, operator, flow)), capsSet);
+    }
+
+    function _getDefaultOperatorTransactionCap(CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_DEFAULT_OPERATOR_TRANSACTION_CAPS, flow)));
+    }
+
+    function _setDefaultOperatorTransactionCap(CappedFlow flow, uint256 cap) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_DEFAULT_OPERATOR_TRANSACTION_CAPS, flow)), cap);
+    }
+
+    function _getDefaultOperatorDailyCap(CappedFlow flow) private view returns (uint256) {
+        return whichEternalStorage().getUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_DEFAULT_OPERATOR_DAILY_CAPS, flow)));
+    }
+
+    function _setDefaultOperatorDailyCap(CappedFlow flow, uint256 cap) private returns (bool) {
+        return whichEternalStorage().setUint(OPERATORCAPPED_CONTRACT_NAME, keccak256(abi.encodePacked(_DEFAULT_OPERATOR_DAILY_CAPS, flow)), cap);
+    }
+
+}
@@ -27,12 +27,12 @@ contract Overdraftable is IOverdraftable, Compliant {
      * @param wallet the address of the wallet
      * @param newLimit the new limit of the overdraft line
      * @dev Only the CRO is allowed to do this
+     * @dev Limits that require four-eyes approval have to be proposed instead (see MakerChecker)
      */
     function setUnsecuredOverdraftLimit(address wallet, uint256 newLimit) external returns (bool) {
         requireRole(CRO_ROLE);
-        uint256 oldLimit = _unsecuredOverdraftLimit(wallet);
-        emit UnsecuredOverdraftLimitSet(wallet, oldLimit, newLimit);
-        return _setUnsecuredOverdraftLimit(wallet, newLimit);
+        _requireNoApproval(ApprovalAction.SetUnsecuredOverdraftLimit, newLimit);
+        return _changeUnsecuredOverdraftLimit(wallet, newLimit);
     }
 
     /**
@@ -41,7 +41,7 @@ contract Overdraftable is IOverdraftable, Compliant {
      * @param newEngine the new interest engine to attach to the overdraft line
      * @dev Only the CRO is allowed to do this
      */
-    function setInterestEngine(address wallet, address newEngine) external returns(bool) {
+    function setInterestEngine(address wallet, address newEngine) external whenNotPaused(OVERDRAFTABLE_WORKFLOW) returns(bool) {
         requireRole(CRO_ROLE);
         address previousEngine = _getInterestEngine(wallet);
         emit InterestEngineSet(wallet, previousEngine, newEngine);
@@ -55,9 +55,9 @@ contract Overdraftable is IOverdraftable, Compliant {
      * @dev Only the interestEngine for this wallet can call this function. Implementation shoud start with some like:
      * require(msg.sender == _interestEngine, "Only the interest engine can charge interest");
      */
-    function chargeInterest(address wallet, uint256 amount) external returns (bool) {
+    function chargeInterest(address wallet, uint256 amount) external whenNotPaused(OVERDRAFTABLE_WORKFLOW) returns (bool) {
         address engine = _getInterestEngine(wallet);
-        require(msg.sender == engine, "Only the interest engine can charge interest");
+        require(_msgSender() == engine, "Only the interest engine can charge interest");
         _removeFunds(wallet, amount);
         emit interestCharged(wallet, engine, amount);
         return true;
@@ -100,6 +100,14 @@ contract Overdraftable is IOverdraftable, Compliant {
         return _getInterestEngine(wallet);
     }
 
+    // Internal functions
+
+    function _changeUnsecuredOverdraftLimit(address wallet, uint256 newLimit) internal whenNotPaused(OVERDRAFTABLE_WORKFLOW) returns (bool) {
+        uint256 oldLimit = _unsecuredOverdraftLimit(wallet);
+        emit UnsecuredOverdraftLimitSet(wallet, oldLimit, newLimit);
+        return _setUnsecuredOverdraftLimit(wallet, newLimit);
+    }
+
     // Private functions
 
     function _setInterestEngine(address wallet, address engine) private returns (bool) {
@@ -0,0 +1,161 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+import "./libraries/Strings.sol";
+
+/**
+ * @title Pausable
+ * @dev The Pausable contract implements an emergency stop mechanism that can be used upstream to stop the token
+ * during an incident, either as a whole or workflow by workflow (e.g. only payouts)
+ * @dev Pausing is controlled by the PAUSER_ROLE. Pause flags are stored in the eternal storage, so they survive
+ * upgrades of the token logic
+ * @dev Pausing stops the calls that create new operations or move funds forward (transfers, new holds, orders,
+ * processing and execution of orders, etc.), but not the calls that unwind pending operations (releasing holds,
+ * rejecting or cancelling orders, revoking approvals), so operators can still return funds to their owners while
+ * the token is paused
+ */
+contract Pausable is RoleControl {
+
+    using Strings for string;
+
+    // Workflows
+
+    string constant public ERC20_WORKFLOW = "erc20";
+    string constant public HOLDABLE_WORKFLOW = "holdable";
+    string constant public CLEARABLE_WORKFLOW = "clearable";
+    string constant public FUNDABLE_WORKFLOW = "fundable";
+    string constant public PAYOUTABLE_WORKFLOW = "payoutable";
+    string constant public OVERDRAFTABLE_WORKFLOW = "overdraftable";
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private PAUSABLE_CONTRACT_NAME = "Pausable";
+
+    /**
+     * @dev Data structures
+     * @dev _PAUSED : bool flag set to true when the whole token is paused
+     * @dev _PAUSED_WORKFLOWS : mapping (string => bool) with the flags that say whether individual workflows are
+     * paused (implemented as bool variables named keccak256(_PAUSED_WORKFLOWS, workflow))
+     */
+    bytes32 constant private _PAUSED = "_paused";
+    bytes32 constant private _PAUSED_WORKFLOWS = "_pausedWorkflows";
+
+    // Events
+
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event WorkflowPaused(string workflow, address indexed account);
+    event WorkflowUnpaused(string workflow, address indexed account);
+
+    // Modifiers
+
+    modifier whenNotPaused(string memory workflow) {
+        require(!_isPaused(), "Token is paused");
+        require(!_isWorkflowPaused(workflow), string("Workflow is paused: ").concat(workflow));
+        _;
+    }
+
+    // External state-modifying functions
+
+    /**
+     * @notice Pauses the whole token
+     * @dev Only the pauser can do this
+     */
+    function pause() external returns (bool) {
+        requireRole(PAUSER_ROLE);
+        require(!_isPaused(), "Token is already paused");
+        emit Paused(_msgSender());
+        return _setPaused(true);
+    }
+
+    /**
+     * @notice Unpauses the whole token (workflows that were individually paused remain paused)
+     * @dev Only the pauser can do this
+     */
+    function unpause() external returns (bool) {
+        requireRole(PAUSER_ROLE);
+        require(_isPaused(), "Token is not paused");
+        emit Unpaused(_msgSender());
+        return _setPaused(false);
+    }
+
+    /**
+     * @notice Pauses an individual workflow
+     * @param workflow The workflow to be paused (one of the *_WORKFLOW constants)
+     * @dev Only the pauser can do this
+     */
+    function pauseWorkflow(string calldata workflow) external returns (bool) {
+        requireRole(PAUSER_ROLE);
+        require(_isWorkflow(workflow), "Unknown workflow");
+        require(!_isWorkflowPaused(workflow), "Workflow is already paused");
+        emit WorkflowPaused(workflow, _msgSender());
+        return _setWorkflowPaused(workflow, true);
+    }
+
+    /**
+     * @notice Unpauses an individual workflow
+     * @param workflow The workflow to be unpaused (one of the *_WORKFLOW constants)
+     * @dev Only the pauser can do this
+     */
+    function unpauseWorkflow(string calldata workflow) external returns (bool) {
+        requireRole(PAUSER_ROLE);
+        require(_isWorkflowPaused(workflow), "Workflow is not paused");
+        emit WorkflowUnpaused(workflow, _msgSender());
+        return _setWorkflowPaused(workflow, false);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns whether the whole token is paused
+     */
+    function isPaused() external view returns (bool) {
+        return _isPaused();
+    }
+
+    /**
+     * @notice Returns whether an individual workflow is paused
+     * @param workflow The workflow in question
+     * @dev This only returns the flag of the workflow, so a workflow may not be paused while the whole token is
+     */
+    function isWorkflowPaused(string calldata workflow) external view returns (bool) {
+        return _isWorkflowPaused(workflow);
+    }
+
+    // Internal functions
+
+    function _isPaused() internal view returns (bool) {
+        return whichEternalStorage().getBool(PAUSABLE_CONTRACT_NAME, _PAUSED);
+    }
+
+    function _isWorkflowPaused(string memory workflow) internal view returns (bool) {
+        return whichEternalStorage().getBool(PAUSABLE_CONTRACT_NAME, _workflowKey(workflow));
+    }
+
+    // Private functions
+
+    function _isWorkflow(string memory workflow) private pure returns (bool) {
+        return
+            workflow.equals(ERC20_WORKFLOW) ||
+            workflow.equals(HOLDABLE_WORKFLOW) ||
+            workflow.equals(CLEARABLE_WORKFLOW) ||
+            workflow.equals(FUNDABLE_WORKFLOW) ||
+            workflow.equals(PAYOUTABLE_WORKFLOW) ||
+            workflow.equals(OVERDRAFTABLE_WORKFLOW);
+    }
+
+    function _workflowKey(string memory workflow) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_PAUSED_WORKFLOWS, workflow));
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _setPaused(bool value) private returns (bool) {
+        return whichEternalStorage().setBool(PAUSABLE_CONTRACT_NAME, _PAUSED, value);
+    }
+
+    function _setWorkflowPaused(string memory workflow, bool value) private returns (bool) {
+        return whichEternalStorage().setBool(PAUSABLE_CONTRACT_NAME, _workflowKey(workflow), value);
+    }
+
+}
@@ -61,8 +61,8 @@ contract Payoutable is IPayoutable, Holdable {
      * as a "yes or no" flag
      * @param orderer The address to be approved as potential issuer of payouts
      */
-    function approveToOrderPayout(address orderer) external returns (bool) {
-        address walletToDebit = msg.sender;
+    function approveToOrderPayout(address orderer) external whenNotPaused(PAYOUTABLE_WORKFLOW) returns (bool) {
+        address walletToDebit = _msgSender();
         _check(_canApproveToOrderPayout, walletToDebit, orderer);
         return _approveToOrderPayout(walletToDebit, orderer);
     }
@@ -72,7 +72,7 @@ contract Payoutable is IPayoutable, Holdable {
      * @param orderer The address to be revoked as potential issuer of payout requests
      */
     function revokeApprovalToOrderPayout(address orderer) external returns (bool) {
-        address walletToDebit = msg.sender;
+        address walletToDebit = _msgSender();
         return _revokeApprovalToOrderPayout(walletToDebit, orderer);
     }
 
@@ -92,10 +92,11 @@ contract Payoutable is IPayoutable, Holdable {
         string calldata instructions
     )
         external
+        whenNotPaused(PAYOUTABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
-        address walletToDebit = msg.sender;
+        address orderer = _msgSender();
+        address walletToDebit = _msgSender();
         _check(_canOrderPayout, walletToDebit, orderer, amount);
         return _createPayout(orderer, operationId, walletToDebit, amount, instructions);
     }
@@ -116,9 +117,10 @@ contract Payoutable is IPayoutable, Holdable {
         string calldata instructions
     )
         external
+        whenNotPaused(PAYOUTABLE_WORKFLOW)
         returns (bool)
     {
-        address orderer = msg.sender;
+        address orderer = _msgSender();
         require(orderer == walletToDebit || _isApprovedToOrderPayout(walletToDebit, orderer), "Not approved to request payout");
         _check(_canOrderPayout, walletToDebit, orderer, amount);
         return _createPayout(orderer, operationId, walletToDebit, amount, instructions);
@@ -131,10 +133,10 @@ contract Payoutable is IPayoutable, Holdable {
      * @dev Only the original orderer can actually cancel an outstanding payout
      */
     function cancelPayout(string calldata operationId) external
-        payoutInStatus(msg.sender, operationId, PayoutStatusCode.Ordered)
+        payoutInStatus(_msgSender(), operationId, PayoutStatusCode.Ordered)
         returns (bool)
     {
-        address orderer = msg.sender;
+        address orderer = _msgSender();
         _finalizeHold(orderer, operationId, HoldStatusCode.ReleasedByNotary);
         emit HoldReleased(orderer, operationId, HoldStatusCode.ReleasedByNotary);
         emit PayoutCancelled(orderer, operationId);
@@ -158,6 +160,7 @@ contract Payoutable is IPayoutable, Holdable {
      */
     function processPayout(address orderer, string calldata operationId) external
         payoutInStatus(orderer, operationId, PayoutStatusCode.Ordered)
+        whenNotPaused(PAYOUTABLE_WORKFLOW)
         returns (bool)
     {
         requireRole(OPERATOR_ROLE);
@@ -179,6 +182,7 @@ contract Payoutable is IPayoutable, Holdable {
      * 
      */
     function putFundsInSuspenseInPayout(address orderer, string calldata operationId) external
+        whenNotPaused(PAYOUTABLE_WORKFLOW)
         returns (bool)
     {
         requireRole(OPERATOR_ROLE);
@@ -203,17 +207,16 @@ contract Payoutable is IPayoutable, Holdable {
      * the payout (together with the address of the orderer)
      * @dev Only operator can do this
      * @dev The payout needs to be in FundsInSuspense in order to be able to be executed
+     * @dev Execution fails if the wallet would go above the payout limit of its KYC tier (see KYCTiered), which is
+     * checked again on execution
+     * @dev Payouts that require four-eyes approval have to be proposed instead (see MakerChecker), as well as those above
+     * the caps of the operator (see OperatorCapped)
      * 
      */
-    function executePayout(address orderer, string calldata operationId) external
-        payoutInStatus(orderer, operationId, PayoutStatusCode.FundsInSuspense)
-        returns (bool)
-    {
+    function executePayout(address orderer, string calldata operationId) external returns (bool) {
         requireRole(OPERATOR_ROLE);
-        uint256 amount = _getPayoutAmount(orderer, operationId);
-        _removeFunds(SUSPENSE_WALLET, amount);
-        emit PayoutExecuted(orderer, operationId);
-        return _setPayoutStatus(orderer, operationId, PayoutStatusCode.Executed);
+        _requireNoApproval(ApprovalAction.ExecutePayout, _getPayoutAmount(orderer, operationId));
+        return _executePayout(orderer, operationId);
     }
 
     /**
@@ -289,6 +292,24 @@ contract Payoutable is IPayoutable, Holdable {
 
     // Internal functions
 
+    function _executePayout(address orderer, string memory operationId) internal
+        payoutInStatus(orderer, operationId, PayoutStatusCode.FundsInSuspense)
+        whenNotPaused(PAYOUTABLE_WORKFLOW)
+        returns (bool)
+    {
+        address walletToDebit = _getWalletToDebit(orderer, operationId);
+        uint256 amount = _getPayoutAmount(orderer, operationId);
+        _check(_canExecutePayout, walletToDebit, amount);
+        _removeFunds(SUSPENSE_WALLET, amount);
+        _recordPayout(walletToDebit, amount);
+        emit PayoutExecuted(orderer, operationId);
+        return _setPayoutStatus(orderer, operationId, PayoutStatusCode.Executed);
+    }
+
+    function _payoutAmount(address orderer, string memory operationId) internal view returns (uint256) {
+        return _getPayoutAmount(orderer, operationId);
+    }
+
     function _createPayout(address orderer, string memory operationId, address walletToDebit, uint256 amount, string memory instructions)
         internal
         payoutDoesNotExist(orderer, operationId)
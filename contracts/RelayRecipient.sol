@@ -0,0 +1,87 @@
+pragma solidity ^0.5;
+
+import "../../EternalStorage/contracts/EternalStorageConnector.sol";
+
+/**
+ * @title RelayRecipient
+ * @dev The RelayRecipient contract allows the methods of the token to be called through a trusted forwarder
+ * (see Forwarder.sol), so users can submit EIP-712 signed requests (meta-transactions) that are relayed by a
+ * third party paying for the gas. When a call comes from the trusted forwarder, the forwarder appends the
+ * address of the original signer at the end of the calldata, and _msgSender() returns this address instead
+ * of msg.sender. Upstream contracts must therefore use _msgSender() wherever they would use msg.sender
+ * @dev The address of the trusted forwarder is stored in the eternal storage, and can only be changed by the owner
+ */
+contract RelayRecipient is EternalStorageConnector {
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private RELAYRECIPIENT_CONTRACT_NAME = "RelayRecipient";
+
+    /**
+     * @dev Data structures
+     * @dev _TRUSTED_FORWARDER : address of the forwarder contract that is trusted to relay signed requests
+     */
+    bytes32 constant private _TRUSTED_FORWARDER = "_trustedForwarder";
+
+    // Events
+
+    event TrustedForwarderSet(address indexed previousForwarder, address indexed newForwarder);
+
+    // External functions
+
+    /**
+     * @notice Sets the forwarder contract that is trusted to relay signed requests on behalf of users
+     * @param forwarder The address of the forwarder contract (address(0) to disable meta-transactions)
+     * @dev Only the owner can do this
+     */
+    function setTrustedForwarder(address forwarder) external onlyOwner returns (bool) {
+        emit TrustedForwarderSet(_getTrustedForwarder(), forwarder);
+        return _setTrustedForwarder(forwarder);
+    }
+
+    /**
+     * @notice Returns the forwarder contract that is trusted to relay signed requests
+     */
+    function trustedForwarder() external view returns (address) {
+        return _getTrustedForwarder();
+    }
+
+    /**
+     * @notice Returns whether an address is the trusted forwarder
+     * @param forwarder The address in question
+     */
+    function isTrustedForwarder(address forwarder) external view returns (bool) {
+        return _isTrustedForwarder(forwarder);
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Returns the actual sender of the call: the address appended to the calldata if the call comes from the
+     * trusted forwarder, or msg.sender otherwise
+     */
+    function _msgSender() internal view returns (address sender) {
+        if(msg.data.length >= 20 && _isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := div(calldataload(sub(calldatasize, 20)), 0x1000000000000000000000000)
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    function _isTrustedForwarder(address forwarder) internal view returns (bool) {
+        return forwarder != address(0) && forwarder == _getTrustedForwarder();
+    }
+
+    // Private functions
+
+    function _getTrustedForwarder() private view returns (address) {
+        return whichEternalStorage().getAddress(RELAYRECIPIENT_CONTRACT_NAME, _TRUSTED_FORWARDER);
+    }
+
+    function _setTrustedForwarder(address forwarder) private returns (bool) {
+        return whichEternalStorage().setAddress(RELAYRECIPIENT_CONTRACT_NAME, _TRUSTED_FORWARDER, forwarder);
+    }
+
+}
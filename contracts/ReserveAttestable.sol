@@ -0,0 +1,244 @@
+pragma solidity ^0.5;
+
+import "./ConsolidatedLedger.sol";
+import "./RoleControl.sol";
+import "./libraries/ECDSA.sol";
+
+/**
+ * @title ReserveAttestable
+ * @notice ReserveAttestable implements a registry of reserve attestations, where auditors post the balances of the omnibus
+ * accounts that back the tokens (together with the hash of the signed audit report). Once a reserve has been attested,
+ * operations that create money (minting and funding execution) are only allowed as long as the total supply stays
+ * below the latest attested reserve minus a safety buffer set by the CRO
+ * @dev Attestations are signed by the auditor (EIP-712 typed data over the amount, the time and the report hash, see
+ * lib/reserveAttestation.js), so they can be submitted by anyone (e.g. relayed by the issuer), and the attested figures
+ * are bound to the key of an auditor rather than just to the sender of the transaction
+ * @dev The gate is not enforced until the first attestation is posted, so existing deployments keep working until auditors
+ * are onboarded
+ * @dev This contract is intended to be used from upstream contracts through inheritance, by calling
+ * _requireReserveCoverage() after the funds are added to the ledger
+ */
+contract ReserveAttestable is ConsolidatedLedger, RoleControl {
+
+    using SafeMath for uint256;
+
+    uint256 constant private FULL_COVERAGE = 10000;
+
+    /**
+     * @dev EIP-712 type hash of the ReserveAttestation struct signed by auditors
+     */
+    bytes32 constant private RESERVE_ATTESTATION_TYPEHASH =
+        keccak256("ReserveAttestation(uint256 amount,uint256 asOf,bytes32 reportHash)");
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private RESERVEATTESTABLE_CONTRACT_NAME = "ReserveAttestable";
+
+    /**
+     * @dev Data structures
+     * @dev _RESERVE_ATTESTATIONS : uint256 with the number of attestations posted so far
+     * @dev _RESERVE_AMOUNT : uint256 with the reserve in the latest attestation
+     * @dev _RESERVE_AS_OF : uint256 with the time (timestamp) at which the latest attested reserve was measured
+     * @dev _RESERVE_REPORT_HASH : uint256 with the hash of the signed report supporting the latest attestation
+     * @dev _RESERVE_AUDITOR : address of the auditor who posted the latest attestation
+     * @dev _RESERVE_BUFFER : uint256 with the safety buffer that is kept between the total supply and the reserve
+     */
+    bytes32 constant private _RESERVE_ATTESTATIONS = "_reserveAttestations";
+    bytes32 constant private _RESERVE_AMOUNT =       "_reserveAmount";
+    bytes32 constant private _RESERVE_AS_OF =        "_reserveAsOf";
+    bytes32 constant private _RESERVE_REPORT_HASH =  "_reserveReportHash";
+    bytes32 constant private _RESERVE_AUDITOR =      "_reserveAuditor";
+    bytes32 constant private _RESERVE_BUFFER =       "_reserveBuffer";
+
+    // Events
+
+    event ReserveAttested(address indexed auditor, uint256 amount, uint256 asOf, bytes32 indexed reportHash);
+    event ReserveBufferSet(uint256 oldBuffer, uint256 newBuffer);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Posts a new attestation of the reserve held in the omnibus accounts, signed by an auditor
+     * @param amount The total balance of the omnibus accounts (in the same units as the token)
+     * @param asOf The time (timestamp) at which the balance was measured, which cannot be in the future nor older than
+     * the latest attestation
+     * @param reportHash The hash of the signed report supporting the attestation
+     * @param v The recovery byte of the signature of the auditor
+     * @param r Half of the ECDSA signature pair
+     * @param s Half of the ECDSA signature pair
+     * @dev Anyone can submit the attestation, but it has to be signed by an auditor
+     */
+    function attestReserve(
+        uint256 amount,
+        uint256 asOf,
+        bytes32 reportHash,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        returns (bool)
+    {
+        require(asOf <= block.timestamp, "Attestation cannot be in the future");
+        require(asOf >= _getReserveAsOf(), "Attestation older than the latest one");
+        bytes32 structHash = keccak256(abi.encode(RESERVE_ATTESTATION_TYPEHASH, amount, asOf, reportHash));
+        address auditor = ECDSA.recover(ECDSA.toTypedDataHash(_domainSeparator(), structHash), v, r, s);
+        require(auditor != address(0) && _hasRole(auditor, AUDITOR_ROLE), "Attestation not signed by an auditor");
+        emit ReserveAttested(auditor, amount, asOf, reportHash);
+        return
+            _setReserveAttestations(_getReserveAttestations().add(1)) &&
+            _setReserveAmount(amount) &&
+            _setReserveAsOf(asOf) &&
+            _setReserveReportHash(reportHash) &&
+            _setReserveAuditor(auditor);
+    }
+
+    /**
+     * @notice Sets the safety buffer to be kept between the total supply and the latest attested reserve
+     * @param buffer The new buffer
+     * @dev Only the CRO can do this
+     */
+    function setReserveBuffer(uint256 buffer) external returns (bool) {
+        requireRole(CRO_ROLE);
+        emit ReserveBufferSet(_getReserveBuffer(), buffer);
+        return _setReserveBuffer(buffer);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the latest reserve attestation
+     * @return amount: the attested reserve
+     * @return asOf: the time at which the reserve was measured
+     * @return reportHash: the hash of the signed report supporting the attestation
+     * @return auditor: the auditor who posted the attestation
+     * @return attestations: the number of attestations posted so far (0 if no reserve has been attested yet)
+     */
+    function latestReserveAttestation()
+        external view
+        returns (
+            uint256 amount,
+            uint256 asOf,
+            bytes32 reportHash,
+            address auditor,
+            uint256 attestations
+        )
+    {
+        amount = _getReserveAmount();
+        asOf = _getReserveAsOf();
+        reportHash = _getReserveReportHash();
+        auditor = _getReserveAuditor();
+        attestations = _getReserveAttestations();
+    }
+
+    /**
+     * @notice Returns the safety buffer kept between the total supply and the latest attested reserve
+     */
+    function reserveBuffer() external view returns (uint256) {
+        return _getReserveBuffer();
+    }
+
+    /**
+     * @notice Returns how much can still be minted or funded before the reserve gate is hit (the maximum uint256 value
+     * if no reserve has been attested yet)
+     */
+    function mintableAmount() external view returns (uint256) {
+        if(_getReserveAttestations() == 0) {
+            return 2**256 - 1;
+        }
+        uint256 limit = _reserveLimit();
+        uint256 supply = _totalSupply();
+        return limit > supply ? limit.sub(supply) : 0;
+    }
+
+    /**
+     * @notice Returns the coverage ratio of the tokens in circulation, i.e. the latest attested reserve divided by the total
+     * supply, in basis points (10000 means the tokens are exactly 100% backed)
+     * @dev Returns 0 if no reserve has been attested yet, and the maximum uint256 value if there are no tokens in
+     * circulation
+     */
+    function coverageRatio() external view returns (uint256) {
+        uint256 supply = _totalSupply();
+        if(_getReserveAttestations() == 0) {
+            return 0;
+        } else if(supply == 0) {
+            return 2**256 - 1;
+        } else {
+            return _getReserveAmount().mul(FULL_COVERAGE).div(supply);
+        }
+    }
+
+    // Internal functions
+
+    function _requireReserveCoverage() internal view {
+        if(_getReserveAttestations() == 0) {
+            return;
+        }
+        require(_totalSupply() <= _reserveLimit(), "Total supply above attested reserve");
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator under which auditors sign attestations (the one of the token, which is
+     * built upstream)
+     */
+    function _domainSeparator() internal view returns (bytes32);
+
+    // Private functions
+
+    function _reserveLimit() private view returns (uint256) {
+        uint256 reserve = _getReserveAmount();
+        uint256 buffer = _getReserveBuffer();
+        return reserve > buffer ? reserve.sub(buffer) : 0;
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getReserveAttestations() private view returns (uint256) {
+        return whichEternalStorage().getUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_ATTESTATIONS);
+    }
+
+    function _setReserveAttestations(uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_ATTESTATIONS, value);
+    }
+
+    function _getReserveAmount() private view returns (uint256) {
+        return whichEternalStorage().getUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AMOUNT);
+    }
+
+    function _setReserveAmount(uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AMOUNT, value);
+    }
+
+    function _getReserveAsOf() private view returns (uint256) {
+        return whichEternalStorage().getUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AS_OF);
+    }
+
+    function _setReserveAsOf(uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AS_OF, value);
+    }
+
+    function _getReserveReportHash() private view returns (bytes32) {
+        return bytes32(whichEternalStorage().getUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_REPORT_HASH));
+    }
+
+    function _setReserveReportHash(bytes32 value) private returns (bool) {
+        return whichEternalStorage().setUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_REPORT_HASH, uint256(value));
+    }
+
+    function _getReserveAuditor() private view returns (address) {
+        return whichEternalStorage().getAddress(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AUDITOR);
+    }
+
+    function _setReserveAuditor(address value) private returns (bool) {
+        return whichEternalStorage().setAddress(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_AUDITOR, value);
+    }
+
+    function _getReserveBuffer() private view returns (uint256) {
+        return whichEternalStorage().getUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_BUFFER);
+    }
+
+    function _setReserveBuffer(uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(RESERVEATTESTABLE_CONTRACT_NAME, _RESERVE_BUFFER, value);
+    }
+
+}
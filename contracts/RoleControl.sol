@@ -2,7 +2,8 @@ pragma solidity ^0.5;
 
 import "./libraries/Roles.sol";
 import "./libraries/Strings.sol";
-import "../../EternalStorage/contracts/EternalStorageConnector.sol";
+import "./RelayRecipient.sol";
+import "./interface/IComplianceAuthority.sol";
 
 /**
  * @title RoleControl
@@ -16,10 +17,30 @@ import "../../EternalStorage/contracts/EternalStorageConnector.sol";
  * @dev Since roles data are stored in the EternalStorage, no roles can be assigned in the constructor (because
  * EternalStorage needs to be connected after construction). Required roles need to be assigned for the first time upon
  * connection to EternalStorage
+ * @dev Roles are checked against _msgSender(), so role holders can also act through the trusted forwarder (see
+ * RelayRecipient)
+ * @dev Roles can also be delegated to a compliance authority shared by several tokens (see ComplianceAuthority). When
+ * an authority is set, roles are read from the authority and can only be managed there. Tokens set their authority
+ * through the timelock (see Timelocked), as pointing to another authority changes who holds every role
+ * @dev Every role has an admin role, whose holders can give and revoke it. By default the admin role of a role is the
+ * same name with an "Admin" suffix (e.g. "complianceAdmin" manages "compliance"), which the owner can change with
+ * setRoleAdmin. Admin roles are roles as well, so a hierarchy of any depth can be set up
+ * @dev The owner no longer manages roles routinely: it keeps break-glass rights to give or revoke any role (e.g. to
+ * bootstrap the first admins, or to recover from a lost admin key), which are logged with a specific event
+ * @dev The guardian roles are the exception, as guardians are there to check the owner (see Timelocked): guardians are
+ * managed by the guardian admins, who manage themselves, and the owner can neither change these admin roles nor give
+ * or revoke the guardian roles through break-glass. The only exception is the first guardian admin, which the owner
+ * gives through break-glass when setting the token up (this can only be done once)
+ * @dev The members of each role, and the roles of each address, are kept in enumerable lists together with the date
+ * and the granter of each grant, so role holders can be audited without replaying events (see scripts/roleMatrix.js).
+ * As with the whitelist, these views only cover the roles managed locally
+ * @dev Roles given before the enumerable lists were introduced (i.e. by a previous version of the contract on the same
+ * eternal storage) are not in the lists until they are re-indexed by the owner with reindexRoles, which takes the
+ * accounts to look at (e.g. from the RoleAdded events). Their granter and date are unknown, so they are left as 0
  * @dev RoleControl inherits Ownable through EternalStorageWrapper, which in turn inherits from EternalStorageWrapperBase,
  * which is Ownable. Therefore onlyOwner is still used for technical admin purposes throughout the contract
  */
-contract RoleControl is EternalStorageConnector {
+contract RoleControl is RelayRecipient {
 
     using Roles for Roles.Role;
     using Strings for string;
@@ -43,6 +64,28 @@ contract RoleControl is EternalStorageConnector {
      */
     string constant public COMPLIANCE_ROLE = "compliance";
 
+    /**
+     * @notice PAUSER_ROLE is the predefined role with rights to pause and unpause the token (or individual
+     * workflows within it) in case of an incident
+     */
+    string constant public PAUSER_ROLE = "pauser";
+
+    /**
+     * @notice AUDITOR_ROLE is the predefined role with rights to attest the reserves backing the token
+     */
+    string constant public AUDITOR_ROLE = "auditor";
+
+    /**
+     * @notice GUARDIAN_ROLE is the predefined role with rights to cancel the emergency actions queued by the owner, and
+     * to end declared emergencies (see Timelocked)
+     */
+    string constant public GUARDIAN_ROLE = "guardian";
+
+    /**
+     * @notice GUARDIAN_ADMIN_ROLE is the predefined role with rights to give and revoke the guardian role (and itself)
+     */
+    string constant public GUARDIAN_ADMIN_ROLE = "guardianAdmin";
+
     // Data structures (in eternal storage)
 
     bytes32 constant private ROLECONTROL_CONTRACT_NAME = "RoleControl";
@@ -50,13 +93,48 @@ contract RoleControl is EternalStorageConnector {
     /**
      * @dev Data structures
      * @dev _ROLES :mapping (string => mapping (address => bool)) storing the repository of roles
+     * @dev _COMPLIANCE_AUTHORITY : address of the compliance authority to which roles (and whitelisting) are delegated, if any
+     * @dev _ROLE_ADMINS : mapping (string => string) with the admin roles set for the roles (implemented as string
+     * variables named keccak256(_ROLE_ADMINS, role))
+     * @dev _ROLE_NAMES : list of the roles ever given, implemented as a uint variable with their number and string
+     * variables named keccak256(_ROLE_NAMES, index), plus bool variables named keccak256(_ROLE_NAMES, role) to flag them
+     * @dev _ROLE_MEMBERS : lists of the members of each role, implemented as uint variables named
+     * keccak256(_ROLE_MEMBERS, role) with their number, address variables named keccak256(_ROLE_MEMBERS, role, index)
+     * with the members, and uint variables named keccak256(_ROLE_MEMBER_POSITIONS, role, account) with their positions (+1)
+     * @dev _ACCOUNT_ROLES : lists of the roles of each address, implemented as uint variables named
+     * keccak256(_ACCOUNT_ROLES, account) with their number, string variables named keccak256(_ACCOUNT_ROLES, account, index)
+     * with the roles, and uint variables named keccak256(_ACCOUNT_ROLE_POSITIONS, account, role) with their positions (+1)
+     * @dev _ROLE_GRANTERS, _ROLE_GRANT_DATES : the address that gave each role to each account, and when (implemented as
+     * variables named keccak256(_ROLE_GRANTERS / _ROLE_GRANT_DATES, role, account))
+     * @dev _GUARDIAN_ADMIN_BOOTSTRAPPED : bool telling whether the owner has already given the first guardian admin role
      */
     bytes32 constant private _ROLES = "_roles";
+    bytes32 constant private _COMPLIANCE_AUTHORITY = "_complianceAuthority";
+    bytes32 constant private _ROLE_ADMINS = "_roleAdmins";
+    bytes32 constant private _ROLE_NAMES = "_roleNames";
+    bytes32 constant private _ROLE_MEMBERS = "_roleMembers";
+    bytes32 constant private _ROLE_MEMBER_POSITIONS = "_roleMemberPositions";
+    bytes32 constant private _ACCOUNT_ROLES = "_accountRoles";
+    bytes32 constant private _ACCOUNT_ROLE_POSITIONS = "_accountRolePositions";
+    bytes32 constant private _ROLE_GRANTERS = "_roleGranters";
+    bytes32 constant private _ROLE_GRANT_DATES = "_roleGrantDates";
+    bytes32 constant private _GUARDIAN_ADMIN_BOOTSTRAPPED = "_guardianAdminBootstrapped";
 
     // Events
     
     event RoleAdded(address indexed account, string role);
     event RoleRevoked(address indexed account, string role);
+    event ComplianceAuthoritySet(address indexed previousAuthority, address indexed newAuthority);
+    event RoleAdminChanged(string role, string previousAdminRole, string newAdminRole);
+    event BreakGlassRoleChange(address indexed account, string role, bool granted);
+    event RoleReindexed(address indexed account, string role);
+
+    // Modifiers
+
+    modifier notDelegatedToAuthority() {
+        require(_complianceAuthority() == address(0), "Managed by the compliance authority");
+        _;
+    }
 
     // Constructor
 
@@ -71,48 +149,381 @@ contract RoleControl is EternalStorageConnector {
         return _hasRole(account, role);
     }
 
+    /**
+     * @notice Returns the admin role of a role, i.e. the role whose holders can give and revoke it
+     * @param role The role in question
+     */
+    function roleAdmin(string calldata role) external view returns (string memory) {
+        return _roleAdmin(role);
+    }
+
     /**
      * @notice Gives a role to an address
-     * @dev Only an address with the Admin role can add roles
+     * @dev Only an address with the admin role of the role can add it
      * @param account The address to which the role is going to be given
      * @param role The role being given
      */
-    function addRole(address account, string calldata role) external onlyOwner returns (bool) {
+    function addRole(address account, string calldata role) external notDelegatedToAuthority returns (bool) {
+        requireRole(_roleAdmin(role));
         require(account != address(0), "Cannot add role to address 0");
         return _addRole(account, role);
     }
 
     /**
      * @notice Revokes a role from a particular address
-     * @dev Only an address with the Admin role can revoke roles
+     * @dev Only an address with the admin role of the role can revoke it
+     * @param account The address being revoked
+     * @param role The role being revoked
+     */
+    function revokeRole(address account, string calldata role) external notDelegatedToAuthority returns (bool) {
+        requireRole(_roleAdmin(role));
+        require(account != address(0), "Cannot revoke role from address 0");
+        return _removeRole(account, role);
+    }
+
+    /**
+     * @notice Sets the admin role of a role
+     * @param role The role in question
+     * @param adminRole The new admin role (empty to go back to the default one, i.e. the role with an "Admin" suffix)
+     * @dev Only the owner can do this, and not for the guardian roles
+     */
+    function setRoleAdmin(string calldata role, string calldata adminRole) external onlyOwner notDelegatedToAuthority returns (bool) {
+        require(bytes(role).length > 0, "Role cannot be empty");
+        require(!_isGuardianRole(role), "Admin of the guardian roles cannot be changed");
+        emit RoleAdminChanged(role, _roleAdmin(role), bytes(adminRole).length > 0 ? adminRole : _defaultRoleAdmin(role));
+        return _setRoleAdmin(role, adminRole);
+    }
+
+    /**
+     * @notice Gives a role to an address bypassing the admin roles, e.g. to bootstrap the first admins
+     * @param account The address to which the role is going to be given
+     * @param role The role being given
+     * @dev Only the owner can do this, and not for the guardian roles (but for giving the first guardian admin role)
+     */
+    function breakGlassAddRole(address account, string calldata role) external onlyOwner notDelegatedToAuthority returns (bool) {
+        require(account != address(0), "Cannot add role to address 0");
+        if(role.equals(GUARDIAN_ADMIN_ROLE) && !_getGuardianAdminBootstrapped()) {
+            _setGuardianAdminBootstrapped();
+        } else {
+            require(!_isGuardianRole(role), "Guardian roles cannot be given through break-glass");
+        }
+        emit BreakGlassRoleChange(account, role, true);
+        return _addRole(account, role);
+    }
+
+    /**
+     * @notice Revokes a role from an address bypassing the admin roles, e.g. to recover from a compromised admin key
      * @param account The address being revoked
      * @param role The role being revoked
+     * @dev Only the owner can do this, and not for the guardian roles
      */
-    function revokeRole(address account, string calldata role) external onlyOwner returns (bool) {
+    function breakGlassRevokeRole(address account, string calldata role) external onlyOwner notDelegatedToAuthority returns (bool) {
         require(account != address(0), "Cannot revoke role from address 0");
+        require(!_isGuardianRole(role), "Guardian roles cannot be revoked through break-glass");
+        emit BreakGlassRoleChange(account, role, false);
         return _removeRole(account, role);
     }
 
+    /**
+     * @notice Adds the accounts holding a role to the enumerable lists of members and roles, for roles given before
+     * the lists were introduced
+     * @param accounts The accounts to re-index, which must hold the role
+     * @param role The role in question
+     * @dev Accounts already in the lists are skipped, so this can be run more than once
+     * @dev Only the owner can do this
+     */
+    function reindexRoles(address[] calldata accounts, string calldata role) external onlyOwner notDelegatedToAuthority returns (bool) {
+        _registerRoleName(role);
+        for(uint256 i = 0; i < accounts.length; i++) {
+            require(_hasRole(accounts[i], role), "Account does not have the role");
+            if(_getRoleMemberPosition(role, accounts[i]) == 0) {
+                emit RoleReindexed(accounts[i], role);
+                _addRoleMember(role, accounts[i]);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @notice Returns the compliance authority to which roles and whitelisting are delegated (address(0) if none)
+     */
+    function complianceAuthority() external view returns (address) {
+        return _complianceAuthority();
+    }
+
+    /**
+     * @notice Returns the number of roles that have ever been given
+     */
+    function manyRoles() external view returns (uint256) {
+        return _getRoleCount();
+    }
+
+    /**
+     * @notice Returns a role from the list of roles that have ever been given
+     * @param index The position of the role in the list
+     */
+    function roleAt(uint256 index) external view returns (string memory) {
+        require(index < _getRoleCount(), "Role does not exist");
+        return _getRoleName(index);
+    }
+
+    /**
+     * @notice Returns the current members of a role
+     * @param role The role in question
+     */
+    function roleMembers(string calldata role) external view returns (address[] memory members) {
+        members = new address[](_getRoleMemberCount(role));
+        for(uint256 i = 0; i < members.length; i++) {
+            members[i] = _getRoleMember(role, i);
+        }
+    }
+
+    /**
+     * @notice Returns the number of roles currently held by an address
+     * @param account The address in question
+     */
+    function manyRolesOf(address account) external view returns (uint256) {
+        return _getAccountRoleCount(account);
+    }
+
+    /**
+     * @notice Returns a role from the list of roles currently held by an address
+     * @param account The address in question
+     * @param index The position of the role in the list
+     */
+    function roleOfAt(address account, uint256 index) external view returns (string memory) {
+        require(index < _getAccountRoleCount(account), "Role does not exist");
+        return _getAccountRole(account, index);
+    }
+
+    /**
+     * @notice Returns the details of the grant of a role to an address
+     * @param account The address in question
+     * @param role The role in question
+     * @return granted: whether the address currently holds the role
+     * @return granter: the address that gave the role
+     * @return date: the date (timestamp) when the role was given
+     */
+    function roleGrant(address account, string calldata role)
+        external view
+        returns (
+            bool granted,
+            address granter,
+            uint256 date
+        )
+    {
+        granted = _getRoleMemberPosition(role, account) != 0;
+        granter = _getRoleGranter(role, account);
+        date = _getRoleGrantDate(role, account);
+    }
+
     // Internal functions
 
+    function _complianceAuthority() internal view returns (address) {
+        return _getComplianceAuthority();
+    }
+
+    function _changeComplianceAuthority(address authority) internal returns (bool) {
+        emit ComplianceAuthoritySet(_complianceAuthority(), authority);
+        return _setComplianceAuthority(authority);
+    }
+
     function requireRole(string memory role) internal view {
-        require(_hasRole(msg.sender, role), string("Sender does not have role ").concat(role));
+        require(_hasRole(_msgSender(), role), string("Sender does not have role ").concat(role));
     } 
 
     // Private functions
 
+    function _roleAdmin(string memory role) private view returns (string memory) {
+        if(_isGuardianRole(role)) {
+            return GUARDIAN_ADMIN_ROLE;
+        }
+        string memory adminRole = _getRoleAdmin(role);
+        return bytes(adminRole).length > 0 ? adminRole : _defaultRoleAdmin(role);
+    }
+
+    function _defaultRoleAdmin(string memory role) private pure returns (string memory) {
+        return role.concat(string("Admin"));
+    }
+
+    function _isGuardianRole(string memory role) private pure returns (bool) {
+        return role.equals(GUARDIAN_ROLE) || role.equals(GUARDIAN_ADMIN_ROLE);
+    }
+
     function _addRole(address _account, string memory _role) private returns (bool) {
         emit RoleAdded(_account, _role);
+        _registerRoleName(_role);
+        _addRoleMember(_role, _account);
+        _setRoleGranter(_role, _account, _msgSender());
+        _setRoleGrantDate(_role, _account, block.timestamp);
         return whichEternalStorage().setBoolInDoubleAddressStringMapping(ROLECONTROL_CONTRACT_NAME, _ROLES, _account, _role, true);
     }
 
     function _removeRole(address _account, string memory _role) private returns (bool) {
         emit RoleRevoked(_account, _role);
+        _removeRoleMember(_role, _account);
         return whichEternalStorage().deleteBoolFromDoubleAddressStringMapping(ROLECONTROL_CONTRACT_NAME, _ROLES, _account, _role);
     }
 
+    function _registerRoleName(string memory role) private {
+        if(!_isRoleNameRegistered(role)) {
+            uint256 count = _getRoleCount();
+            _setRoleName(count, role);
+            _setRoleCount(count + 1);
+            _setRoleNameRegistered(role);
+        }
+    }
+
+    function _addRoleMember(string memory role, address account) private {
+        if(_getRoleMemberPosition(role, account) == 0) {
+            uint256 memberCount = _getRoleMemberCount(role);
+            _setRoleMember(role, memberCount, account);
+            _setRoleMemberPosition(role, account, memberCount + 1);
+            _setRoleMemberCount(role, memberCount + 1);
+            uint256 roleCount = _getAccountRoleCount(account);
+            _setAccountRole(account, roleCount, role);
+            _setAccountRolePosition(account, role, roleCount + 1);
+            _setAccountRoleCount(account, roleCount + 1);
+        }
+    }
+
+    function _removeRoleMember(string memory role, address account) private {
+        uint256 memberPosition = _getRoleMemberPosition(role, account);
+        if(memberPosition != 0) {
+            uint256 lastMember = _getRoleMemberCount(role) - 1;
+            address movedAccount = _getRoleMember(role, lastMember);
+            _setRoleMember(role, memberPosition - 1, movedAccount);
+            _setRoleMemberPosition(role, movedAccount, memberPosition);
+            _setRoleMemberPosition(role, account, 0);
+            _setRoleMemberCount(role, lastMember);
+            uint256 rolePosition = _getAccountRolePosition(account, role);
+            uint256 lastRole = _getAccountRoleCount(account) - 1;
+            string memory movedRole = _getAccountRole(account, lastRole);
+            _setAccountRole(account, rolePosition - 1, movedRole);
+            _setAccountRolePosition(account, movedRole, rolePosition);
+            _setAccountRolePosition(account, role, 0);
+            _setAccountRoleCount(account, lastRole);
+        }
+    }
+
     function _hasRole(address _account, string memory _role) public view returns (bool) {
+        address authority = _complianceAuthority();
+        if(authority != address(0)) {
+            return IComplianceAuthority(authority).hasRole(_account, _role);
+        }
         return whichEternalStorage().getBoolFromDoubleAddressStringMapping(ROLECONTROL_CONTRACT_NAME, _ROLES, _account, _role);
     }
 
-}
\ No newline at end of file
+    function _getComplianceAuthority() private view returns (address) {
+        return whichEternalStorage().getAddress(ROLECONTROL_CONTRACT_NAME, _COMPLIANCE_AUTHORITY);
+    }
+
+    function _setComplianceAuthority(address authority) private returns (bool) {
+        return whichEternalStorage().setAddress(ROLECONTROL_CONTRACT_NAME, _COMPLIANCE_AUTHORITY, authority);
+    }
+
+    function _getGuardianAdminBootstrapped() private view returns (bool) {
+        return whichEternalStorage().getBool(ROLECONTROL_CONTRACT_NAME, _GUARDIAN_ADMIN_BOOTSTRAPPED);
+    }
+
+    function _setGuardianAdminBootstrapped() private returns (bool) {
+        return whichEternalStorage().setBool(ROLECONTROL_CONTRACT_NAME, _GUARDIAN_ADMIN_BOOTSTRAPPED, true);
+    }
+
+    function _getRoleAdmin(string memory role) private view returns (string memory) {
+        return whichEternalStorage().getString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_ADMINS, role)));
+    }
+
+    function _setRoleAdmin(string memory role, string memory adminRole) private returns (bool) {
+        return whichEternalStorage().setString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_ADMINS, role)), adminRole);
+    }
+
+    function _getRoleCount() private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, _ROLE_NAMES);
+    }
+
+    function _setRoleCount(uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, _ROLE_NAMES, count);
+    }
+
+    function _getRoleName(uint256 index) private view returns (string memory) {
+        return whichEternalStorage().getString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_NAMES, index)));
+    }
+
+    function _setRoleName(uint256 index, string memory role) private returns (bool) {
+        return whichEternalStorage().setString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_NAMES, index)), role);
+    }
+
+    function _isRoleNameRegistered(string memory role) private view returns (bool) {
+        return whichEternalStorage().getBool(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_NAMES, role)));
+    }
+
+    function _setRoleNameRegistered(string memory role) private returns (bool) {
+        return whichEternalStorage().setBool(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_NAMES, role)), true);
+    }
+
+    function _getRoleMemberCount(string memory role) private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBERS, role)));
+    }
+
+    function _setRoleMemberCount(string memory role, uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBERS, role)), count);
+    }
+
+    function _getRoleMember(string memory role, uint256 index) private view returns (address) {
+        return whichEternalStorage().getAddress(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBERS, role, index)));
+    }
+
+    function _setRoleMember(string memory role, uint256 index, address account) private returns (bool) {
+        return whichEternalStorage().setAddress(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBERS, role, index)), account);
+    }
+
+    function _getRoleMemberPosition(string memory role, address account) private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBER_POSITIONS, role, account)));
+    }
+
+    function _setRoleMemberPosition(string memory role, address account, uint256 position) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_MEMBER_POSITIONS, role, account)), position);
+    }
+
+    function _getAccountRoleCount(address account) private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLES, account)));
+    }
+
+    function _setAccountRoleCount(address account, uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLES, account)), count);
+    }
+
+    function _getAccountRole(address account, uint256 index) private view returns (string memory) {
+        return whichEternalStorage().getString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLES, account, index)));
+    }
+
+    function _setAccountRole(address account, uint256 index, string memory role) private returns (bool) {
+        return whichEternalStorage().setString(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLES, account, index)), role);
+    }
+
+    function _getAccountRolePosition(address account, string memory role) private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLE_POSITIONS, account, role)));
+    }
+
+    function _setAccountRolePosition(address account, string memory role, uint256 position) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ACCOUNT_ROLE_POSITIONS, account, role)), position);
+    }
+
+    function _getRoleGranter(string memory role, address account) private view returns (address) {
+        return whichEternalStorage().getAddress(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_GRANTERS, role, account)));
+    }
+
+    function _setRoleGranter(string memory role, address account, address granter) private returns (bool) {
+        return whichEternalStorage().setAddress(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_GRANTERS, role, account)), granter);
+    }
+
+    function _getRoleGrantDate(string memory role, address account) private view returns (uint256) {
+        return whichEternalStorage().getUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_GRANT_DATES, role, account)));
+    }
+
+    function _setRoleGrantDate(string memory role, address account, uint256 date) private returns (bool) {
+        return whichEternalStorage().setUint(ROLECONTROL_CONTRACT_NAME, keccak256(abi.encodePacked(_ROLE_GRANT_DATES, role, account)), date);
+    }
+
+}
@@ -0,0 +1,141 @@
+pragma solidity ^0.5;
+
+import "./Clearable.sol";
+import "./Payoutable.sol";
+
+/**
+ * @title Seizable
+ * @notice Seizable implements the forced transfers needed to enforce seizure orders from courts or regulators. The operator
+ * can move the available funds of a wallet, as well as the funds locked in its holds, to a seizure wallet designated
+ * by the owner. Forced transfers are not subject to compliance checks (they are typically performed on frozen wallets)
+ * and are recorded in events together with the legal reference of the order
+ * @dev Forced transfers go through the consolidated ledger (_removeFunds / _addFunds), so balances, drawn overdrafts and
+ * total supply stay consistent
+ * @dev Holds backing clearable transfers or payouts cannot be seized directly: the operator must reject them first (which
+ * releases the funds back to the wallet) and then seize the available funds
+ */
+contract Seizable is Clearable, Payoutable {
+
+    using SafeMath for uint256;
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private SEIZABLE_CONTRACT_NAME = "Seizable";
+
+    /**
+     * @dev Data structures
+     * @dev _SEIZURE_WALLET : address of the wallet to which seized funds are transferred
+     */
+    bytes32 constant private _SEIZURE_WALLET = "_seizureWallet";
+
+    // Events
+
+    event SeizureWalletSet(address indexed previousWallet, address indexed newWallet);
+    event ForcedTransfer(address indexed from, address indexed to, uint256 amount, string legalReference);
+    event HoldSeized(address indexed holder, string operationId, address indexed from, address indexed to, uint256 amount, string legalReference);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the wallet to which seized funds are transferred
+     * @param wallet The seizure wallet
+     * @dev Only the owner can do this
+     */
+    function setSeizureWallet(address wallet) external onlyOwner returns (bool) {
+        require(wallet != address(0), "Seizure wallet cannot be address 0");
+        emit SeizureWalletSet(_getSeizureWallet(), wallet);
+        return _setSeizureWallet(wallet);
+    }
+
+    /**
+     * @notice Transfers available funds from a wallet to the seizure wallet
+     * @param wallet The wallet from which the funds are seized
+     * @param amount The amount to be seized, which cannot exceed the seizable funds of the wallet (see seizableFunds)
+     * @param legalReference The reference of the order mandating the seizure
+     * @dev Only operator can do this
+     */
+    function forcedTransfer(address wallet, uint256 amount, string calldata legalReference) external returns (bool) {
+        requireRole(OPERATOR_ROLE);
+        require(bytes(legalReference).length > 0, "Legal reference is required");
+        require(amount <= _seizableFunds(wallet), "Not enough seizable funds");
+        address destination = _requireSeizureWallet();
+        _removeFunds(wallet, amount);
+        _addFunds(destination, amount);
+        emit ForcedTransfer(wallet, destination, amount, legalReference);
+        return true;
+    }
+
+    /**
+     * @notice Closes an active hold and transfers the funds on hold to the seizure wallet (instead of to the payee)
+     * @param holder The address of the original sender of the hold
+     * @param operationId The ID of the hold in question
+     * @param legalReference The reference of the order mandating the seizure
+     * @dev Only operator can do this
+     * @dev The hold is finalized as released by the operator
+     */
+    function forcedTransferHold(address holder, string calldata operationId, string calldata legalReference)
+        external
+        holdActive(holder, operationId)
+        returns (bool)
+    {
+        requireRole(OPERATOR_ROLE);
+        require(bytes(legalReference).length > 0, "Legal reference is required");
+        require(
+            !_doesClearableTransferExist(holder, operationId) && !_doesPayoutExist(holder, operationId),
+            "Hold backs a clearable transfer or a payout"
+        );
+        address destination = _requireSeizureWallet();
+        address from = _getHoldFrom(holder, operationId);
+        uint256 amount = _getHoldAmount(holder, operationId);
+        _finalizeHold(holder, operationId, HoldStatusCode.ReleasedByOperator);
+        emit HoldReleased(holder, operationId, HoldStatusCode.ReleasedByOperator);
+        _removeFunds(from, amount);
+        _addFunds(destination, amount);
+        emit HoldSeized(holder, operationId, from, destination, amount, legalReference);
+        return true;
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the wallet to which seized funds are transferred
+     */
+    function seizureWallet() external view returns (address) {
+        return _getSeizureWallet();
+    }
+
+    /**
+     * @notice Returns the funds that can be seized from a wallet by means of forcedTransfer, i.e. its outright balance
+     * not locked in holds (overdraft limits are not seizable)
+     * @param wallet The wallet in question
+     */
+    function seizableFunds(address wallet) external view returns (uint256) {
+        return _seizableFunds(wallet);
+    }
+
+    // Internal functions
+
+    function _seizableFunds(address wallet) internal view returns (uint256) {
+        uint256 balance = _balanceOf(wallet);
+        uint256 onHold = _balanceOnHold(wallet);
+        return balance > onHold ? balance.sub(onHold) : 0;
+    }
+
+    // Private functions
+
+    function _requireSeizureWallet() private view returns (address wallet) {
+        wallet = _getSeizureWallet();
+        require(wallet != address(0), "Seizure wallet not set");
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getSeizureWallet() private view returns (address) {
+        return whichEternalStorage().getAddress(SEIZABLE_CONTRACT_NAME, _SEIZURE_WALLET);
+    }
+
+    function _setSeizureWallet(address wallet) private returns (bool) {
+        return whichEternalStorage().setAddress(SEIZABLE_CONTRACT_NAME, _SEIZURE_WALLET, wallet);
+    }
+
+}
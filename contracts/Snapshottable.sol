@@ -0,0 +1,77 @@
+pragma solidity ^0.5;
+
+import "./Compliant.sol";
+
+/**
+ * @title Snapshottable - snapshots of the ledger for period-end reporting
+ * @notice Snapshottable allows the operator to take snapshots of the ledger (e.g. at month end), so the balances, drawn
+ * overdrafts and balances on hold of every wallet, as well as the total supply, can later be read as of the moment each
+ * snapshot was taken (for statements, remuneration and interest calculations, regulatory returns, etc.)
+ * @dev Snapshots work in a similar fashion to OpenZeppelin's ERC20Snapshot: values are only checkpointed (in the eternal
+ * storage) the first time they change after a snapshot is taken, which is implemented in ConsolidatedLedger. This
+ * contract is only valid to take snapshots and to read snapshotted values
+ */
+contract Snapshottable is Compliant {
+
+    // Events
+
+    event Snapshot(uint256 snapshotId);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Takes a snapshot of the ledger
+     * @return The ID of the snapshot, to be used to read the snapshotted values
+     * @dev Only operator can do this
+     */
+    function snapshot() external returns (uint256 snapshotId) {
+        requireRole(OPERATOR_ROLE);
+        snapshotId = _snapshot();
+        emit Snapshot(snapshotId);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the ID of the last snapshot taken (0 if none)
+     */
+    function currentSnapshotId() external view returns (uint256) {
+        return _currentSnapshotId();
+    }
+
+    /**
+     * @notice Returns the balance of a wallet at the time a snapshot was taken
+     * @param wallet The address of the wallet
+     * @param snapshotId The ID of the snapshot
+     */
+    function balanceOfAt(address wallet, uint256 snapshotId) external view returns (uint256) {
+        return _balanceOfAt(wallet, snapshotId);
+    }
+
+    /**
+     * @notice Returns the amount drawn from the overdraft line of a wallet at the time a snapshot was taken
+     * @param wallet The address of the wallet
+     * @param snapshotId The ID of the snapshot
+     */
+    function drawnAmountAt(address wallet, uint256 snapshotId) external view returns (uint256) {
+        return _drawnAmountAt(wallet, snapshotId);
+    }
+
+    /**
+     * @notice Returns the balance on hold of a wallet at the time a snapshot was taken
+     * @param wallet The address of the wallet
+     * @param snapshotId The ID of the snapshot
+     */
+    function balanceOnHoldAt(address wallet, uint256 snapshotId) external view returns (uint256) {
+        return _balanceOnHoldAt(wallet, snapshotId);
+    }
+
+    /**
+     * @notice Returns the total supply at the time a snapshot was taken
+     * @param snapshotId The ID of the snapshot
+     */
+    function totalSupplyAt(uint256 snapshotId) external view returns (uint256) {
+        return _totalSupplyAt(snapshotId);
+    }
+
+}
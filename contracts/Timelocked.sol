@@ -0,0 +1,436 @@
+pragma solidity ^0.5;
+
+import "./ConsolidatedLedger.sol";
+import "./RoleControl.sol";
+
+/**
+ * @title Timelocked
+ * @notice Timelocked puts the emergency admin functions of the owner (writing balances and drawn amounts, and adding or
+ * removing funds directly) behind a timelock: the owner queues the action, and can only execute it once a configurable
+ * delay has elapsed, during which any guardian can cancel it
+ * @dev Changing the compliance authority is also behind the timelock, as the authority decides who holds every role
+ * (guardians included). Until the delay is set (i.e. while the token is being set up, e.g. by EMoneyTokenFactory) the
+ * authority is set at once
+ * @dev Balance writes are computed by the owner on the balance seen when queuing them, so they can only be executed if
+ * the balance is still the same
+ * @dev While an emergency is declared by the owner and confirmed by a guardian, queued actions can be executed at once
+ * through a fast path, which logs the justification given, the emergency declared and the state of the wallet before
+ * the action. Requiring the confirmation of a guardian means the owner cannot bypass the timelock on its own
+ * @dev The delay can be raised by the owner, but only lowered by a guardian, for the same reason. The delay cannot be 0,
+ * and no action can be queued until it has been set, so the timelock cannot be skipped by leaving it unset. Declared
+ * emergencies can be ended by the owner or by any guardian
+ * @dev This contract is intended to be used from upstream contracts through inheritance, by calling
+ * _queueTimelockedAction() for other actions that should be subject to the timelock
+ */
+contract Timelocked is ConsolidatedLedger, RoleControl {
+
+    using SafeMath for uint256;
+
+    enum TimelockedAction { WriteBalance, WriteDrawnAmount, AddFunds, RemoveFunds, SetComplianceAuthority }
+
+    enum TimelockedActionStatus { Nonexistent, Queued, Executed, Cancelled }
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private TIMELOCKED_CONTRACT_NAME = "Timelocked";
+
+    /**
+     * @dev Data structures
+     * @dev _TIMELOCK_DELAY : uint256 with the time (in seconds) that queued actions have to wait before being executed
+     * @dev _TIMELOCKED_ACTIONS : uint256 with the number of actions queued (action IDs start at 1)
+     * @dev _TIMELOCKED_ACTION_XXX : mappings (uint256 => ...) with the data of each queued action (implemented as
+     * variables named keccak256(_TIMELOCKED_ACTION_XXX, actionId)). The wallet of compliance authority changes is the
+     * new authority, and _TIMELOCKED_ACTION_BALANCES holds the balance of the wallet when balance writes were queued
+     * @dev _EMERGENCY_DECLARED : bool telling whether there is an emergency declared, _EMERGENCY_CONFIRMED : bool telling
+     * whether it has been confirmed by a guardian, and _EMERGENCY_REASON : string with the reason given when declaring it
+     */
+    bytes32 constant private _TIMELOCK_DELAY =                "_timelockDelay";
+    bytes32 constant private _TIMELOCKED_ACTIONS =            "_timelockedActions";
+    bytes32 constant private _TIMELOCKED_ACTION_TYPES =       "_timelockedActionTypes";
+    bytes32 constant private _TIMELOCKED_ACTION_WALLETS =     "_timelockedActionWallets";
+    bytes32 constant private _TIMELOCKED_ACTION_AMOUNTS =     "_timelockedActionAmounts";
+    bytes32 constant private _TIMELOCKED_ACTION_EXECUTABLE =  "_timelockedActionExecutable";
+    bytes32 constant private _TIMELOCKED_ACTION_STATUSES =    "_timelockedActionStatuses";
+    bytes32 constant private _TIMELOCKED_ACTION_BALANCES =    "_timelockedActionBalances";
+    bytes32 constant private _EMERGENCY_DECLARED =            "_emergencyDeclared";
+    bytes32 constant private _EMERGENCY_CONFIRMED =           "_emergencyConfirmed";
+    bytes32 constant private _EMERGENCY_REASON =              "_emergencyReason";
+
+    // Events
+
+    event TimelockDelaySet(uint256 oldDelay, uint256 newDelay);
+    event TimelockedActionQueued(
+        uint256 indexed actionId,
+        TimelockedAction action,
+        address indexed wallet,
+        uint256 amount,
+        uint256 executableAt
+    );
+    event TimelockedActionExecuted(uint256 indexed actionId);
+    event TimelockedActionCancelled(uint256 indexed actionId, address indexed guardian);
+    event EmergencyDeclared(address indexed declarer, string reason);
+    event EmergencyConfirmed(address indexed guardian);
+    event EmergencyEnded(address indexed ender);
+    event EmergencyFastPathUsed(
+        uint256 indexed actionId,
+        TimelockedAction action,
+        address indexed wallet,
+        uint256 amount,
+        uint256 balanceBefore,
+        uint256 drawnAmountBefore,
+        string emergencyReason,
+        string justification
+    );
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the time that queued actions have to wait before being executed
+     * @param delay The new delay (in seconds), which cannot be 0
+     * @dev The owner can raise the delay, but only a guardian can lower it
+     */
+    function setTimelockDelay(uint256 delay) external returns (bool) {
+        require(delay > 0, "Timelock delay cannot be 0");
+        uint256 oldDelay = _getTimelockDelay();
+        if(delay < oldDelay) {
+            requireRole(GUARDIAN_ROLE);
+        } else {
+            require(isOwner(), "Sender is not the owner");
+        }
+        emit TimelockDelaySet(oldDelay, delay);
+        return _setTimelockDelay(delay);
+    }
+
+    /**
+     * @notice Queues a direct write of the drawn amount of a wallet, e.g. to fix it in an emergency situation
+     * @param wallet The wallet in question
+     * @param newDrawnAmount The new drawn amount
+     * @return The ID of the queued action
+     * @dev Only the owner can do this
+     */
+    function directWriteDrawnAmount(address wallet, uint256 newDrawnAmount) external onlyOwner returns (uint256) {
+        return _queueTimelockedAction(TimelockedAction.WriteDrawnAmount, wallet, newDrawnAmount);
+    }
+
+    /**
+     * @notice Queues a direct addition of funds to a wallet
+     * @param wallet The wallet in question
+     * @param amount The amount to add
+     * @return The ID of the queued action
+     * @dev Only the owner can do this
+     */
+    function directAddFunds(address wallet, uint256 amount) external onlyOwner returns (uint256) {
+        return _queueTimelockedAction(TimelockedAction.AddFunds, wallet, amount);
+    }
+
+    /**
+     * @notice Queues a direct removal of funds from a wallet
+     * @param wallet The wallet in question
+     * @param amount The amount to remove
+     * @return The ID of the queued action
+     * @dev Only the owner can do this
+     */
+    function directRemoveFunds(address wallet, uint256 amount) external onlyOwner returns (uint256) {
+        return _queueTimelockedAction(TimelockedAction.RemoveFunds, wallet, amount);
+    }
+
+    /**
+     * @notice Delegates roles and whitelisting to a compliance authority shared with other tokens
+     * @param authority The address of the compliance authority (address(0) to manage roles and whitelisting locally again)
+     * @return The ID of the queued action, or 0 if the authority was set at once (as the timelock delay is not set yet)
+     * @dev Only the owner can do this
+     */
+    function setComplianceAuthority(address authority) external onlyOwner returns (uint256) {
+        if(_getTimelockDelay() == 0) {
+            _changeComplianceAuthority(authority);
+            return 0;
+        }
+        return _queueTimelockedAction(TimelockedAction.SetComplianceAuthority, authority, 0);
+    }
+
+    /**
+     * @notice Executes a queued action once its delay has elapsed
+     * @param actionId The ID of the queued action
+     * @dev Only the owner can do this
+     */
+    function executeTimelockedAction(uint256 actionId) external onlyOwner returns (bool) {
+        require(_getTimelockedActionStatus(actionId) == TimelockedActionStatus.Queued, "Action is not queued");
+        require(block.timestamp >= _getTimelockedActionExecutable(actionId), "Timelock has not elapsed");
+        return _executeTimelockedAction(actionId);
+    }
+
+    /**
+     * @notice Cancels a queued action
+     * @param actionId The ID of the queued action
+     * @dev Only guardians can do this
+     */
+    function cancelTimelockedAction(uint256 actionId) external returns (bool) {
+        requireRole(GUARDIAN_ROLE);
+        require(_getTimelockedActionStatus(actionId) == TimelockedActionStatus.Queued, "Action is not queued");
+        emit TimelockedActionCancelled(actionId, _msgSender());
+        return _setTimelockedActionStatus(actionId, TimelockedActionStatus.Cancelled);
+    }
+
+    /**
+     * @notice Declares an emergency, which enables the fast path to execute queued actions without waiting for their
+     * delay once a guardian confirms it
+     * @param reason The reason for the emergency
+     * @dev Only the owner can do this
+     */
+    function declareEmergency(string calldata reason) external onlyOwner returns (bool) {
+        require(!_getEmergencyDeclared(), "Emergency already declared");
+        require(bytes(reason).length > 0, "Reason is required");
+        emit EmergencyDeclared(_msgSender(), reason);
+        return
+            _setEmergencyDeclared(true) &&
+            _setEmergencyReason(reason);
+    }
+
+    /**
+     * @notice Confirms the emergency declared by the owner, enabling the fast path
+     * @dev Only guardians can do this
+     */
+    function confirmEmergency() external returns (bool) {
+        requireRole(GUARDIAN_ROLE);
+        require(_getEmergencyDeclared(), "No emergency declared");
+        require(!_getEmergencyConfirmed(), "Emergency already confirmed");
+        emit EmergencyConfirmed(_msgSender());
+        return _setEmergencyConfirmed(true);
+    }
+
+    /**
+     * @notice Ends the emergency declared
+     * @dev Only the owner or guardians can do this
+     */
+    function endEmergency() external returns (bool) {
+        require(_getEmergencyDeclared(), "No emergency declared");
+        require(isOwner() || _hasRole(_msgSender(), GUARDIAN_ROLE), "Sender is neither the owner nor a guardian");
+        emit EmergencyEnded(_msgSender());
+        return
+            _setEmergencyDeclared(false) &&
+            _setEmergencyConfirmed(false) &&
+            _setEmergencyReason("");
+    }
+
+    /**
+     * @notice Executes a queued action at once, without waiting for its delay (fast path)
+     * @param actionId The ID of the queued action
+     * @param justification The justification for using the fast path
+     * @dev Only the owner can do this, and only while an emergency is declared and confirmed by a guardian
+     */
+    function executeTimelockedActionInEmergency(uint256 actionId, string calldata justification) external onlyOwner returns (bool) {
+        require(_getEmergencyDeclared(), "No emergency declared");
+        require(_getEmergencyConfirmed(), "Emergency not confirmed by a guardian");
+        require(bytes(justification).length > 0, "Justification is required");
+        require(_getTimelockedActionStatus(actionId) == TimelockedActionStatus.Queued, "Action is not queued");
+        address wallet = _getTimelockedActionWallet(actionId);
+        emit EmergencyFastPathUsed(
+            actionId,
+            _getTimelockedActionType(actionId),
+            wallet,
+            _getTimelockedActionAmount(actionId),
+            _balanceOf(wallet),
+            _drawnAmount(wallet),
+            _getEmergencyReason(),
+            justification
+        );
+        return _executeTimelockedAction(actionId);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the time (in seconds) that queued actions have to wait before being executed
+     */
+    function timelockDelay() external view returns (uint256) {
+        return _getTimelockDelay();
+    }
+
+    /**
+     * @notice Returns the number of actions queued (action IDs go from 1 to this number)
+     */
+    function manyTimelockedActions() external view returns (uint256) {
+        return _getTimelockedActionCount();
+    }
+
+    /**
+     * @notice Returns the data of a queued action
+     * @param actionId The ID of the queued action
+     * @return action: the type of action
+     * @return wallet: the wallet the action applies to
+     * @return amount: the amount of the action
+     * @return executableAt: the time from which the action can be executed
+     * @return status: the status of the action
+     */
+    function retrieveTimelockedActionData(uint256 actionId)
+        external view
+        returns (
+            TimelockedAction action,
+            address wallet,
+            uint256 amount,
+            uint256 executableAt,
+            TimelockedActionStatus status
+        )
+    {
+        action = _getTimelockedActionType(actionId);
+        wallet = _getTimelockedActionWallet(actionId);
+        amount = _getTimelockedActionAmount(actionId);
+        executableAt = _getTimelockedActionExecutable(actionId);
+        status = _getTimelockedActionStatus(actionId);
+    }
+
+    /**
+     * @notice Returns whether there is an emergency declared, whether it has been confirmed by a guardian, and its reason
+     */
+    function emergency() external view returns (bool declared, bool confirmed, string memory reason) {
+        declared = _getEmergencyDeclared();
+        confirmed = _getEmergencyConfirmed();
+        reason = _getEmergencyReason();
+    }
+
+    // Internal functions
+
+    function _queueTimelockedAction(TimelockedAction action, address wallet, uint256 amount) internal returns (uint256 actionId) {
+        uint256 delay = _getTimelockDelay();
+        require(delay > 0, "Timelock delay not set");
+        uint256 executableAt = block.timestamp.add(delay);
+        actionId = _getTimelockedActionCount().add(1);
+        _setTimelockedActionCount(actionId);
+        _setTimelockedAction(actionId, action, wallet, amount, executableAt);
+        if(action == TimelockedAction.WriteBalance) {
+            _setTimelockedActionBalance(actionId, _balanceOf(wallet));
+        }
+        emit TimelockedActionQueued(actionId, action, wallet, amount, executableAt);
+    }
+
+    // Private functions
+
+    function _executeTimelockedAction(uint256 actionId) private returns (bool) {
+        _setTimelockedActionStatus(actionId, TimelockedActionStatus.Executed);
+        emit TimelockedActionExecuted(actionId);
+        TimelockedAction action = _getTimelockedActionType(actionId);
+        address wallet = _getTimelockedActionWallet(actionId);
+        uint256 amount = _getTimelockedActionAmount(actionId);
+        if(action == TimelockedAction.WriteBalance) {
+            require(_balanceOf(wallet) == _getTimelockedActionBalance(actionId), "Balance changed since the action was queued");
+            return _directWriteBalance(wallet, amount);
+        } else if(action == TimelockedAction.WriteDrawnAmount) {
+            return _directWriteDrawnAmount(wallet, amount);
+        } else if(action == TimelockedAction.AddFunds) {
+            return _directAddFunds(wallet, amount);
+        } else if(action == TimelockedAction.RemoveFunds) {
+            return _directRemoveFunds(wallet, amount);
+        } else {
+            return _changeComplianceAuthority(wallet);
+        }
+    }
+
+    function _setTimelockedAction(
+        uint256 actionId,
+        TimelockedAction action,
+        address wallet,
+        uint256 amount,
+        uint256 executableAt
+    )
+        private
+        returns (bool)
+    {
+        return
+            _setTimelockedActionType(actionId, action) &&
+            _setTimelockedActionWallet(actionId, wallet) &&
+            _setTimelockedActionAmount(actionId, amount) &&
+            _setTimelockedActionExecutable(actionId, executableAt) &&
+            _setTimelockedActionStatus(actionId, TimelockedActionStatus.Queued);
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getTimelockDelay() private view returns (uint256) {
+        return whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, _TIMELOCK_DELAY);
+    }
+
+    function _setTimelockDelay(uint256 delay) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, _TIMELOCK_DELAY, delay);
+    }
+
+    function _getTimelockedActionCount() private view returns (uint256) {
+        return whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, _TIMELOCKED_ACTIONS);
+    }
+
+    function _setTimelockedActionCount(uint256 count) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, _TIMELOCKED_ACTIONS, count);
+    }
+
+    function _getTimelockedActionType(uint256 actionId) private view returns (TimelockedAction) {
+        return TimelockedAction(whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_TYPES, actionId))));
+    }
+
+    function _setTimelockedActionType(uint256 actionId, TimelockedAction action) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_TYPES, actionId)), uint256(action));
+    }
+
+    function _getTimelockedActionWallet(uint256 actionId) private view returns (address) {
+        return whichEternalStorage().getAddress(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_WALLETS, actionId)));
+    }
+
+    function _setTimelockedActionWallet(uint256 actionId, address wallet) private returns (bool) {
+        return whichEternalStorage().setAddress(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_WALLETS, actionId)), wallet);
+    }
+
+    function _getTimelockedActionAmount(uint256 actionId) private view returns (uint256) {
+        return whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_AMOUNTS, actionId)));
+    }
+
+    function _setTimelockedActionAmount(uint256 actionId, uint256 amount) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_AMOUNTS, actionId)), amount);
+    }
+
+    function _getTimelockedActionExecutable(uint256 actionId) private view returns (uint256) {
+        return whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_EXECUTABLE, actionId)));
+    }
+
+    function _setTimelockedActionExecutable(uint256 actionId, uint256 executableAt) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_EXECUTABLE, actionId)), executableAt);
+    }
+
+    function _getTimelockedActionStatus(uint256 actionId) private view returns (TimelockedActionStatus) {
+        return TimelockedActionStatus(whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_STATUSES, actionId))));
+    }
+
+    function _setTimelockedActionStatus(uint256 actionId, TimelockedActionStatus status) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_STATUSES, actionId)), uint256(status));
+    }
+
+    function _getTimelockedActionBalance(uint256 actionId) private view returns (uint256) {
+        return whichEternalStorage().getUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_BALANCES, actionId)));
+    }
+
+    function _setTimelockedActionBalance(uint256 actionId, uint256 balance) private returns (bool) {
+        return whichEternalStorage().setUint(TIMELOCKED_CONTRACT_NAME, keccak256(abi.encodePacked(_TIMELOCKED_ACTION_BALANCES, actionId)), balance);
+    }
+
+    function _getEmergencyDeclared() private view returns (bool) {
+        return whichEternalStorage().getBool(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_DECLARED);
+    }
+
+    function _setEmergencyDeclared(bool declared) private returns (bool) {
+        return whichEternalStorage().setBool(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_DECLARED, declared);
+    }
+
+    function _getEmergencyConfirmed() private view returns (bool) {
+        return whichEternalStorage().getBool(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_CONFIRMED);
+    }
+
+    function _setEmergencyConfirmed(bool confirmed) private returns (bool) {
+        return whichEternalStorage().setBool(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_CONFIRMED, confirmed);
+    }
+
+    function _getEmergencyReason() private view returns (string memory) {
+        return whichEternalStorage().getString(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_REASON);
+    }
+
+    function _setEmergencyReason(string memory reason) private returns (bool) {
+        return whichEternalStorage().setString(TIMELOCKED_CONTRACT_NAME, _EMERGENCY_REASON, reason);
+    }
+
+}
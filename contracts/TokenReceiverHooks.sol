@@ -0,0 +1,99 @@
+pragma solidity ^0.5;
+
+import "./interface/IEMoneyTokenReceiver.sol";
+
+/**
+ * @title TokenReceiverHooks
+ * @dev This contract implements the calls to the hooks of contracts receiving EM Tokens (see IEMoneyTokenReceiver). It
+ * is intended to be used from upstream contracts through inheritance, after the tokens have been credited to the
+ * receiver (so the receiver sees the final balances). Any revert in the hooks reverts the whole operation
+ */
+contract TokenReceiverHooks {
+
+    bytes4 constant private ON_TRANSFER_RECEIVED = bytes4(keccak256("onTransferReceived(address,address,uint256,bytes)"));
+    bytes4 constant private ON_HOLD_RECEIVED = bytes4(keccak256("onHoldReceived(address,string,address,uint256,bytes)"));
+    bytes4 constant private ON_HOLD_EXECUTED = bytes4(keccak256("onHoldExecuted(address,address,string,address,uint256)"));
+
+    /**
+     * @dev ERC-165 identifiers of the supportsInterface method and of the IEMoneyTokenReceiver interface
+     */
+    bytes4 constant private INTERFACE_ID_ERC165 = 0x01ffc9a7;
+    bytes4 constant private INTERFACE_ID_RECEIVER = ON_TRANSFER_RECEIVED ^ ON_HOLD_RECEIVED ^ ON_HOLD_EXECUTED;
+
+    uint256 constant private ERC165_CHECK_GAS = 30000;
+
+    // Internal functions
+
+    /**
+     * @dev Calls the onTransferReceived hook in the receiver, which must be a contract accepting the transfer
+     */
+    function _callTransferReceived(address operator, address from, address to, uint256 value, bytes memory data) internal {
+        require(_isContract(to), "Receiver is not a contract");
+        bytes4 result = IEMoneyTokenReceiver(to).onTransferReceived(operator, from, value, data);
+        require(result == ON_TRANSFER_RECEIVED, "Transfer rejected by receiver");
+    }
+
+    /**
+     * @dev Calls the onHoldReceived hook in the payee of a new hold, which must be a contract accepting the hold
+     */
+    function _callHoldReceived(
+        address holder,
+        string memory operationId,
+        address from,
+        address to,
+        uint256 value,
+        bytes memory data
+    )
+        internal
+    {
+        require(_isContract(to), "Receiver is not a contract");
+        bytes4 result = IEMoneyTokenReceiver(to).onHoldReceived(holder, operationId, from, value, data);
+        require(result == ON_HOLD_RECEIVED, "Hold rejected by receiver");
+    }
+
+    /**
+     * @dev Calls the onHoldExecuted hook in the receiver, only if it is a contract that declares support for
+     * the IEMoneyTokenReceiver interface (other wallets are credited as usual)
+     */
+    function _notifyHoldExecuted(
+        address operator,
+        address holder,
+        string memory operationId,
+        address from,
+        address to,
+        uint256 value
+    )
+        internal
+    {
+        if(!_supportsReceiverInterface(to)) {
+            return;
+        }
+        bytes4 result = IEMoneyTokenReceiver(to).onHoldExecuted(operator, holder, operationId, from, value);
+        require(result == ON_HOLD_EXECUTED, "Hold execution rejected by receiver");
+    }
+
+    // Private functions
+
+    function _supportsReceiverInterface(address wallet) private view returns (bool) {
+        return
+            _isContract(wallet) &&
+            _supportsERC165Interface(wallet, INTERFACE_ID_ERC165) &&
+            _supportsERC165Interface(wallet, INTERFACE_ID_RECEIVER);
+    }
+
+    function _supportsERC165Interface(address wallet, bytes4 interfaceId) private view returns (bool) {
+        (bool success, bytes memory result) = wallet.staticcall.gas(ERC165_CHECK_GAS)(
+            abi.encodeWithSelector(INTERFACE_ID_ERC165, interfaceId)
+        );
+        return success && result.length >= 32 && abi.decode(result, (bool));
+    }
+
+    function _isContract(address wallet) private view returns (bool) {
+        uint256 size;
+        assembly {
+            size := extcodesize(wallet)
+        }
+        return size > 0;
+    }
+
+}
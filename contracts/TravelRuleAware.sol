@@ -0,0 +1,183 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+
+/**
+ * @title TravelRuleAware
+ * @dev The TravelRuleAware contract implements the FATF travel rule: transfers, holds and clearable transfers above a
+ * threshold set by compliance need to carry the hash of a travel rule payload (i.e. the originator and beneficiary
+ * information), which is recorded against the operation together with its payer, payee and amount. The payload itself
+ * is kept off chain by the institutions involved (see lib/travelRuleVault.js), and can be verified at any time against
+ * the operation recorded on chain
+ * @dev Batches of transfers are a single operation: the threshold applies to the total of the batch, and the payee is
+ * recorded as address(0) (the beneficiaries being listed in the payload)
+ * @dev Operations are identified by the address of their orderer and an operation ID, as holds and clearable transfers
+ * are (so transfers carrying a payload also take an operation ID)
+ * @dev A threshold of 0 means the travel rule is not enforced
+ * @dev This contract is intended to be used from upstream contracts through inheritance: operations subject to the rule
+ * call _applyTravelRule() with their payload hash (the ...WithTravelRule functions), or with no hash (0) otherwise,
+ * which only lets them through up to the threshold
+ */
+contract TravelRuleAware is RoleControl {
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private TRAVELRULEAWARE_CONTRACT_NAME = "TravelRuleAware";
+
+    /**
+     * @dev Data structures
+     * @dev _TRAVEL_RULE_THRESHOLD : uint256 with the amount above which operations need a travel rule payload
+     * @dev _TRAVEL_RULE_HASHES : mapping (address => mapping (string => bytes32)) with the hashes of the travel rule
+     * payloads of the operations, by orderer and operation ID
+     * @dev _TRAVEL_RULE_FROMS : mapping (address => mapping (string => address)) with the payers of those operations
+     * @dev _TRAVEL_RULE_TOS : mapping (address => mapping (string => address)) with the payees of those operations
+     * @dev _TRAVEL_RULE_VALUES : mapping (address => mapping (string => uint256)) with the amounts of those operations
+     */
+    bytes32 constant private _TRAVEL_RULE_THRESHOLD = "_travelRuleThreshold";
+    bytes32 constant private _TRAVEL_RULE_HASHES =    "_travelRuleHashes";
+    bytes32 constant private _TRAVEL_RULE_FROMS =     "_travelRuleFroms";
+    bytes32 constant private _TRAVEL_RULE_TOS =       "_travelRuleTos";
+    bytes32 constant private _TRAVEL_RULE_VALUES =    "_travelRuleValues";
+
+    // Events
+
+    event TravelRuleThresholdSet(uint256 oldThreshold, uint256 newThreshold);
+    event TravelRulePayloadRecorded(
+        address indexed orderer,
+        string operationId,
+        address from,
+        address to,
+        uint256 value,
+        bytes32 payloadHash
+    );
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the amount above which operations need a travel rule payload
+     * @param threshold The new threshold (0 to stop enforcing the travel rule)
+     * @dev Only compliance can do this
+     */
+    function setTravelRuleThreshold(uint256 threshold) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit TravelRuleThresholdSet(_getTravelRuleThreshold(), threshold);
+        return _setTravelRuleThreshold(threshold);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the amount above which operations need a travel rule payload (0 if the rule is not enforced)
+     */
+    function travelRuleThreshold() external view returns (uint256) {
+        return _getTravelRuleThreshold();
+    }
+
+    /**
+     * @notice Returns the hash of the travel rule payload recorded against an operation (0 if none)
+     * @param orderer The orderer of the operation (i.e. the sender of a transfer, the holder of a hold, or the orderer
+     * of a clearable transfer)
+     * @param operationId The ID of the operation
+     */
+    function travelRulePayloadHash(address orderer, string calldata operationId) external view returns (bytes32) {
+        return _getTravelRuleHash(orderer, operationId);
+    }
+
+    /**
+     * @notice Returns the operation a travel rule payload was recorded against
+     * @param orderer The orderer of the operation
+     * @param operationId The ID of the operation
+     * @return payloadHash: the hash of the travel rule payload (0 if none)
+     * @return from: the payer of the operation
+     * @return to: the payee of the operation (address(0) for batches)
+     * @return value: the amount of the operation (the total for batches)
+     */
+    function travelRuleOperation(address orderer, string calldata operationId)
+        external view
+        returns (
+            bytes32 payloadHash,
+            address from,
+            address to,
+            uint256 value
+        )
+    {
+        payloadHash = _getTravelRuleHash(orderer, operationId);
+        from = _getTravelRuleFrom(orderer, operationId);
+        to = _getTravelRuleTo(orderer, operationId);
+        value = _getTravelRuleValue(orderer, operationId);
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Operations with no payload hash (0) are let through up to the threshold, while the payload hash of the others
+     * is recorded against the operation (which cannot have one already)
+     */
+    function _applyTravelRule(
+        address orderer,
+        string memory operationId,
+        address from,
+        address to,
+        uint256 value,
+        bytes32 payloadHash
+    )
+        internal
+        returns (bool)
+    {
+        if(payloadHash == bytes32(0)) {
+            uint256 threshold = _getTravelRuleThreshold();
+            require(threshold == 0 || value <= threshold, "Travel rule payload required");
+            return true;
+        }
+        require(_getTravelRuleHash(orderer, operationId) == bytes32(0), "Travel rule payload already recorded");
+        emit TravelRulePayloadRecorded(orderer, operationId, from, to, value, payloadHash);
+        return
+            _setTravelRuleHash(orderer, operationId, payloadHash) &&
+            _setTravelRuleFrom(orderer, operationId, from) &&
+            _setTravelRuleTo(orderer, operationId, to) &&
+            _setTravelRuleValue(orderer, operationId, value);
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getTravelRuleThreshold() private view returns (uint256) {
+        return whichEternalStorage().getUint(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_THRESHOLD);
+    }
+
+    function _setTravelRuleThreshold(uint256 threshold) private returns (bool) {
+        return whichEternalStorage().setUint(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_THRESHOLD, threshold);
+    }
+
+    function _getTravelRuleHash(address orderer, string memory operationId) private view returns (bytes32) {
+        return bytes32(whichEternalStorage().getUintFromDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_HASHES, orderer, operationId));
+    }
+
+    function _setTravelRuleHash(address orderer, string memory operationId, bytes32 payloadHash) private returns (bool) {
+        return whichEternalStorage().setUintInDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_HASHES, orderer, operationId, uint256(payloadHash));
+    }
+
+    function _getTravelRuleFrom(address orderer, string memory operationId) private view returns (address) {
+        return whichEternalStorage().getAddressFromDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_FROMS, orderer, operationId);
+    }
+
+    function _setTravelRuleFrom(address orderer, string memory operationId, address from) private returns (bool) {
+        return whichEternalStorage().setAddressInDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_FROMS, orderer, operationId, from);
+    }
+
+    function _getTravelRuleTo(address orderer, string memory operationId) private view returns (address) {
+        return whichEternalStorage().getAddressFromDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_TOS, orderer, operationId);
+    }
+
+    function _setTravelRuleTo(address orderer, string memory operationId, address to) private returns (bool) {
+        return whichEternalStorage().setAddressInDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_TOS, orderer, operationId, to);
+    }
+
+    function _getTravelRuleValue(address orderer, string memory operationId) private view returns (uint256) {
+        return whichEternalStorage().getUintFromDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_VALUES, orderer, operationId);
+    }
+
+    function _setTravelRuleValue(address orderer, string memory operationId, uint256 value) private returns (bool) {
+        return whichEternalStorage().setUintInDoubleAddressStringMapping(TRAVELRULEAWARE_CONTRACT_NAME, _TRAVEL_RULE_VALUES, orderer, operationId, value);
+    }
+
+}
@@ -0,0 +1,238 @@
+pragma solidity ^0.5;
+
+import "./RoleControl.sol";
+import "./libraries/TrailingWindows.sol";
+
+/**
+ * @title VelocityLimited
+ * @notice VelocityLimited implements daily and monthly caps on the value sent out of each wallet, as required by AML
+ * policies. Compliance sets a default profile that applies to all wallets, and can set specific limits for particular
+ * wallets (a limit set to 0 is not enforced)
+ * @dev Outgoing value is counted on trailing windows (see TrailingWindows): the daily limit applies to the last 24
+ * hours, counted in hourly buckets, and the monthly limit to the last 30 days, counted in daily buckets
+ * @dev This contract is intended to be used from upstream contracts through inheritance, by checking
+ * _exceedsVelocityLimits() when funds are ordered out of a wallet, and calling _recordOutgoing() when they actually
+ * leave it (see Compliant, ERC20, Holdable and Clearable)
+ */
+contract VelocityLimited is RoleControl {
+
+    using SafeMath for uint256;
+
+    uint256 constant private HOUR = 1 hours;
+    uint256 constant private DAY = 1 days;
+    uint256 constant private HOURS_IN_DAILY_WINDOW = 24;
+    uint256 constant private DAYS_IN_MONTHLY_WINDOW = 30;
+    uint256 constant private NO_LIMIT = 2**256 - 1;
+
+    // Data structures (in eternal storage)
+
+    bytes32 constant private VELOCITYLIMITED_CONTRACT_NAME = "VelocityLimited";
+
+    /**
+     * @dev Data structures
+     * @dev _DEFAULT_DAILY_LIMIT : uint256 with the daily limit of the default profile
+     * @dev _DEFAULT_MONTHLY_LIMIT : uint256 with the monthly limit of the default profile
+     * @dev _HAS_WALLET_LIMITS : mapping (address => bool) with the wallets that have specific limits
+     * @dev _WALLET_DAILY_LIMITS : mapping (address => uint256) with the specific daily limits of the wallets
+     * @dev _WALLET_MONTHLY_LIMITS : mapping (address => uint256) with the specific monthly limits of the wallets
+     * @dev _HOURLY_BUCKETS : mapping (address => mapping (uint256 => uint256)) with the ring of hourly buckets of the
+     * value sent by each wallet (see TrailingWindows)
+     * @dev _DAILY_BUCKETS : mapping (address => mapping (uint256 => uint256)) with the ring of daily buckets of the value
+     * sent by each wallet (see TrailingWindows)
+     * @dev (the rings are implemented as uint variables named keccak256(_XXX, wallet, slot))
+     */
+    bytes32 constant private _DEFAULT_DAILY_LIMIT =   "_defaultDailyLimit";
+    bytes32 constant private _DEFAULT_MONTHLY_LIMIT = "_defaultMonthlyLimit";
+    bytes32 constant private _HAS_WALLET_LIMITS =     "_hasWalletLimits";
+    bytes32 constant private _WALLET_DAILY_LIMITS =   "_walletDailyLimits";
+    bytes32 constant private _WALLET_MONTHLY_LIMITS = "_walletMonthlyLimits";
+    bytes32 constant private _HOURLY_BUCKETS =        "_hourlyBuckets";
+    bytes32 constant private _DAILY_BUCKETS =         "_dailyBuckets";
+
+    // Events
+
+    event DefaultVelocityLimitsSet(uint256 dailyLimit, uint256 monthlyLimit);
+    event VelocityLimitsSet(address indexed wallet, uint256 dailyLimit, uint256 monthlyLimit);
+    event VelocityLimitsRemoved(address indexed wallet);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets the limits of the default profile, which apply to all the wallets without specific limits
+     * @param dailyLimit The maximum value to be sent out of a wallet in 24 hours (0 for no limit)
+     * @param monthlyLimit The maximum value to be sent out of a wallet in 30 days (0 for no limit)
+     * @dev Only compliance can do this
+     */
+    function setDefaultVelocityLimits(uint256 dailyLimit, uint256 monthlyLimit) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit DefaultVelocityLimitsSet(dailyLimit, monthlyLimit);
+        return _setDefaultDailyLimit(dailyLimit) && _setDefaultMonthlyLimit(monthlyLimit);
+    }
+
+    /**
+     * @notice Sets specific limits for a wallet, which override those of the default profile
+     * @param wallet The wallet in question
+     * @param dailyLimit The maximum value to be sent out of the wallet in 24 hours (0 for no limit)
+     * @param monthlyLimit The maximum value to be sent out of the wallet in 30 days (0 for no limit)
+     * @dev Only compliance can do this
+     */
+    function setVelocityLimits(address wallet, uint256 dailyLimit, uint256 monthlyLimit) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit VelocityLimitsSet(wallet, dailyLimit, monthlyLimit);
+        return
+            _setHasWalletLimits(wallet, true) &&
+            _setWalletDailyLimit(wallet, dailyLimit) &&
+            _setWalletMonthlyLimit(wallet, monthlyLimit);
+    }
+
+    /**
+     * @notice Removes the specific limits of a wallet, which goes back to the default profile
+     * @param wallet The wallet in question
+     * @dev Only compliance can do this
+     */
+    function removeVelocityLimits(address wallet) external returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        require(_getHasWalletLimits(wallet), "Wallet has no specific limits");
+        emit VelocityLimitsRemoved(wallet);
+        return
+            _setHasWalletLimits(wallet, false) &&
+            _setWalletDailyLimit(wallet, 0) &&
+            _setWalletMonthlyLimit(wallet, 0);
+    }
+
+    // External view functions
+
+    /**
+     * @notice Returns the limits that apply to a wallet (0 means no limit)
+     * @param wallet The wallet in question
+     * @return dailyLimit: the maximum value to be sent out of the wallet in 24 hours
+     * @return monthlyLimit: the maximum value to be sent out of the wallet in 30 days
+     * @return isDefault: whether the limits are those of the default profile
+     */
+    function velocityLimits(address wallet) external view returns (uint256 dailyLimit, uint256 monthlyLimit, bool isDefault) {
+        dailyLimit = _dailyLimit(wallet);
+        monthlyLimit = _monthlyLimit(wallet);
+        isDefault = !_getHasWalletLimits(wallet);
+    }
+
+    /**
+     * @notice Returns the value sent out of a wallet in the last 24 hours and 30 days
+     * @param wallet The wallet in question
+     */
+    function outgoingTotals(address wallet) external view returns (uint256 dailyTotal, uint256 monthlyTotal) {
+        dailyTotal = _dailyTotal(wallet);
+        monthlyTotal = _monthlyTotal(wallet);
+    }
+
+    /**
+     * @notice Returns the value that can still be sent out of a wallet within its daily and monthly windows (the maximum
+     * uint256 value if there is no limit)
+     * @param wallet The wallet in question
+     */
+    function velocityHeadroom(address wallet) external view returns (uint256 dailyHeadroom, uint256 monthlyHeadroom) {
+        dailyHeadroom = _headroom(_dailyLimit(wallet), _dailyTotal(wallet));
+        monthlyHeadroom = _headroom(_monthlyLimit(wallet), _monthlyTotal(wallet));
+    }
+
+    // Internal functions
+
+    function _exceedsVelocityLimits(address wallet, uint256 value) internal view returns (bool) {
+        return
+            value > _headroom(_dailyLimit(wallet), _dailyTotal(wallet)) ||
+            value > _headroom(_monthlyLimit(wallet), _monthlyTotal(wallet));
+    }
+
+    function _recordOutgoing(address wallet, uint256 amount) internal returns (bool) {
+        return
+            _addToWindow(_HOURLY_BUCKETS, wallet, HOUR, HOURS_IN_DAILY_WINDOW, amount) &&
+            _addToWindow(_DAILY_BUCKETS, wallet, DAY, DAYS_IN_MONTHLY_WINDOW, amount);
+    }
+
+    // Private functions
+
+    function _headroom(uint256 limit, uint256 total) private pure returns (uint256) {
+        if(limit == 0) {
+            return NO_LIMIT;
+        }
+        return limit > total ? limit - total : 0;
+    }
+
+    function _dailyLimit(address wallet) private view returns (uint256) {
+        return _getHasWalletLimits(wallet) ? _getWalletDailyLimit(wallet) : _getDefaultDailyLimit();
+    }
+
+    function _monthlyLimit(address wallet) private view returns (uint256) {
+        return _getHasWalletLimits(wallet) ? _getWalletMonthlyLimit(wallet) : _getDefaultMonthlyLimit();
+    }
+
+    function _dailyTotal(address wallet) private view returns (uint256) {
+        return _windowTotal(_HOURLY_BUCKETS, wallet, HOUR, HOURS_IN_DAILY_WINDOW);
+    }
+
+    function _monthlyTotal(address wallet) private view returns (uint256) {
+        return _windowTotal(_DAILY_BUCKETS, wallet, DAY, DAYS_IN_MONTHLY_WINDOW);
+    }
+
+    function _windowTotal(bytes32 buckets, address wallet, uint256 bucketLength, uint256 bucketCount) private view returns (uint256 total) {
+        uint256 start = TrailingWindows.windowStart(bucketLength, bucketCount);
+        for(uint256 slot = 0; slot < bucketCount; slot++) {
+            total = total.add(TrailingWindows.amountSince(_getBucket(buckets, wallet, slot), start));
+        }
+    }
+
+    function _addToWindow(bytes32 buckets, address wallet, uint256 bucketLength, uint256 bucketCount, uint256 amount) private returns (bool) {
+        uint256 slot = TrailingWindows.currentSlot(bucketLength, bucketCount);
+        return _setBucket(buckets, wallet, slot, TrailingWindows.addToCurrent(_getBucket(buckets, wallet, slot), bucketLength, amount));
+    }
+
+    // Private functions wrapping access to eternal storage
+
+    function _getDefaultDailyLimit() private view returns (uint256) {
+        return whichEternalStorage().getUint(VELOCITYLIMITED_CONTRACT_NAME, _DEFAULT_DAILY_LIMIT);
+    }
+
+    function _setDefaultDailyLimit(uint256 limit) private returns (bool) {
+        return whichEternalStorage().setUint(VELOCITYLIMITED_CONTRACT_NAME, _DEFAULT_DAILY_LIMIT, limit);
+    }
+
+    function _getDefaultMonthlyLimit() private view returns (uint256) {
+        return whichEternalStorage().getUint(VELOCITYLIMITED_CONTRACT_NAME, _DEFAULT_MONTHLY_LIMIT);
+    }
+
+    function _setDefaultMonthlyLimit(uint256 limit) private returns (bool) {
+        return whichEternalStorage().setUint(VELOCITYLIMITED_CONTRACT_NAME, _DEFAULT_MONTHLY_LIMIT, limit);
+    }
+
+    function _getHasWalletLimits(address wallet) private view returns (bool) {
+        return whichEternalStorage().getBoolFromAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _HAS_WALLET_LIMITS, wallet);
+    }
+
+    function _setHasWalletLimits(address wallet, bool value) private returns (bool) {
+        return whichEternalStorage().setBoolInAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _HAS_WALLET_LIMITS, wallet, value);
+    }
+
+    function _getWalletDailyLimit(address wallet) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _WALLET_DAILY_LIMITS, wallet);
+    }
+
+    function _setWalletDailyLimit(address wallet, uint256 limit) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _WALLET_DAILY_LIMITS, wallet, limit);
+    }
+
+    function _getWalletMonthlyLimit(address wallet) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _WALLET_MONTHLY_LIMITS, wallet);
+    }
+
+    function _setWalletMonthlyLimit(address wallet, uint256 limit) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(VELOCITYLIMITED_CONTRACT_NAME, _WALLET_MONTHLY_LIMITS, wallet, limit);
+    }
+
+    function _getBucket(bytes32 buckets, address wallet, uint256 slot) private view returns (uint256) {
+        return whichEternalStorage().getUint(VELOCITYLIMITED_CONTRACT_NAME, keccak256(abi.encodePacked(buckets, wallet, slot)));
+    }
+
+    function _setBucket(bytes32 buckets, address wallet, uint256 slot, uint256 value) private returns (bool) {
+        return whichEternalStorage().setUint(VELOCITYLIMITED_CONTRACT_NAME, keccak256(abi.encodePacked(buckets, wallet, slot)), value);
+    }
+
+}
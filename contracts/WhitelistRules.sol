@@ -0,0 +1,103 @@
+pragma solidity ^0.5;
+
+import "./interface/IComplianceRules.sol";
+import "./interface/IWhitelistable.sol";
+
+/**
+ * @title WhitelistRules
+ * @notice The WhitelistRules contract implements as a pluggable rules module the whitelist checks that the EM Token
+ * performs by default (see Compliant): all the parties of an operation need to be whitelisted, except for the notary of
+ * a hold, which can be address(0). As in the token, receivers whose whitelisting expired less than a grace period ago
+ * are still accepted (see Whitelistable)
+ * @dev The parties of the operations that the token does not check against its own whitelist are checked as well: the
+ * spender of transfers from, the wallet to fund of mints, and the payer and payee of executions (so that wallets
+ * removed from the whitelist after an order cannot have it executed)
+ * @dev The whitelist is read from the token being checked, unless a different whitelist (e.g. a ComplianceAuthority
+ * or the whitelist of another token) is passed to the constructor. This way the default checks can be chained with
+ * other modules (see ComplianceRuleChain), or with checks against more than one whitelist
+ * @dev This is a standalone contract with no eternal storage, since its only state is set in the constructor
+ */
+contract WhitelistRules is IComplianceRules {
+
+    byte constant private SUCCESS = 0x01;
+    byte constant private SENDER_NOT_WHITELISTED = 0xA0;
+    byte constant private RECEIVER_NOT_WHITELISTED = 0xA1;
+    byte constant private NOTARY_NOT_WHITELISTED = 0xA2;
+    byte constant private REQUESTER_NOT_WHITELISTED = 0xA3;
+
+    address private _whitelist;
+
+    // Constructor
+
+    /**
+     * @param whitelist The contract holding the whitelist (address(0) to use the whitelist of the token being checked)
+     */
+    constructor (address whitelist) public {
+        _whitelist = whitelist;
+    }
+
+    // External view functions
+
+    function check(
+        address token,
+        Operation operation,
+        address from,
+        address to,
+        address agent,
+        uint256 /* value */
+    )
+        external view returns (byte status)
+    {
+        IWhitelistable list = IWhitelistable(_whitelist == address(0) ? token : _whitelist);
+        if(_hasSender(operation) && !list.isWhitelisted(from)) {
+            return SENDER_NOT_WHITELISTED;
+        } else if(_hasReceiver(operation) && !list.isWhitelistedToReceive(to)) {
+            return RECEIVER_NOT_WHITELISTED;
+        } else if(operation == Operation.Hold && agent != address(0) && !list.isWhitelisted(agent)) {
+            return NOTARY_NOT_WHITELISTED;
+        } else if(_hasRequester(operation) && !list.isWhitelisted(agent)) {
+            return REQUESTER_NOT_WHITELISTED;
+        } else {
+            return SUCCESS;
+        }
+    }
+
+    /**
+     * @notice Returns the contract holding the whitelist (address(0) if the whitelist of the token being checked is used)
+     */
+    function whitelist() external view returns (address) {
+        return _whitelist;
+    }
+
+    // Private functions
+
+    function _hasSender(Operation operation) private pure returns (bool) {
+        return
+            operation != Operation.ApproveToOrderFunding &&
+            operation != Operation.OrderFunding &&
+            operation != Operation.Mint;
+    }
+
+    function _hasReceiver(Operation operation) private pure returns (bool) {
+        return
+            operation == Operation.Transfer ||
+            operation == Operation.Hold ||
+            operation == Operation.OrderClearableTransfer ||
+            operation == Operation.ApproveToOrderFunding ||
+            operation == Operation.OrderFunding ||
+            operation == Operation.TransferFrom ||
+            operation == Operation.Mint ||
+            operation == Operation.ExecuteHold;
+    }
+
+    function _hasRequester(Operation operation) private pure returns (bool) {
+        return
+            operation != Operation.Transfer &&
+            operation != Operation.Hold &&
+            operation != Operation.OrderClearableTransfer &&
+            operation != Operation.Mint &&
+            operation != Operation.ExecuteHold &&
+            operation != Operation.ExecutePayout;
+    }
+
+}
@@ -7,11 +7,29 @@ import "./RoleControl.sol";
  * @title Whitelistable
  * @dev The Whitelistable contract implements a simple whitelisting mechanism that can be used upstream to
  * ensure that only whitelisted wallets are allowed to transact
+ * @dev When a compliance authority is set (see RoleControl), whitelisting is read from the authority and can only be
+ * managed there. The enumeration views in this contract only cover the local whitelist
+ * @dev Whitelistings can have an expiration date, so KYC is refreshed periodically. Wallets past their expiration are
+ * no longer whitelisted, although they can still receive funds (but not send them) during a grace period set by
+ * compliance (see _isWhitelistedToReceive)
+ * @dev Every change in the whitelisting of an address is recorded in a history kept for that address, with the actor
+ * that made it, its date, and the reason code and case reference given by compliance (reason codes are defined by the
+ * compliance policy of the issuer). The functions taking a reason require both a reason code and a case reference. The
+ * legacy functions without a reason (whitelist, whitelistUntil and unWhitelist) are kept for backwards compatibility, but
+ * their changes are explicitly recorded as having no reason (reason code 0 and case reference "No reason given"), so
+ * they stand out when the history is audited
  */
 contract Whitelistable is RoleControl {
 
+    using SafeMath for uint256;
+
+    enum WhitelistAction { Whitelisted, UnWhitelisted }
+
     address constant SUSPENSE_WALLET = address(0);
 
+    uint256 constant private NO_REASON_CODE = 0;
+    string constant private NO_REASON_GIVEN = "No reason given";
+
 // Data structures (in eternal storage)
 
     bytes32 constant private WHITELISTABLE_CONTRACT_NAME = "Whitelistable";
@@ -22,44 +40,171 @@ contract Whitelistable is RoleControl {
      * @dev _WHITELIST_FLAGS : mapping (address => bool) with the flags that say whether addresses are whitelisted or not
      * @dev _WHITELIST_ARRAY : address array with the addresses of the whitelisted wallets
      * @dev _WHITELIST_MAPPING : mapping (address => uint) with the indices of the whitelisted wallets
+     * @dev _WHITELIST_EXPIRATIONS : mapping (address => uint) with the expiration dates of the whitelistings (0 if they
+     * do not expire)
+     * @dev _WHITELIST_GRACE_PERIOD : uint with the time after expiration during which wallets can still receive funds
+     * @dev _WHITELIST_HISTORY_LENGTHS : mapping (address => uint) with the number of changes recorded for each address
+     * @dev _WHITELIST_HISTORY_ACTORS, _WHITELIST_HISTORY_DATES, _WHITELIST_HISTORY_ACTIONS, _WHITELIST_HISTORY_REASONS
+     * and _WHITELIST_HISTORY_CASES : mappings (address => mapping (uint => ...)) with the actor, date, action, reason
+     * code and case reference of each change (implemented as variables named keccak256(_WHITELIST_HISTORY_..., who, index))
      */
     bytes32 constant private _WHITELIST_REGISTRY = "_whitelistRegistry";
     bytes32 constant private _WHITELIST_FLAGS = "_whitelistFlags";
     bytes32 constant private _WHITELIST_ARRAY = "_whitelistArray";
     bytes32 constant private _WHITELIST_MAPPING = "_whitelistMapping";
+    bytes32 constant private _WHITELIST_EXPIRATIONS = "_whitelistExpirations";
+    bytes32 constant private _WHITELIST_GRACE_PERIOD = "_whitelistGracePeriod";
+    bytes32 constant private _WHITELIST_HISTORY_LENGTHS = "_whitelistHistoryLengths";
+    bytes32 constant private _WHITELIST_HISTORY_ACTORS = "_whitelistHistoryActors";
+    bytes32 constant private _WHITELIST_HISTORY_DATES = "_whitelistHistoryDates";
+    bytes32 constant private _WHITELIST_HISTORY_ACTIONS = "_whitelistHistoryActions";
+    bytes32 constant private _WHITELIST_HISTORY_REASONS = "_whitelistHistoryReasons";
+    bytes32 constant private _WHITELIST_HISTORY_CASES = "_whitelistHistoryCases";
 
 // Event
 
     event Whitelisted(address who, uint256 index);
     event UnWhitelisted(address who);
+    event WhitelistExpirationSet(address indexed who, uint256 expiration);
+    event WhitelistGracePeriodSet(uint256 oldGracePeriod, uint256 newGracePeriod);
+    event WhitelistChanged(address indexed who, address indexed actor, WhitelistAction action, uint256 reasonCode, string caseReference);
 
 // External state-modifying functions
 
     /**
      * @dev Whitelist an individual address
      * @param who The address to be whitelisted
+     * @dev The change is recorded as having no reason (use whitelistWithReason instead)
      */
-    function whitelist(address who) external returns (uint256 index) {
+    function whitelist(address who) external notDelegatedToAuthority returns (uint256 index) {
         requireRole(COMPLIANCE_ROLE);
-        if(_getRegisteredFlagInWhitelist(who)) {
-            _setWhitelistedFlag(who, true);
-            index = _getIndexInWhitelist(who);
-        } else {
-            index = _pushAddressToWhitelist(who);
-        } 
-        emit Whitelisted(who, index);
+        index = _whitelist(who, 0, NO_REASON_CODE, NO_REASON_GIVEN);
+    }
+
+    /**
+     * @dev Whitelist an individual address until an expiration date (or renew the whitelisting of an address that is
+     * already whitelisted, e.g. after KYC is refreshed)
+     * @param who The address to be whitelisted
+     * @param expiration The date (timestamp) at which the whitelisting expires
+     * @dev The change is recorded as having no reason (use whitelistWithReason instead)
+     */
+    function whitelistUntil(address who, uint256 expiration) external notDelegatedToAuthority returns (uint256 index) {
+        requireRole(COMPLIANCE_ROLE);
+        require(expiration > block.timestamp, "Expiration must be in the future");
+        index = _whitelist(who, expiration, NO_REASON_CODE, NO_REASON_GIVEN);
+    }
+
+    /**
+     * @dev Whitelist an individual address (or renew its whitelisting), recording the reason for the change
+     * @param who The address to be whitelisted
+     * @param expiration The date (timestamp) at which the whitelisting expires (0 if it does not expire)
+     * @param reasonCode The reason code for the change
+     * @param caseReference The reference of the compliance case behind the change
+     */
+    function whitelistWithReason(
+        address who,
+        uint256 expiration,
+        uint256 reasonCode,
+        string calldata caseReference
+    )
+        external
+        notDelegatedToAuthority
+        returns (uint256 index)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        require(expiration == 0 || expiration > block.timestamp, "Expiration must be in the future");
+        _requireReason(reasonCode, caseReference);
+        index = _whitelist(who, expiration, reasonCode, caseReference);
+    }
+
+    /**
+     * @dev Whitelist several addresses at once (e.g. all the wallets of a client), recording the reason for the change
+     * @param wallets The addresses to be whitelisted
+     * @param expiration The date (timestamp) at which the whitelistings expire (0 if they do not expire)
+     * @param reasonCode The reason code for the change
+     * @param caseReference The reference of the compliance case behind the change
+     */
+    function whitelistBatch(
+        address[] calldata wallets,
+        uint256 expiration,
+        uint256 reasonCode,
+        string calldata caseReference
+    )
+        external
+        notDelegatedToAuthority
+        returns (bool)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        require(expiration == 0 || expiration > block.timestamp, "Expiration must be in the future");
+        _requireReason(reasonCode, caseReference);
+        for(uint256 i = 0; i < wallets.length; i++) {
+            _whitelist(wallets[i], expiration, reasonCode, caseReference);
+        }
+        return true;
+    }
+
+    /**
+     * @dev Sets the grace period after the expiration of whitelistings, during which wallets can still receive funds
+     * @param gracePeriod The grace period (in seconds)
+     */
+    function setWhitelistGracePeriod(uint256 gracePeriod) external notDelegatedToAuthority returns (bool) {
+        requireRole(COMPLIANCE_ROLE);
+        emit WhitelistGracePeriodSet(_getWhitelistGracePeriod(), gracePeriod);
+        return _setWhitelistGracePeriod(gracePeriod);
     }
 
     /**
      * @dev Unwhitelist an individual address
      * @param who The address to be unwhitelisted
      * @dev This does not remove the entry from the array, so it is recorded that this address was actually whitelisted at some point
+     * @dev The change is recorded as having no reason (use unWhitelistWithReason instead)
      */
-    function unWhitelist(address who) external returns (bool) {
+    function unWhitelist(address who) external notDelegatedToAuthority returns (bool) {
         requireRole(COMPLIANCE_ROLE);
-        require(_isWhitelisted(who), "Address is not whitelisted");
-        emit UnWhitelisted(who);
-        return _setWhitelistedFlag(who, false);
+        return _unWhitelist(who, NO_REASON_CODE, NO_REASON_GIVEN);
+    }
+
+    /**
+     * @dev Unwhitelist an individual address, recording the reason for the change
+     * @param who The address to be unwhitelisted
+     * @param reasonCode The reason code for the change
+     * @param caseReference The reference of the compliance case behind the change
+     */
+    function unWhitelistWithReason(
+        address who,
+        uint256 reasonCode,
+        string calldata caseReference
+    )
+        external
+        notDelegatedToAuthority
+        returns (bool)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        _requireReason(reasonCode, caseReference);
+        return _unWhitelist(who, reasonCode, caseReference);
+    }
+
+    /**
+     * @dev Unwhitelist several addresses at once, recording the reason for the change
+     * @param wallets The addresses to be unwhitelisted
+     * @param reasonCode The reason code for the change
+     * @param caseReference The reference of the compliance case behind the change
+     */
+    function unWhitelistBatch(
+        address[] calldata wallets,
+        uint256 reasonCode,
+        string calldata caseReference
+    )
+        external
+        notDelegatedToAuthority
+        returns (bool)
+    {
+        requireRole(COMPLIANCE_ROLE);
+        _requireReason(reasonCode, caseReference);
+        for(uint256 i = 0; i < wallets.length; i++) {
+            _unWhitelist(wallets[i], reasonCode, caseReference);
+        }
+        return true;
     }
 
 // External view functions
@@ -104,10 +249,193 @@ contract Whitelistable is RoleControl {
         return _getRegisteredFlagInWhitelist(who);
     }
 
+    /**
+     * @dev Returns whether an address can receive funds, i.e. whether it is whitelisted or its whitelisting expired
+     * less than a grace period ago
+     * @param who The address in question
+     */
+    function isWhitelistedToReceive(address who) external view returns (bool) {
+        return _isWhitelistedToReceive(who);
+    }
+
+    /**
+     * @dev Returns the expiration date of the whitelisting of an address (0 if it does not expire)
+     * @param who The address in question
+     */
+    function whitelistExpiration(address who) external view returns (uint256) {
+        return _getWhitelistExpiration(who);
+    }
+
+    /**
+     * @dev Returns the grace period after the expiration of whitelistings, during which wallets can still receive funds
+     */
+    function whitelistGracePeriod() external view returns (uint256) {
+        return _getWhitelistGracePeriod();
+    }
+
+    /**
+     * @dev Returns the whitelisted wallets whose whitelisting expires within a number of days (including those that
+     * have already expired but have not been unwhitelisted), so compliance can plan their re-verification
+     * @param withinDays The number of days from now
+     * @param fromIndex The position in the whitelist array from which to look for wallets
+     * @param count The number of positions in the whitelist array to look into (so large whitelists can be paged)
+     * @return wallets: the wallets found
+     * @return expirations: the expiration dates of the wallets found
+     */
+    function expiringWhitelistings(uint256 withinDays, uint256 fromIndex, uint256 count)
+        external view
+        returns (address[] memory wallets, uint256[] memory expirations)
+    {
+        uint256 toIndex = _min(fromIndex.add(count), _getNumberOfRegisteredAddresses());
+        uint256 limit = block.timestamp.add(withinDays.mul(1 days));
+        uint256 found = 0;
+        for(uint256 i = fromIndex; i < toIndex; i++) {
+            if(_expiresBefore(_getAddressInWhitelist(i), limit)) {
+                found++;
+            }
+        }
+        wallets = new address[](found);
+        expirations = new uint256[](found);
+        found = 0;
+        for(uint256 i = fromIndex; i < toIndex; i++) {
+            address who = _getAddressInWhitelist(i);
+            if(_expiresBefore(who, limit)) {
+                wallets[found] = who;
+                expirations[found] = _getWhitelistExpiration(who);
+                found++;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the wallets in a range of positions of the whitelist array that are currently active, i.e. that are
+     * whitelisted or within the grace period after their expiration (addressInWhitelist also returns the wallets that
+     * were unwhitelisted later on)
+     * @param fromIndex The position in the whitelist array from which to look for wallets
+     * @param count The number of positions in the whitelist array to look into (so large whitelists can be paged)
+     * @return wallets: the active wallets found
+     * @return expirations: the expiration dates of their whitelistings (0 if they do not expire)
+     * @return receiveOnly: whether they are within the grace period, and so can only receive funds
+     * @return nextIndex: the position from which to look for the next page (manyRegisteredAddresses() when done)
+     */
+    function activeWhitelist(uint256 fromIndex, uint256 count)
+        external view
+        returns (
+            address[] memory wallets,
+            uint256[] memory expirations,
+            bool[] memory receiveOnly,
+            uint256 nextIndex
+        )
+    {
+        nextIndex = _min(fromIndex.add(count), _getNumberOfRegisteredAddresses());
+        uint256 found = 0;
+        for(uint256 i = fromIndex; i < nextIndex; i++) {
+            if(_isActive(_getAddressInWhitelist(i))) {
+                found++;
+            }
+        }
+        wallets = new address[](found);
+        expirations = new uint256[](found);
+        receiveOnly = new bool[](found);
+        found = 0;
+        for(uint256 i = fromIndex; i < nextIndex; i++) {
+            address who = _getAddressInWhitelist(i);
+            if(_isActive(who)) {
+                wallets[found] = who;
+                expirations[found] = _getWhitelistExpiration(who);
+                receiveOnly[found] = _isExpired(who, 0);
+                found++;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the number of changes recorded in the whitelisting history of an address
+     * @param who The address in question
+     */
+    function whitelistHistoryLength(address who) external view returns (uint256) {
+        return _getWhitelistHistoryLength(who);
+    }
+
+    /**
+     * @dev Returns a change recorded in the whitelisting history of an address
+     * @param who The address in question
+     * @param index The position of the change in the history (0 being the first one)
+     * @return actor: the address that made the change
+     * @return date: the date (timestamp) of the change
+     * @return action: whether the address was whitelisted or unwhitelisted
+     * @return reasonCode: the reason code for the change
+     * @return caseReference: the reference of the compliance case behind the change
+     */
+    function whitelistHistoryEntry(address who, uint256 index)
+        external view
+        returns (
+            address actor,
+            uint256 date,
+            WhitelistAction action,
+            uint256 reasonCode,
+            string memory caseReference
+        )
+    {
+        require(index < _getWhitelistHistoryLength(who), "History entry does not exist");
+        actor = _getWhitelistHistoryActor(who, index);
+        date = _getWhitelistHistoryDate(who, index);
+        action = _getWhitelistHistoryAction(who, index);
+        reasonCode = _getWhitelistHistoryReason(who, index);
+        caseReference = _getWhitelistHistoryCase(who, index);
+    }
+
+    /**
+     * @dev Returns a page of the whitelisting history of an address (case references have to be read one by one with
+     * whitelistHistoryEntry, as arrays of strings cannot be returned)
+     * @param who The address in question
+     * @param fromIndex The position of the first change to return
+     * @param count The maximum number of changes to return
+     * @return actors: the addresses that made the changes
+     * @return dates: the dates (timestamps) of the changes
+     * @return actions: the actions (see WhitelistAction)
+     * @return reasonCodes: the reason codes for the changes
+     */
+    function whitelistHistory(address who, uint256 fromIndex, uint256 count)
+        external view
+        returns (
+            address[] memory actors,
+            uint256[] memory dates,
+            uint256[] memory actions,
+            uint256[] memory reasonCodes
+        )
+    {
+        uint256 length = _getWhitelistHistoryLength(who);
+        uint256 toIndex = _min(fromIndex.add(count), length);
+        uint256 found = fromIndex < toIndex ? toIndex - fromIndex : 0;
+        actors = new address[](found);
+        dates = new uint256[](found);
+        actions = new uint256[](found);
+        reasonCodes = new uint256[](found);
+        for(uint256 i = 0; i < found; i++) {
+            actors[i] = _getWhitelistHistoryActor(who, fromIndex + i);
+            dates[i] = _getWhitelistHistoryDate(who, fromIndex + i);
+            actions[i] = uint256(_getWhitelistHistoryAction(who, fromIndex + i));
+            reasonCodes[i] = _getWhitelistHistoryReason(who, fromIndex + i);
+        }
+    }
+
     // Internal functions
 
     function _isWhitelisted(address who) internal view returns (bool) {
-        return _getWhitelistedFlag(who);
+        address authority = _complianceAuthority();
+        if(authority != address(0)) {
+            return IComplianceAuthority(authority).isWhitelisted(who);
+        }
+        return _getWhitelistedFlag(who) && !_isExpired(who, 0);
+    }
+
+    function _isWhitelistedToReceive(address who) internal view returns (bool) {
+        address authority = _complianceAuthority();
+        if(authority != address(0)) {
+            return IComplianceAuthority(authority).isWhitelistedToReceive(who);
+        }
+        return _getWhitelistedFlag(who) && !_isExpired(who, _getWhitelistGracePeriod());
     }
 
     function requireWhitelisted(address who) internal view {
@@ -116,6 +444,57 @@ contract Whitelistable is RoleControl {
 
     // Private functions
 
+    function _whitelist(address who, uint256 expiration, uint256 reasonCode, string memory caseReference) private returns (uint256 index) {
+        if(_getRegisteredFlagInWhitelist(who)) {
+            _setWhitelistedFlag(who, true);
+            index = _getIndexInWhitelist(who);
+        } else {
+            index = _pushAddressToWhitelist(who);
+        }
+        _setWhitelistExpiration(who, expiration);
+        _recordWhitelistChange(who, WhitelistAction.Whitelisted, reasonCode, caseReference);
+        emit Whitelisted(who, index);
+        emit WhitelistExpirationSet(who, expiration);
+    }
+
+    function _unWhitelist(address who, uint256 reasonCode, string memory caseReference) private returns (bool) {
+        require(_getWhitelistedFlag(who), "Address is not whitelisted");
+        _recordWhitelistChange(who, WhitelistAction.UnWhitelisted, reasonCode, caseReference);
+        emit UnWhitelisted(who);
+        return _setWhitelistedFlag(who, false);
+    }
+
+    function _requireReason(uint256 reasonCode, string memory caseReference) private pure {
+        require(reasonCode != NO_REASON_CODE, "Reason code is required");
+        require(bytes(caseReference).length > 0, "Case reference is required");
+    }
+
+    function _recordWhitelistChange(address who, WhitelistAction action, uint256 reasonCode, string memory caseReference) private returns (bool) {
+        uint256 index = _getWhitelistHistoryLength(who);
+        emit WhitelistChanged(who, _msgSender(), action, reasonCode, caseReference);
+        return
+            _setWhitelistHistoryEntry(who, index, _msgSender(), block.timestamp, action, reasonCode, caseReference) &&
+            _setWhitelistHistoryLength(who, index.add(1));
+    }
+
+    function _isExpired(address who, uint256 gracePeriod) private view returns (bool) {
+        uint256 expiration = _getWhitelistExpiration(who);
+        return expiration != 0 && block.timestamp >= expiration.add(gracePeriod);
+    }
+
+    function _isActive(address who) private view returns (bool) {
+        return _getWhitelistedFlag(who) && !_isExpired(who, _getWhitelistGracePeriod());
+    }
+
+    function _expiresBefore(address who, uint256 limit) private view returns (bool) {
+        uint256 expiration = _getWhitelistExpiration(who);
+        return _getWhitelistedFlag(who) && expiration != 0 && expiration <= limit;
+    }
+
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+
     function _pushAddressToWhitelist(address who) private returns (uint256 index) {
         require(!_isWhitelisted(who), "Address is already whitelisted");
         index = whichEternalStorage().pushAddressToArray(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_ARRAY, who);
@@ -164,4 +543,68 @@ contract Whitelistable is RoleControl {
         return whichEternalStorage().getBoolFromAddressMapping(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_REGISTRY, who);
     }
 
-}
\ No newline at end of file
+    function _getWhitelistExpiration(address who) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_EXPIRATIONS, who);
+    }
+
+    function _setWhitelistExpiration(address who, uint256 expiration) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_EXPIRATIONS, who, expiration);
+    }
+
+    function _getWhitelistGracePeriod() private view returns (uint256) {
+        return whichEternalStorage().getUint(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_GRACE_PERIOD);
+    }
+
+    function _setWhitelistGracePeriod(uint256 gracePeriod) private returns (bool) {
+        return whichEternalStorage().setUint(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_GRACE_PERIOD, gracePeriod);
+    }
+
+    function _getWhitelistHistoryLength(address who) private view returns (uint256) {
+        return whichEternalStorage().getUintFromAddressMapping(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_HISTORY_LENGTHS, who);
+    }
+
+    function _setWhitelistHistoryLength(address who, uint256 length) private returns (bool) {
+        return whichEternalStorage().setUintInAddressMapping(WHITELISTABLE_CONTRACT_NAME, _WHITELIST_HISTORY_LENGTHS, who, length);
+    }
+
+    function _getWhitelistHistoryActor(address who, uint256 index) private view returns (address) {
+        return whichEternalStorage().getAddress(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_ACTORS, who, index)));
+    }
+
+    function _getWhitelistHistoryDate(address who, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_DATES, who, index)));
+    }
+
+    function _getWhitelistHistoryAction(address who, uint256 index) private view returns (WhitelistAction) {
+        return WhitelistAction(whichEternalStorage().getUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_ACTIONS, who, index))));
+    }
+
+    function _getWhitelistHistoryReason(address who, uint256 index) private view returns (uint256) {
+        return whichEternalStorage().getUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_REASONS, who, index)));
+    }
+
+    function _getWhitelistHistoryCase(address who, uint256 index) private view returns (string memory) {
+        return whichEternalStorage().getString(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_CASES, who, index)));
+    }
+
+    function _setWhitelistHistoryEntry(
+        address who,
+        uint256 index,
+        address actor,
+        uint256 date,
+        WhitelistAction action,
+        uint256 reasonCode,
+        string memory caseReference
+    )
+        private
+        returns (bool)
+    {
+        return
+            whichEternalStorage().setAddress(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_ACTORS, who, index)), actor) &&
+            whichEternalStorage().setUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_DATES, who, index)), date) &&
+            whichEternalStorage().setUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_ACTIONS, who, index)), uint256(action)) &&
+            whichEternalStorage().setUint(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_REASONS, who, index)), reasonCode) &&
+            whichEternalStorage().setString(WHITELISTABLE_CONTRACT_NAME, keccak256(abi.encodePacked(_WHITELIST_HISTORY_CASES, who, index)), caseReference);
+    }
+
+}
@@ -0,0 +1,14 @@
+pragma solidity ^0.5;
+
+/**
+ * @title IComplianceAuthority
+ * @notice Interface of the authority that holds the roles and the whitelist shared by several EM Tokens (e.g. the EUR, USD
+ * and GBP tokens of the same issuer)
+ */
+interface IComplianceAuthority {
+
+    function hasRole(address account, string calldata role) external view returns (bool);
+    function isWhitelisted(address who) external view returns (bool);
+    function isWhitelistedToReceive(address who) external view returns (bool);
+
+}
@@ -0,0 +1,47 @@
+pragma solidity ^0.5;
+
+/**
+ * @title IComplianceRules
+ * @notice Interface of the external rules contracts the EM Token delegates its compliance checks to (see Compliant)
+ * @dev The parties of each operation are passed as (from, to, agent), where from is the wallet sending the funds (or
+ * allowing someone else to operate on them), to is the wallet receiving the funds, and agent is the spender, holder,
+ * notary or requester acting on the wallets. Parties that do not apply to an operation are passed as address(0):
+ * @dev Transfer (from, to, -), Approve (allower, -, spender), Hold (payer, payee, notary), ApproveToHold (payer, -,
+ * holder), ApproveToOrderClearableTransfer (fromWallet, -, requester), OrderClearableTransfer (fromWallet, toWallet, -),
+ * ApproveToOrderFunding (-, walletToFund, requester), OrderFunding (-, walletToFund, requester), ApproveToOrderPayout
+ * (walletToDebit, -, requester), OrderPayout (walletToDebit, -, requester), TransferFrom (from, to, spender), Mint (-,
+ * walletToFund, -), ExecuteHold (payer, payee, -) and ExecutePayout (walletToDebit, -, -)
+ * @dev Mint is also checked when fundings are executed, and ExecuteHold when clearable transfers are executed (as they
+ * are implemented as holds)
+ * @dev Checks return the same EIP-1066 style status codes as the check methods of the token (0x01 is success)
+ */
+interface IComplianceRules {
+
+    enum Operation {
+        Transfer,
+        Approve,
+        Hold,
+        ApproveToHold,
+        ApproveToOrderClearableTransfer,
+        OrderClearableTransfer,
+        ApproveToOrderFunding,
+        OrderFunding,
+        ApproveToOrderPayout,
+        OrderPayout,
+        TransferFrom,
+        Mint,
+        ExecuteHold,
+        ExecutePayout
+    }
+
+    function check(
+        address token,
+        Operation operation,
+        address from,
+        address to,
+        address agent,
+        uint256 value
+    )
+        external view returns (byte status);
+
+}
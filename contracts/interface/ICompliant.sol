@@ -5,6 +5,7 @@ interface ICompliant {
     // Basic ERC20
     
     function canTransfer(address from, address to, uint256 value) external view returns (byte status);
+    function canTransferFrom(address spender, address from, address to, uint256 value) external view returns (byte status);
     function canApprove(address allower, address spender, uint256 value) external view returns (byte status);
 
     // Hold
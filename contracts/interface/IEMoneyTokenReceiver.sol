@@ -0,0 +1,63 @@
+pragma solidity ^0.5;
+
+/**
+ * @title IEMoneyTokenReceiver
+ * @notice Interface to be implemented by contracts that want to react when EM Tokens are credited to them (ERC-1363 /
+ * ERC-777 style receiver hooks)
+ * @dev Receivers must declare support for this interface through ERC-165 (supportsInterface) in order to be notified
+ * upon the execution of holds and clearable transfers in their favor. Reverting in any of the hooks rolls back the
+ * whole operation (transferAndCall and holdAndCall always call the receiver, which must be a contract)
+ */
+interface IEMoneyTokenReceiver {
+
+    /**
+     * @notice Called by the token after tokens are transferred to the receiver by means of transferAndCall
+     * @param operator The address that triggered the transfer
+     * @param from The address from which the tokens were transferred
+     * @param value The amount of tokens transferred
+     * @param data Additional data with no specified format, sent by the operator
+     * @return bytes4(keccak256("onTransferReceived(address,address,uint256,bytes)")) to accept the transfer
+     */
+    function onTransferReceived(address operator, address from, uint256 value, bytes calldata data) external returns (bytes4);
+
+    /**
+     * @notice Called by the token after a hold in favor of the receiver is created by means of holdAndCall, so the
+     * receiver can act upon the funds being held for it (e.g. deliver the asset being paid for against the hold)
+     * @param holder The address that issued the hold
+     * @param operationId The ID of the hold, which can be used to look up the rest of its data (e.g. the notary)
+     * @param from The address from which the tokens will be transferred if the hold is executed
+     * @param value The amount of tokens on hold
+     * @param data Additional data with no specified format, sent by the holder
+     * @return bytes4(keccak256("onHoldReceived(address,string,address,uint256,bytes)")) to accept the hold
+     */
+    function onHoldReceived(
+        address holder,
+        string calldata operationId,
+        address from,
+        uint256 value,
+        bytes calldata data
+    )
+        external
+        returns (bytes4);
+
+    /**
+     * @notice Called by the token after a hold (or a clearable transfer, which is implemented as a hold) in favor of the
+     * receiver is executed and the tokens are credited to the receiver
+     * @param operator The address that executed the hold
+     * @param holder The address that issued the hold (or the orderer of the clearable transfer)
+     * @param operationId The ID of the hold (or of the clearable transfer)
+     * @param from The address from which the tokens were transferred
+     * @param value The amount of tokens transferred
+     * @return bytes4(keccak256("onHoldExecuted(address,address,string,address,uint256)")) to accept the transfer
+     */
+    function onHoldExecuted(
+        address operator,
+        address holder,
+        string calldata operationId,
+        address from,
+        uint256 value
+    )
+        external
+        returns (bytes4);
+
+}
@@ -0,0 +1,12 @@
+pragma solidity ^0.5;
+
+/**
+ * @title IWhitelistable
+ * @notice Interface to query the whitelist of an EM Token (or of a compliance authority)
+ */
+interface IWhitelistable {
+
+    function isWhitelisted(address who) external view returns (bool);
+    function isWhitelistedToReceive(address who) external view returns (bool);
+
+}
@@ -0,0 +1,53 @@
+pragma solidity ^0.5;
+
+/**
+ * @title ECDSA
+ * @dev Library to recover the signer of a message hash from an ECDSA signature, as used to verify EIP-712
+ * typed data signatures (e.g. permits)
+ */
+library ECDSA {
+
+    /**
+     * @dev Returns the address that signed a hash given the v, r and s components of the signature, or address(0)
+     * if the signature is malformed. Signatures with a high s value are rejected to prevent malleability
+     */
+    function recover(bytes32 hash, uint8 v, bytes32 r, bytes32 s) internal pure returns (address) {
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+        return ecrecover(hash, v, r, s);
+    }
+
+    /**
+     * @dev Returns the address that signed a hash given a 65 bytes signature (r, s, v), or address(0) if the
+     * signature is malformed
+     */
+    function recover(bytes32 hash, bytes memory signature) internal pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+        return recover(hash, v, r, s);
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest to be signed for a given domain separator and struct hash
+     */
+    function toTypedDataHash(bytes32 domainSeparator, bytes32 structHash) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+    }
+
+}
@@ -0,0 +1,49 @@
+pragma solidity ^0.5;
+
+/**
+ * @title TrailingWindows
+ * @notice Helpers to count amounts over trailing time windows (e.g. the last 24 hours), so that limits cannot be
+ * doubled by operating on both sides of the boundary of a fixed window
+ * @dev A window is split in a number of buckets of equal length, and the amount of the window is the sum of the amounts
+ * of the buckets that started within it. Buckets are kept in a ring of as many slots as buckets in the window, each slot
+ * holding the start of its bucket (upper 64 bits) and the amount counted in it (lower 192 bits)
+ */
+library TrailingWindows {
+
+    uint256 constant private START_UNIT = 2**192;
+
+    /**
+     * @dev Returns the slot of the ring that holds the current bucket
+     */
+    function currentSlot(uint256 bucketLength, uint256 bucketCount) internal view returns (uint256) {
+        return (block.timestamp / bucketLength) % bucketCount;
+    }
+
+    /**
+     * @dev Returns the start of the oldest bucket within the window that ends at the current bucket
+     */
+    function windowStart(uint256 bucketLength, uint256 bucketCount) internal view returns (uint256) {
+        uint256 currentStart = block.timestamp - block.timestamp % bucketLength;
+        uint256 span = bucketLength * (bucketCount - 1);
+        return currentStart > span ? currentStart - span : 0;
+    }
+
+    /**
+     * @dev Returns the amount held in a slot if its bucket started within the window, and 0 otherwise
+     */
+    function amountSince(uint256 slotValue, uint256 start) internal pure returns (uint256) {
+        return slotValue / START_UNIT >= start ? slotValue % START_UNIT : 0;
+    }
+
+    /**
+     * @dev Returns the value of the current slot once an amount is counted in the current bucket (which replaces the
+     * bucket held in the slot if it is an older one)
+     */
+    function addToCurrent(uint256 slotValue, uint256 bucketLength, uint256 amount) internal view returns (uint256) {
+        uint256 currentStart = block.timestamp - block.timestamp % bucketLength;
+        uint256 counted = slotValue / START_UNIT == currentStart ? slotValue % START_UNIT : 0;
+        require(amount < START_UNIT - counted, "Amount too large to be counted");
+        return currentStart * START_UNIT + counted + amount;
+    }
+
+}
@@ -0,0 +1,85 @@
+pragma solidity ^0.5;
+
+import "../interface/IEMoneyTokenReceiver.sol";
+
+/**
+ * @title EMoneyTokenReceiverMock
+ * @notice Receiver of EM Tokens used in the tests of the receiver hooks (see IEMoneyTokenReceiver), which can be set to
+ * accept the tokens, to answer with a wrong value, or to revert
+ * @dev The mock declares support for the IEMoneyTokenReceiver interface through ERC-165, and emits an event every time
+ * one of its hooks is called
+ */
+contract EMoneyTokenReceiverMock is IEMoneyTokenReceiver {
+
+    enum Behaviour { Accept, ReturnWrongValue, Revert }
+
+    bytes4 constant private ON_TRANSFER_RECEIVED = bytes4(keccak256("onTransferReceived(address,address,uint256,bytes)"));
+    bytes4 constant private ON_HOLD_RECEIVED = bytes4(keccak256("onHoldReceived(address,string,address,uint256,bytes)"));
+    bytes4 constant private ON_HOLD_EXECUTED = bytes4(keccak256("onHoldExecuted(address,address,string,address,uint256)"));
+    bytes4 constant private INTERFACE_ID_ERC165 = 0x01ffc9a7;
+    bytes4 constant private INTERFACE_ID_RECEIVER = ON_TRANSFER_RECEIVED ^ ON_HOLD_RECEIVED ^ ON_HOLD_EXECUTED;
+
+    Behaviour private _behaviour;
+
+    // Events
+
+    event TransferReceived(address operator, address from, uint256 value, bytes data);
+    event HoldReceived(address holder, string operationId, address from, uint256 value, bytes data);
+    event HoldExecutionReceived(address operator, address holder, string operationId, address from, uint256 value);
+
+    // External state-modifying functions
+
+    /**
+     * @notice Sets how the mock reacts when its hooks are called
+     * @param behaviour Whether to accept the tokens, to answer with a wrong value or to revert
+     */
+    function setBehaviour(Behaviour behaviour) external {
+        _behaviour = behaviour;
+    }
+
+    function onTransferReceived(address operator, address from, uint256 value, bytes calldata data) external returns (bytes4) {
+        require(_behaviour != Behaviour.Revert, "Receiver reverted");
+        emit TransferReceived(operator, from, value, data);
+        return _behaviour == Behaviour.Accept ? ON_TRANSFER_RECEIVED : bytes4(0);
+    }
+
+    function onHoldReceived(
+        address holder,
+        string calldata operationId,
+        address from,
+        uint256 value,
+        bytes calldata data
+    )
+        external
+        returns (bytes4)
+    {
+        require(_behaviour != Behaviour.Revert, "Receiver reverted");
+        emit HoldReceived(holder, operationId, from, value, data);
+        return _behaviour == Behaviour.Accept ? ON_HOLD_RECEIVED : bytes4(0);
+    }
+
+    function onHoldExecuted(
+        address operator,
+        address holder,
+        string calldata operationId,
+        address from,
+        uint256 value
+    )
+        external
+        returns (bytes4)
+    {
+        require(_behaviour != Behaviour.Revert, "Receiver reverted");
+        emit HoldExecutionReceived(operator, holder, operationId, from, value);
+        return _behaviour == Behaviour.Accept ? ON_HOLD_EXECUTED : bytes4(0);
+    }
+
+    // External view functions
+
+    /**
+     * @notice ERC-165 support for the IEMoneyTokenReceiver interface
+     */
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == INTERFACE_ID_ERC165 || interfaceId == INTERFACE_ID_RECEIVER;
+    }
+
+}
@@ -0,0 +1,86 @@
+/**
+ * Helpers to build and sign EIP-712 forward requests (meta-transactions) to be relayed through the Forwarder contract
+ *
+ * Usage (e.g. in a truffle test or console):
+ *   const { signRequest } = require('../lib/metaTx.js');
+ *   const data = instance.contract.methods.transfer(to, value).encodeABI();
+ *   const { request, signature } = await signRequest(web3, forwarder, userAccount, instance.address, data);
+ *   // ...then POST { request, signature } to the relayer (see scripts/relayer.js), or call forwarder.execute directly
+ */
+
+const { signTypedData } = require('./permit.js');
+
+const EIP712Domain = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+const ForwardRequest = [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "data", type: "bytes" }
+];
+
+const FORWARDER_NAME = "EMoneyTokenForwarder";
+const FORWARDER_VERSION = "0.1.0";
+const DEFAULT_GAS = 1000000;
+
+/**
+ * Builds the EIP-712 typed data of a forward request, reading the current nonce of the signer from the forwarder (and the
+ * chain id from the node)
+ * @param web3 A web3 (1.x) instance connected to the chain of the forwarder
+ * @param forwarder The (truffle) Forwarder instance
+ * @param from The address signing the request (i.e. the actual sender of the call)
+ * @param to The address of the contract to be called (e.g. the EMoneyToken)
+ * @param data The encoded function call
+ * @param options (optional) { gas, value, nonce }
+ */
+async function buildRequest(web3, forwarder, from, to, data, options = {}) {
+    const nonce = options.nonce !== undefined ? options.nonce : await forwarder.getNonce.call(from);
+    const request = {
+        from: from,
+        to: to,
+        value: (options.value || 0).toString(),
+        gas: (options.gas || DEFAULT_GAS).toString(),
+        nonce: nonce.toString(),
+        data: data
+    };
+    return {
+        types: { EIP712Domain, ForwardRequest },
+        primaryType: "ForwardRequest",
+        domain: {
+            name: FORWARDER_NAME,
+            version: FORWARDER_VERSION,
+            chainId: await web3.eth.getChainId(),
+            verifyingContract: forwarder.address
+        },
+        message: request
+    };
+}
+
+/**
+ * Builds and signs a forward request, returning the request and the signature to be submitted to the relayer
+ */
+async function signRequest(web3, forwarder, from, to, data, options = {}) {
+    const typedData = await buildRequest(web3, forwarder, from, to, data, options);
+    const signature = await signTypedData(web3, from, typedData, options.method);
+    return { request: typedData.message, signature };
+}
+
+/**
+ * Returns the arguments to be passed to Forwarder.execute (or Forwarder.verify) for a signed request
+ */
+function toExecuteArgs(request, signature) {
+    return [request.from, request.to, request.value, request.gas, request.nonce, request.data, signature];
+}
+
+module.exports = {
+    buildRequest,
+    signRequest,
+    toExecuteArgs
+};
@@ -0,0 +1,109 @@
+/**
+ * Helpers to build and sign EIP-712 permits (EIP-2612 style gasless approvals) for the EMoneyToken contract
+ *
+ * Usage (e.g. in a truffle test or console):
+ *   const { signPermit } = require('../lib/permit.js');
+ *   const { v, r, s } = await signPermit(web3, instance, owner, spender, value, deadline);
+ *   await instance.permit(owner, spender, value, deadline, v, r, s, {from: anyone});
+ */
+
+const EIP712Domain = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+const Permit = [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+];
+
+/**
+ * Builds the EIP-712 typed data of a permit, reading the domain data and the current nonce of the owner from the token
+ * (and the chain id from the node)
+ * @param web3 A web3 (1.x) instance connected to the chain of the token
+ * @param instance The (truffle) EMoneyToken instance
+ * @param owner The address of the wallet owner granting the allowance
+ * @param spender The address which will spend the funds
+ * @param value The amount of tokens to be spent
+ * @param deadline The time (in seconds since epoch) after which the permit is no longer valid
+ * @param nonce (optional) The nonce to be used, read from the token if not provided
+ */
+async function buildPermit(web3, instance, owner, spender, value, deadline, nonce) {
+    if(nonce === undefined) {
+        nonce = await instance.nonces.call(owner);
+    }
+    return {
+        types: { EIP712Domain, Permit },
+        primaryType: "Permit",
+        domain: {
+            name: await instance.name.call(),
+            version: await instance.version.call(),
+            chainId: await web3.eth.getChainId(),
+            verifyingContract: instance.address
+        },
+        message: {
+            owner: owner,
+            spender: spender,
+            value: value.toString(),
+            nonce: nonce.toString(),
+            deadline: deadline.toString()
+        }
+    };
+}
+
+/**
+ * Asks the node (or wallet) to sign typed data with the key of the signer
+ * @param web3 A web3 (1.x) instance connected to a provider that holds the key of the signer
+ * @param signer The address signing the data
+ * @param typedData The EIP-712 typed data to be signed
+ * @param method (optional) The RPC method to use, "eth_signTypedData" by default ("eth_signTypedData_v4" for Metamask)
+ */
+function signTypedData(web3, signer, typedData, method = "eth_signTypedData") {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+            jsonrpc: "2.0",
+            method: method,
+            params: [signer, typedData],
+            id: Date.now()
+        }, (error, response) => {
+            if(error) return reject(error);
+            if(response.error) return reject(new Error(response.error.message));
+            resolve(response.result);
+        });
+    });
+}
+
+/**
+ * Splits a 65 bytes hex signature into its v, r and s components
+ */
+function splitSignature(signature) {
+    const hex = signature.startsWith("0x") ? signature.slice(2) : signature;
+    let v = parseInt(hex.slice(128, 130), 16);
+    if(v < 27) v += 27;
+    return {
+        r: "0x" + hex.slice(0, 64),
+        s: "0x" + hex.slice(64, 128),
+        v: v
+    };
+}
+
+/**
+ * Builds and signs a permit, returning the v, r and s components to be passed to EMoneyToken.permit
+ */
+async function signPermit(web3, instance, owner, spender, value, deadline, method) {
+    const typedData = await buildPermit(web3, instance, owner, spender, value, deadline);
+    const signature = await signTypedData(web3, owner, typedData, method);
+    return splitSignature(signature);
+}
+
+module.exports = {
+    buildPermit,
+    signTypedData,
+    splitSignature,
+    signPermit
+};
@@ -0,0 +1,81 @@
+/**
+ * Codec for the structured remittance data (ISO 20022 style) attached to payments through transferWithData,
+ * transferFromWithData, orderClearableTransferWithData and orderClearableTransferFromWithData
+ *
+ * The remittance data is ABI encoded as (string endToEndId, string invoiceNumber, string purposeCode,
+ * string remittanceInformation), and emitted in TransferRemittanceData / ClearableTransferRemittanceData events
+ * indexed by its keccak256 hash
+ *
+ * Usage:
+ *   const remittance = require('../lib/remittance.js');
+ *   const data = remittance.encode(web3, { endToEndId: "E2E-0001", invoiceNumber: "INV-2019-42", purposeCode: "SUPP" });
+ *   await instance.transferWithData(to, value, data, {from: payer});
+ *   const decoded = remittance.decode(web3, data);
+ */
+
+const FIELDS = ["endToEndId", "invoiceNumber", "purposeCode", "remittanceInformation"];
+const TYPES = FIELDS.map(() => "string");
+
+// ISO 20022 maximum lengths (Max35Text for the ids, 4 letters for the external purpose code, Max140Text for the rest)
+const MAX_LENGTHS = {
+    endToEndId: 35,
+    invoiceNumber: 35,
+    purposeCode: 4,
+    remittanceInformation: 140
+};
+
+/**
+ * Validates and ABI encodes a remittance data object into the bytes to be passed to the token
+ * @param web3 A web3 (1.x) instance
+ * @param remittance { endToEndId, invoiceNumber, purposeCode, remittanceInformation } (all optional strings)
+ */
+function encode(web3, remittance) {
+    const values = FIELDS.map(field => {
+        const value = remittance[field] === undefined ? "" : String(remittance[field]);
+        if(value.length > MAX_LENGTHS[field]) {
+            throw new Error("Remittance field " + field + " longer than " + MAX_LENGTHS[field] + " characters");
+        }
+        return value;
+    });
+    return web3.eth.abi.encodeParameters(TYPES, values);
+}
+
+/**
+ * Decodes the bytes attached to a payment back into a remittance data object
+ * @param web3 A web3 (1.x) instance
+ * @param data The hex encoded remittance data
+ */
+function decode(web3, data) {
+    const decoded = web3.eth.abi.decodeParameters(TYPES, data);
+    const remittance = {};
+    FIELDS.forEach((field, i) => { remittance[field] = decoded[i]; });
+    return remittance;
+}
+
+/**
+ * Returns the hash under which the remittance data is indexed in the events
+ */
+function hash(web3, data) {
+    return web3.utils.keccak256(data);
+}
+
+/**
+ * Decodes the remittance data of a (truffle) TransferRemittanceData or ClearableTransferRemittanceData event,
+ * checking that it matches its indexed hash
+ */
+function decodeEvent(web3, event) {
+    const args = event.args || event.returnValues;
+    if(hash(web3, args.data) !== args.dataHash) {
+        throw new Error("Remittance data does not match its hash");
+    }
+    return decode(web3, args.data);
+}
+
+module.exports = {
+    FIELDS,
+    MAX_LENGTHS,
+    encode,
+    decode,
+    hash,
+    decodeEvent
+};
@@ -0,0 +1,64 @@
+/**
+ * Helpers to build and sign the EIP-712 reserve attestations posted by auditors to the EMoneyToken contract
+ *
+ * Usage (e.g. in a truffle test or console):
+ *   const { signReserveAttestation } = require('../lib/reserveAttestation.js');
+ *   const { v, r, s } = await signReserveAttestation(web3, instance, auditor, amount, asOf, reportHash);
+ *   await instance.attestReserve(amount, asOf, reportHash, v, r, s, {from: anyone});
+ */
+
+const { signTypedData, splitSignature } = require('./permit.js');
+
+const EIP712Domain = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+const ReserveAttestation = [
+    { name: "amount", type: "uint256" },
+    { name: "asOf", type: "uint256" },
+    { name: "reportHash", type: "bytes32" }
+];
+
+/**
+ * Builds the EIP-712 typed data of a reserve attestation, reading the domain data from the token (and the chain id from
+ * the node)
+ * @param web3 A web3 (1.x) instance connected to the chain of the token
+ * @param instance The (truffle) EMoneyToken instance
+ * @param amount The total balance of the omnibus accounts
+ * @param asOf The time (in seconds since epoch) at which the balance was measured
+ * @param reportHash The hash of the signed report supporting the attestation
+ */
+async function buildReserveAttestation(web3, instance, amount, asOf, reportHash) {
+    return {
+        types: { EIP712Domain, ReserveAttestation },
+        primaryType: "ReserveAttestation",
+        domain: {
+            name: await instance.name.call(),
+            version: await instance.version.call(),
+            chainId: await web3.eth.getChainId(),
+            verifyingContract: instance.address
+        },
+        message: {
+            amount: amount.toString(),
+            asOf: asOf.toString(),
+            reportHash: reportHash
+        }
+    };
+}
+
+/**
+ * Builds and signs a reserve attestation, returning the v, r and s components to be passed to EMoneyToken.attestReserve
+ */
+async function signReserveAttestation(web3, instance, auditor, amount, asOf, reportHash, method) {
+    const typedData = await buildReserveAttestation(web3, instance, amount, asOf, reportHash);
+    const signature = await signTypedData(web3, auditor, typedData, method);
+    return splitSignature(signature);
+}
+
+module.exports = {
+    buildReserveAttestation,
+    signReserveAttestation
+};
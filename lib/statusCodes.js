@@ -0,0 +1,76 @@
+/**
+ * Decoder table for the EIP-1066 style status codes returned by the compliance check methods of the EM Token
+ * (canTransfer, canHold, canOrderPayout, etc.), see https://eips.ethereum.org/EIPS/eip-1066
+ *
+ * Failed checks revert with the reason in this table, so the same table can be used to interpret revert messages
+ *
+ * Usage:
+ *   const statusCodes = require('../lib/statusCodes.js');
+ *   const status = await instance.canTransfer.call(from, to, value);
+ *   if(!statusCodes.isSuccess(status)) console.log(statusCodes.decode(status).reason);
+ */
+
+const STATUS_CODES = {
+    0x00: { name: "FAILURE", reason: "Compliance check failed" },
+    0x01: { name: "SUCCESS", reason: "Success" },
+    0x10: { name: "CORRIDOR_FORBIDDEN", reason: "Corridor forbidden" },
+    0x56: { name: "LIMIT_EXCEEDED", reason: "Limit exceeded" },
+    0xA0: { name: "SENDER_NOT_WHITELISTED", reason: "Sender not whitelisted" },
+    0xA1: { name: "RECEIVER_NOT_WHITELISTED", reason: "Receiver not whitelisted" },
+    0xA2: { name: "NOTARY_NOT_WHITELISTED", reason: "Notary not whitelisted" },
+    0xA3: { name: "REQUESTER_NOT_WHITELISTED", reason: "Requester not whitelisted" },
+    0xA4: { name: "SENDER_FROZEN", reason: "Sender frozen" },
+    0xA5: { name: "RECEIVER_FROZEN", reason: "Receiver frozen" },
+    0xA6: { name: "TIER_BALANCE_LIMIT_EXCEEDED", reason: "Tier balance limit exceeded" },
+    0xA7: { name: "TIER_TRANSFER_LIMIT_EXCEEDED", reason: "Tier transfer limit exceeded" },
+    0xA8: { name: "TIER_FUNDING_LIMIT_EXCEEDED", reason: "Tier funding limit exceeded" },
+    0xA9: { name: "TIER_PAYOUT_LIMIT_EXCEEDED", reason: "Tier payout limit exceeded" },
+    0xAA: { name: "VELOCITY_LIMIT_EXCEEDED", reason: "Velocity limit exceeded" },
+    0xAB: { name: "SENDER_BLOCKLISTED", reason: "Sender blocklisted" },
+    0xAC: { name: "RECEIVER_BLOCKLISTED", reason: "Receiver blocklisted" },
+    0xAD: { name: "NOTARY_BLOCKLISTED", reason: "Notary blocklisted" },
+    0xAE: { name: "REQUESTER_BLOCKLISTED", reason: "Requester blocklisted" },
+    0xAF: { name: "CORRIDOR_CLEARABLE_ONLY", reason: "Corridor requires a clearable transfer" }
+};
+
+/**
+ * Returns the numeric value of a status code, as returned by web3 (a "0x.." hex string) or as a number
+ */
+function toNumber(status) {
+    return typeof status === "string" ? parseInt(status, 16) : Number(status);
+}
+
+/**
+ * Returns { code, name, reason } for a status code (unknown codes are decoded as generic failures)
+ */
+function decode(status) {
+    const code = toNumber(status);
+    const entry = STATUS_CODES[code] || { name: "UNKNOWN", reason: STATUS_CODES[0x00].reason };
+    return { code, name: entry.name, reason: entry.reason };
+}
+
+/**
+ * Returns whether a status code means the check was successful
+ */
+function isSuccess(status) {
+    return toNumber(status) === 0x01;
+}
+
+/**
+ * Returns the status code matching a revert reason, or undefined if the reason does not come from a compliance check
+ */
+function fromReason(reason) {
+    const code = Object.keys(STATUS_CODES).find(key => STATUS_CODES[key].reason === reason);
+    return code === undefined ? undefined : Number(code);
+}
+
+// Status codes by name (e.g. statusCodes.SENDER_NOT_WHITELISTED === 0xA0)
+const BY_NAME = {};
+Object.keys(STATUS_CODES).forEach(code => { BY_NAME[STATUS_CODES[code].name] = Number(code); });
+
+module.exports = Object.assign({
+    STATUS_CODES,
+    decode,
+    isSuccess,
+    fromReason
+}, BY_NAME);
@@ -0,0 +1,164 @@
+/**
+ * Local vault for the travel rule payloads (originator and beneficiary information) of transfers, holds and clearable
+ * transfers above the travel rule threshold of the EM Token
+ *
+ * Payloads are never sent to the chain: only their hash is recorded against the operation (see the ...WithTravelRule
+ * functions of the token, e.g. transferWithTravelRule), together with its payer, payee and amount. The cleartext payload
+ * is kept in a local directory (one JSON file per payload, named after its hash) so it can be shared with the
+ * counterparty institution or the regulator, and verified at any time against the operation recorded on chain
+ *
+ * Payloads include the operation they cover ({ from, to, value }, with to being address(0) and value the total for
+ * batches), so a payload cannot be passed off as the payload of a different operation
+ *
+ * Payloads are salted with 32 random bytes before hashing, so the (low entropy) originator and beneficiary data cannot
+ * be guessed from the hash
+ *
+ * Usage:
+ *   const vault = require('../lib/travelRuleVault.js');
+ *   const payloadHash = vault.store(web3, "./vault", {
+ *       originator: { name: "Alice Smith", account: "ES91 2100 0418 4502 0005 1332" },
+ *       beneficiary: { name: "Bob Jones", account: "DE89 3704 0044 0532 0130 00" }
+ *   }, { from: payer, to: to, value: value });
+ *   await instance.transferWithTravelRule("TX-0001", to, value, payloadHash, {from: payer});
+ *   const { valid, payload } = await vault.verifyOperation(web3, "./vault", instance, payer, "TX-0001");
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Minimum information required for both the originator and the beneficiary
+const REQUIRED_FIELDS = ["name", "account"];
+
+// Fields of the operation covered by a payload
+const OPERATION_FIELDS = ["from", "to", "value"];
+
+/**
+ * Serializes a value as JSON with the keys of all objects sorted, so the same payload always hashes the same
+ */
+function canonicalize(value) {
+    if(Array.isArray(value)) {
+        return "[" + value.map(canonicalize).join(",") + "]";
+    } else if(value !== null && typeof value === "object") {
+        return "{" + Object.keys(value).sort().map(key => JSON.stringify(key) + ":" + canonicalize(value[key])).join(",") + "}";
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Checks that a payload carries the minimum originator and beneficiary information
+ * @param payload { originator: { name, account, ... }, beneficiary: { name, account, ... } }
+ */
+function validate(payload) {
+    ["originator", "beneficiary"].forEach(party => {
+        REQUIRED_FIELDS.forEach(field => {
+            if(!payload[party] || !payload[party][field]) {
+                throw new Error("Travel rule payload is missing " + party + "." + field);
+            }
+        });
+    });
+}
+
+/**
+ * Normalizes the operation covered by a payload (checksummed addresses and decimal amount), so it hashes the same
+ * however it was passed
+ * @param web3 A web3 (1.x) instance
+ * @param operation { from, to, value }
+ */
+function normalizeOperation(web3, operation) {
+    OPERATION_FIELDS.forEach(field => {
+        if(!operation || operation[field] === undefined) {
+            throw new Error("Travel rule operation is missing " + field);
+        }
+    });
+    return {
+        from: web3.utils.toChecksumAddress(operation.from),
+        to: web3.utils.toChecksumAddress(operation.to),
+        value: web3.utils.toBN(operation.value).toString()
+    };
+}
+
+/**
+ * Returns the hash of a salted payload, as recorded on chain
+ * @param web3 A web3 (1.x) instance
+ * @param payload The payload, including its salt
+ */
+function hash(web3, payload) {
+    return web3.utils.keccak256(canonicalize(payload));
+}
+
+/**
+ * Validates, salts and stores a payload in the vault, together with the operation it covers
+ * @param web3 A web3 (1.x) instance
+ * @param directory The directory of the vault (created if it does not exist)
+ * @param payload { originator: { name, account, ... }, beneficiary: { name, account, ... } }
+ * @param operation { from, to, value } of the operation (to is address(0) and value the total for batches)
+ * @return The hash of the payload, to be passed to the token
+ */
+function store(web3, directory, payload, operation) {
+    validate(payload);
+    const salted = Object.assign({}, payload, {
+        operation: normalizeOperation(web3, operation),
+        salt: "0x" + crypto.randomBytes(32).toString("hex")
+    });
+    const payloadHash = hash(web3, salted);
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(directory, payloadHash + ".json"), JSON.stringify(salted, null, 4), { mode: 0o600 });
+    return payloadHash;
+}
+
+/**
+ * Loads a payload from the vault, checking that it still matches its hash
+ * @param web3 A web3 (1.x) instance
+ * @param directory The directory of the vault
+ * @param payloadHash The hash of the payload
+ * @return The (salted) payload, or undefined if it is not in the vault
+ */
+function load(web3, directory, payloadHash) {
+    const file = path.join(directory, payloadHash + ".json");
+    if(!fs.existsSync(file)) {
+        return undefined;
+    }
+    const payload = JSON.parse(fs.readFileSync(file, "utf8"));
+    if(hash(web3, payload) !== payloadHash) {
+        throw new Error("Travel rule payload in " + file + " does not match its hash");
+    }
+    return payload;
+}
+
+/**
+ * Verifies the payload of an operation against the operation recorded on chain
+ * @param web3 A web3 (1.x) instance
+ * @param directory The directory of the vault
+ * @param token The (truffle) EM Token instance
+ * @param orderer The orderer of the operation (sender of the transfer, holder, or orderer of the clearable transfer)
+ * @param operationId The ID of the operation
+ * @return { valid, payloadHash, payload }, where valid is false if no hash was recorded on chain, the payload is not
+ * in the vault, or the payer, payee or amount recorded on chain are not those of the payload
+ */
+async function verifyOperation(web3, directory, token, orderer, operationId) {
+    const recorded = await token.travelRuleOperation.call(orderer, operationId);
+    const payloadHash = recorded.payloadHash;
+    if(web3.utils.toBN(payloadHash).isZero()) {
+        return { valid: false, payloadHash, payload: undefined };
+    }
+    const payload = load(web3, directory, payloadHash);
+    if(payload === undefined || !payload.operation) {
+        return { valid: false, payloadHash, payload };
+    }
+    const onChain = normalizeOperation(web3, recorded);
+    const valid = OPERATION_FIELDS.every(field => payload.operation[field] === onChain[field]);
+    return { valid, payloadHash, payload };
+}
+
+module.exports = {
+    REQUIRED_FIELDS,
+    OPERATION_FIELDS,
+    canonicalize,
+    validate,
+    normalizeOperation,
+    hash,
+    store,
+    load,
+    verifyOperation
+};
@@ -0,0 +1,65 @@
+/**
+ * Iterators over the whitelist of the EM Token
+ *
+ * registry() walks every address ever registered in the whitelist (including those that were unwhitelisted later on),
+ * together with its current state. active() only walks the wallets that are currently active (whitelisted, or within
+ * the grace period after the expiration of their whitelisting), reading them in pages through activeWhitelist, which
+ * is much cheaper for large whitelists
+ *
+ * Usage:
+ *   const whitelist = require('../lib/whitelist.js');
+ *   for await (const entry of whitelist.registry(instance)) console.log(entry.address, entry.whitelisted);
+ *   for await (const entry of whitelist.active(instance, { pageSize: 200 })) console.log(entry.address, entry.expiration);
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Iterates over all the addresses registered in the whitelist
+ * @param token The (truffle) EM Token instance
+ * @param options { fromIndex } (optional position in the whitelist array to start from)
+ * @return An async iterator of { index, address, whitelisted, whitelistedToReceive, expiration }
+ */
+async function* registry(token, options = {}) {
+    const registered = (await token.manyRegisteredAddresses.call()).toNumber();
+    for(let index = options.fromIndex || 0; index < registered; index++) {
+        const address = await token.addressInWhitelist.call(index);
+        yield {
+            index,
+            address,
+            whitelisted: await token.isWhitelisted.call(address),
+            whitelistedToReceive: await token.isWhitelistedToReceive.call(address),
+            expiration: (await token.whitelistExpiration.call(address)).toNumber()
+        };
+    }
+}
+
+/**
+ * Iterates over the wallets that are currently active in the whitelist
+ * @param token The (truffle) EM Token instance
+ * @param options { fromIndex, pageSize } (optional position in the whitelist array to start from, and number of
+ * positions read per call)
+ * @return An async iterator of { address, expiration, receiveOnly }
+ */
+async function* active(token, options = {}) {
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    const registered = (await token.manyRegisteredAddresses.call()).toNumber();
+    let index = options.fromIndex || 0;
+    while(index < registered) {
+        const page = await token.activeWhitelist.call(index, pageSize);
+        for(let i = 0; i < page.wallets.length; i++) {
+            yield {
+                address: page.wallets[i],
+                expiration: page.expirations[i].toNumber(),
+                receiveOnly: page.receiveOnly[i]
+            };
+        }
+        index = page.nextIndex.toNumber();
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    registry,
+    active
+};
@@ -0,0 +1,9 @@
+var Forwarder = artifacts.require("Forwarder");
+var EMoneyToken = artifacts.require("EMoneyToken");
+
+module.exports = async function(deployer, network, accounts) {
+    await deployer.deploy(Forwarder, {from: accounts[0], gas: 4700000, gasPrice: 0});
+    const forwarder = await Forwarder.deployed();
+    const token = await EMoneyToken.deployed();
+    await token.setTrustedForwarder(forwarder.address, {from: accounts[9], gas: 1000000, gasPrice: 0});
+};
@@ -0,0 +1,8 @@
+var ComplianceAuthority = artifacts.require("ComplianceAuthority");
+var EMoneyTokenFactory = artifacts.require("EMoneyTokenFactory");
+
+module.exports = async function(deployer, network, accounts) {
+    await deployer.deploy(ComplianceAuthority, "0x0000000000000000000000000000000000000000", {from: accounts[9], gas: 50000000, gasPrice: 0});
+    const authority = await ComplianceAuthority.deployed();
+    await deployer.deploy(EMoneyTokenFactory, authority.address, {from: accounts[9], gas: 50000000, gasPrice: 0});
+};
@@ -0,0 +1,88 @@
+/**
+ * Bulk loads a sanctions list into the blocklist of an EM Token
+ *
+ * The list is read from a JSON file with the following format:
+ *   {
+ *     "listId": "EU-CFSP",
+ *     "date": "2019-10-01",
+ *     "entries": [ "0x...", { "address": "0x...", "name": "..." }, ... ]
+ *   }
+ * Entries can be plain addresses or objects with an address field (other fields are ignored). The hash of the file is
+ * recorded on chain as the list version, together with the list id and date, so every entry can be traced back to the
+ * exact file it was loaded from. Addresses already blocklisted from the same version are skipped, so the script can be
+ * safely run again if it is interrupted
+ *
+ * Run with: truffle exec scripts/loadBlocklist.js <file.json> --network development
+ * Environment variables:
+ *   BLOCKLIST_TOKEN       Address of the token (default: the deployed EMoneyToken)
+ *   BLOCKLIST_ACCOUNT     Account with the compliance role (default: the first account of the node)
+ *   BLOCKLIST_BATCH_SIZE  Number of addresses per transaction (default 50)
+ */
+
+const fs = require('fs');
+
+const EMoneyToken = artifacts.require("EMoneyToken");
+
+const DEFAULT_BATCH_SIZE = 50;
+
+function readList(file) {
+    const raw = fs.readFileSync(file);
+    const list = JSON.parse(raw);
+    if(!list.listId) {
+        throw new Error("List id is required");
+    }
+    const date = Math.floor(new Date(list.date).getTime() / 1000);
+    if(isNaN(date)) {
+        throw new Error("Invalid list date: " + list.date);
+    }
+    const addresses = (list.entries || []).map(entry => typeof entry === "string" ? entry : entry.address);
+    addresses.forEach(address => {
+        if(!web3.utils.isAddress(address)) {
+            throw new Error("Invalid address in list: " + address);
+        }
+    });
+    return {
+        listId: list.listId,
+        listVersion: web3.utils.keccak256("0x" + raw.toString("hex")),
+        listDate: date,
+        addresses: addresses.map(address => web3.utils.toChecksumAddress(address))
+    };
+}
+
+async function pendingAddresses(token, list) {
+    const pending = [];
+    for(const address of list.addresses) {
+        const entry = await token.blocklistEntry.call(address, list.listId);
+        if(!entry.blocked || entry.listVersion !== list.listVersion) {
+            pending.push(address);
+        }
+    }
+    return pending;
+}
+
+module.exports = async function(callback) {
+    try {
+        const file = process.argv.find(arg => arg.endsWith(".json"));
+        if(!file) {
+            throw new Error("Usage: truffle exec scripts/loadBlocklist.js <file.json>");
+        }
+        const accounts = await web3.eth.getAccounts();
+        const account = process.env.BLOCKLIST_ACCOUNT || accounts[0];
+        const batchSize = parseInt(process.env.BLOCKLIST_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+        const token = process.env.BLOCKLIST_TOKEN ? await EMoneyToken.at(process.env.BLOCKLIST_TOKEN) : await EMoneyToken.deployed();
+
+        const list = readList(file);
+        console.log("List", list.listId, "version", list.listVersion, "with", list.addresses.length, "entries");
+        const pending = await pendingAddresses(token, list);
+        console.log(list.addresses.length - pending.length, "entries already loaded,", pending.length, "to go");
+
+        for(let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            const tx = await token.blocklistBatch(batch, list.listId, list.listVersion, list.listDate, {from: account});
+            console.log("Loaded entries", i + 1, "to", i + batch.length, "in", tx.tx);
+        }
+        callback();
+    } catch(error) {
+        callback(error);
+    }
+};
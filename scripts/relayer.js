@@ -0,0 +1,121 @@
+/**
+ * Minimal relayer service for EM Token meta-transactions
+ *
+ * Listens for EIP-712 signed forward requests (see lib/metaTx.js) and submits them to the chain through the Forwarder
+ * contract, paying for the gas with the relayer account
+ *
+ * Since the relayer pays for the requests, it only relays calls to the deployed EMoneyToken that carry no ether and ask
+ * for a bounded amount of gas, and it simulates them first so requests that would revert are not submitted
+ *
+ * Run with: truffle exec scripts/relayer.js --network development
+ * Environment variables:
+ *   RELAYER_PORT     Port to listen to (default 8546)
+ *   RELAYER_ACCOUNT  Account used to submit the transactions (default: the first account of the node)
+ *   RELAYER_MAX_GAS  Maximum gas a request can ask for (default 1000000)
+ *
+ * Endpoints:
+ *   GET  /nonce/<address>  Returns the current forwarder nonce of a signer
+ *   POST /relay            Body: { request: { from, to, value, gas, nonce, data }, signature }
+ *                          Returns { txHash } once the transaction is mined
+ */
+
+const http = require('http');
+const { toExecuteArgs } = require('../lib/metaTx.js');
+
+const Forwarder = artifacts.require("Forwarder");
+const EMoneyToken = artifacts.require("EMoneyToken");
+
+const MAX_BODY_SIZE = 100000;
+const DEFAULT_MAX_GAS = 1000000;
+const GAS_OVERHEAD = 100000;
+
+function reply(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Returns the reason why a request should not be relayed, or undefined if it can be relayed
+ */
+function rejectionReason(forwardRequest, signature, token, maxGas) {
+    if(!forwardRequest || !signature) return "Missing request or signature";
+    if(!web3.utils.isAddress(forwardRequest.to) || forwardRequest.to.toLowerCase() !== token.address.toLowerCase()) {
+        return "Requests can only be relayed to the token";
+    }
+    if(!web3.utils.toBN(forwardRequest.value || 0).isZero()) return "Requests cannot carry ether";
+    if(!(Number(forwardRequest.gas) > 0 && Number(forwardRequest.gas) <= maxGas)) return "Request gas must be between 1 and " + maxGas;
+    return undefined;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        request.on("data", chunk => {
+            body += chunk;
+            if(body.length > MAX_BODY_SIZE) {
+                reject(new Error("Request too large"));
+                request.destroy();
+            }
+        });
+        request.on("end", () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch(error) {
+                reject(new Error("Invalid JSON"));
+            }
+        });
+    });
+}
+
+module.exports = async function(callback) {
+    try {
+        const port = process.env.RELAYER_PORT || 8546;
+        const accounts = await web3.eth.getAccounts();
+        const relayerAccount = process.env.RELAYER_ACCOUNT || accounts[0];
+        const maxGas = Number(process.env.RELAYER_MAX_GAS || DEFAULT_MAX_GAS);
+        const forwarder = await Forwarder.deployed();
+        const token = await EMoneyToken.deployed();
+
+        const server = http.createServer(async (request, response) => {
+            try {
+                if(request.method === "GET" && request.url.startsWith("/nonce/")) {
+                    const address = request.url.slice("/nonce/".length);
+                    if(!web3.utils.isAddress(address)) return reply(response, 400, { error: "Invalid address" });
+                    const nonce = await forwarder.getNonce.call(address);
+                    return reply(response, 200, { nonce: nonce.toString() });
+                }
+                if(request.method === "POST" && request.url === "/relay") {
+                    const { request: forwardRequest, signature } = await readBody(request);
+                    const reason = rejectionReason(forwardRequest, signature, token, maxGas);
+                    if(reason) return reply(response, 400, { error: reason });
+                    const args = toExecuteArgs(forwardRequest, signature);
+                    if(!(await forwarder.verify.call(...args))) {
+                        return reply(response, 400, { error: "Signature does not match request" });
+                    }
+                    const gas = Number(forwardRequest.gas) + GAS_OVERHEAD;
+                    try {
+                        await forwarder.execute.call(...args, { from: relayerAccount, gas: gas });
+                    } catch(error) {
+                        return reply(response, 400, { error: "Request would revert: " + error.message });
+                    }
+                    const tx = await forwarder.execute(...args, { from: relayerAccount, gas: gas });
+                    console.log("  > Relayed request from", forwardRequest.from, "to", forwardRequest.to, "in tx", tx.tx);
+                    return reply(response, 200, { txHash: tx.tx });
+                }
+                reply(response, 404, { error: "Not found" });
+            } catch(error) {
+                reply(response, 500, { error: error.message });
+            }
+        });
+
+        server.listen(port, () => {
+            console.log("  > Relayer listening on port", port);
+            console.log("  > Forwarder address is", forwarder.address);
+            console.log("  > Relaying to token", token.address);
+            console.log("  > Relaying from account", relayerAccount);
+        });
+        server.on("close", () => callback());
+    } catch(error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Dumps the role matrix of an EM Token, i.e. which addresses currently hold which roles, and who granted them and when
+ *
+ * The matrix is printed as CSV, with one row per address and one column per role ever granted in the token. Cells for
+ * the roles an address holds read "<date> by <granter>", and are empty otherwise. With --json, the same information is
+ * printed as a JSON object instead: { roles: [...], accounts: { <address>: { <role>: { granter, date } } } }
+ *
+ * Run with: truffle exec scripts/roleMatrix.js [--json] --network development
+ * Environment variables:
+ *   ROLES_TOKEN  Address of the token (default: the deployed EMoneyToken)
+ */
+
+const EMoneyToken = artifacts.require("EMoneyToken");
+
+async function readRoles(token) {
+    const roles = [];
+    const count = (await token.manyRoles.call()).toNumber();
+    for(let i = 0; i < count; i++) {
+        roles.push(await token.roleAt.call(i));
+    }
+    return roles;
+}
+
+async function readMatrix(token, roles) {
+    const accounts = {};
+    for(const role of roles) {
+        for(const account of await token.roleMembers.call(role)) {
+            const grant = await token.roleGrant.call(account, role);
+            accounts[account] = accounts[account] || {};
+            accounts[account][role] = {
+                granter: grant.granter,
+                date: new Date(grant.date.toNumber() * 1000).toISOString()
+            };
+        }
+    }
+    return accounts;
+}
+
+function toCsv(roles, accounts) {
+    const lines = [["account"].concat(roles).join(",")];
+    Object.keys(accounts).sort().forEach(account => {
+        const cells = roles.map(role => accounts[account][role] ? accounts[account][role].date + " by " + accounts[account][role].granter : "");
+        lines.push([account].concat(cells).join(","));
+    });
+    return lines.join("\n");
+}
+
+module.exports = async function(callback) {
+    try {
+        const token = process.env.ROLES_TOKEN ? await EMoneyToken.at(process.env.ROLES_TOKEN) : await EMoneyToken.deployed();
+        if(await token.complianceAuthority.call() !== "0x0000000000000000000000000000000000000000") {
+            console.error("Roles are delegated to a compliance authority, set ROLES_TOKEN to the authority to report on them");
+        }
+        const roles = await readRoles(token);
+        const accounts = await readMatrix(token, roles);
+        if(process.argv.includes("--json")) {
+            console.log(JSON.stringify({ roles, accounts }, null, 4));
+        } else {
+            console.log(toCsv(roles, accounts));
+        }
+        callback();
+    } catch(error) {
+        callback(error);
+    }
+};
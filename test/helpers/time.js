@@ -0,0 +1,44 @@
+/**
+ * Helpers to read and move the time of the development chain (ganache) in the tests
+ *
+ * Usage (e.g. in a truffle test):
+ *   const time = require('./helpers/time.js');
+ *   const expiration = (await time.now(web3)) + DAY;
+ *   await time.increaseTime(web3, DAY);
+ */
+
+/**
+ * Sends a raw JSON-RPC request to the node
+ * @param web3 The web3 instance connected to the node
+ * @param method The JSON-RPC method (e.g. evm_mine)
+ * @param params The parameters of the method
+ */
+function rpc(web3, method, params) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({jsonrpc: "2.0", method: method, params: params, id: Date.now()}, (error, result) => {
+            error ? reject(error) : resolve(result);
+        });
+    });
+}
+
+/**
+ * Returns the timestamp (in seconds since epoch) of the latest block
+ */
+async function now(web3) {
+    return (await web3.eth.getBlock("latest")).timestamp;
+}
+
+/**
+ * Moves the time of the node forward, mining a block so the new time is seen by the following calls
+ * @param seconds The number of seconds to move forward
+ */
+async function increaseTime(web3, seconds) {
+    await rpc(web3, "evm_increaseTime", [seconds]);
+    await rpc(web3, "evm_mine", []);
+}
+
+module.exports = {
+    rpc,
+    now,
+    increaseTime
+};
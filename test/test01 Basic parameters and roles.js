@@ -31,6 +31,7 @@ contract("EMoneyToken", accounts => {
     const CRO_ROLE = "cro";
     const OPERATOR_ROLE = "operator"
     const COMPLIANCE_ROLE = "compliance"
+    const ADMIN_ROLES = ["croAdmin", "operatorAdmin", "complianceAdmin", "pauserAdmin", "auditorAdmin"]
     
     // runs before all tests
 
@@ -96,7 +97,22 @@ contract("EMoneyToken", accounts => {
         assert.equal(await instance.hasRole.call(compliance, COMPLIANCE_ROLE), false, "Should not have role before defining it");
     });
 
-    it("The owner should be able to add roles", async () => {
+    it("Only the owner should be able to give admin roles through break-glass", async () => {
+        assert.equal(await instance.roleAdmin.call(COMPLIANCE_ROLE), "complianceAdmin", "Wrong default admin role");
+        await truffleAssert.reverts(instance.addRole(cro, CRO_ROLE, {from:owner}), "Sender does not have role croAdmin", "Was able to add a role without its admin role");
+        await truffleAssert.reverts(instance.breakGlassAddRole(cro, "croAdmin", {from:cro}), "", "Non owner was able to use break-glass");
+
+        // For the sake of these tests the owner also acts as the admin of all roles
+        for(const adminRole of ADMIN_ROLES) {
+            tx = await instance.breakGlassAddRole(owner, adminRole, {from:owner});
+            truffleAssert.eventEmitted(tx, 'BreakGlassRoleChange', (ev) => {
+                return ev.account === owner && ev.role === adminRole && ev.granted === true;
+            });
+        }
+        assert.equal(await instance.hasRole.call(owner, "complianceAdmin"), true, "Admin role has not been added");
+    });
+
+    it("Admins should be able to add roles", async () => {
         tx = await instance.addRole(cro, CRO_ROLE, {from:owner});
         assert.equal(tx.logs[0].event, "RoleAdded", "RoleAdded event not issued");
         assert.equal(tx.logs[0].args.account, cro, "Incorrect argument in RoleAdded event");
@@ -122,7 +138,7 @@ contract("EMoneyToken", accounts => {
         assert.equal(await instance.hasRole.call(compliance, COMPLIANCE_ROLE), true, "Role has not been added");
     });
 
-    it("The ownwer should be able to revoke roles", async () => {
+    it("Admins should be able to revoke roles", async () => {
         tx = await instance.revokeRole(userAccount1, CRO_ROLE, {from:owner});
         assert.equal(tx.logs[0].event, "RoleRevoked", "RoleRevoked event not issued");
         assert.equal(tx.logs[0].args.account, userAccount1, "Incorrect argument in RoleRevoked event");
@@ -133,13 +149,26 @@ contract("EMoneyToken", accounts => {
         await truffleAssert.reverts(instance.revokeRole(operator, OPERATOR_ROLE, {from:operator}), "", "Was able to revoke role");
     });
 
-    it("Nobody but the ownwer should be able to add or revoke roles", async () => {
+    it("Nobody but the admins should be able to add or revoke roles", async () => {
         truffleAssert.reverts(instance.addRole(userAccount1, CRO_ROLE, {from:userAccount1}), "", "Was able to add role");
         truffleAssert.reverts(instance.addRole(userAccount2, CRO_ROLE, {from:cro}), "", "Was able to add role");
         truffleAssert.reverts(instance.revokeRole(cro, CRO_ROLE, {from:cro}), "", "Was able to revoke role");
         await truffleAssert.reverts(instance.revokeRole(operator, CRO_ROLE, {from:operator}), "", "Was able to revoke role");
     });
 
+    it("Only the owner should be able to change the admin role of a role", async () => {
+        await truffleAssert.reverts(instance.setRoleAdmin("pauser", COMPLIANCE_ROLE, {from:compliance}), "", "Non owner was able to change an admin role");
+        tx = await instance.setRoleAdmin("pauser", COMPLIANCE_ROLE, {from:owner});
+        truffleAssert.eventEmitted(tx, 'RoleAdminChanged', (ev) => {
+            return ev.role === "pauser" && ev.previousAdminRole === "pauserAdmin" && ev.newAdminRole === COMPLIANCE_ROLE;
+        });
+        await instance.addRole(userAccount1, "pauser", {from:compliance});
+        await truffleAssert.reverts(instance.revokeRole(userAccount1, "pauser", {from:owner}), "Sender does not have role compliance", "Former admin was able to revoke a role");
+        await instance.revokeRole(userAccount1, "pauser", {from:compliance});
+        await instance.setRoleAdmin("pauser", "", {from:owner});
+        assert.equal(await instance.roleAdmin.call("pauser"), "pauserAdmin", "Default admin role not restored");
+    });
+
     // Now testing Whitelisting
 
     it("Should start with no whitelisted addresses", async () => {
@@ -27,6 +27,7 @@ contract("EMoneyToken", accounts => {
     
     const FAILURE = 0x00
     const SUCCESS = 0x01
+    const REQUESTER_NOT_WHITELISTED = 0xA3
     
     const FUNDING_ID1 = "FundingID1"
     const FUNDING_ID2 = "FundingID2"
@@ -45,9 +46,9 @@ contract("EMoneyToken", accounts => {
 
     it("Compliance check functions for funding should work", async () => {
         assert.equal(await instance.canOrderFunding.call(userAccount1, userAccount1, 10), SUCCESS, "Requesting funding from whitelisted address is not compliant");
-        assert.equal(await instance.canOrderFunding.call(userAccount1, notWhitelisted1, 10), FAILURE, "Requesting funding from non whitelisted address passess compliance check");
+        assert.equal(await instance.canOrderFunding.call(userAccount1, notWhitelisted1, 10), REQUESTER_NOT_WHITELISTED, "Requesting funding from non whitelisted address passess compliance check");
         assert.equal(await instance.canApproveToOrderFunding.call(userAccount2, userAccount3), SUCCESS, "Approving a whitelisted address is not compliant");
-        assert.equal(await instance.canApproveToOrderFunding.call(userAccount2, notWhitelisted2), FAILURE, "Approving a non whitelisted address passes compliance check");
+        assert.equal(await instance.canApproveToOrderFunding.call(userAccount2, notWhitelisted2), REQUESTER_NOT_WHITELISTED, "Approving a non whitelisted address passes compliance check");
     })
 
     it("Not whitelisted addresses should not be able to order funding", async () => {
@@ -48,6 +48,8 @@ contract("EMoneyToken", accounts => {
     
     const FAILURE = 0x00
     const SUCCESS = 0x01
+    const SENDER_NOT_WHITELISTED = 0xA0
+    const REQUESTER_NOT_WHITELISTED = 0xA3
     
     const PAYOUT_ID1 = "PayoutID1"
     const PAYOUT_ID2 = "PayoutID2"
@@ -65,11 +67,11 @@ contract("EMoneyToken", accounts => {
 
     it("Compliance check functions for payouts should work", async () => {
         assert.equal(await instance.canOrderPayout.call(userAccount1, userAccount1, 10), SUCCESS, "Requesting payouts from whitelisted address is not compliant");
-        assert.equal(await instance.canOrderPayout.call(userAccount1, notWhitelisted1, 10), FAILURE, "Requesting payouts from non whitelisted address passess compliance check");
-        assert.equal(await instance.canOrderPayout.call(notWhitelisted1, userAccount1, 10), FAILURE, "Requesting payouts from non whitelisted address passess compliance check");
+        assert.equal(await instance.canOrderPayout.call(userAccount1, notWhitelisted1, 10), REQUESTER_NOT_WHITELISTED, "Requesting payouts from non whitelisted address passess compliance check");
+        assert.equal(await instance.canOrderPayout.call(notWhitelisted1, userAccount1, 10), SENDER_NOT_WHITELISTED, "Requesting payouts from non whitelisted address passess compliance check");
         assert.equal(await instance.canApproveToOrderPayout.call(userAccount2, userAccount3), SUCCESS, "Approving a whitelisted address is not compliant");
-        assert.equal(await instance.canApproveToOrderPayout.call(userAccount2, notWhitelisted2), FAILURE, "Approving a non whitelisted address passes compliance check");
-        assert.equal(await instance.canApproveToOrderPayout.call(notWhitelisted2, userAccount2), FAILURE, "Approving a non whitelisted address passes compliance check");
+        assert.equal(await instance.canApproveToOrderPayout.call(userAccount2, notWhitelisted2), REQUESTER_NOT_WHITELISTED, "Approving a non whitelisted address passes compliance check");
+        assert.equal(await instance.canApproveToOrderPayout.call(notWhitelisted2, userAccount2), SENDER_NOT_WHITELISTED, "Approving a non whitelisted address passes compliance check");
     })
 
     it("Not whitelisted addresses should not be able to order payouts", async () => {
@@ -47,6 +47,9 @@ contract("EMoneyToken", accounts => {
     
     const FAILURE = 0x00
     const SUCCESS = 0x01
+    const SENDER_NOT_WHITELISTED = 0xA0
+    const RECEIVER_NOT_WHITELISTED = 0xA1
+    const REQUESTER_NOT_WHITELISTED = 0xA3
     
     const CLEARABLE_TRANSFER_ID1 = "ClearableTransferID1"
     const CLEARABLE_TRANSFER_ID2 = "ClearableTransferID2"
@@ -64,11 +67,11 @@ contract("EMoneyToken", accounts => {
 
     it("Compliance check functions for clearable transfers should work", async () => {
         assert.equal(await instance.canOrderClearableTransfer.call(userAccount1, userAccount2, 10), SUCCESS, "Requesting clearable transfers from whitelisted address is not compliant");
-        assert.equal(await instance.canOrderClearableTransfer.call(userAccount1, notWhitelisted1, 10), FAILURE, "Requesting clearable transfers from non whitelisted address passess compliance check");
-        assert.equal(await instance.canOrderClearableTransfer.call(notWhitelisted1, userAccount1, 10), FAILURE, "Requesting clearable transfers from non whitelisted address passess compliance check");
+        assert.equal(await instance.canOrderClearableTransfer.call(userAccount1, notWhitelisted1, 10), RECEIVER_NOT_WHITELISTED, "Requesting clearable transfers from non whitelisted address passess compliance check");
+        assert.equal(await instance.canOrderClearableTransfer.call(notWhitelisted1, userAccount1, 10), SENDER_NOT_WHITELISTED, "Requesting clearable transfers from non whitelisted address passess compliance check");
         assert.equal(await instance.canApproveToOrderClearableTransfer.call(userAccount2, userAccount3), SUCCESS, "Approving a whitelisted address is not compliant");
-        assert.equal(await instance.canApproveToOrderClearableTransfer.call(userAccount2, notWhitelisted2), FAILURE, "Approving a non whitelisted address passes compliance check");
-        assert.equal(await instance.canApproveToOrderClearableTransfer.call(notWhitelisted2, userAccount2), FAILURE, "Approving a non whitelisted address passes compliance check");
+        assert.equal(await instance.canApproveToOrderClearableTransfer.call(userAccount2, notWhitelisted2), REQUESTER_NOT_WHITELISTED, "Approving a non whitelisted address passes compliance check");
+        assert.equal(await instance.canApproveToOrderClearableTransfer.call(notWhitelisted2, userAccount2), SENDER_NOT_WHITELISTED, "Approving a non whitelisted address passes compliance check");
     })
 
     it("Not whitelisted addresses should not be able to order payouts", async () => {
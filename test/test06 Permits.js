@@ -0,0 +1,80 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const { buildPermit, signTypedData, splitSignature, signPermit } = require('../lib/permit.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const permitValue = 12345
+    const farDeadline = Math.floor(Date.now() / 1000) + 3600
+
+    before( async () => {
+        console.log("  > Now testing permits (gasless approvals)");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Permit nonces should start at zero", async () => {
+        assert.equal(await instance.nonces.call(userAccount1), 0, "Nonce did not start at zero");
+        assert.equal(await instance.nonces.call(userAccount2), 0, "Nonce did not start at zero");
+    });
+
+    it("Anyone should be able to submit a permit signed by the wallet owner", async () => {
+        const { v, r, s } = await signPermit(web3, instance, userAccount1, userAccount2, permitValue, farDeadline);
+        tx = await instance.permit(userAccount1, userAccount2, permitValue, farDeadline, v, r, s, {from:notWhitelisted1});
+        assert.equal(tx.logs[0].event, "Approval", "Approval event not issued");
+        assert.equal(tx.logs[0].args.owner, userAccount1, "Incorrect argument in Approval event");
+        assert.equal(tx.logs[0].args.spender, userAccount2, "Incorrect argument in Approval event");
+        assert.equal(tx.logs[0].args.value, permitValue, "Incorrect argument in Approval event");
+        assert.equal(await instance.allowance.call(userAccount1, userAccount2), permitValue, "Allowance not set by permit");
+        assert.equal(await instance.nonces.call(userAccount1), 1, "Nonce not increased");
+    });
+
+    it("Permits should not be replayable", async () => {
+        const { v, r, s } = await signPermit(web3, instance, userAccount1, userAccount2, 0, farDeadline);
+        await instance.permit(userAccount1, userAccount2, 0, farDeadline, v, r, s, {from:userAccount2});
+        await truffleAssert.reverts(instance.permit(userAccount1, userAccount2, 0, farDeadline, v, r, s, {from:userAccount2}), "Invalid permit signature", "Was able to replay a permit");
+    });
+
+    it("Permits signed by someone else than the owner should be rejected", async () => {
+        const { v, r, s } = await signPermit(web3, instance, userAccount2, userAccount3, permitValue, farDeadline);
+        await truffleAssert.reverts(instance.permit(userAccount1, userAccount3, permitValue, farDeadline, v, r, s, {from:userAccount3}), "Invalid permit signature", "Was able to use a permit signed by another wallet");
+    });
+
+    it("Permits signed for another chain should be rejected", async () => {
+        const typedData = await buildPermit(web3, instance, userAccount1, userAccount2, permitValue, farDeadline);
+        typedData.domain.chainId = typedData.domain.chainId + 1;
+        const { v, r, s } = splitSignature(await signTypedData(web3, userAccount1, typedData));
+        await truffleAssert.reverts(instance.permit(userAccount1, userAccount2, permitValue, farDeadline, v, r, s, {from:userAccount2}), "Invalid permit signature", "Was able to use a permit signed for another chain");
+    });
+
+    it("Expired permits should be rejected", async () => {
+        const pastDeadline = Math.floor(Date.now() / 1000) - 3600;
+        const { v, r, s } = await signPermit(web3, instance, userAccount1, userAccount2, permitValue, pastDeadline);
+        await truffleAssert.reverts(instance.permit(userAccount1, userAccount2, permitValue, pastDeadline, v, r, s, {from:userAccount2}), "Permit expired", "Was able to use an expired permit");
+    });
+
+    it("Permits should be subject to compliance checks", async () => {
+        const { v, r, s } = await signPermit(web3, instance, userAccount1, notWhitelisted1, permitValue, farDeadline);
+        await truffleAssert.reverts(instance.permit(userAccount1, notWhitelisted1, permitValue, farDeadline, v, r, s, {from:userAccount1}), "Requester not whitelisted", "Was able to permit a non whitelisted spender");
+    });
+
+});
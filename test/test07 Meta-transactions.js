@@ -0,0 +1,81 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const Forwarder = artifacts.require("Forwarder");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const { signRequest, toExecuteArgs } = require('../lib/metaTx.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var forwarder
+    var tx
+    var _result
+
+    // Constants for this test
+    const relayer = notWhitelisted2
+    const transferValue = 10
+
+    before( async () => {
+        console.log("  > Now testing meta-transactions");
+        instance = await EMoneyToken.deployed();
+        forwarder = await Forwarder.deployed();
+        console.log("  > Contract address is", instance.address);
+        console.log("  > Forwarder address is", forwarder.address);
+    })
+
+    it("The forwarder should be trusted by the token", async () => {
+        assert.equal(await instance.trustedForwarder.call(), forwarder.address, "Forwarder not set in the token");
+        assert.equal(await instance.isTrustedForwarder.call(forwarder.address), true, "Forwarder not trusted");
+        assert.equal(await instance.isTrustedForwarder.call(relayer), false, "Relayer trusted as forwarder");
+    });
+
+    it("Nobody but the owner should be able to change the trusted forwarder", async () => {
+        await truffleAssert.reverts(instance.setTrustedForwarder(relayer, {from:operator}), "", "Was able to change the trusted forwarder");
+    });
+
+    it("A relayer should be able to submit a transfer signed by a user", async () => {
+        const balance3 = (await instance.balanceOf.call(userAccount3)).toNumber();
+        const balance2 = (await instance.balanceOf.call(userAccount2)).toNumber();
+        const data = instance.contract.methods.transfer(userAccount2, transferValue).encodeABI();
+        const { request, signature } = await signRequest(web3, forwarder, userAccount3, instance.address, data);
+        assert.equal(await forwarder.verify.call(...toExecuteArgs(request, signature)), true, "Signed request not verified");
+
+        tx = await forwarder.execute(...toExecuteArgs(request, signature), {from:relayer});
+        truffleAssert.eventEmitted(tx, 'RequestExecuted', (ev) => {
+            return ev.from === userAccount3 && ev.to === instance.address;
+        });
+        assert.equal((await instance.balanceOf.call(userAccount3)).toNumber(), balance3 - transferValue, "Funds not taken from the signer");
+        assert.equal((await instance.balanceOf.call(userAccount2)).toNumber(), balance2 + transferValue, "Funds not received");
+        assert.equal(await forwarder.getNonce.call(userAccount3), 1, "Nonce not increased");
+
+        await truffleAssert.reverts(forwarder.execute(...toExecuteArgs(request, signature), {from:relayer}), "Signature does not match request", "Was able to replay a request");
+    });
+
+    it("Tampered requests should be rejected", async () => {
+        const data = instance.contract.methods.transfer(userAccount2, transferValue).encodeABI();
+        const { request, signature } = await signRequest(web3, forwarder, userAccount3, instance.address, data);
+        request.from = userAccount1;
+        assert.equal(await forwarder.verify.call(...toExecuteArgs(request, signature)), false, "Tampered request verified");
+        await truffleAssert.reverts(forwarder.execute(...toExecuteArgs(request, signature), {from:relayer}), "Signature does not match request", "Was able to execute a tampered request");
+    });
+
+    it("Compliance checks should apply to the signer, not to the relayer", async () => {
+        const data = instance.contract.methods.transfer(notWhitelisted1, transferValue).encodeABI();
+        const { request, signature } = await signRequest(web3, forwarder, userAccount3, instance.address, data);
+        await truffleAssert.reverts(forwarder.execute(...toExecuteArgs(request, signature), {from:relayer}), "Receiver not whitelisted", "Was able to transfer to a non whitelisted wallet");
+    });
+
+});
@@ -0,0 +1,67 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const reference1 = web3.utils.fromAscii("PAYROLL-2019-03-001")
+    const reference2 = web3.utils.fromAscii("PAYROLL-2019-03-002")
+
+    before( async () => {
+        console.log("  > Now testing batch transfers");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Should be able to transfer to several wallets in one batch", async () => {
+        const balance1 = (await instance.balanceOf.call(userAccount1)).toNumber();
+        const balance2 = (await instance.balanceOf.call(userAccount2)).toNumber();
+        const balance3 = (await instance.balanceOf.call(userAccount3)).toNumber();
+
+        tx = await instance.transferBatch([userAccount1, userAccount2], [100, 200], [reference1, reference2], {from:userAccount3});
+        truffleAssert.eventEmitted(tx, 'TransferReference', (ev) => {
+            return ev.from === userAccount3 && ev.to === userAccount1 && ev.value.toNumber() === 100 && web3.utils.hexToUtf8(ev.paymentReference) === "PAYROLL-2019-03-001";
+        });
+        truffleAssert.eventEmitted(tx, 'TransferReference', (ev) => {
+            return ev.from === userAccount3 && ev.to === userAccount2 && ev.value.toNumber() === 200 && web3.utils.hexToUtf8(ev.paymentReference) === "PAYROLL-2019-03-002";
+        });
+        truffleAssert.eventEmitted(tx, 'Transfer', (ev) => {
+            return ev.from === userAccount3 && ev.to === userAccount2 && ev.value.toNumber() === 200;
+        });
+
+        assert.equal((await instance.balanceOf.call(userAccount1)).toNumber(), balance1 + 100, "Funds not received (1)");
+        assert.equal((await instance.balanceOf.call(userAccount2)).toNumber(), balance2 + 200, "Funds not received (2)");
+        assert.equal((await instance.balanceOf.call(userAccount3)).toNumber(), balance3 - 300, "Funds not taken from the sender");
+    });
+
+    it("Batches with mismatching arrays should be rejected", async () => {
+        await truffleAssert.reverts(instance.transferBatch([userAccount1, userAccount2], [100], [reference1, reference2], {from:userAccount3}), "Array lengths do not match", "Was able to transfer a malformed batch");
+    });
+
+    it("Batches should be all-or-nothing", async () => {
+        const balance1 = (await instance.balanceOf.call(userAccount1)).toNumber();
+        const balance3 = (await instance.balanceOf.call(userAccount3)).toNumber();
+        await truffleAssert.reverts(instance.transferBatch([userAccount1, notWhitelisted1], [100, 100], [reference1, reference2], {from:userAccount3}), "", "Was able to transfer to a non whitelisted wallet in a batch");
+        assert.equal((await instance.balanceOf.call(userAccount1)).toNumber(), balance1, "First leg not reverted");
+        assert.equal((await instance.balanceOf.call(userAccount3)).toNumber(), balance3, "Sender balance changed");
+    });
+
+});
@@ -0,0 +1,90 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const pauser = cro
+    const PAUSER_ROLE = "pauser"
+    const PAYOUTABLE_WORKFLOW = "payoutable"
+    const PAYOUT_ID = "PausedPayoutID1"
+    const PAYOUT_STATUS_REJECTED = 5
+
+    before( async () => {
+        console.log("  > Now testing pausing");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Owner should be able to give the pauser role", async () => {
+        await instance.addRole(pauser, PAUSER_ROLE, {from:owner});
+        assert.equal(await instance.hasRole.call(pauser, PAUSER_ROLE), true, "Pauser role not given");
+    });
+
+    it("Only pausers should be able to pause the token", async () => {
+        await truffleAssert.reverts(instance.pause({from:operator}), "Sender does not have role pauser", "Was able to pause the token");
+        await truffleAssert.reverts(instance.pauseWorkflow(PAYOUTABLE_WORKFLOW, {from:operator}), "Sender does not have role pauser", "Was able to pause a workflow");
+    });
+
+    it("Nothing should move while the whole token is paused", async () => {
+        tx = await instance.pause({from:pauser});
+        truffleAssert.eventEmitted(tx, 'Paused', (ev) => {
+            return ev.account === pauser;
+        });
+        assert.equal(await instance.isPaused.call(), true, "Token not paused");
+        await truffleAssert.reverts(instance.transfer(userAccount2, 10, {from:userAccount1}), "Token is paused", "Was able to transfer while paused");
+        await truffleAssert.reverts(instance.orderPayout(PAYOUT_ID, 10, "No particular instructions", {from:userAccount1}), "Token is paused", "Was able to order a payout while paused");
+
+        tx = await instance.unpause({from:pauser});
+        truffleAssert.eventEmitted(tx, 'Unpaused', (ev) => {
+            return ev.account === pauser;
+        });
+        const balance2 = (await instance.balanceOf.call(userAccount2)).toNumber();
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+        assert.equal((await instance.balanceOf.call(userAccount2)).toNumber(), balance2 + 10, "Transfer failed after unpausing");
+    });
+
+    it("Pausing a workflow should only stop that workflow, and leave recovery calls available", async () => {
+        await instance.orderPayout(PAYOUT_ID, 10, "No particular instructions", {from:userAccount1});
+
+        tx = await instance.pauseWorkflow(PAYOUTABLE_WORKFLOW, {from:pauser});
+        truffleAssert.eventEmitted(tx, 'WorkflowPaused', (ev) => {
+            return ev.workflow === PAYOUTABLE_WORKFLOW && ev.account === pauser;
+        });
+        assert.equal(await instance.isWorkflowPaused.call(PAYOUTABLE_WORKFLOW), true, "Workflow not paused");
+        assert.equal(await instance.isPaused.call(), false, "Whole token paused");
+
+        await truffleAssert.reverts(instance.processPayout(userAccount1, PAYOUT_ID, {from:operator}), "Workflow is paused: payoutable", "Was able to process a payout while paused");
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+
+        await instance.rejectPayout(userAccount1, PAYOUT_ID, "Incident in progress", {from:operator});
+        _result = await instance.retrievePayoutData.call(userAccount1, PAYOUT_ID);
+        assert.equal(_result.status, PAYOUT_STATUS_REJECTED, "Payout not rejected");
+
+        await instance.unpauseWorkflow(PAYOUTABLE_WORKFLOW, {from:pauser});
+        assert.equal(await instance.isWorkflowPaused.call(PAYOUTABLE_WORKFLOW), false, "Workflow not unpaused");
+    });
+
+    it("Unknown workflows should not be paused", async () => {
+        await truffleAssert.reverts(instance.pauseWorkflow("payouts", {from:pauser}), "Unknown workflow", "Was able to pause an unknown workflow");
+    });
+
+});
@@ -0,0 +1,131 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const FAILURE = 0x00
+    const SUCCESS = 0x01
+    const SENDER_FROZEN = 0xA4
+    const RECEIVER_FROZEN = 0xA5
+
+    const FreezeState = Object.freeze({
+        "NotFrozen":0,
+        "OutgoingFrozen":1,
+        "IncomingFrozen":2,
+        "AllFrozen":3
+    });
+
+    const seizureWallet = notWhitelisted2
+    const FREEZE_ORDER = "Court order 2019/0042"
+    const SEIZURE_ORDER = "Court order 2019/0043"
+    const LIFT_ORDER = "Court order 2019/0044"
+    const HOLD_ID = "SeizedHoldID1"
+    const FROZEN_HOLD_ID = "FrozenHoldID1"
+
+    before( async () => {
+        console.log("  > Now testing freezing and seizure");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to freeze wallets, and always with a legal reference", async () => {
+        await truffleAssert.reverts(instance.freeze(userAccount1, FreezeState.OutgoingFrozen, FREEZE_ORDER, {from:operator}), "Sender does not have role compliance", "Was able to freeze a wallet");
+        await truffleAssert.reverts(instance.freeze(userAccount1, FreezeState.OutgoingFrozen, "", {from:compliance}), "Legal reference is required", "Was able to freeze a wallet without legal reference");
+    });
+
+    it("Wallets frozen for outgoing payments should still receive funds", async () => {
+        tx = await instance.freeze(userAccount1, FreezeState.OutgoingFrozen, FREEZE_ORDER, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'Frozen', (ev) => {
+            return ev.wallet === userAccount1 && ev.state.toNumber() === FreezeState.OutgoingFrozen && ev.legalReference === FREEZE_ORDER;
+        });
+        _result = await instance.freezeState.call(userAccount1);
+        assert.equal(_result.state, FreezeState.OutgoingFrozen, "Freeze state not registered");
+        assert.equal(_result.legalReference, FREEZE_ORDER, "Legal reference not registered");
+        assert.equal(await instance.isWhitelisted.call(userAccount1), true, "Frozen wallet is no longer whitelisted");
+
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 10), SENDER_FROZEN, "Frozen wallet can send funds");
+        assert.equal(await instance.canTransfer.call(userAccount2, userAccount1, 10), SUCCESS, "Frozen wallet cannot receive funds");
+        await truffleAssert.reverts(instance.transfer(userAccount2, 10, {from:userAccount1}), "Sender frozen", "Was able to transfer from a frozen wallet");
+        await instance.transfer(userAccount1, 10, {from:userAccount3});
+    });
+
+    it("Wallets frozen for incoming payments should not receive funds", async () => {
+        await instance.freeze(userAccount2, FreezeState.IncomingFrozen, FREEZE_ORDER, {from:compliance});
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount2, 10), RECEIVER_FROZEN, "Frozen wallet can receive funds");
+        await truffleAssert.reverts(instance.transfer(userAccount2, 10, {from:userAccount3}), "Receiver frozen", "Was able to transfer to a frozen wallet");
+    });
+
+    it("Operator should be able to seize available funds", async () => {
+        await truffleAssert.reverts(instance.forcedTransfer(userAccount1, 10, SEIZURE_ORDER, {from:operator}), "Seizure wallet not set", "Was able to seize funds without a seizure wallet");
+        await truffleAssert.reverts(instance.setSeizureWallet(seizureWallet, {from:operator}), "", "Non owner was able to set the seizure wallet");
+        await instance.setSeizureWallet(seizureWallet, {from:owner});
+
+        const seizable = (await instance.seizableFunds.call(userAccount1)).toNumber();
+        const balance1 = (await instance.balanceOf.call(userAccount1)).toNumber();
+        const seized = (await instance.balanceOf.call(seizureWallet)).toNumber();
+        await truffleAssert.reverts(instance.forcedTransfer(userAccount1, seizable + 1, SEIZURE_ORDER, {from:operator}), "Not enough seizable funds", "Was able to seize more than the seizable funds");
+        await truffleAssert.reverts(instance.forcedTransfer(userAccount1, 10, SEIZURE_ORDER, {from:userAccount3}), "Sender does not have role operator", "Non operator was able to seize funds");
+
+        tx = await instance.forcedTransfer(userAccount1, 10, SEIZURE_ORDER, {from:operator});
+        truffleAssert.eventEmitted(tx, 'ForcedTransfer', (ev) => {
+            return ev.from === userAccount1 && ev.to === seizureWallet && ev.amount.toNumber() === 10 && ev.legalReference === SEIZURE_ORDER;
+        });
+        assert.equal((await instance.balanceOf.call(userAccount1)).toNumber(), balance1 - 10, "Funds not taken from the frozen wallet");
+        assert.equal((await instance.balanceOf.call(seizureWallet)).toNumber(), seized + 10, "Funds not received in the seizure wallet");
+    });
+
+    it("Operator should be able to seize funds on hold", async () => {
+        const balance3 = (await instance.balanceOf.call(userAccount3)).toNumber();
+        const seized = (await instance.balanceOf.call(seizureWallet)).toNumber();
+        await instance.hold(HOLD_ID, userAccount1, notary1, 20, false, 0, {from:userAccount3});
+
+        tx = await instance.forcedTransferHold(userAccount3, HOLD_ID, SEIZURE_ORDER, {from:operator});
+        truffleAssert.eventEmitted(tx, 'HoldSeized', (ev) => {
+            return ev.holder === userAccount3 && ev.operationId === HOLD_ID && ev.from === userAccount3 && ev.to === seizureWallet && ev.amount.toNumber() === 20;
+        });
+        assert.equal((await instance.balanceOf.call(userAccount3)).toNumber(), balance3 - 20, "Funds not taken from the payer");
+        assert.equal((await instance.balanceOf.call(seizureWallet)).toNumber(), seized + 20, "Funds not received in the seizure wallet");
+        await truffleAssert.reverts(instance.executeHold(userAccount3, HOLD_ID, {from:notary1}), "Hold not active", "Was able to execute a seized hold");
+    });
+
+    it("Holds should not be executed while the payer or the payee are frozen", async () => {
+        await instance.hold(FROZEN_HOLD_ID, userAccount1, notary1, 10, false, 0, {from:userAccount3});
+        await instance.freeze(userAccount3, FreezeState.OutgoingFrozen, FREEZE_ORDER, {from:compliance});
+        await truffleAssert.reverts(instance.executeHold(userAccount3, FROZEN_HOLD_ID, {from:notary1}), "Sender frozen", "Was able to execute a hold from a frozen wallet");
+        await instance.unfreeze(userAccount3, LIFT_ORDER, {from:compliance});
+
+        await instance.freeze(userAccount1, FreezeState.AllFrozen, FREEZE_ORDER, {from:compliance});
+        await truffleAssert.reverts(instance.executeHold(userAccount3, FROZEN_HOLD_ID, {from:notary1}), "Receiver frozen", "Was able to execute a hold to a frozen wallet");
+        await instance.freeze(userAccount1, FreezeState.OutgoingFrozen, FREEZE_ORDER, {from:compliance});
+        await instance.releaseHold(userAccount3, FROZEN_HOLD_ID, {from:notary1});
+    });
+
+    it("Compliance should be able to lift freezes", async () => {
+        tx = await instance.unfreeze(userAccount1, LIFT_ORDER, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'Unfrozen', (ev) => {
+            return ev.wallet === userAccount1 && ev.legalReference === LIFT_ORDER;
+        });
+        await instance.unfreeze(userAccount2, LIFT_ORDER, {from:compliance});
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 10), SUCCESS, "Wallets still frozen");
+    });
+
+});
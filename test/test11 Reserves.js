@@ -0,0 +1,89 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const { signReserveAttestation } = require('../lib/reserveAttestation.js');
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const auditor = notary1
+    const AUDITOR_ROLE = "auditor"
+    const REPORT_HASH_1 = web3.utils.keccak256("Reserve report 2019-03-31")
+    const REPORT_HASH_2 = web3.utils.keccak256("Reserve report 2019-04-30")
+    const LARGE_RESERVE = 1000000000000
+
+    var reserve
+
+    async function attestReserve(signer, amount, asOf, reportHash, from) {
+        const { v, r, s } = await signReserveAttestation(web3, instance, signer, amount, asOf, reportHash);
+        return instance.attestReserve(amount, asOf, reportHash, v, r, s, {from:from});
+    }
+
+    before( async () => {
+        console.log("  > Now testing reserve attestations");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only auditors should be able to attest reserves", async () => {
+        assert.equal((await instance.coverageRatio.call()).toNumber(), 0, "Coverage ratio reported before any attestation");
+        await instance.addRole(auditor, AUDITOR_ROLE, {from:owner});
+        await truffleAssert.reverts(attestReserve(operator, 1000, await time.now(web3), REPORT_HASH_1, operator), "Attestation not signed by an auditor", "Was able to attest reserves");
+
+        const asOf = await time.now(web3);
+        const { v, r, s } = await signReserveAttestation(web3, instance, auditor, 1000, asOf, REPORT_HASH_1);
+        await truffleAssert.reverts(instance.attestReserve(1001, asOf, REPORT_HASH_1, v, r, s, {from:auditor}), "Attestation not signed by an auditor", "Was able to alter a signed attestation");
+    });
+
+    it("Attestations signed by auditors should be accepted from anyone", async () => {
+        const totalSupply = (await instance.totalSupply.call()).toNumber();
+        const asOf = await time.now(web3);
+        reserve = totalSupply + 100;
+        tx = await attestReserve(auditor, reserve, asOf, REPORT_HASH_1, operator);
+        truffleAssert.eventEmitted(tx, 'ReserveAttested', (ev) => {
+            return ev.auditor === auditor && ev.amount.toNumber() === reserve && ev.reportHash === REPORT_HASH_1;
+        });
+        _result = await instance.latestReserveAttestation.call();
+        assert.equal(_result.amount.toNumber(), reserve, "Reserve not registered");
+        assert.equal(_result.asOf.toNumber(), asOf, "Attestation time not registered");
+        assert.equal(_result.auditor, auditor, "Auditor not registered");
+        assert.equal(_result.attestations.toNumber(), 1, "Attestation not counted");
+        assert.equal((await instance.coverageRatio.call()).toNumber(), Math.floor(reserve * 10000 / totalSupply), "Wrong coverage ratio");
+
+        await truffleAssert.reverts(attestReserve(auditor, reserve, asOf - 1, REPORT_HASH_2, auditor), "Attestation older than the latest one", "Was able to post an outdated attestation");
+    });
+
+    it("Minting should not take the total supply above the reserve minus the buffer", async () => {
+        await truffleAssert.reverts(instance.setReserveBuffer(50, {from:operator}), "Sender does not have role cro", "Was able to set the reserve buffer");
+        await instance.setReserveBuffer(50, {from:cro});
+        assert.equal((await instance.mintableAmount.call()).toNumber(), 50, "Wrong mintable amount");
+
+        await truffleAssert.reverts(instance.mint(userAccount1, "Reserve test 1", 51, {from:operator}), "Total supply above attested reserve", "Was able to mint above the reserve");
+        await instance.mint(userAccount1, "Reserve test 2", 50, {from:operator});
+    });
+
+    it("A new attestation should lift the gate", async () => {
+        await attestReserve(auditor, LARGE_RESERVE, await time.now(web3), REPORT_HASH_2, auditor);
+        await instance.setReserveBuffer(0, {from:cro});
+        await instance.mint(userAccount1, "Reserve test 3", 51, {from:operator});
+    });
+
+});
@@ -0,0 +1,86 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const HOLD_ID = "SnapshotHoldID1"
+
+    var snapshotId
+    var balance1
+    var balance2
+    var drawn1
+    var onHold2
+    var totalSupply
+
+    before( async () => {
+        console.log("  > Now testing snapshots");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only the operator should be able to take snapshots", async () => {
+        await truffleAssert.reverts(instance.snapshot({from:userAccount1}), "Sender does not have role operator", "Was able to take a snapshot");
+    });
+
+    it("Operator should be able to take snapshots", async () => {
+        balance1 = (await instance.balanceOf.call(userAccount1)).toNumber();
+        balance2 = (await instance.balanceOf.call(userAccount2)).toNumber();
+        drawn1 = (await instance.drawnAmount.call(userAccount1)).toNumber();
+        onHold2 = (await instance.balanceOnHold.call(userAccount2)).toNumber();
+        totalSupply = (await instance.totalSupply.call()).toNumber();
+
+        tx = await instance.snapshot({from:operator});
+        truffleAssert.eventEmitted(tx, 'Snapshot', (ev) => {
+            snapshotId = ev.snapshotId.toNumber();
+            return true;
+        });
+        assert.equal((await instance.currentSnapshotId.call()).toNumber(), snapshotId, "Snapshot ID not registered");
+        assert.equal((await instance.balanceOfAt.call(userAccount1, snapshotId)).toNumber(), balance1, "Wrong balance before any change");
+        await truffleAssert.reverts(instance.balanceOfAt.call(userAccount1, snapshotId + 1), "Snapshot does not exist", "Was able to read a future snapshot");
+    });
+
+    it("Snapshotted values should not change after transfers, holds and mints", async () => {
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+        await instance.hold(HOLD_ID, userAccount3, notary1, 5, false, 0, {from:userAccount2});
+        await instance.mint(userAccount1, "Snapshot test", 100, {from:operator});
+
+        assert.equal((await instance.balanceOfAt.call(userAccount1, snapshotId)).toNumber(), balance1, "Balance of the payer changed");
+        assert.equal((await instance.balanceOfAt.call(userAccount2, snapshotId)).toNumber(), balance2, "Balance of the payee changed");
+        assert.equal((await instance.balanceOnHoldAt.call(userAccount2, snapshotId)).toNumber(), onHold2, "Balance on hold changed");
+        assert.equal((await instance.totalSupplyAt.call(snapshotId)).toNumber(), totalSupply, "Total supply changed");
+        assert.equal((await instance.drawnAmountAt.call(userAccount1, snapshotId)).toNumber(), drawn1, "Drawn amount changed");
+    });
+
+    it("Later snapshots should reflect later values", async () => {
+        await instance.snapshot({from:operator});
+        const laterId = snapshotId + 1;
+        const currentBalance1 = (await instance.balanceOf.call(userAccount1)).toNumber();
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+
+        assert.equal((await instance.balanceOfAt.call(userAccount1, laterId)).toNumber(), currentBalance1, "Wrong balance in the later snapshot");
+        assert.equal((await instance.balanceOfAt.call(userAccount1, snapshotId)).toNumber(), balance1, "Balance in the first snapshot changed");
+        assert.equal((await instance.balanceOnHoldAt.call(userAccount2, laterId)).toNumber(), onHold2 + 5, "Wrong balance on hold in the later snapshot");
+
+        await instance.releaseHold(userAccount2, HOLD_ID, {from:notary1});
+    });
+
+});
@@ -0,0 +1,83 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const ComplianceAuthority = artifacts.require("ComplianceAuthority");
+const EMoneyTokenFactory = artifacts.require("EMoneyTokenFactory");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyTokenFactory", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var authority
+    var factory
+    var usdToken
+    var gbpToken
+    var tx
+    var _result
+
+    before( async () => {
+        console.log("  > Now testing the token factory");
+        authority = await ComplianceAuthority.deployed();
+        factory = await EMoneyTokenFactory.deployed();
+        console.log("  > Compliance authority address is", authority.address);
+        console.log("  > Factory address is", factory.address);
+    })
+
+    it("Roles should be set up once in the compliance authority", async () => {
+        await authority.breakGlassAddRole(operator, "operator", {from:owner});
+        await authority.breakGlassAddRole(compliance, "compliance", {from:owner});
+        await authority.whitelist(userAccount1, {from:compliance});
+        await authority.whitelist(userAccount2, {from:compliance});
+    });
+
+    it("Only the owner should be able to create tokens", async () => {
+        await truffleAssert.reverts(factory.createToken("Test USD Token", "EMT-USD", "USD", 2, {from:operator}), "", "Non owner was able to create a token");
+    });
+
+    it("Factory should create and register tokens per currency", async () => {
+        tx = await factory.createToken("Test USD Token", "EMT-USD", "USD", 2, {from:owner});
+        truffleAssert.eventEmitted(tx, 'TokenCreated', (ev) => {
+            return ev.currency === "USD";
+        });
+        await factory.createToken("Test GBP Token", "EMT-GBP", "GBP", 2, {from:owner});
+        usdToken = await EMoneyToken.at(await factory.tokenFor.call("USD"));
+        gbpToken = await EMoneyToken.at(await factory.tokenFor.call("GBP"));
+
+        assert.equal(await usdToken.currency.call(), "USD", "Wrong currency in the USD token");
+        assert.equal(await gbpToken.currency.call(), "GBP", "Wrong currency in the GBP token");
+        assert.equal((await factory.manyTokens.call()).toNumber(), 2, "Tokens not registered");
+        assert.equal(await factory.currencyAt.call(1), "GBP", "Currency not registered");
+        assert.equal(await usdToken.owner.call(), owner, "Token ownership not transferred");
+        assert.equal(await usdToken.complianceAuthority.call(), authority.address, "Compliance authority not set");
+
+        await truffleAssert.reverts(factory.createToken("Another USD Token", "EMT-USD2", "USD", 2, {from:owner}), "Token already registered for currency", "Was able to register two tokens for the same currency");
+    });
+
+    it("Roles and whitelisting should be shared by all the tokens", async () => {
+        assert.equal(await usdToken.hasRole.call(operator, "operator"), true, "Role not shared");
+        assert.equal(await gbpToken.isWhitelisted.call(userAccount1), true, "Whitelisting not shared");
+        assert.equal(await gbpToken.isWhitelisted.call(notWhitelisted1), false, "Non whitelisted wallet appears as whitelisted");
+
+        await usdToken.mint(userAccount1, "Factory test", 100, {from:operator});
+        await usdToken.transfer(userAccount2, 40, {from:userAccount1});
+        assert.equal((await usdToken.balanceOf.call(userAccount2)).toNumber(), 40, "Transfer failed");
+        assert.equal((await gbpToken.balanceOf.call(userAccount2)).toNumber(), 0, "Balances shared across tokens");
+    });
+
+    it("Roles and whitelisting should only be managed in the authority", async () => {
+        await truffleAssert.reverts(usdToken.addRole(userAccount3, "operator", {from:owner}), "Managed by the compliance authority", "Was able to add a role in the token");
+        await truffleAssert.reverts(usdToken.whitelist(userAccount3, {from:compliance}), "Managed by the compliance authority", "Was able to whitelist in the token");
+    });
+
+});
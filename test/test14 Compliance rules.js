@@ -0,0 +1,106 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const ComplianceAuthority = artifacts.require("ComplianceAuthority");
+const WhitelistRules = artifacts.require("WhitelistRules");
+const ComplianceRuleChain = artifacts.require("ComplianceRuleChain");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const SENDER_NOT_WHITELISTED = 0xA0
+    const RECEIVER_NOT_WHITELISTED = 0xA1
+    const REQUESTER_NOT_WHITELISTED = 0xA3
+    const RULES_HOLD_ID = "rulesHold1"
+
+    var tokenRules
+    var screeningList
+    var screeningRules
+    var chain
+
+    before( async () => {
+        console.log("  > Now testing pluggable compliance rules");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to set the compliance rules", async () => {
+        tokenRules = await WhitelistRules.new(ZERO_ADDRESS, {from:compliance});
+        chain = await ComplianceRuleChain.new({from:compliance});
+        await truffleAssert.reverts(instance.setComplianceRules(chain.address, {from:operator}), "Sender does not have role compliance", "Was able to set the compliance rules");
+        assert.equal(await instance.complianceRules.call(), ZERO_ADDRESS, "Compliance rules set by default");
+    });
+
+    it("Whitelist rules should replicate the default checks", async () => {
+        await chain.addRule(tokenRules.address, {from:compliance});
+        tx = await instance.setComplianceRules(chain.address, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'ComplianceRulesSet', (ev) => {
+            return ev.previousRules === ZERO_ADDRESS && ev.newRules === chain.address;
+        });
+
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 10), SUCCESS, "Whitelisted wallets cannot transfer");
+        assert.equal(await instance.canTransfer.call(notWhitelisted1, userAccount2, 10), SENDER_NOT_WHITELISTED, "Non whitelisted wallet can send funds");
+        assert.equal(await instance.canTransfer.call(userAccount1, notWhitelisted1, 10), RECEIVER_NOT_WHITELISTED, "Non whitelisted wallet can receive funds");
+        assert.equal(await instance.canOrderFunding.call(userAccount1, notWhitelisted1, 10), REQUESTER_NOT_WHITELISTED, "Non whitelisted wallet can request funding");
+        assert.equal(await instance.canOrderPayout.call(userAccount1, userAccount1, 10), SUCCESS, "Whitelisted wallet cannot request payouts");
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+    });
+
+    it("Chained rules should all be checked", async () => {
+        screeningList = await ComplianceAuthority.new(ZERO_ADDRESS, {from:compliance});
+        await screeningList.breakGlassAddRole(compliance, "compliance", {from:compliance});
+        await screeningList.whitelist(userAccount1, {from:compliance});
+        screeningRules = await WhitelistRules.new(screeningList.address, {from:compliance});
+
+        await truffleAssert.reverts(chain.addRule(screeningRules.address, {from:operator}), "", "Non owner was able to change the chain");
+        tx = await chain.addRule(screeningRules.address, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'RuleAdded', (ev) => {
+            return ev.rules === screeningRules.address;
+        });
+        assert.equal((await chain.manyRules.call()).toNumber(), 2, "Rule not added to the chain");
+
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 10), RECEIVER_NOT_WHITELISTED, "Second rule in the chain not checked");
+        await truffleAssert.reverts(instance.transfer(userAccount2, 10, {from:userAccount1}), "Receiver not whitelisted", "Was able to transfer against the second rule");
+        await screeningList.whitelist(userAccount2, {from:compliance});
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+    });
+
+    it("Rules should also be checked on transfers from, mints and executions", async () => {
+        assert.equal(await instance.canTransferFrom.call(userAccount3, userAccount1, userAccount2, 10), REQUESTER_NOT_WHITELISTED, "Spender not checked by the rules");
+        assert.equal(await instance.canMint.call(userAccount3, 10), RECEIVER_NOT_WHITELISTED, "Mint not checked by the rules");
+
+        await instance.hold(RULES_HOLD_ID, userAccount2, ZERO_ADDRESS, 10, false, 0, {from:userAccount1});
+        await screeningList.unWhitelist(userAccount2, {from:compliance});
+        await truffleAssert.reverts(instance.executeHold(userAccount1, RULES_HOLD_ID, {from:operator}), "Receiver not whitelisted", "Was able to execute a hold against the rules");
+        await screeningList.whitelist(userAccount2, {from:compliance});
+        await instance.executeHold(userAccount1, RULES_HOLD_ID, {from:operator});
+
+        await chain.removeRule(screeningRules.address, {from:compliance});
+        assert.equal(await chain.ruleAt.call(0), tokenRules.address, "Wrong rule left in the chain");
+    });
+
+    it("Compliance should be able to go back to the default checks", async () => {
+        await instance.setComplianceRules(ZERO_ADDRESS, {from:compliance});
+        assert.equal(await instance.complianceRules.call(), ZERO_ADDRESS, "Compliance rules not removed");
+        assert.equal(await instance.canTransfer.call(notWhitelisted1, userAccount2, 10), SENDER_NOT_WHITELISTED, "Default checks not restored");
+    });
+
+});
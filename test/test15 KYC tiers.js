@@ -0,0 +1,118 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const TIER_BALANCE_LIMIT_EXCEEDED = 0xA6
+    const TIER_TRANSFER_LIMIT_EXCEEDED = 0xA7
+    const TIER_FUNDING_LIMIT_EXCEEDED = 0xA8
+    const TIER_PAYOUT_LIMIT_EXCEEDED = 0xA9
+
+    const BASIC_TIER = 1
+    const MAX_TRANSFER = 50
+    const MAX_FUNDING = 60
+    const MAX_PAYOUT = 30
+    const DAY = 24 * 3600
+    const PERIOD = 30 * DAY
+    const PAYOUT_ID = "TieredPayoutID1"
+    const FUNDING_ID1 = "TieredFundingID1"
+    const FUNDING_ID2 = "TieredFundingID2"
+
+    var balance3
+
+    before( async () => {
+        console.log("  > Now testing KYC tiers");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to configure tiers", async () => {
+        await truffleAssert.reverts(instance.setTier(BASIC_TIER, 0, MAX_TRANSFER, MAX_FUNDING, MAX_PAYOUT, PERIOD, {from:operator}), "Sender does not have role compliance", "Was able to configure a tier");
+        await truffleAssert.reverts(instance.setWalletTier(userAccount3, BASIC_TIER, {from:operator}), "Sender does not have role compliance", "Was able to assign a tier");
+        await truffleAssert.reverts(instance.setTier(0, 0, MAX_TRANSFER, MAX_FUNDING, MAX_PAYOUT, PERIOD, {from:compliance}), "Tier 0 has no limits", "Was able to configure tier 0");
+    });
+
+    it("Compliance should be able to assign tiers to wallets", async () => {
+        balance3 = (await instance.balanceOf.call(userAccount3)).toNumber();
+        tx = await instance.setTier(BASIC_TIER, balance3 + 100, MAX_TRANSFER, MAX_FUNDING, MAX_PAYOUT, PERIOD, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'TierSet', (ev) => {
+            return ev.tier.toNumber() === BASIC_TIER && ev.maxTransfer.toNumber() === MAX_TRANSFER && ev.period.toNumber() === PERIOD;
+        });
+        tx = await instance.setWalletTier(userAccount3, BASIC_TIER, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WalletTierSet', (ev) => {
+            return ev.wallet === userAccount3 && ev.tier.toNumber() === BASIC_TIER;
+        });
+        assert.equal((await instance.walletTier.call(userAccount3)).toNumber(), BASIC_TIER, "Tier not assigned");
+        _result = await instance.tierLimits.call(BASIC_TIER);
+        assert.equal(_result.maxFunding.toNumber(), MAX_FUNDING, "Tier limits not registered");
+    });
+
+    it("Transfers should be limited by the tier of the wallets", async () => {
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, MAX_TRANSFER + 1), TIER_TRANSFER_LIMIT_EXCEEDED, "Was able to send above the tier limit");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount3, 101), TIER_BALANCE_LIMIT_EXCEEDED, "Was able to receive above the tier balance");
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, MAX_TRANSFER), SUCCESS, "Was not able to send within the tier limit");
+        await truffleAssert.reverts(instance.transfer(userAccount1, MAX_TRANSFER + 1, {from:userAccount3}), "Tier transfer limit exceeded", "Was able to send above the tier limit");
+    });
+
+    it("Mints and fundings should be limited by the cumulative funding of the tier", async () => {
+        await truffleAssert.reverts(instance.mint(userAccount3, "Tier test", MAX_FUNDING + 1, {from:operator}), "Tier funding limit exceeded", "Was able to mint above the tier limit");
+        await instance.mint(userAccount3, "Tier test", 40, {from:operator});
+        assert.equal((await instance.cumulativeFunding.call(userAccount3)).toNumber(), 40, "Mint not counted as funding");
+        assert.equal(await instance.canOrderFunding.call(userAccount3, userAccount3, MAX_FUNDING - 39), TIER_FUNDING_LIMIT_EXCEEDED, "Was able to order funding above the tier limit");
+        assert.equal(await instance.canOrderFunding.call(userAccount3, userAccount3, MAX_FUNDING - 40), SUCCESS, "Was not able to order funding within the tier limit");
+    });
+
+    it("Pending fundings should be checked against the tier again when executed", async () => {
+        await instance.orderFunding(FUNDING_ID1, MAX_FUNDING - 40, "No particular instructions", {from:userAccount3});
+        await instance.orderFunding(FUNDING_ID2, MAX_FUNDING - 40, "No particular instructions", {from:userAccount3});
+        await instance.executeFunding(userAccount3, FUNDING_ID1, {from:operator});
+        await truffleAssert.reverts(instance.executeFunding(userAccount3, FUNDING_ID2, {from:operator}), "Tier funding limit exceeded", "Was able to execute fundings above the tier limit");
+        await instance.rejectFunding(userAccount3, FUNDING_ID2, "Tier funding limit exceeded", {from:operator});
+    });
+
+    it("Payouts should be limited by the cumulative payout of the tier", async () => {
+        assert.equal(await instance.canOrderPayout.call(userAccount3, userAccount3, MAX_PAYOUT + 1), TIER_PAYOUT_LIMIT_EXCEEDED, "Was able to order a payout above the tier limit");
+        await truffleAssert.reverts(instance.orderPayout(PAYOUT_ID, MAX_PAYOUT + 1, "No particular instructions", {from:userAccount3}), "Tier payout limit exceeded", "Was able to order a payout above the tier limit");
+    });
+
+    it("Cumulative limits should apply to the trailing period rather than to consecutive windows", async () => {
+        await instance.setTier(BASIC_TIER, 0, MAX_TRANSFER, MAX_FUNDING, MAX_PAYOUT, PERIOD, {from:compliance});
+        await time.increaseTime(web3, PERIOD + 2 * DAY);
+        assert.equal((await instance.cumulativeFunding.call(userAccount3)).toNumber(), 0, "Fundings still counted after the period");
+
+        // Fund the limit at the end of a period that starts with a small mint, and try again right after it
+        await instance.mint(userAccount3, "Tier test", 1, {from:operator});
+        await time.increaseTime(web3, PERIOD - 2 * DAY);
+        await instance.mint(userAccount3, "Tier test", MAX_FUNDING - 1, {from:operator});
+        await time.increaseTime(web3, 3 * DAY);
+        assert.equal((await instance.cumulativeFunding.call(userAccount3)).toNumber(), MAX_FUNDING - 1, "Recent funding not counted");
+        assert.equal(await instance.canMint.call(userAccount3, 2), TIER_FUNDING_LIMIT_EXCEEDED, "Was able to fund the limit twice within a period");
+    });
+
+    it("Wallets moved back to tier 0 should have no limits", async () => {
+        await instance.setWalletTier(userAccount3, 0, {from:compliance});
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, MAX_TRANSFER + 1), SUCCESS, "Limits still enforced");
+    });
+
+});
@@ -0,0 +1,120 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const VELOCITY_LIMIT_EXCEEDED = 0xAA
+
+    const DAILY_LIMIT = 100
+    const MONTHLY_LIMIT = 1000
+    const HOLD_ID = "VelocityHoldID1"
+    const HOLD_ID2 = "VelocityHoldID2"
+    const HOLD_ID3 = "VelocityHoldID3"
+    const MINUTE = 60
+    const DAY = 24 * 60 * MINUTE
+
+    var sentToday
+
+    before( async () => {
+        console.log("  > Now testing velocity limits");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to set velocity limits", async () => {
+        await truffleAssert.reverts(instance.setDefaultVelocityLimits(DAILY_LIMIT, MONTHLY_LIMIT, {from:operator}), "Sender does not have role compliance", "Was able to set the default limits");
+        await truffleAssert.reverts(instance.setVelocityLimits(userAccount1, DAILY_LIMIT, MONTHLY_LIMIT, {from:operator}), "Sender does not have role compliance", "Was able to set wallet limits");
+    });
+
+    it("Default limits should apply to all wallets", async () => {
+        tx = await instance.setDefaultVelocityLimits(DAILY_LIMIT, MONTHLY_LIMIT, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'DefaultVelocityLimitsSet', (ev) => {
+            return ev.dailyLimit.toNumber() === DAILY_LIMIT && ev.monthlyLimit.toNumber() === MONTHLY_LIMIT;
+        });
+        _result = await instance.velocityLimits.call(userAccount1);
+        assert.equal(_result.dailyLimit.toNumber(), DAILY_LIMIT, "Default daily limit not applied");
+        assert.equal(_result.isDefault, true, "Wallet not in the default profile");
+
+        sentToday = (await instance.outgoingTotals.call(userAccount1)).dailyTotal.toNumber();
+        const headroom = DAILY_LIMIT - sentToday;
+        assert.equal((await instance.velocityHeadroom.call(userAccount1)).dailyHeadroom.toNumber(), headroom, "Wrong headroom");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, headroom + 1), VELOCITY_LIMIT_EXCEEDED, "Was able to send above the daily limit");
+        await truffleAssert.reverts(instance.transfer(userAccount2, headroom + 1, {from:userAccount1}), "Velocity limit exceeded", "Was able to send above the daily limit");
+    });
+
+    it("Transfers and executed holds should count towards the limits", async () => {
+        await instance.transfer(userAccount2, 10, {from:userAccount1});
+        await instance.hold(HOLD_ID, userAccount2, notary1, 20, false, 0, {from:userAccount1});
+        assert.equal((await instance.outgoingTotals.call(userAccount1)).dailyTotal.toNumber(), sentToday + 10, "Hold counted before being executed");
+        await instance.executeHold(userAccount1, HOLD_ID, {from:notary1});
+        _result = await instance.outgoingTotals.call(userAccount1);
+        assert.equal(_result.dailyTotal.toNumber(), sentToday + 30, "Executed hold not counted");
+        assert.equal((await instance.velocityHeadroom.call(userAccount1)).dailyHeadroom.toNumber(), DAILY_LIMIT - sentToday - 30, "Headroom not updated");
+    });
+
+    it("Pending holds should be checked against the limits again when executed", async () => {
+        const headroom = (await instance.velocityHeadroom.call(userAccount1)).dailyHeadroom.toNumber();
+        await instance.hold(HOLD_ID2, userAccount2, notary1, headroom, false, 0, {from:userAccount1});
+        await instance.hold(HOLD_ID3, userAccount2, notary1, headroom, false, 0, {from:userAccount1});
+        await instance.executeHold(userAccount1, HOLD_ID2, {from:notary1});
+        await truffleAssert.reverts(instance.executeHold(userAccount1, HOLD_ID3, {from:notary1}), "Velocity limit exceeded", "Was able to execute holds above the daily limit");
+        await instance.releaseHold(userAccount1, HOLD_ID3, {from:notary1});
+    });
+
+    it("Daily limits should apply to the last 24 hours rather than to calendar days", async () => {
+        await time.increaseTime(web3, DAY);
+        assert.equal((await instance.velocityHeadroom.call(userAccount1)).dailyHeadroom.toNumber(), DAILY_LIMIT, "Limit not restored after 24 hours");
+
+        // Spend the daily limit 10 minutes before midnight (UTC), and try again 10 minutes after it
+        let untilBeforeMidnight = DAY - (await time.now(web3)) % DAY - 10 * MINUTE;
+        if(untilBeforeMidnight < 0) {
+            untilBeforeMidnight += DAY;
+        }
+        await time.increaseTime(web3, untilBeforeMidnight);
+        await instance.transfer(userAccount2, DAILY_LIMIT, {from:userAccount1});
+        await time.increaseTime(web3, 20 * MINUTE);
+        assert.equal((await instance.outgoingTotals.call(userAccount1)).dailyTotal.toNumber(), DAILY_LIMIT, "Spend before midnight not counted after it");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 1), VELOCITY_LIMIT_EXCEEDED, "Was able to send again after midnight");
+
+        await time.increaseTime(web3, DAY);
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, DAILY_LIMIT), SUCCESS, "Limit not restored after 24 hours");
+    });
+
+    it("Wallet limits should override the default profile", async () => {
+        tx = await instance.setVelocityLimits(userAccount1, 0, MONTHLY_LIMIT, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'VelocityLimitsSet', (ev) => {
+            return ev.wallet === userAccount1 && ev.dailyLimit.toNumber() === 0;
+        });
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, DAILY_LIMIT), SUCCESS, "Daily limit still enforced");
+        await instance.removeVelocityLimits(userAccount1, {from:compliance});
+        assert.equal((await instance.velocityLimits.call(userAccount1)).isDefault, true, "Wallet not back in the default profile");
+        await truffleAssert.reverts(instance.removeVelocityLimits(userAccount1, {from:compliance}), "Wallet has no specific limits", "Was able to remove limits twice");
+    });
+
+    it("Compliance should be able to lift the default limits", async () => {
+        await instance.setDefaultVelocityLimits(0, 0, {from:compliance});
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, DAILY_LIMIT), SUCCESS, "Default limits still enforced");
+    });
+
+});
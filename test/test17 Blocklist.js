@@ -0,0 +1,107 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const SENDER_BLOCKLISTED = 0xAB
+    const RECEIVER_BLOCKLISTED = 0xAC
+    const NOTARY_BLOCKLISTED = 0xAD
+    const REQUESTER_BLOCKLISTED = 0xAE
+
+    const LIST_ID = "EU-CFSP"
+    const LIST_VERSION = web3.utils.keccak256("EU-CFSP 2019-10-01")
+    const LIST_DATE = 1569888000
+    const DELISTING_VERSION = web3.utils.keccak256("EU-CFSP 2019-11-01")
+    const DELISTING_DATE = 1572566400
+    const OTHER_LIST_ID = "OFAC-SDN"
+    const OTHER_LIST_VERSION = web3.utils.keccak256("OFAC-SDN 2019-10-15")
+    const OTHER_LIST_DATE = 1571097600
+    const HOLD_ID = "BlocklistHoldID1"
+
+    before( async () => {
+        console.log("  > Now testing the sanctions blocklist");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to blocklist addresses", async () => {
+        await truffleAssert.reverts(instance.blocklist(userAccount3, LIST_ID, LIST_VERSION, LIST_DATE, {from:operator}), "Sender does not have role compliance", "Was able to blocklist an address");
+        await truffleAssert.reverts(instance.blocklist(userAccount3, "", LIST_VERSION, LIST_DATE, {from:compliance}), "List id is required", "Was able to blocklist without provenance");
+    });
+
+    it("Operations can be set up in favour of an address before it is blocklisted", async () => {
+        await instance.hold(HOLD_ID, userAccount3, userAccount2, 10, false, 0, {from:userAccount1});
+        await instance.approve(userAccount3, 10, {from:userAccount1});
+    });
+
+    it("Blocklisted addresses should fail all the checks, even if whitelisted", async () => {
+        tx = await instance.blocklistBatch([userAccount3, notary1], LIST_ID, LIST_VERSION, LIST_DATE, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'Blocklisted', (ev) => {
+            return ev.who === userAccount3 && ev.listId === LIST_ID && ev.listVersion === LIST_VERSION && ev.listDate.toNumber() === LIST_DATE;
+        });
+        _result = await instance.blocklistEntry.call(userAccount3, LIST_ID);
+        assert.equal(_result.blocked, true, "Address not blocklisted");
+        assert.equal(_result.listVersion, LIST_VERSION, "List version not recorded");
+        assert.equal(_result.listDate.toNumber(), LIST_DATE, "List date not recorded");
+        assert.equal(await instance.isWhitelisted.call(userAccount3), true, "Blocklisting changed the whitelist");
+
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, 10), SENDER_BLOCKLISTED, "Blocklisted address can send funds");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount3, 10), RECEIVER_BLOCKLISTED, "Blocklisted address can receive funds");
+        assert.equal(await instance.canHold.call(userAccount1, userAccount2, notary1, 10), NOTARY_BLOCKLISTED, "Blocklisted address can be a notary");
+        assert.equal(await instance.canOrderFunding.call(userAccount1, userAccount3, 10), REQUESTER_BLOCKLISTED, "Blocklisted address can request fundings");
+        await truffleAssert.reverts(instance.transfer(userAccount1, 10, {from:userAccount3}), "Sender blocklisted", "Blocklisted address was able to transfer");
+        await truffleAssert.reverts(instance.mint(userAccount3, "Blocklist test", 10, {from:operator}), "Receiver blocklisted", "Was able to mint to a blocklisted address");
+    });
+
+    it("Operations set up before blocklisting should not be executed", async () => {
+        await truffleAssert.reverts(instance.executeHold(userAccount1, HOLD_ID, {from:userAccount2}), "Receiver blocklisted", "Was able to execute a hold in favour of a blocklisted address");
+        await instance.releaseHold(userAccount1, HOLD_ID, {from:userAccount2});
+        assert.equal(await instance.canTransferFrom.call(userAccount3, userAccount1, userAccount2, 10), REQUESTER_BLOCKLISTED, "Blocklisted spender can use its allowance");
+        await truffleAssert.reverts(instance.transferFrom(userAccount1, userAccount2, 10, {from:userAccount3}), "Requester blocklisted", "Blocklisted spender was able to use its allowance");
+    });
+
+    it("Addresses in several lists should stay blocked until delisted from all of them", async () => {
+        await instance.blocklist(userAccount3, OTHER_LIST_ID, OTHER_LIST_VERSION, OTHER_LIST_DATE, {from:compliance});
+        await instance.blocklist(userAccount3, OTHER_LIST_ID, OTHER_LIST_VERSION, OTHER_LIST_DATE, {from:compliance});
+        assert.equal((await instance.manyBlocklistEntries.call(userAccount3)).toNumber(), 2, "Wrong number of lists recorded");
+        assert.equal((await instance.blocklistEntry.call(userAccount3, LIST_ID)).listVersion, LIST_VERSION, "Entry of the first list overwritten");
+
+        await instance.unBlocklist(userAccount3, OTHER_LIST_ID, DELISTING_VERSION, DELISTING_DATE, {from:compliance});
+        assert.equal(await instance.isBlocklisted.call(userAccount3), true, "Address unblocked while still in a list");
+        assert.equal((await instance.blocklistEntry.call(userAccount3, OTHER_LIST_ID)).blocked, false, "Entry not removed from the list");
+        await truffleAssert.reverts(instance.unBlocklist(userAccount3, OTHER_LIST_ID, DELISTING_VERSION, DELISTING_DATE, {from:compliance}), "Address is not blocklisted by that list", "Was able to delist an address from a list that does not have it");
+    });
+
+    it("Compliance should be able to remove addresses from the blocklist", async () => {
+        await truffleAssert.reverts(instance.unBlocklist(userAccount1, LIST_ID, DELISTING_VERSION, DELISTING_DATE, {from:compliance}), "Address is not blocklisted by that list", "Was able to unblock an address that was not blocked");
+        tx = await instance.unBlocklist(userAccount3, LIST_ID, DELISTING_VERSION, DELISTING_DATE, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'Unblocklisted', (ev) => {
+            return ev.who === userAccount3 && ev.listVersion === DELISTING_VERSION;
+        });
+        await instance.unBlocklist(notary1, LIST_ID, DELISTING_VERSION, DELISTING_DATE, {from:compliance});
+        assert.equal(await instance.isBlocklisted.call(userAccount3), false, "Address still blocklisted");
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, 10), SUCCESS, "Unblocked address cannot send funds");
+        await instance.approve(userAccount3, 0, {from:userAccount1});
+    });
+
+});
@@ -0,0 +1,113 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const CORRIDOR_FORBIDDEN = 0x10
+    const CORRIDOR_CLEARABLE_ONLY = 0xAF
+
+    const CorridorRule = Object.freeze({
+        "Allowed":0,
+        "ClearableOnly":1,
+        "Forbidden":2
+    });
+
+    const CLEARABLE_TRANSFER_ID = "CorridorClearableID1"
+    const HOLD_ID = "CorridorHoldID1"
+    const HOLD_ID2 = "CorridorHoldID2"
+    const CLEARABLE_TRANSFER_ID2 = "CorridorClearableID2"
+    const CLEARABLE_TRANSFER_ID3 = "CorridorClearableID3"
+
+    before( async () => {
+        console.log("  > Now testing jurisdictions and corridors");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to tag wallets with valid country codes", async () => {
+        await truffleAssert.reverts(instance.setCountry(userAccount1, "ES", {from:operator}), "Sender does not have role compliance", "Was able to tag a wallet");
+        await truffleAssert.reverts(instance.setCountry(userAccount1, "Spain", {from:compliance}), "Invalid country code", "Was able to tag a wallet with an invalid code");
+        await truffleAssert.reverts(instance.setCountry(notWhitelisted1, "ES", {from:compliance}), "Wallet is not whitelisted", "Was able to tag a non whitelisted wallet");
+
+        tx = await instance.setCountry(userAccount1, "ES", {from:compliance});
+        truffleAssert.eventEmitted(tx, 'CountrySet', (ev) => {
+            return ev.wallet === userAccount1 && ev.country === "ES";
+        });
+        await instance.setCountry(userAccount2, "DE", {from:compliance});
+        await instance.setCountry(userAccount3, "CH", {from:compliance});
+        assert.equal(await instance.countryOf.call(userAccount1), "ES", "Country not registered");
+    });
+
+    it("Corridors should be allowed unless compliance sets a rule", async () => {
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount2, 10), SUCCESS, "Corridor not allowed by default");
+        await truffleAssert.reverts(instance.setCorridorRule("ES", "CH", CorridorRule.ClearableOnly, {from:operator}), "Sender does not have role compliance", "Was able to set a corridor rule");
+        tx = await instance.setCorridorRule("ES", "CH", CorridorRule.ClearableOnly, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'CorridorRuleSet', (ev) => {
+            return ev.fromCountry === "ES" && ev.toCountry === "CH" && ev.rule.toNumber() === CorridorRule.ClearableOnly;
+        });
+        await instance.setCorridorRule("CH", "ES", CorridorRule.Forbidden, {from:compliance});
+        assert.equal(await instance.corridorRuleBetween.call(userAccount1, userAccount3), CorridorRule.ClearableOnly, "Corridor rule not registered");
+    });
+
+    it("Direct transfers in clearable only corridors should be steered to clearable transfers", async () => {
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount3, 10), CORRIDOR_CLEARABLE_ONLY, "Direct transfer allowed in a clearable only corridor");
+        await truffleAssert.reverts(instance.transfer(userAccount3, 10, {from:userAccount1}), "Corridor requires a clearable transfer", "Was able to transfer in a clearable only corridor");
+        assert.equal(await instance.canOrderClearableTransfer.call(userAccount1, userAccount3, 10), SUCCESS, "Clearable transfer not allowed in a clearable only corridor");
+        await instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID, userAccount3, 10, {from:userAccount1});
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_ID, {from:userAccount1});
+        assert.equal(await instance.canHold.call(userAccount1, userAccount3, notary1, 10), CORRIDOR_CLEARABLE_ONLY, "Hold allowed in a clearable only corridor");
+        await truffleAssert.reverts(instance.hold(HOLD_ID, userAccount3, notary1, 10, false, 0, {from:userAccount1}), "Corridor requires a clearable transfer", "Was able to hold in a clearable only corridor");
+    });
+
+    it("No transfers should be allowed in forbidden corridors", async () => {
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, 10), CORRIDOR_FORBIDDEN, "Direct transfer allowed in a forbidden corridor");
+        assert.equal(await instance.canOrderClearableTransfer.call(userAccount3, userAccount1, 10), CORRIDOR_FORBIDDEN, "Clearable transfer allowed in a forbidden corridor");
+        await truffleAssert.reverts(instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID, userAccount1, 10, {from:userAccount3}), "Corridor forbidden", "Was able to order a clearable transfer in a forbidden corridor");
+        assert.equal(await instance.canHold.call(userAccount3, userAccount1, notary1, 10), CORRIDOR_FORBIDDEN, "Hold allowed in a forbidden corridor");
+        await truffleAssert.reverts(instance.hold(HOLD_ID, userAccount1, notary1, 10, false, 0, {from:userAccount3}), "Corridor forbidden", "Was able to hold in a forbidden corridor");
+    });
+
+    it("Corridor rules should be checked again when holds and clearable transfers are executed", async () => {
+        await instance.hold(HOLD_ID2, userAccount2, notary1, 10, false, 0, {from:userAccount1});
+        await instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID2, userAccount2, 10, {from:userAccount1});
+        await instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID3, userAccount2, 10, {from:userAccount1});
+
+        await instance.setCorridorRule("ES", "DE", CorridorRule.ClearableOnly, {from:compliance});
+        await truffleAssert.reverts(instance.executeHold(userAccount1, HOLD_ID2, {from:notary1}), "Corridor requires a clearable transfer", "Was able to execute a hold in a clearable only corridor");
+        await instance.releaseHold(userAccount1, HOLD_ID2, {from:notary1});
+        await instance.executeClearableTransfer(userAccount1, CLEARABLE_TRANSFER_ID2, {from:operator});
+
+        await instance.setCorridorRule("ES", "DE", CorridorRule.Forbidden, {from:compliance});
+        await truffleAssert.reverts(instance.executeClearableTransfer(userAccount1, CLEARABLE_TRANSFER_ID3, {from:operator}), "Corridor forbidden", "Was able to execute a clearable transfer in a forbidden corridor");
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_ID3, {from:userAccount1});
+        await instance.setCorridorRule("ES", "DE", CorridorRule.Allowed, {from:compliance});
+    });
+
+    it("Untagged wallets should not be subject to corridor rules", async () => {
+        await instance.setCountry(userAccount3, "", {from:compliance});
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, 10), SUCCESS, "Corridor rules applied to an untagged wallet");
+        await instance.setCorridorRule("ES", "CH", CorridorRule.Allowed, {from:compliance});
+        await instance.setCorridorRule("CH", "ES", CorridorRule.Allowed, {from:compliance});
+    });
+
+});
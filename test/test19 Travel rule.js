@@ -0,0 +1,170 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const os = require('os');
+const path = require('path');
+const vault = require('../lib/travelRuleVault.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+    const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const THRESHOLD = 100
+    const VAULT_DIRECTORY = path.join(os.tmpdir(), "emoneytoken-travel-rule-vault")
+    const PAYLOAD = {
+        originator: { name: "Alice Smith", account: "ES91 2100 0418 4502 0005 1332" },
+        beneficiary: { name: "Bob Jones", account: "DE89 3704 0044 0532 0130 00" }
+    }
+    const TRANSFER_ID = "TravelRuleTransferID1"
+    const HOLD_ID = "TravelRuleHoldID1"
+    const CLEARABLE_TRANSFER_ID = "TravelRuleClearableID1"
+    const TRANSFER_FROM_ID = "TravelRuleTransferFromID1"
+    const BATCH_ID = "TravelRuleBatchID1"
+    const SPLIT_BATCH_ID = "TravelRuleBatchID2"
+    const SPLIT_BATCH_VALUES = [THRESHOLD / 2 + 1, THRESHOLD / 2]
+    const BATCH_REFERENCES = [web3.utils.fromAscii("Leg 1"), web3.utils.fromAscii("Leg 2")]
+    const TRANSFER_WITH_DATA_ID = "TravelRuleTransferWithDataID1"
+    const HOLD_FROM_ID = "TravelRuleHoldFromID1"
+    const CLEARABLE_TRANSFER_FROM_ID = "TravelRuleClearableFromID1"
+
+    var payloadHash
+
+    // Stores the payload in the vault for a given operation, returning its hash
+    function storePayload(from, to, value) {
+        return vault.store(web3, VAULT_DIRECTORY, PAYLOAD, { from: from, to: to, value: value });
+    }
+
+    before( async () => {
+        console.log("  > Now testing the travel rule");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to set the travel rule threshold", async () => {
+        await truffleAssert.reverts(instance.setTravelRuleThreshold(THRESHOLD, {from:operator}), "Sender does not have role compliance", "Was able to set the threshold");
+        tx = await instance.setTravelRuleThreshold(THRESHOLD, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'TravelRuleThresholdSet', (ev) => {
+            return ev.newThreshold.toNumber() === THRESHOLD;
+        });
+    });
+
+    it("Operations above the threshold should require a travel rule payload", async () => {
+        await truffleAssert.reverts(instance.transfer(userAccount2, THRESHOLD + 1, {from:userAccount1}), "Travel rule payload required", "Was able to transfer without payload");
+        await truffleAssert.reverts(instance.hold(HOLD_ID, userAccount2, notary1, THRESHOLD + 1, false, 0, {from:userAccount1}), "Travel rule payload required", "Was able to hold without payload");
+        await truffleAssert.reverts(instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID, userAccount2, THRESHOLD + 1, {from:userAccount1}), "Travel rule payload required", "Was able to order a clearable transfer without payload");
+        await instance.transfer(userAccount2, THRESHOLD, {from:userAccount1});
+    });
+
+    it("Payload hashes should be recorded against the operations", async () => {
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        tx = await instance.transferWithTravelRule(TRANSFER_ID, userAccount2, THRESHOLD + 1, payloadHash, {from:userAccount1});
+        truffleAssert.eventEmitted(tx, 'TravelRulePayloadRecorded', (ev) => {
+            return ev.orderer === userAccount1 && ev.operationId === TRANSFER_ID && ev.from === userAccount1 && ev.to === userAccount2 && ev.value.toNumber() === THRESHOLD + 1 && ev.payloadHash === payloadHash;
+        });
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount1, TRANSFER_ID), payloadHash, "Payload hash not recorded");
+        _result = await instance.travelRuleOperation.call(userAccount1, TRANSFER_ID);
+        assert.equal(_result.payloadHash, payloadHash, "Payload hash not recorded with the operation");
+        assert.equal(_result.from, userAccount1, "Payer not recorded");
+        assert.equal(_result.to, userAccount2, "Payee not recorded");
+        assert.equal(_result.value.toNumber(), THRESHOLD + 1, "Amount not recorded");
+        await truffleAssert.reverts(instance.transferWithTravelRule(TRANSFER_ID, userAccount2, THRESHOLD + 1, payloadHash, {from:userAccount1}), "Travel rule payload already recorded", "Was able to reuse an operation ID");
+
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.holdWithTravelRule(HOLD_ID, userAccount2, notary1, THRESHOLD + 1, false, 0, payloadHash, {from:userAccount1});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount1, HOLD_ID), payloadHash, "Payload hash not recorded for the hold");
+        await instance.releaseHold(userAccount1, HOLD_ID, {from:notary1});
+
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.orderClearableTransferWithTravelRule(CLEARABLE_TRANSFER_ID, userAccount2, THRESHOLD + 1, payloadHash, {from:userAccount1});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount1, CLEARABLE_TRANSFER_ID), payloadHash, "Payload hash not recorded for the clearable transfer");
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_ID, {from:userAccount1});
+    });
+
+    it("Operations on behalf of others, batches and transfers with data should also carry payloads", async () => {
+        await instance.approve(userAccount3, THRESHOLD + 1, {from:userAccount1});
+        await truffleAssert.reverts(instance.transferFrom(userAccount1, userAccount2, THRESHOLD + 1, {from:userAccount3}), "Travel rule payload required", "Was able to transfer from without payload");
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.transferFromWithTravelRule(TRANSFER_FROM_ID, userAccount1, userAccount2, THRESHOLD + 1, payloadHash, {from:userAccount3});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount3, TRANSFER_FROM_ID), payloadHash, "Payload hash not recorded for the transfer from");
+
+        await truffleAssert.reverts(instance.transferBatch([userAccount2, userAccount3], [1, THRESHOLD + 1], BATCH_REFERENCES, {from:userAccount1}), "Travel rule payload required", "Was able to transfer a batch without payload");
+        await truffleAssert.reverts(instance.transferBatchWithTravelRule(BATCH_ID, [userAccount2, userAccount3], [1, THRESHOLD + 1], BATCH_REFERENCES, ZERO_HASH, {from:userAccount1}), "Travel rule payload required", "Was able to transfer a batch with an empty payload hash");
+        payloadHash = storePayload(userAccount1, ZERO_ADDRESS, THRESHOLD + 2);
+        await instance.transferBatchWithTravelRule(BATCH_ID, [userAccount2, userAccount3], [1, THRESHOLD + 1], BATCH_REFERENCES, payloadHash, {from:userAccount1});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount1, BATCH_ID), payloadHash, "Payload hash not recorded for the batch");
+        _result = await instance.travelRuleOperation.call(userAccount1, BATCH_ID);
+        assert.equal(_result.to, ZERO_ADDRESS, "Batch payee not recorded as the zero address");
+        assert.equal(_result.value.toNumber(), THRESHOLD + 2, "Batch total not recorded");
+
+        // Legs below the threshold still need a payload when the batch total is above it
+        await truffleAssert.reverts(instance.transferBatch([userAccount2, userAccount3], SPLIT_BATCH_VALUES, BATCH_REFERENCES, {from:userAccount1}), "Travel rule payload required", "Was able to split a transfer above the threshold in a batch");
+        payloadHash = storePayload(userAccount1, ZERO_ADDRESS, THRESHOLD + 1);
+        await instance.transferBatchWithTravelRule(SPLIT_BATCH_ID, [userAccount2, userAccount3], SPLIT_BATCH_VALUES, BATCH_REFERENCES, payloadHash, {from:userAccount1});
+
+        await truffleAssert.reverts(instance.transferWithData(userAccount2, THRESHOLD + 1, "0x01", {from:userAccount1}), "Travel rule payload required", "Was able to transfer with data without payload");
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.transferWithDataAndTravelRule(TRANSFER_WITH_DATA_ID, userAccount2, THRESHOLD + 1, "0x01", payloadHash, {from:userAccount1});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount1, TRANSFER_WITH_DATA_ID), payloadHash, "Payload hash not recorded for the transfer with data");
+
+        await instance.approveToHold(userAccount3, {from:userAccount1});
+        await truffleAssert.reverts(instance.holdFrom(HOLD_FROM_ID, userAccount1, userAccount2, notary1, THRESHOLD + 1, false, 0, {from:userAccount3}), "Travel rule payload required", "Was able to hold from without payload");
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.holdFromWithTravelRule(HOLD_FROM_ID, userAccount1, userAccount2, notary1, THRESHOLD + 1, false, 0, payloadHash, {from:userAccount3});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount3, HOLD_FROM_ID), payloadHash, "Payload hash not recorded for the hold from");
+        await instance.releaseHold(userAccount3, HOLD_FROM_ID, {from:notary1});
+        await instance.revokeApprovalToHold(userAccount3, {from:userAccount1});
+
+        await instance.approveToOrderClearableTransfer(userAccount3, {from:userAccount1});
+        await truffleAssert.reverts(instance.orderClearableTransferFrom(CLEARABLE_TRANSFER_FROM_ID, userAccount1, userAccount2, THRESHOLD + 1, {from:userAccount3}), "Travel rule payload required", "Was able to order a clearable transfer from without payload");
+        payloadHash = storePayload(userAccount1, userAccount2, THRESHOLD + 1);
+        await instance.orderClearableTransferFromWithTravelRule(CLEARABLE_TRANSFER_FROM_ID, userAccount1, userAccount2, THRESHOLD + 1, payloadHash, {from:userAccount3});
+        assert.equal(await instance.travelRulePayloadHash.call(userAccount3, CLEARABLE_TRANSFER_FROM_ID), payloadHash, "Payload hash not recorded for the clearable transfer from");
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_FROM_ID, {from:userAccount3});
+        await instance.revokeApprovalToOrderClearableTransfer(userAccount3, {from:userAccount1});
+    });
+
+    it("The vault should verify payloads against the operations on chain", async () => {
+        _result = await vault.verifyOperation(web3, VAULT_DIRECTORY, instance, userAccount1, TRANSFER_ID);
+        assert.equal(_result.valid, true, "Payload not verified");
+        assert.equal(_result.payload.originator.name, PAYLOAD.originator.name, "Wrong payload returned");
+        assert.equal(_result.payload.operation.value, String(THRESHOLD + 1), "Wrong operation returned");
+        _result = await vault.verifyOperation(web3, VAULT_DIRECTORY, instance, userAccount1, BATCH_ID);
+        assert.equal(_result.valid, true, "Batch payload not verified");
+        _result = await vault.verifyOperation(web3, VAULT_DIRECTORY, instance, userAccount1, "UnknownOperationID");
+        assert.equal(_result.valid, false, "Operation without payload verified");
+    });
+
+    it("The vault should not verify a payload recorded against a different operation", async () => {
+        payloadHash = storePayload(userAccount1, userAccount2, 1);
+        await instance.transferWithTravelRule("TravelRuleMismatchID1", userAccount3, 1, payloadHash, {from:userAccount1});
+        _result = await vault.verifyOperation(web3, VAULT_DIRECTORY, instance, userAccount1, "TravelRuleMismatchID1");
+        assert.equal(_result.valid, false, "Payload verified for a different payee");
+        payloadHash = storePayload(userAccount1, userAccount2, 1);
+        await instance.transferWithTravelRule("TravelRuleMismatchID2", userAccount2, 2, payloadHash, {from:userAccount1});
+        _result = await vault.verifyOperation(web3, VAULT_DIRECTORY, instance, userAccount1, "TravelRuleMismatchID2");
+        assert.equal(_result.valid, false, "Payload verified for a different amount");
+    });
+
+    it("Compliance should be able to stop enforcing the travel rule", async () => {
+        await instance.setTravelRuleThreshold(0, {from:compliance});
+        await instance.transfer(userAccount2, THRESHOLD + 1, {from:userAccount1});
+    });
+
+});
@@ -0,0 +1,92 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const SUCCESS = 0x01
+    const SENDER_NOT_WHITELISTED = 0xA0
+    const RECEIVER_NOT_WHITELISTED = 0xA1
+
+    const DAY = 24 * 60 * 60
+    const GRACE_PERIOD = 7 * DAY
+
+    var expiration
+
+    before( async () => {
+        console.log("  > Now testing whitelist expiry");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to whitelist wallets until a date", async () => {
+        expiration = (await time.now(web3)) + 10 * DAY;
+        await truffleAssert.reverts(instance.whitelistUntil(userAccount3, expiration, {from:operator}), "Sender does not have role compliance", "Was able to whitelist until a date");
+        await truffleAssert.reverts(instance.whitelistUntil(userAccount3, (await time.now(web3)) - 1, {from:compliance}), "Expiration must be in the future", "Was able to set an expiration in the past");
+
+        tx = await instance.whitelistUntil(userAccount3, expiration, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WhitelistExpirationSet', (ev) => {
+            return ev.who === userAccount3 && ev.expiration.toNumber() === expiration;
+        });
+        assert.equal(await instance.whitelistExpiration.call(userAccount3), expiration, "Expiration not registered");
+        assert.equal(await instance.isWhitelisted.call(userAccount3), true, "Wallet not whitelisted before expiration");
+    });
+
+    it("Compliance should be able to list the wallets expiring within a number of days", async () => {
+        const registered = (await instance.manyRegisteredAddresses.call()).toNumber();
+        _result = await instance.expiringWhitelistings.call(30, 0, registered + 1);
+        assert.deepEqual(_result.wallets, [userAccount3], "Wrong wallets expiring within 30 days");
+        assert.equal(_result.expirations[0], expiration, "Wrong expiration listed");
+        _result = await instance.expiringWhitelistings.call(5, 0, registered + 1);
+        assert.equal(_result.wallets.length, 0, "Wallet listed as expiring within 5 days");
+    });
+
+    it("Only compliance should be able to set the grace period", async () => {
+        await truffleAssert.reverts(instance.setWhitelistGracePeriod(GRACE_PERIOD, {from:operator}), "Sender does not have role compliance", "Was able to set the grace period");
+        tx = await instance.setWhitelistGracePeriod(GRACE_PERIOD, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WhitelistGracePeriodSet', (ev) => {
+            return ev.oldGracePeriod.toNumber() === 0 && ev.newGracePeriod.toNumber() === GRACE_PERIOD;
+        });
+        assert.equal(await instance.whitelistGracePeriod.call(), GRACE_PERIOD, "Grace period not registered");
+    });
+
+    it("Expired wallets should only be able to receive funds during the grace period", async () => {
+        await time.increaseTime(web3, 11 * DAY);
+        assert.equal(await instance.isWhitelisted.call(userAccount3), false, "Expired wallet still whitelisted");
+        assert.equal(await instance.isWhitelistedToReceive.call(userAccount3), true, "Expired wallet cannot receive funds during the grace period");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount3, 10), SUCCESS, "Expired wallet cannot receive funds during the grace period");
+        assert.equal(await instance.canTransfer.call(userAccount3, userAccount1, 10), SENDER_NOT_WHITELISTED, "Expired wallet can send funds");
+
+        await time.increaseTime(web3, GRACE_PERIOD);
+        assert.equal(await instance.isWhitelistedToReceive.call(userAccount3), false, "Expired wallet can receive funds after the grace period");
+        assert.equal(await instance.canTransfer.call(userAccount1, userAccount3, 10), RECEIVER_NOT_WHITELISTED, "Expired wallet can receive funds after the grace period");
+    });
+
+    it("Renewing a whitelisting should make the wallet whitelisted again", async () => {
+        await instance.whitelistUntil(userAccount3, (await time.now(web3)) + 365 * DAY, {from:compliance});
+        assert.equal(await instance.isWhitelisted.call(userAccount3), true, "Renewed wallet not whitelisted");
+        await instance.whitelist(userAccount3, {from:compliance});
+        assert.equal(await instance.whitelistExpiration.call(userAccount3), 0, "Whitelisting without a date still expires");
+        await instance.setWhitelistGracePeriod(0, {from:compliance});
+    });
+
+});
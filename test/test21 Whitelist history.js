@@ -0,0 +1,98 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const WhitelistAction = Object.freeze({
+        "Whitelisted":0,
+        "UnWhitelisted":1
+    });
+
+    const REASON_ONBOARDING = 1
+    const REASON_ADVERSE_MEDIA = 7
+    const ONBOARDING_CASE = "KYC-2019-0042"
+    const ADVERSE_MEDIA_CASE = "AML-2019-0113"
+
+    var firstEntry
+
+    before( async () => {
+        console.log("  > Now testing whitelist history");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        firstEntry = (await instance.whitelistHistoryLength.call(notWhitelisted2)).toNumber();
+    })
+
+    it("Only compliance should be able to whitelist with a reason", async () => {
+        await truffleAssert.reverts(instance.whitelistWithReason(notWhitelisted2, 0, REASON_ONBOARDING, ONBOARDING_CASE, {from:operator}), "Sender does not have role compliance", "Was able to whitelist with a reason");
+        await truffleAssert.reverts(instance.whitelistWithReason(notWhitelisted2, 0, 0, ONBOARDING_CASE, {from:compliance}), "Reason code is required", "Was able to whitelist without a reason code");
+        await truffleAssert.reverts(instance.whitelistWithReason(notWhitelisted2, 0, REASON_ONBOARDING, "", {from:compliance}), "Case reference is required", "Was able to whitelist without a case reference");
+        tx = await instance.whitelistWithReason(notWhitelisted2, 0, REASON_ONBOARDING, ONBOARDING_CASE, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WhitelistChanged', (ev) => {
+            return ev.who === notWhitelisted2 && ev.actor === compliance && ev.action.toNumber() === WhitelistAction.Whitelisted && ev.reasonCode.toNumber() === REASON_ONBOARDING && ev.caseReference === ONBOARDING_CASE;
+        });
+        truffleAssert.eventEmitted(tx, 'Whitelisted', (ev) => {
+            return ev.who === notWhitelisted2;
+        });
+        assert.equal(await instance.isWhitelisted.call(notWhitelisted2), true, "Wallet not whitelisted");
+    });
+
+    it("Only compliance should be able to unwhitelist with a reason", async () => {
+        await truffleAssert.reverts(instance.unWhitelistWithReason(notWhitelisted2, REASON_ADVERSE_MEDIA, ADVERSE_MEDIA_CASE, {from:operator}), "Sender does not have role compliance", "Was able to unwhitelist with a reason");
+        tx = await instance.unWhitelistWithReason(notWhitelisted2, REASON_ADVERSE_MEDIA, ADVERSE_MEDIA_CASE, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WhitelistChanged', (ev) => {
+            return ev.who === notWhitelisted2 && ev.action.toNumber() === WhitelistAction.UnWhitelisted && ev.reasonCode.toNumber() === REASON_ADVERSE_MEDIA && ev.caseReference === ADVERSE_MEDIA_CASE;
+        });
+        await truffleAssert.reverts(instance.unWhitelistWithReason(notWhitelisted2, REASON_ADVERSE_MEDIA, ADVERSE_MEDIA_CASE, {from:compliance}), "Address is not whitelisted", "Was able to unwhitelist twice");
+        assert.equal(await instance.isWhitelisted.call(notWhitelisted2), false, "Wallet still whitelisted");
+    });
+
+    it("Every whitelist change should be recorded in the history of the address", async () => {
+        await instance.whitelist(notWhitelisted2, {from:compliance});
+        await instance.unWhitelist(notWhitelisted2, {from:compliance});
+        assert.equal(await instance.whitelistHistoryLength.call(notWhitelisted2), firstEntry + 4, "Wrong number of changes recorded");
+
+        _result = await instance.whitelistHistoryEntry.call(notWhitelisted2, firstEntry + 1);
+        assert.equal(_result.actor, compliance, "Wrong actor recorded");
+        assert.equal(_result.action, WhitelistAction.UnWhitelisted, "Wrong action recorded");
+        assert.equal(_result.reasonCode, REASON_ADVERSE_MEDIA, "Wrong reason code recorded");
+        assert.equal(_result.caseReference, ADVERSE_MEDIA_CASE, "Wrong case reference recorded");
+        assert.isAbove(_result.date.toNumber(), 0, "Date not recorded");
+
+        _result = await instance.whitelistHistoryEntry.call(notWhitelisted2, firstEntry + 2);
+        assert.equal(_result.reasonCode, 0, "Reason code recorded for a change without reason");
+        assert.equal(_result.caseReference, "No reason given", "Change without reason not recorded as such");
+        await truffleAssert.reverts(instance.whitelistHistoryEntry.call(notWhitelisted2, firstEntry + 4), "History entry does not exist", "Read a change that does not exist");
+    });
+
+    it("The history of an address should be readable in pages", async () => {
+        _result = await instance.whitelistHistory.call(notWhitelisted2, firstEntry, 2);
+        assert.deepEqual(_result.actors, [compliance, compliance], "Wrong actors in page");
+        assert.deepEqual(_result.actions.map(action => action.toNumber()), [WhitelistAction.Whitelisted, WhitelistAction.UnWhitelisted], "Wrong actions in page");
+        assert.deepEqual(_result.reasonCodes.map(code => code.toNumber()), [REASON_ONBOARDING, REASON_ADVERSE_MEDIA], "Wrong reason codes in page");
+
+        _result = await instance.whitelistHistory.call(notWhitelisted2, firstEntry + 3, 10);
+        assert.equal(_result.actors.length, 1, "Page not truncated at the end of the history");
+        _result = await instance.whitelistHistory.call(notWhitelisted2, firstEntry + 10, 10);
+        assert.equal(_result.actors.length, 0, "Page beyond the end of the history not empty");
+    });
+
+});
@@ -0,0 +1,85 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const whitelist = require('../lib/whitelist.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const REASON_ONBOARDING = 1
+    const REASON_OFFBOARDING = 2
+    const CLIENT_CASE = "KYB-2019-0007"
+
+    async function collect(iterator) {
+        const entries = [];
+        for await (const entry of iterator) {
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    before( async () => {
+        console.log("  > Now testing batch whitelisting and enumeration");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("Only compliance should be able to whitelist wallets in batches", async () => {
+        await truffleAssert.reverts(instance.whitelistBatch([notWhitelisted1, notWhitelisted2], 0, REASON_ONBOARDING, CLIENT_CASE, {from:operator}), "Sender does not have role compliance", "Was able to whitelist in batch");
+        tx = await instance.whitelistBatch([notWhitelisted1, notWhitelisted2], 0, REASON_ONBOARDING, CLIENT_CASE, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'WhitelistChanged', (ev) => {
+            return ev.who === notWhitelisted2 && ev.reasonCode.toNumber() === REASON_ONBOARDING && ev.caseReference === CLIENT_CASE;
+        });
+        assert.equal(await instance.isWhitelisted.call(notWhitelisted1), true, "First wallet in batch not whitelisted");
+        assert.equal(await instance.isWhitelisted.call(notWhitelisted2), true, "Last wallet in batch not whitelisted");
+    });
+
+    it("Active wallets should be enumerated with their state", async () => {
+        const registered = (await instance.manyRegisteredAddresses.call()).toNumber();
+        _result = await instance.activeWhitelist.call(0, registered);
+        assert.include(_result.wallets, notWhitelisted1, "Whitelisted wallet not enumerated");
+        assert.include(_result.wallets, notWhitelisted2, "Whitelisted wallet not enumerated");
+        assert.equal(_result.nextIndex, registered, "Wrong next index");
+        assert.equal(_result.receiveOnly.every(flag => !flag), true, "Wallet enumerated as receive only");
+
+        const paged = await collect(whitelist.active(instance, { pageSize: 2 }));
+        assert.deepEqual(paged.map(entry => entry.address), _result.wallets, "Paged enumeration differs from a single page");
+    });
+
+    it("Only compliance should be able to unwhitelist wallets in batches", async () => {
+        await truffleAssert.reverts(instance.unWhitelistBatch([notWhitelisted1, notWhitelisted2], REASON_OFFBOARDING, CLIENT_CASE, {from:operator}), "Sender does not have role compliance", "Was able to unwhitelist in batch");
+        await truffleAssert.reverts(instance.unWhitelistBatch([notWhitelisted1, userAccount1, notWhitelisted1], REASON_OFFBOARDING, CLIENT_CASE, {from:compliance}), "Address is not whitelisted", "Was able to unwhitelist a wallet twice");
+        await instance.unWhitelistBatch([notWhitelisted1, notWhitelisted2], REASON_OFFBOARDING, CLIENT_CASE, {from:compliance});
+        assert.equal(await instance.isWhitelisted.call(notWhitelisted1), false, "Wallet still whitelisted");
+        assert.equal(await instance.isWhitelisted.call(userAccount1), true, "Failed batch unwhitelisted a wallet");
+    });
+
+    it("Unwhitelisted wallets should only appear in the full registry", async () => {
+        const active = await collect(whitelist.active(instance));
+        assert.notInclude(active.map(entry => entry.address), notWhitelisted1, "Unwhitelisted wallet enumerated as active");
+        assert.include(active.map(entry => entry.address), userAccount1, "Whitelisted wallet not enumerated as active");
+
+        const registry = await collect(whitelist.registry(instance));
+        assert.equal(registry.length, (await instance.manyRegisteredAddresses.call()).toNumber(), "Registry not fully iterated");
+        const entry = registry.find(entry => entry.address === notWhitelisted1);
+        assert.equal(entry.whitelisted, false, "Unwhitelisted wallet appears as whitelisted in the registry");
+    });
+
+});
@@ -0,0 +1,92 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const OPERATOR_ROLE = "operator"
+    const COMPLIANCE_ROLE = "compliance"
+
+    async function rolesOf(account) {
+        const roles = [];
+        const count = (await instance.manyRolesOf.call(account)).toNumber();
+        for(let i = 0; i < count; i++) {
+            roles.push(await instance.roleOfAt.call(account, i));
+        }
+        return roles;
+    }
+
+    before( async () => {
+        console.log("  > Now testing role membership enumeration");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+    })
+
+    it("All roles ever given should be enumerated", async () => {
+        const roles = [];
+        const count = (await instance.manyRoles.call()).toNumber();
+        for(let i = 0; i < count; i++) {
+            roles.push(await instance.roleAt.call(i));
+        }
+        assert.includeMembers(roles, [OPERATOR_ROLE, COMPLIANCE_ROLE, "operatorAdmin"], "Roles not enumerated");
+        await truffleAssert.reverts(instance.roleAt.call(count), "Role does not exist", "Read a role that does not exist");
+    });
+
+    it("Grants should be recorded with their granter and date", async () => {
+        tx = await instance.addRole(userAccount2, OPERATOR_ROLE, {from:owner});
+        const date = (await web3.eth.getBlock(tx.receipt.blockNumber)).timestamp;
+        _result = await instance.roleGrant.call(userAccount2, OPERATOR_ROLE);
+        assert.equal(_result.granted, true, "Grant not recorded");
+        assert.equal(_result.granter, owner, "Wrong granter recorded");
+        assert.equal(_result.date, date, "Wrong grant date recorded");
+    });
+
+    it("Members of each role and roles of each address should be enumerated", async () => {
+        assert.deepEqual(await instance.roleMembers.call(OPERATOR_ROLE), [operator, userAccount2], "Wrong operator role members");
+        assert.deepEqual(await rolesOf(userAccount2), [OPERATOR_ROLE], "Wrong roles of address");
+        assert.include(await rolesOf(owner), "complianceAdmin", "Admin role of owner not enumerated");
+
+        await instance.addRole(userAccount2, OPERATOR_ROLE, {from:owner});
+        assert.equal((await instance.roleMembers.call(OPERATOR_ROLE)).length, 2, "Role member enumerated twice");
+    });
+
+    it("Revoked members should no longer be enumerated", async () => {
+        await instance.addRole(userAccount2, COMPLIANCE_ROLE, {from:owner});
+        await instance.revokeRole(userAccount2, OPERATOR_ROLE, {from:owner});
+        assert.deepEqual(await instance.roleMembers.call(OPERATOR_ROLE), [operator], "Revoked member still enumerated");
+        assert.deepEqual(await rolesOf(userAccount2), [COMPLIANCE_ROLE], "Revoked role still enumerated");
+        assert.equal((await instance.roleGrant.call(userAccount2, OPERATOR_ROLE)).granted, false, "Revoked grant still active");
+
+        await instance.revokeRole(userAccount2, COMPLIANCE_ROLE, {from:owner});
+        assert.equal(await instance.manyRolesOf.call(userAccount2), 0, "Revoked roles still enumerated");
+        assert.deepEqual(await instance.roleMembers.call(COMPLIANCE_ROLE), [compliance], "Wrong compliance role members");
+    });
+
+    it("Only the owner should be able to re-index roles, and only of accounts holding them", async () => {
+        await truffleAssert.reverts(instance.reindexRoles([operator], OPERATOR_ROLE, {from:cro}), "", "Was able to re-index roles without being the owner");
+        await truffleAssert.reverts(instance.reindexRoles([userAccount2], OPERATOR_ROLE, {from:owner}), "Account does not have the role", "Was able to re-index an account without the role");
+
+        tx = await instance.reindexRoles([operator], OPERATOR_ROLE, {from:owner});
+        truffleAssert.eventNotEmitted(tx, 'RoleReindexed');
+        assert.deepEqual(await instance.roleMembers.call(OPERATOR_ROLE), [operator], "Indexed member enumerated twice");
+    });
+
+});
@@ -0,0 +1,158 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const ApprovalAction = Object.freeze({
+        "Mint":0,
+        "Burn":1,
+        "ExecuteFunding":2,
+        "ExecutePayout":3,
+        "SetUnsecuredOverdraftLimit":4,
+        "DirectWriteBalance":5
+    });
+
+    const ProposalStatus = Object.freeze({
+        "Nonexistent":0,
+        "Proposed":1,
+        "Executed":2,
+        "Cancelled":3
+    });
+
+    const CHECKER_ROLE = "checker"
+    const CHECKERS = [cro, notary1, compliance]
+    const LARGE_LIMIT = 5000
+
+    var initialLimit
+    var proposalId
+
+    before( async () => {
+        console.log("  > Now testing maker-checker approvals");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        initialLimit = (await instance.unsecuredOverdraftLimit.call(userAccount3)).toNumber();
+        for(const checker of CHECKERS) {
+            await instance.breakGlassAddRole(checker, CHECKER_ROLE, {from:owner});
+        }
+    })
+
+    it("Only the owner should be able to set approval policies", async () => {
+        await truffleAssert.reverts(instance.setApprovalPolicy(ApprovalAction.SetUnsecuredOverdraftLimit, CHECKER_ROLE, [0, 1000], [0, 2], {from:cro}), "", "Non owner was able to set an approval policy");
+        await truffleAssert.reverts(instance.setApprovalPolicy(ApprovalAction.SetUnsecuredOverdraftLimit, CHECKER_ROLE, [1000, 0], [0, 2], {from:owner}), "Floors must be strictly increasing", "Was able to set unordered bands");
+        await truffleAssert.reverts(instance.setApprovalPolicy(ApprovalAction.SetUnsecuredOverdraftLimit, "", [0, 1000], [0, 2], {from:owner}), "Approver role is required", "Was able to require approvals without approvers");
+
+        tx = await instance.setApprovalPolicy(ApprovalAction.SetUnsecuredOverdraftLimit, CHECKER_ROLE, [0, 1000], [0, 2], {from:owner});
+        truffleAssert.eventEmitted(tx, 'ApprovalPolicySet', (ev) => {
+            return ev.action.toNumber() === ApprovalAction.SetUnsecuredOverdraftLimit && ev.approverRole === CHECKER_ROLE;
+        });
+        assert.equal(await instance.requiredApprovals.call(ApprovalAction.SetUnsecuredOverdraftLimit, 999), 0, "Approvals required below the band");
+        assert.equal(await instance.requiredApprovals.call(ApprovalAction.SetUnsecuredOverdraftLimit, 1000), 2, "Wrong approvals required in the band");
+        assert.equal(await instance.requiredApprovals.call(ApprovalAction.Mint, 1000000), 0, "Approvals required for an action without policy");
+    });
+
+    it("Actions requiring approval should not run directly", async () => {
+        await truffleAssert.reverts(instance.setUnsecuredOverdraftLimit(userAccount3, LARGE_LIMIT, {from:cro}), "Action requires approval", "Was able to run an action requiring approval");
+        await instance.setUnsecuredOverdraftLimit(userAccount3, 100, {from:cro});
+        assert.equal(await instance.unsecuredOverdraftLimit.call(userAccount3), 100, "Action below the band not run");
+    });
+
+    it("Only the role running an action should be able to propose it", async () => {
+        await truffleAssert.reverts(instance.propose(ApprovalAction.SetUnsecuredOverdraftLimit, userAccount3, "", LARGE_LIMIT, {from:operator}), "Sender does not have role cro", "Was able to propose an action without its role");
+        await truffleAssert.reverts(instance.propose(ApprovalAction.SetUnsecuredOverdraftLimit, userAccount3, "", 100, {from:cro}), "Action does not require approval", "Was able to propose an action not requiring approval");
+
+        tx = await instance.propose(ApprovalAction.SetUnsecuredOverdraftLimit, userAccount3, "", LARGE_LIMIT, {from:cro});
+        truffleAssert.eventEmitted(tx, 'ProposalCreated', (ev) => {
+            proposalId = ev.proposalId.toNumber();
+            return ev.proposer === cro && ev.account === userAccount3 && ev.amount.toNumber() === LARGE_LIMIT && ev.requiredApprovals.toNumber() === 2;
+        });
+        _result = await instance.retrieveProposalData.call(proposalId);
+        assert.equal(_result.status, ProposalStatus.Proposed, "Proposal not pending");
+        assert.equal(await instance.manyProposals.call(), proposalId, "Wrong number of proposals");
+    });
+
+    it("Proposals should execute after the required number of distinct approvers", async () => {
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:operator}), "Sender does not have role checker", "Non approver was able to approve");
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:cro}), "Proposer cannot approve", "Proposer was able to approve");
+
+        tx = await instance.approveProposal(proposalId, {from:notary1});
+        truffleAssert.eventEmitted(tx, 'ProposalApproved', (ev) => {
+            return ev.proposalId.toNumber() === proposalId && ev.approver === notary1 && ev.approvals.toNumber() === 1;
+        });
+        truffleAssert.eventNotEmitted(tx, 'ProposalExecuted');
+        assert.equal(await instance.unsecuredOverdraftLimit.call(userAccount3), 100, "Proposal executed before enough approvals");
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:notary1}), "Proposal already approved by sender", "Was able to approve twice");
+
+        tx = await instance.approveProposal(proposalId, {from:compliance});
+        truffleAssert.eventEmitted(tx, 'ProposalExecuted', (ev) => {
+            return ev.proposalId.toNumber() === proposalId;
+        });
+        assert.equal(await instance.unsecuredOverdraftLimit.call(userAccount3), LARGE_LIMIT, "Proposal not executed");
+        assert.equal(await instance.hasApprovedProposal.call(proposalId, compliance), true, "Approval not recorded");
+        assert.equal((await instance.retrieveProposalData.call(proposalId)).status, ProposalStatus.Executed, "Proposal not marked as executed");
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:cro}), "Proposal is not pending", "Was able to approve an executed proposal");
+    });
+
+    it("Only the proposer should be able to cancel a pending proposal", async () => {
+        tx = await instance.propose(ApprovalAction.SetUnsecuredOverdraftLimit, userAccount3, "", LARGE_LIMIT * 2, {from:cro});
+        proposalId = tx.logs[0].args.proposalId.toNumber();
+        await truffleAssert.reverts(instance.cancelProposal(proposalId, {from:notary1}), "Only the proposer can cancel", "Non proposer was able to cancel");
+        tx = await instance.cancelProposal(proposalId, {from:cro});
+        truffleAssert.eventEmitted(tx, 'ProposalCancelled');
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:notary1}), "Proposal is not pending", "Was able to approve a cancelled proposal");
+    });
+
+    it("Direct balance writes should only be proposed by the owner", async () => {
+        await instance.setApprovalPolicy(ApprovalAction.DirectWriteBalance, CHECKER_ROLE, [0], [1], {from:owner});
+        await truffleAssert.reverts(instance.directWriteBalance(userAccount3, 0, {from:owner}), "Action requires approval", "Was able to write a balance directly");
+        await truffleAssert.reverts(instance.propose(ApprovalAction.DirectWriteBalance, userAccount3, "", 0, {from:cro}), "Sender is not the owner", "Non owner was able to propose a balance write");
+    });
+
+    it("Direct balance writes should require approval based on the change in the balance", async () => {
+        await instance.mint(userAccount1, "Balance write test", LARGE_LIMIT, {from:operator});
+        const balance = (await instance.balanceOf.call(userAccount1)).toNumber();
+        await instance.setApprovalPolicy(ApprovalAction.DirectWriteBalance, CHECKER_ROLE, [0, LARGE_LIMIT], [0, 1], {from:owner});
+        await truffleAssert.reverts(instance.directWriteBalance(userAccount1, 0, {from:owner}), "Action requires approval", "Was able to write a large balance down to zero directly");
+
+        tx = await instance.propose(ApprovalAction.DirectWriteBalance, userAccount1, "", 0, {from:owner});
+        truffleAssert.eventEmitted(tx, 'ProposalCreated', (ev) => {
+            proposalId = ev.proposalId.toNumber();
+            return ev.amount.toNumber() === 0 && ev.requiredApprovals.toNumber() === 1;
+        });
+        await instance.mint(userAccount1, "Balance write test", 1, {from:operator});
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:cro}), "Balance changed since the proposal", "Was able to approve a balance write after the balance changed");
+        await instance.burn(userAccount1, "Balance write test", 1, {from:operator});
+        await instance.cancelProposal(proposalId, {from:owner});
+        await truffleAssert.reverts(instance.propose(ApprovalAction.DirectWriteBalance, userAccount1, "", balance - 1, {from:owner}), "Action does not require approval", "Small balance change required approval");
+        await instance.burn(userAccount1, "Balance write test", LARGE_LIMIT, {from:operator});
+    });
+
+    it("Removing an approval policy should allow the action to run directly again", async () => {
+        await instance.setApprovalPolicy(ApprovalAction.SetUnsecuredOverdraftLimit, "", [], [], {from:owner});
+        await instance.setApprovalPolicy(ApprovalAction.DirectWriteBalance, "", [], [], {from:owner});
+        assert.equal(await instance.requiredApprovals.call(ApprovalAction.SetUnsecuredOverdraftLimit, LARGE_LIMIT), 0, "Approvals still required");
+        await instance.setUnsecuredOverdraftLimit(userAccount3, initialLimit, {from:cro});
+        for(const checker of CHECKERS) {
+            await instance.breakGlassRevokeRole(checker, CHECKER_ROLE, {from:owner});
+        }
+    });
+
+});
@@ -0,0 +1,192 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const TimelockedAction = Object.freeze({
+        "WriteBalance":0,
+        "WriteDrawnAmount":1,
+        "AddFunds":2,
+        "RemoveFunds":3,
+        "SetComplianceAuthority":4
+    });
+
+    const TimelockedActionStatus = Object.freeze({
+        "Nonexistent":0,
+        "Queued":1,
+        "Executed":2,
+        "Cancelled":3
+    });
+
+    const GUARDIAN_ROLE = "guardian"
+    const GUARDIAN_ADMIN_ROLE = "guardianAdmin"
+    const guardian = notary1
+    const guardianAdmin = userAccount2
+    const HOUR = 60 * 60
+    const DAY = 24 * HOUR
+    const AMOUNT = 100
+    const EMERGENCY_REASON = "Ledger inconsistency after incident INC-042"
+
+    var initialBalance
+    var actionId
+
+    before( async () => {
+        console.log("  > Now testing the timelock on emergency functions");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        initialBalance = (await instance.balanceOf.call(userAccount3)).toNumber();
+        await instance.breakGlassAddRole(guardianAdmin, GUARDIAN_ADMIN_ROLE, {from:owner});
+        await instance.addRole(guardian, GUARDIAN_ROLE, {from:guardianAdmin});
+    })
+
+    it("The owner should not be able to manage guardians", async () => {
+        await truffleAssert.reverts(instance.breakGlassAddRole(owner, GUARDIAN_ROLE, {from:owner}), "Guardian roles cannot be given through break-glass", "Owner was able to make itself a guardian");
+        await truffleAssert.reverts(instance.breakGlassAddRole(owner, GUARDIAN_ADMIN_ROLE, {from:owner}), "Guardian roles cannot be given through break-glass", "Owner was able to give the guardian admin role twice");
+        await truffleAssert.reverts(instance.breakGlassRevokeRole(guardian, GUARDIAN_ROLE, {from:owner}), "Guardian roles cannot be revoked through break-glass", "Owner was able to revoke a guardian");
+        await truffleAssert.reverts(instance.setRoleAdmin(GUARDIAN_ROLE, "operator", {from:owner}), "Admin of the guardian roles cannot be changed", "Owner was able to change the admin of the guardians");
+        assert.equal(await instance.roleAdmin.call(GUARDIAN_ADMIN_ROLE), GUARDIAN_ADMIN_ROLE, "Guardian admins do not manage themselves");
+    });
+
+    it("Emergency functions should not be queued until the timelock delay is set", async () => {
+        await truffleAssert.reverts(instance.directAddFunds(userAccount3, AMOUNT, {from:owner}), "Timelock delay not set", "Was able to queue an action without a delay");
+        await truffleAssert.reverts(instance.setTimelockDelay(0, {from:owner}), "Timelock delay cannot be 0", "Was able to set a delay of 0");
+    });
+
+    it("The owner should only be able to raise the timelock delay", async () => {
+        await truffleAssert.reverts(instance.setTimelockDelay(DAY, {from:operator}), "Sender is not the owner", "Non owner was able to raise the delay");
+        tx = await instance.setTimelockDelay(DAY, {from:owner});
+        truffleAssert.eventEmitted(tx, 'TimelockDelaySet', (ev) => {
+            return ev.oldDelay.toNumber() === 0 && ev.newDelay.toNumber() === DAY;
+        });
+        assert.equal(await instance.timelockDelay.call(), DAY, "Delay not set");
+        await truffleAssert.reverts(instance.setTimelockDelay(HOUR, {from:owner}), "Sender does not have role guardian", "Owner was able to lower the delay");
+    });
+
+    it("Emergency functions should be queued rather than executed", async () => {
+        await truffleAssert.reverts(instance.directAddFunds(userAccount3, AMOUNT, {from:operator}), "", "Non owner was able to queue an emergency action");
+        tx = await instance.directAddFunds(userAccount3, AMOUNT, {from:owner});
+        truffleAssert.eventEmitted(tx, 'TimelockedActionQueued', (ev) => {
+            actionId = ev.actionId.toNumber();
+            return ev.action.toNumber() === TimelockedAction.AddFunds && ev.wallet === userAccount3 && ev.amount.toNumber() === AMOUNT;
+        });
+        truffleAssert.eventNotEmitted(tx, 'FundsDirectlyAdded');
+        assert.equal(await instance.balanceOf.call(userAccount3), initialBalance, "Emergency action executed when queued");
+        assert.equal(await instance.manyTimelockedActions.call(), actionId, "Wrong number of queued actions");
+        _result = await instance.retrieveTimelockedActionData.call(actionId);
+        assert.equal(_result.status, TimelockedActionStatus.Queued, "Action not queued");
+    });
+
+    it("Queued actions should only execute once their delay has elapsed", async () => {
+        await truffleAssert.reverts(instance.executeTimelockedAction(actionId, {from:owner}), "Timelock has not elapsed", "Was able to execute an action before its delay");
+        await time.increaseTime(web3, DAY);
+        await truffleAssert.reverts(instance.executeTimelockedAction(actionId, {from:operator}), "", "Non owner was able to execute a queued action");
+        tx = await instance.executeTimelockedAction(actionId, {from:owner});
+        truffleAssert.eventEmitted(tx, 'TimelockedActionExecuted', (ev) => {
+            return ev.actionId.toNumber() === actionId;
+        });
+        truffleAssert.eventEmitted(tx, 'FundsDirectlyAdded');
+        assert.equal(await instance.balanceOf.call(userAccount3), initialBalance + AMOUNT, "Queued action not executed");
+        await truffleAssert.reverts(instance.executeTimelockedAction(actionId, {from:owner}), "Action is not queued", "Was able to execute an action twice");
+    });
+
+    it("Only guardians should be able to cancel queued actions", async () => {
+        tx = await instance.directRemoveFunds(userAccount3, AMOUNT, {from:owner});
+        actionId = tx.logs[0].args.actionId.toNumber();
+        await truffleAssert.reverts(instance.cancelTimelockedAction(actionId, {from:owner}), "Sender does not have role guardian", "Non guardian was able to cancel");
+        tx = await instance.cancelTimelockedAction(actionId, {from:guardian});
+        truffleAssert.eventEmitted(tx, 'TimelockedActionCancelled', (ev) => {
+            return ev.actionId.toNumber() === actionId && ev.guardian === guardian;
+        });
+        await time.increaseTime(web3, DAY);
+        await truffleAssert.reverts(instance.executeTimelockedAction(actionId, {from:owner}), "Action is not queued", "Was able to execute a cancelled action");
+    });
+
+    it("The fast path should only be available in emergencies declared by the owner and confirmed by a guardian", async () => {
+        tx = await instance.directRemoveFunds(userAccount3, AMOUNT, {from:owner});
+        actionId = tx.logs[0].args.actionId.toNumber();
+        await truffleAssert.reverts(instance.executeTimelockedActionInEmergency(actionId, "Urgent", {from:owner}), "No emergency declared", "Was able to use the fast path without an emergency");
+        await truffleAssert.reverts(instance.declareEmergency(EMERGENCY_REASON, {from:guardian}), "", "Non owner was able to declare an emergency");
+
+        tx = await instance.declareEmergency(EMERGENCY_REASON, {from:owner});
+        truffleAssert.eventEmitted(tx, 'EmergencyDeclared', (ev) => {
+            return ev.declarer === owner && ev.reason === EMERGENCY_REASON;
+        });
+        await truffleAssert.reverts(instance.executeTimelockedActionInEmergency(actionId, "Urgent", {from:owner}), "Emergency not confirmed by a guardian", "Was able to use the fast path without a guardian");
+        await truffleAssert.reverts(instance.confirmEmergency({from:owner}), "Sender does not have role guardian", "Non guardian was able to confirm an emergency");
+        tx = await instance.confirmEmergency({from:guardian});
+        truffleAssert.eventEmitted(tx, 'EmergencyConfirmed', (ev) => {
+            return ev.guardian === guardian;
+        });
+        assert.equal((await instance.emergency.call()).confirmed, true, "Emergency not confirmed");
+        await truffleAssert.reverts(instance.executeTimelockedActionInEmergency(actionId, "", {from:owner}), "Justification is required", "Was able to use the fast path without justification");
+        tx = await instance.executeTimelockedActionInEmergency(actionId, "Reverting the funds added in the previous test", {from:owner});
+        truffleAssert.eventEmitted(tx, 'EmergencyFastPathUsed', (ev) => {
+            return ev.actionId.toNumber() === actionId && ev.action.toNumber() === TimelockedAction.RemoveFunds &&
+                ev.balanceBefore.toNumber() === initialBalance + AMOUNT && ev.emergencyReason === EMERGENCY_REASON;
+        });
+        assert.equal(await instance.balanceOf.call(userAccount3), initialBalance, "Fast path did not execute the action");
+    });
+
+    it("Balance writes should only execute if the balance has not changed since they were queued", async () => {
+        tx = await instance.directWriteBalance(userAccount3, initialBalance + AMOUNT, {from:owner});
+        const writeId = tx.logs[0].args.actionId.toNumber();
+        tx = await instance.directAddFunds(userAccount3, AMOUNT, {from:owner});
+        actionId = tx.logs[0].args.actionId.toNumber();
+        await time.increaseTime(web3, DAY);
+        await instance.executeTimelockedAction(actionId, {from:owner});
+        await truffleAssert.reverts(instance.executeTimelockedAction(writeId, {from:owner}), "Balance changed since the action was queued", "Was able to write a balance that changed after queuing");
+        await instance.cancelTimelockedAction(writeId, {from:guardian});
+
+        tx = await instance.directRemoveFunds(userAccount3, AMOUNT, {from:owner});
+        actionId = tx.logs[0].args.actionId.toNumber();
+        await time.increaseTime(web3, DAY);
+        await instance.executeTimelockedAction(actionId, {from:owner});
+        assert.equal(await instance.balanceOf.call(userAccount3), initialBalance, "Balance not restored");
+    });
+
+    it("Changing the compliance authority should be queued once the delay is set", async () => {
+        const authority = await instance.complianceAuthority.call();
+        tx = await instance.setComplianceAuthority(notWhitelisted1, {from:owner});
+        truffleAssert.eventEmitted(tx, 'TimelockedActionQueued', (ev) => {
+            actionId = ev.actionId.toNumber();
+            return ev.action.toNumber() === TimelockedAction.SetComplianceAuthority && ev.wallet === notWhitelisted1;
+        });
+        truffleAssert.eventNotEmitted(tx, 'ComplianceAuthoritySet');
+        assert.equal(await instance.complianceAuthority.call(), authority, "Compliance authority changed when queued");
+        await instance.cancelTimelockedAction(actionId, {from:guardian});
+    });
+
+    it("Guardians should be able to end emergencies and lower the delay", async () => {
+        await truffleAssert.reverts(instance.endEmergency({from:operator}), "Sender is neither the owner nor a guardian", "Was able to end an emergency");
+        tx = await instance.endEmergency({from:guardian});
+        truffleAssert.eventEmitted(tx, 'EmergencyEnded');
+        _result = await instance.emergency.call();
+        assert.equal(_result.declared, false, "Emergency not ended");
+        assert.equal(_result.confirmed, false, "Confirmation not cleared");
+
+        await instance.setTimelockDelay(HOUR, {from:guardian});
+        assert.equal(await instance.timelockDelay.call(), HOUR, "Delay not lowered");
+        await instance.revokeRole(guardian, GUARDIAN_ROLE, {from:guardianAdmin});
+    });
+
+});
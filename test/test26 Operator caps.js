@@ -0,0 +1,134 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const time = require('./helpers/time.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const ApprovalAction = Object.freeze({
+        "Mint":0,
+        "Burn":1,
+        "ExecuteFunding":2,
+        "ExecutePayout":3,
+        "SetUnsecuredOverdraftLimit":4,
+        "DirectWriteBalance":5
+    });
+
+    const CappedFlow = Object.freeze({
+        "Minted":0,
+        "Burned":1,
+        "PaidOut":2
+    });
+
+    const OPERATOR_ROLE = "operator"
+    const secondOperator = notary1
+    const DAY = 24 * 60 * 60
+    const TRANSACTION_CAP = 100
+    const DAILY_CAP = 150
+    const DEFAULT_TRANSACTION_CAP = 50
+
+    var initialBalance
+    var proposalId
+
+    before( async () => {
+        console.log("  > Now testing operator caps");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        initialBalance = (await instance.balanceOf.call(userAccount1)).toNumber();
+    })
+
+    it("Only the owner should be able to set operator caps", async () => {
+        await truffleAssert.reverts(instance.setOperatorCaps(operator, CappedFlow.Minted, TRANSACTION_CAP, DAILY_CAP, {from:cro}), "", "Non owner was able to set operator caps");
+        tx = await instance.setOperatorCaps(operator, CappedFlow.Minted, TRANSACTION_CAP, DAILY_CAP, {from:owner});
+        truffleAssert.eventEmitted(tx, 'OperatorCapsSet', (ev) => {
+            return ev.operator === operator && ev.flow.toNumber() === CappedFlow.Minted && ev.transactionCap.toNumber() === TRANSACTION_CAP && ev.dailyCap.toNumber() === DAILY_CAP;
+        });
+        _result = await instance.operatorCaps.call(operator, CappedFlow.Minted);
+        assert.equal(_result.transactionCap.toNumber(), TRANSACTION_CAP, "Transaction cap not set");
+        assert.equal(_result.dailyCap.toNumber(), DAILY_CAP, "Daily cap not set");
+    });
+
+    it("Operators should not be able to mint above their caps directly", async () => {
+        await truffleAssert.reverts(instance.mint(userAccount1, "Cap test 1", TRANSACTION_CAP + 1, {from:operator}), "Operator cap exceeded", "Was able to mint above the transaction cap");
+        await instance.mint(userAccount1, "Cap test 2", TRANSACTION_CAP, {from:operator});
+        assert.equal((await instance.operatorCaps.call(operator, CappedFlow.Minted)).dailyTotal.toNumber(), TRANSACTION_CAP, "Mint not counted towards the caps");
+        assert.equal((await instance.operatorHeadroom.call(operator, CappedFlow.Minted)).toNumber(), DAILY_CAP - TRANSACTION_CAP, "Wrong headroom");
+        await truffleAssert.reverts(instance.mint(userAccount1, "Cap test 3", DAILY_CAP - TRANSACTION_CAP + 1, {from:operator}), "Operator cap exceeded", "Was able to mint above the daily cap");
+        assert.equal((await instance.operatorHeadroom.call(operator, CappedFlow.Burned)).toString(), web3.utils.toBN(2).pow(web3.utils.toBN(256)).subn(1).toString(), "Other flows capped");
+    });
+
+    it("Actions above the caps should be approved by a second operator", async () => {
+        await truffleAssert.reverts(instance.propose(ApprovalAction.Mint, userAccount1, "Cap test 4", DAILY_CAP - TRANSACTION_CAP, {from:operator}), "Action does not require approval", "Was able to propose an action within the caps");
+        tx = await instance.propose(ApprovalAction.Mint, userAccount1, "Cap test 4", TRANSACTION_CAP, {from:operator});
+        truffleAssert.eventEmitted(tx, 'ProposalCreated', (ev) => {
+            proposalId = ev.proposalId.toNumber();
+            return ev.requiredApprovals.toNumber() === 1;
+        });
+        await truffleAssert.reverts(instance.approveProposal(proposalId, {from:cro}), "Sender does not have role operator", "Non operator was able to approve");
+
+        await instance.breakGlassAddRole(secondOperator, OPERATOR_ROLE, {from:owner});
+        tx = await instance.approveProposal(proposalId, {from:secondOperator});
+        truffleAssert.eventEmitted(tx, 'ProposalExecuted');
+        assert.equal((await instance.balanceOf.call(userAccount1)).toNumber(), initialBalance + 2 * TRANSACTION_CAP, "Approved mint not executed");
+        assert.equal((await instance.operatorCaps.call(operator, CappedFlow.Minted)).dailyTotal.toNumber(), 2 * TRANSACTION_CAP, "Approved mint not counted towards the caps");
+    });
+
+    it("Daily caps should be reset every day", async () => {
+        await time.increaseTime(web3, DAY);
+        assert.equal((await instance.operatorCaps.call(operator, CappedFlow.Minted)).dailyTotal.toNumber(), 0, "Daily total not reset");
+        await instance.mint(userAccount1, "Cap test 5", TRANSACTION_CAP, {from:operator});
+    });
+
+    it("Operators without caps of their own should be subject to the default caps", async () => {
+        await truffleAssert.reverts(instance.setDefaultOperatorCaps(CappedFlow.Minted, DEFAULT_TRANSACTION_CAP, 0, {from:cro}), "", "Non owner was able to set the default caps");
+        tx = await instance.setDefaultOperatorCaps(CappedFlow.Minted, DEFAULT_TRANSACTION_CAP, 0, {from:owner});
+        truffleAssert.eventEmitted(tx, 'DefaultOperatorCapsSet', (ev) => {
+            return ev.flow.toNumber() === CappedFlow.Minted && ev.transactionCap.toNumber() === DEFAULT_TRANSACTION_CAP && ev.dailyCap.toNumber() === 0;
+        });
+        _result = await instance.operatorCaps.call(secondOperator, CappedFlow.Minted);
+        assert.equal(_result.transactionCap.toNumber(), DEFAULT_TRANSACTION_CAP, "Default cap not applied to an operator without caps");
+        assert.equal(_result.isDefault, true, "Caps of an operator without caps not reported as the default ones");
+        await truffleAssert.reverts(instance.mint(userAccount1, "Cap test 7", DEFAULT_TRANSACTION_CAP + 1, {from:secondOperator}), "Operator cap exceeded", "Operator without caps was able to mint above the default cap");
+
+        _result = await instance.operatorCaps.call(operator, CappedFlow.Minted);
+        assert.equal(_result.transactionCap.toNumber(), TRANSACTION_CAP, "Default cap applied to an operator with caps of its own");
+        assert.equal(_result.isDefault, false, "Caps of the operator reported as the default ones");
+        await truffleAssert.reverts(instance.resetOperatorCaps(operator, CappedFlow.Minted, {from:cro}), "", "Non owner was able to reset operator caps");
+        tx = await instance.resetOperatorCaps(operator, CappedFlow.Minted, {from:owner});
+        truffleAssert.eventEmitted(tx, 'OperatorCapsReset', (ev) => {
+            return ev.operator === operator && ev.flow.toNumber() === CappedFlow.Minted;
+        });
+        assert.equal((await instance.operatorCaps.call(operator, CappedFlow.Minted)).transactionCap.toNumber(), DEFAULT_TRANSACTION_CAP, "Default cap not applied after resetting the caps");
+        await instance.setDefaultOperatorCaps(CappedFlow.Minted, 0, 0, {from:owner});
+    });
+
+    it("Burns should be capped separately", async () => {
+        await instance.setOperatorCaps(operator, CappedFlow.Burned, TRANSACTION_CAP, 0, {from:owner});
+        await truffleAssert.reverts(instance.burn(userAccount1, "Cap test 6", 3 * TRANSACTION_CAP, {from:operator}), "Operator cap exceeded", "Was able to burn above the transaction cap");
+
+        await instance.setOperatorCaps(operator, CappedFlow.Minted, 0, 0, {from:owner});
+        await instance.setOperatorCaps(operator, CappedFlow.Burned, 0, 0, {from:owner});
+        await instance.burn(userAccount1, "Cap test 6", 3 * TRANSACTION_CAP, {from:operator});
+        assert.equal((await instance.balanceOf.call(userAccount1)).toNumber(), initialBalance, "Balance not restored");
+        await instance.breakGlassRevokeRole(secondOperator, OPERATOR_ROLE, {from:owner});
+    });
+
+});
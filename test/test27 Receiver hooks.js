@@ -0,0 +1,147 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const EMoneyTokenReceiverMock = artifacts.require("EMoneyTokenReceiverMock");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var receiver
+    var tx
+    var _result
+
+    // Constants for this test
+    const Behaviour = Object.freeze({
+        "Accept":0,
+        "ReturnWrongValue":1,
+        "Revert":2
+    });
+
+    const HoldStatusCode = Object.freeze({
+        "Nonexistent":0,
+        "Ordered":1,
+        "ExecutedByNotary":2,
+        "ExecutedByOperator":3,
+        "ReleasedByNotary":4,
+        "ReleasedByPayee":5,
+        "ReleasedByOperator":6,
+        "ReleasedOnExpiration":7
+    });
+
+    const AMOUNT = 10
+    const FUNDS = 10 * AMOUNT
+    const DATA = "0x1234"
+    const HOLD_ID = "ReceiverHoldID1"
+    const EOA_HOLD_ID = "ReceiverHoldID2"
+    const HOLD_AND_CALL_ID = "ReceiverHoldAndCallID1"
+    const CLEARABLE_TRANSFER_ID = "ReceiverClearableID1"
+
+    async function receiverBalance() {
+        return (await instance.balanceOf.call(receiver.address)).toNumber();
+    }
+
+    before( async () => {
+        console.log("  > Now testing the hooks of token receivers");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        receiver = await EMoneyTokenReceiverMock.new({from:owner});
+        await instance.whitelist(receiver.address, {from:compliance});
+        await instance.mint(userAccount1, "Receiver hooks test", FUNDS, {from:operator});
+    })
+
+    it("Transfers and calls should notify receivers that accept them", async () => {
+        tx = await instance.transferAndCall(receiver.address, AMOUNT, DATA, {from:userAccount1});
+        truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(receiver, tx.tx), 'TransferReceived', (ev) => {
+            return ev.operator === userAccount1 && ev.from === userAccount1 && ev.value.toNumber() === AMOUNT && ev.data === DATA;
+        });
+        assert.equal(await receiverBalance(), AMOUNT, "Tokens not received");
+    });
+
+    it("Transfers and calls should be reverted when the receiver does not accept them", async () => {
+        await receiver.setBehaviour(Behaviour.ReturnWrongValue, {from:owner});
+        await truffleAssert.reverts(instance.transferAndCall(receiver.address, AMOUNT, DATA, {from:userAccount1}), "Transfer rejected by receiver", "Transfer not rejected when the receiver returned a wrong value");
+        await receiver.setBehaviour(Behaviour.Revert, {from:owner});
+        await truffleAssert.reverts(instance.transferAndCall(receiver.address, AMOUNT, DATA, {from:userAccount1}), "Receiver reverted", "Transfer not reverted when the receiver reverted");
+        assert.equal(await receiverBalance(), AMOUNT, "Tokens received in rejected transfers");
+    });
+
+    it("Transfers and calls should only be sent to contracts", async () => {
+        await truffleAssert.reverts(instance.transferAndCall(userAccount2, AMOUNT, DATA, {from:userAccount1}), "Receiver is not a contract", "Was able to transfer and call a wallet");
+    });
+
+    it("Holds and calls should notify receivers, and be reverted when the receiver does not accept them", async () => {
+        await truffleAssert.reverts(instance.holdAndCall(HOLD_AND_CALL_ID, receiver.address, notary1, AMOUNT, false, 0, DATA, {from:userAccount1}), "Receiver reverted", "Hold not reverted when the receiver reverted");
+        await receiver.setBehaviour(Behaviour.ReturnWrongValue, {from:owner});
+        await truffleAssert.reverts(instance.holdAndCall(HOLD_AND_CALL_ID, receiver.address, notary1, AMOUNT, false, 0, DATA, {from:userAccount1}), "Hold rejected by receiver", "Hold not rejected when the receiver returned a wrong value");
+        await truffleAssert.reverts(instance.holdAndCall(HOLD_AND_CALL_ID, userAccount2, notary1, AMOUNT, false, 0, DATA, {from:userAccount1}), "Receiver is not a contract", "Was able to hold and call a wallet");
+
+        const balanceOnHold = (await instance.balanceOnHold.call(userAccount1)).toNumber();
+        await receiver.setBehaviour(Behaviour.Accept, {from:owner});
+        tx = await instance.holdAndCall(HOLD_AND_CALL_ID, receiver.address, notary1, AMOUNT, false, 0, DATA, {from:userAccount1});
+        truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(receiver, tx.tx), 'HoldReceived', (ev) => {
+            return ev.holder === userAccount1 && ev.operationId === HOLD_AND_CALL_ID && ev.from === userAccount1 && ev.value.toNumber() === AMOUNT && ev.data === DATA;
+        });
+        assert.equal((await instance.balanceOnHold.call(userAccount1)).toNumber(), balanceOnHold + AMOUNT, "Funds not held");
+
+        await instance.releaseHold(userAccount1, HOLD_AND_CALL_ID, {from:notary1});
+        await receiver.setBehaviour(Behaviour.Revert, {from:owner});
+    });
+
+    it("Hold executions should be rolled back when the receiver does not accept them", async () => {
+        await instance.hold(HOLD_ID, receiver.address, notary1, AMOUNT, false, 0, {from:userAccount1});
+        await truffleAssert.reverts(instance.executeHold(userAccount1, HOLD_ID, {from:notary1}), "Receiver reverted", "Hold executed when the receiver reverted");
+        await receiver.setBehaviour(Behaviour.ReturnWrongValue, {from:owner});
+        await truffleAssert.reverts(instance.executeHold(userAccount1, HOLD_ID, {from:notary1}), "Hold execution rejected by receiver", "Hold executed when the receiver returned a wrong value");
+        _result = await instance.retrieveHoldData.call(userAccount1, HOLD_ID);
+        assert.equal(_result.status, HoldStatusCode.Ordered, "Rejected hold not active anymore");
+        assert.equal(await receiverBalance(), AMOUNT, "Tokens received in rejected hold executions");
+    });
+
+    it("Hold executions should notify receivers that accept them", async () => {
+        await receiver.setBehaviour(Behaviour.Accept, {from:owner});
+        tx = await instance.executeHold(userAccount1, HOLD_ID, {from:notary1});
+        truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(receiver, tx.tx), 'HoldExecutionReceived', (ev) => {
+            return ev.operator === notary1 && ev.holder === userAccount1 && ev.operationId === HOLD_ID && ev.from === userAccount1 && ev.value.toNumber() === AMOUNT;
+        });
+        assert.equal(await receiverBalance(), 2 * AMOUNT, "Tokens not received in the hold execution");
+    });
+
+    it("Hold executions in favor of wallets that are not contracts should not call any hook", async () => {
+        const balance = (await instance.balanceOf.call(userAccount2)).toNumber();
+        await instance.hold(EOA_HOLD_ID, userAccount2, notary1, AMOUNT, false, 0, {from:userAccount1});
+        await instance.executeHold(userAccount1, EOA_HOLD_ID, {from:notary1});
+        assert.equal((await instance.balanceOf.call(userAccount2)).toNumber(), balance + AMOUNT, "Tokens not received by the wallet");
+    });
+
+    it("Clearable transfer executions should notify receivers, and be rolled back when the receiver reverts", async () => {
+        await instance.orderClearableTransfer(CLEARABLE_TRANSFER_ID, receiver.address, AMOUNT, {from:userAccount1});
+        await receiver.setBehaviour(Behaviour.Revert, {from:owner});
+        await truffleAssert.reverts(instance.executeClearableTransfer(userAccount1, CLEARABLE_TRANSFER_ID, {from:operator}), "Receiver reverted", "Clearable transfer executed when the receiver reverted");
+        assert.equal(await receiverBalance(), 2 * AMOUNT, "Tokens received in a rejected clearable transfer");
+
+        await receiver.setBehaviour(Behaviour.Accept, {from:owner});
+        tx = await instance.executeClearableTransfer(userAccount1, CLEARABLE_TRANSFER_ID, {from:operator});
+        truffleAssert.eventEmitted(await truffleAssert.createTransactionResult(receiver, tx.tx), 'HoldExecutionReceived', (ev) => {
+            return ev.operator === operator && ev.holder === userAccount1 && ev.operationId === CLEARABLE_TRANSFER_ID && ev.value.toNumber() === AMOUNT;
+        });
+        assert.equal(await receiverBalance(), 3 * AMOUNT, "Tokens not received in the clearable transfer execution");
+
+        await instance.burn(receiver.address, "Receiver hooks test", 3 * AMOUNT, {from:operator});
+        await instance.burn(userAccount1, "Receiver hooks test", FUNDS - 4 * AMOUNT, {from:operator});
+        await instance.burn(userAccount2, "Receiver hooks test", AMOUNT, {from:operator});
+    });
+
+});
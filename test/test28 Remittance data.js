@@ -0,0 +1,89 @@
+const EMoneyToken = artifacts.require("EMoneyToken");
+const truffleAssert = require('truffle-assertions'); // install with: npm install truffle-assertions
+const remittance = require('../lib/remittance.js');
+
+contract("EMoneyToken", accounts => {
+
+    // Common to all tests
+    const owner = accounts[9]
+    const cro = accounts[8]
+    const operator = accounts[7]
+    const compliance = accounts[6]
+    const userAccount1 = accounts[5]
+    const userAccount2 = accounts[4]
+    const userAccount3 = accounts[3]
+    const notary1 = accounts[2]
+    const notWhitelisted1 = accounts[1]
+    const notWhitelisted2 = accounts[0]
+    const SUSPENSE_WALLET = "0x0000000000000000000000000000000000000000"
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+    var instance
+    var tx
+    var _result
+
+    // Constants for this test
+    const AMOUNT = 10
+    const REMITTANCE = {
+        endToEndId: "E2E-2019-03-0001",
+        invoiceNumber: "INV-2019-42",
+        purposeCode: "SUPP",
+        remittanceInformation: "Supplies for March 2019"
+    }
+    const CLEARABLE_TRANSFER_ID = "RemittanceClearableID1"
+    const CLEARABLE_TRANSFER_FROM_ID = "RemittanceClearableFromID1"
+
+    var data
+
+    before( async () => {
+        console.log("  > Now testing remittance data");
+        instance = await EMoneyToken.deployed();
+        console.log("  > Contract address is", instance.address);
+        data = remittance.encode(web3, REMITTANCE);
+    })
+
+    it("Remittance data should be decoded back to the original fields", async () => {
+        assert.deepEqual(remittance.decode(web3, data), REMITTANCE, "Remittance data not decoded");
+        _result = remittance.decode(web3, remittance.encode(web3, { endToEndId: REMITTANCE.endToEndId }));
+        assert.equal(_result.endToEndId, REMITTANCE.endToEndId, "End to end id not decoded");
+        assert.equal(_result.invoiceNumber, "", "Missing field not decoded as empty");
+        assert.throws(() => remittance.encode(web3, { purposeCode: "TOOLONG" }), /purposeCode longer than 4 characters/, "Too long field encoded");
+    });
+
+    it("Transfers with data should emit the remittance data indexed by its hash", async () => {
+        tx = await instance.transferWithData(userAccount2, AMOUNT, data, {from:userAccount1});
+        truffleAssert.eventEmitted(tx, 'TransferRemittanceData', (ev) => {
+            return ev.from === userAccount1 && ev.to === userAccount2 && ev.value.toNumber() === AMOUNT &&
+                ev.data === data && ev.dataHash === remittance.hash(web3, data);
+        });
+        _result = tx.logs.find(log => log.event === 'TransferRemittanceData');
+        assert.deepEqual(remittance.decodeEvent(web3, _result), REMITTANCE, "Remittance data not decoded from the event");
+        _result.args.dataHash = web3.utils.keccak256("0x00");
+        assert.throws(() => remittance.decodeEvent(web3, _result), /does not match its hash/, "Tampered remittance data decoded");
+
+        await instance.approve(userAccount3, AMOUNT, {from:userAccount2});
+        tx = await instance.transferFromWithData(userAccount2, userAccount1, AMOUNT, data, {from:userAccount3});
+        truffleAssert.eventEmitted(tx, 'TransferRemittanceData', (ev) => {
+            return ev.from === userAccount2 && ev.to === userAccount1 && ev.dataHash === remittance.hash(web3, data);
+        });
+    });
+
+    it("Clearable transfers with data should emit the remittance data indexed by its hash", async () => {
+        tx = await instance.orderClearableTransferWithData(CLEARABLE_TRANSFER_ID, userAccount2, AMOUNT, data, {from:userAccount1});
+        truffleAssert.eventEmitted(tx, 'ClearableTransferRemittanceData', (ev) => {
+            return ev.orderer === userAccount1 && ev.operationId === CLEARABLE_TRANSFER_ID && ev.data === data && ev.dataHash === remittance.hash(web3, data);
+        });
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_ID, {from:userAccount1});
+
+        await truffleAssert.reverts(instance.orderClearableTransferFromWithData(CLEARABLE_TRANSFER_FROM_ID, userAccount1, userAccount2, AMOUNT, data, {from:userAccount3}), "Not approved to order clearable transfers", "Was able to order a clearable transfer from without approval");
+        await instance.approveToOrderClearableTransfer(userAccount3, {from:userAccount1});
+        tx = await instance.orderClearableTransferFromWithData(CLEARABLE_TRANSFER_FROM_ID, userAccount1, userAccount2, AMOUNT, data, {from:userAccount3});
+        truffleAssert.eventEmitted(tx, 'ClearableTransferRemittanceData', (ev) => {
+            return ev.orderer === userAccount3 && ev.operationId === CLEARABLE_TRANSFER_FROM_ID && ev.dataHash === remittance.hash(web3, data);
+        });
+        assert.deepEqual(remittance.decodeEvent(web3, tx.logs.find(log => log.event === 'ClearableTransferRemittanceData')), REMITTANCE, "Remittance data not decoded from the event");
+        await instance.cancelClearableTransfer(CLEARABLE_TRANSFER_FROM_ID, {from:userAccount3});
+        await instance.revokeApprovalToOrderClearableTransfer(userAccount3, {from:userAccount1});
+    });
+
+});